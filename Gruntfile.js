@@ -10,9 +10,27 @@ module.exports = function (grunt) {
 		'src/Matrix2.js',
 		'src/Matrix3.js',
 		'src/Matrix4.js',
+		'src/Quaternion.js',
+		'src/MatrixStack.js',
+		'src/Plane.js',
+		'src/AABB.js',
+		'src/BoundingSphere.js',
+		'src/Frustum.js',
+		'src/Ray.js',
+		'src/Curves.js',
+		'src/Easing.js',
+		'src/Color.js',
+		'src/Transform.js',
+		'src/Noise.js',
+		'src/VectorArray.js',
+		'src/Geometry.js',
+		'src/Normals.js',
 		'src/ContextBegin.js',
+		'src/Context.js',
 		'src/Buffers.js',
 		'src/Arrays.js',
+		'src/VertexArray.js',
+		'src/Mesh.js',
 		'src/Textures.js',
 		'src/Shaders.js',
 		'src/Programs.js',
@@ -75,8 +93,26 @@ module.exports = function (grunt) {
 				'src/Matrix2.js',
 				'src/Matrix3.js',
 				'src/Matrix4.js',
+				'src/Quaternion.js',
+				'src/MatrixStack.js',
+				'src/Plane.js',
+				'src/AABB.js',
+				'src/BoundingSphere.js',
+				'src/Frustum.js',
+				'src/Ray.js',
+				'src/Curves.js',
+				'src/Easing.js',
+				'src/Color.js',
+				'src/Transform.js',
+				'src/Noise.js',
+				'src/VectorArray.js',
+				'src/Geometry.js',
+				'src/Normals.js',
+				'src/Context.js',
 				'src/Buffers.js',
 				'src/Arrays.js',
+				'src/VertexArray.js',
+				'src/Mesh.js',
 				'src/Textures.js',
 				'src/Shaders.js',
 				'src/Programs.js',
@@ -0,0 +1,306 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A mutable axis-aligned bounding box.
+ *
+ * @class OOGL.AABB
+ * @constructor
+ * @param {OOGL.Vector3} min The corner with the lowest coordinates. It is
+ *	stored as is, not duplicated.
+ * @param {OOGL.Vector3} max The corner with the highest coordinates. It is
+ *	stored as is, not duplicated.
+ * @example
+ *	var box = new OOGL.AABB(new OOGL.Vector3(-1, -1, -1), new OOGL.Vector3(1, 1, 1));
+ */
+OOGL.AABB = function (min, max) {
+	/**
+	 * The corner with the lowest coordinates.
+	 *
+	 * @property min
+	 * @type OOGL.Vector3
+	 */
+	this.min = min;
+
+	/**
+	 * The corner with the highest coordinates.
+	 *
+	 * @property max
+	 * @type OOGL.Vector3
+	 */
+	this.max = max;
+};
+
+OOGL.AABB.prototype = {
+	/**
+	 * Clones this box and returns the new one.
+	 *
+	 * @method clone
+	 * @return {OOGL.AABB} The new box.
+	 * @example
+	 *	var b2 = b1.clone();
+	 */
+	clone: function () {
+		return new OOGL.AABB(this.min.clone(), this.max.clone());
+	},
+
+	/**
+	 * Indicates whether this box is empty, i.e. whether its minimum corner
+	 * exceeds its maximum corner along any axis. Boxes created by
+	 * {{#crossLink "OOGL.EmptyAABB"}}{{/crossLink}} are empty until a point is
+	 * added to them.
+	 *
+	 * @method isEmpty
+	 * @return {Boolean} `true` if this box is empty, `false` otherwise.
+	 */
+	isEmpty: function () {
+		return (this.min.x > this.max.x) || (this.min.y > this.max.y) || (this.min.z > this.max.z);
+	},
+
+	/**
+	 * Computes the center of this box and returns it as a new vector.
+	 *
+	 * @method getCenter
+	 * @return {OOGL.Vector3} The center of this box.
+	 * @example
+	 *	var center = box.getCenter();
+	 */
+	getCenter: function () {
+		return this.min.plus(this.max).multiply(0.5);
+	},
+
+	/**
+	 * Computes the size of this box along the three axes and returns it as a
+	 * new vector.
+	 *
+	 * @method getSize
+	 * @return {OOGL.Vector3} The size of this box.
+	 * @example
+	 *	var height = box.getSize().y;
+	 */
+	getSize: function () {
+		return this.max.minus(this.min);
+	},
+
+	/**
+	 * Enlarges this box, if needed, so that it contains the specified point.
+	 *
+	 * @method addPoint
+	 * @param {OOGL.Vector3} point The point to include.
+	 * @return {OOGL.AABB} This box.
+	 * @example
+	 *	box.addPoint(new OOGL.Vector3(x, y, z));
+	 */
+	addPoint: function (point) {
+		this.min.x = Math.min(this.min.x, point.x);
+		this.min.y = Math.min(this.min.y, point.y);
+		this.min.z = Math.min(this.min.z, point.z);
+		this.max.x = Math.max(this.max.x, point.x);
+		this.max.y = Math.max(this.max.y, point.y);
+		this.max.z = Math.max(this.max.z, point.z);
+		return this;
+	},
+
+	/**
+	 * Enlarges this box, if needed, so that it contains the specified box. An
+	 * empty box leaves this box unchanged.
+	 *
+	 * @method add
+	 * @param {OOGL.AABB} box The box to include.
+	 * @return {OOGL.AABB} This box.
+	 * @example
+	 *	sceneBox.add(objectBox);
+	 */
+	add: function (box) {
+		if (box.isEmpty()) {
+			return this;
+		}
+		return this.addPoint(box.min).addPoint(box.max);
+	},
+
+	/**
+	 * Computes the smallest box containing both this box and the specified one
+	 * and returns it as a new box. This box is not modified.
+	 *
+	 * @method plus
+	 * @param {OOGL.AABB} box The box to include.
+	 * @return {OOGL.AABB} The new box.
+	 * @example
+	 *	var total = b1.plus(b2);
+	 */
+	plus: function (box) {
+		return this.clone().add(box);
+	},
+
+	/**
+	 * Indicates whether the specified point lies inside this box or on its
+	 * boundary.
+	 *
+	 * @method containsPoint
+	 * @param {OOGL.Vector3} point The point to test.
+	 * @return {Boolean} `true` if the point lies inside this box, `false`
+	 *	otherwise.
+	 */
+	containsPoint: function (point) {
+		return (point.x >= this.min.x) && (point.x <= this.max.x) &&
+			(point.y >= this.min.y) && (point.y <= this.max.y) &&
+			(point.z >= this.min.z) && (point.z <= this.max.z);
+	},
+
+	/**
+	 * Indicates whether the specified box lies entirely inside this one.
+	 *
+	 * @method contains
+	 * @param {OOGL.AABB} box The box to test.
+	 * @return {Boolean} `true` if the box lies inside this one, `false`
+	 *	otherwise.
+	 */
+	contains: function (box) {
+		return this.containsPoint(box.min) && this.containsPoint(box.max);
+	},
+
+	/**
+	 * Indicates whether the specified box intersects (or touches) this one.
+	 *
+	 * @method intersects
+	 * @param {OOGL.AABB} box The box to test.
+	 * @return {Boolean} `true` if the boxes intersect, `false` otherwise.
+	 */
+	intersects: function (box) {
+		return (box.max.x >= this.min.x) && (box.min.x <= this.max.x) &&
+			(box.max.y >= this.min.y) && (box.min.y <= this.max.y) &&
+			(box.max.z >= this.min.z) && (box.min.z <= this.max.z);
+	},
+
+	/**
+	 * Indicates whether the specified bounding sphere intersects (or touches)
+	 * this box.
+	 *
+	 * @method intersectsSphere
+	 * @param {OOGL.BoundingSphere} sphere The sphere to test.
+	 * @return {Boolean} `true` if the sphere intersects this box, `false`
+	 *	otherwise.
+	 */
+	intersectsSphere: function (sphere) {
+		var c = sphere.center;
+		var dx = Math.max(this.min.x - c.x, 0, c.x - this.max.x);
+		var dy = Math.max(this.min.y - c.y, 0, c.y - this.max.y);
+		var dz = Math.max(this.min.z - c.z, 0, c.z - this.max.z);
+		return dx * dx + dy * dy + dz * dz <= sphere.radius * sphere.radius;
+	},
+
+	/**
+	 * Transforms this box by the specified affine matrix, replacing it with the
+	 * axis-aligned box that contains the transformed box. An empty box stays
+	 * empty.
+	 *
+	 * @method transform
+	 * @param {OOGL.Matrix4} matrix The transformation matrix.
+	 * @return {OOGL.AABB} This box.
+	 * @example
+	 *	box.transform(model);
+	 */
+	transform: function (matrix) {
+		if (this.isEmpty()) {
+			return this;
+		}
+		var min = [this.min.x, this.min.y, this.min.z];
+		var max = [this.max.x, this.max.y, this.max.z];
+		var newMin = [matrix[12], matrix[13], matrix[14]];
+		var newMax = [matrix[12], matrix[13], matrix[14]];
+		for (var i = 0; i < 3; i++) {
+			for (var j = 0; j < 3; j++) {
+				var a = matrix[j * 4 + i] * min[j];
+				var b = matrix[j * 4 + i] * max[j];
+				newMin[i] += Math.min(a, b);
+				newMax[i] += Math.max(a, b);
+			}
+		}
+		this.min.x = newMin[0];
+		this.min.y = newMin[1];
+		this.min.z = newMin[2];
+		this.max.x = newMax[0];
+		this.max.y = newMax[1];
+		this.max.z = newMax[2];
+		return this;
+	},
+
+	/**
+	 * Transforms this box by the specified affine matrix and returns the
+	 * axis-aligned box that contains the transformed box as a new box. This
+	 * box is not modified.
+	 *
+	 * @method getTransformed
+	 * @param {OOGL.Matrix4} matrix The transformation matrix.
+	 * @return {OOGL.AABB} The new box.
+	 * @example
+	 *	var worldBox = modelBox.getTransformed(model);
+	 */
+	getTransformed: function (matrix) {
+		return this.clone().transform(matrix);
+	}
+};
+
+/**
+ * Creates an empty box, that is a box whose minimum corner is at positive
+ * infinity and whose maximum corner is at negative infinity. Adding any point
+ * to it results in a box containing only that point.
+ *
+ * @class OOGL.EmptyAABB
+ * @extends OOGL.AABB
+ * @constructor
+ * @example
+ *	var box = new OOGL.EmptyAABB();
+ *	points.forEach(function (point) {
+ *		box.addPoint(point);
+ *	});
+ */
+OOGL.EmptyAABB = function () {
+	return new OOGL.AABB(
+		new OOGL.Vector3(Infinity, Infinity, Infinity),
+		new OOGL.Vector3(-Infinity, -Infinity, -Infinity)
+		);
+};
+
+/**
+ * Creates the smallest box containing all the vertices of the specified flat
+ * array, such as the ones passed to
+ * {{#crossLink "context.AttributeArray3"}}{{/crossLink}}.
+ *
+ * The box is empty if the array contains no vertices.
+ *
+ * @class OOGL.VertexAABB
+ * @extends OOGL.AABB
+ * @constructor
+ * @param {Number[]} vertices The flat vertex array. Typed arrays are also
+ *	accepted.
+ * @param {Number} [stride=3] The number of array elements between the
+ *	beginning of a vertex and the beginning of the next one.
+ * @param {Number} [offset=0] The index of the X coordinate of the first
+ *	vertex.
+ * @example
+ *	var box = new OOGL.VertexAABB(positions);
+ */
+OOGL.VertexAABB = function (vertices, stride, offset) {
+	if (arguments.length < 2) {
+		stride = 3;
+	}
+	if (arguments.length < 3) {
+		offset = 0;
+	}
+	var min = [Infinity, Infinity, Infinity];
+	var max = [-Infinity, -Infinity, -Infinity];
+	for (var i = offset; i + 2 < vertices.length; i += stride) {
+		for (var j = 0; j < 3; j++) {
+			min[j] = Math.min(min[j], vertices[i + j]);
+			max[j] = Math.max(max[j], vertices[i + j]);
+		}
+	}
+	return new OOGL.AABB(
+		new OOGL.Vector3(min[0], min[1], min[2]),
+		new OOGL.Vector3(max[0], max[1], max[2])
+		);
+};
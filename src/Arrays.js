@@ -28,10 +28,14 @@
  * @param [normalize=false] {Boolean} Indicates whether the elements of the
  * array must be automatically normalized by the GL (see the explanation for the
  * equivalent argument in `gl.vertexAttribPointer`).
+ * @param [divisor] {Number} The instance divisor of the attribute array (see
+ * {{#crossLink "OOGL.Context/vertexAttribDivisor:method"}}{{/crossLink}}). When
+ * non-zero, it is set together with the pointer so that the array can hold
+ * per-instance data for instanced rendering.
  * @example
  *	var array = new oogl.AttributeArray1(0, 'float', [1, 2, 3, 4, 5, 6, 7, 8]);
  */
-context.AttributeArray1 = function (index, type, data, normalize) {
+context.AttributeArray1 = function (index, type, data, normalize, divisor) {
 	var types = {
 		'byte': {
 			glType: context.BYTE,
@@ -77,7 +81,9 @@ context.AttributeArray1 = function (index, type, data, normalize) {
 	/**
 	 * Disables the `index`-th vertex attribute array.
 	 *
-	 * `gl.disableVertexAttribArray` equivalent.
+	 * `gl.disableVertexAttribArray` equivalent. If the array has an instance
+	 * divisor, the divisor of the `index`-th vertex attribute array is reset
+	 * to 0 so that it does not affect the arrays used later at the same index.
 	 *
 	 * @method disable
 	 * @example
@@ -85,6 +91,9 @@ context.AttributeArray1 = function (index, type, data, normalize) {
 	 */
 	buffer.disable = function () {
 		context.disableVertexAttribArray(index);
+		if (divisor) {
+			context.vertexAttribDivisor(index, 0);
+		}
 	};
 
 	/**
@@ -109,6 +118,9 @@ context.AttributeArray1 = function (index, type, data, normalize) {
 	 */
 	buffer.pointer = function (stride, offset) {
 		context.vertexAttribPointer(index, 1, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -137,6 +149,9 @@ context.AttributeArray1 = function (index, type, data, normalize) {
 	buffer.bindAndPointer = function (stride, offset) {
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 1, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -166,6 +181,25 @@ context.AttributeArray1 = function (index, type, data, normalize) {
 		context.enableVertexAttribArray(index);
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 1, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
+	};
+
+	/**
+	 * Changes the vertex attribute array index this array is associated to.
+	 *
+	 * This is used by
+	 * {{#crossLink "context.AttributeArrays/resolve"}}AttributeArrays.resolve{{/crossLink}}
+	 * to associate named arrays to the attribute locations of a program.
+	 *
+	 * @method setIndex
+	 * @param newIndex {Number} The new attribute array index.
+	 * @example
+	 *	array.setIndex(program.getAttribLocation('in_Vertex'));
+	 */
+	buffer.setIndex = function (newIndex) {
+		index = newIndex;
 	};
 
 	return buffer;
@@ -195,10 +229,14 @@ context.AttributeArray1 = function (index, type, data, normalize) {
  * @param [normalize=false] {Boolean} Indicates whether the elements of the
  * array must be automatically normalized by the GL (see the explanation for the
  * equivalent argument in `gl.vertexAttribPointer`).
+ * @param [divisor] {Number} The instance divisor of the attribute array (see
+ * {{#crossLink "OOGL.Context/vertexAttribDivisor:method"}}{{/crossLink}}). When
+ * non-zero, it is set together with the pointer so that the array can hold
+ * per-instance data for instanced rendering.
  * @example
  *	var array = new oogl.AttributeArray2(0, 'float', [1, 2, 3, 4, 5, 6, 7, 8]);
  */
-context.AttributeArray2 = function (index, type, data, normalize) {
+context.AttributeArray2 = function (index, type, data, normalize, divisor) {
 	var types = {
 		'byte': {
 			glType: context.BYTE,
@@ -244,7 +282,9 @@ context.AttributeArray2 = function (index, type, data, normalize) {
 	/**
 	 * Disables the `index`-th vertex attribute array.
 	 *
-	 * `gl.disableVertexAttribArray` equivalent.
+	 * `gl.disableVertexAttribArray` equivalent. If the array has an instance
+	 * divisor, the divisor of the `index`-th vertex attribute array is reset
+	 * to 0 so that it does not affect the arrays used later at the same index.
 	 *
 	 * @method disable
 	 * @example
@@ -252,6 +292,9 @@ context.AttributeArray2 = function (index, type, data, normalize) {
 	 */
 	buffer.disable = function () {
 		context.disableVertexAttribArray(index);
+		if (divisor) {
+			context.vertexAttribDivisor(index, 0);
+		}
 	};
 
 	/**
@@ -276,6 +319,9 @@ context.AttributeArray2 = function (index, type, data, normalize) {
 	 */
 	buffer.pointer = function (stride, offset) {
 		context.vertexAttribPointer(index, 2, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -304,6 +350,9 @@ context.AttributeArray2 = function (index, type, data, normalize) {
 	buffer.bindAndPointer = function (stride, offset) {
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 2, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -333,6 +382,25 @@ context.AttributeArray2 = function (index, type, data, normalize) {
 		context.enableVertexAttribArray(index);
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 2, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
+	};
+
+	/**
+	 * Changes the vertex attribute array index this array is associated to.
+	 *
+	 * This is used by
+	 * {{#crossLink "context.AttributeArrays/resolve"}}AttributeArrays.resolve{{/crossLink}}
+	 * to associate named arrays to the attribute locations of a program.
+	 *
+	 * @method setIndex
+	 * @param newIndex {Number} The new attribute array index.
+	 * @example
+	 *	array.setIndex(program.getAttribLocation('in_Vertex'));
+	 */
+	buffer.setIndex = function (newIndex) {
+		index = newIndex;
 	};
 
 	return buffer;
@@ -359,10 +427,14 @@ context.AttributeArray2 = function (index, type, data, normalize) {
  * @param [normalize=false] {Boolean} Indicates whether the elements of the
  *	array must be automatically normalized by the GL (see the explanation for
  *	the equivalent argument in `gl.vertexAttribPointer`).
+ * @param [divisor] {Number} The instance divisor of the attribute array (see
+ *	{{#crossLink "OOGL.Context/vertexAttribDivisor:method"}}{{/crossLink}}).
+ *	When non-zero, it is set together with the pointer so that the array can
+ *	hold per-instance data for instanced rendering.
  * @example
  *	var array = new oogl.AttributeArray3(0, 'float', [1, 2, 3, 4, 5, 6, 7, 8]);
  */
-context.AttributeArray3 = function (index, type, data, normalize) {
+context.AttributeArray3 = function (index, type, data, normalize, divisor) {
 	var types = {
 		'byte': {
 			glType: context.BYTE,
@@ -408,7 +480,9 @@ context.AttributeArray3 = function (index, type, data, normalize) {
 	/**
 	 * Disables the `index`-th vertex attribute array.
 	 *
-	 * `gl.disableVertexAttribArray` equivalent.
+	 * `gl.disableVertexAttribArray` equivalent. If the array has an instance
+	 * divisor, the divisor of the `index`-th vertex attribute array is reset
+	 * to 0 so that it does not affect the arrays used later at the same index.
 	 *
 	 * @method disable
 	 * @example
@@ -416,6 +490,9 @@ context.AttributeArray3 = function (index, type, data, normalize) {
 	 */
 	buffer.disable = function () {
 		context.disableVertexAttribArray(index);
+		if (divisor) {
+			context.vertexAttribDivisor(index, 0);
+		}
 	};
 
 	/**
@@ -440,6 +517,9 @@ context.AttributeArray3 = function (index, type, data, normalize) {
 	 */
 	buffer.pointer = function (stride, offset) {
 		context.vertexAttribPointer(index, 3, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -465,6 +545,9 @@ context.AttributeArray3 = function (index, type, data, normalize) {
 	buffer.bindAndPointer = function (stride, offset) {
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 3, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -486,6 +569,25 @@ context.AttributeArray3 = function (index, type, data, normalize) {
 		context.enableVertexAttribArray(index);
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 3, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
+	};
+
+	/**
+	 * Changes the vertex attribute array index this array is associated to.
+	 *
+	 * This is used by
+	 * {{#crossLink "context.AttributeArrays/resolve"}}AttributeArrays.resolve{{/crossLink}}
+	 * to associate named arrays to the attribute locations of a program.
+	 *
+	 * @method setIndex
+	 * @param newIndex {Number} The new attribute array index.
+	 * @example
+	 *	array.setIndex(program.getAttribLocation('in_Vertex'));
+	 */
+	buffer.setIndex = function (newIndex) {
+		index = newIndex;
 	};
 
 	return buffer;
@@ -512,10 +614,14 @@ context.AttributeArray3 = function (index, type, data, normalize) {
  * @param [normalize=false] {Boolean} Indicates whether the elements of the
  *	array must be automatically normalized by the GL (see the explanation for
  *	the equivalent argument in `gl.vertexAttribPointer`).
+ * @param [divisor] {Number} The instance divisor of the attribute array (see
+ *	{{#crossLink "OOGL.Context/vertexAttribDivisor:method"}}{{/crossLink}}).
+ *	When non-zero, it is set together with the pointer so that the array can
+ *	hold per-instance data for instanced rendering.
  * @example
  *	var array = new oogl.AttributeArray4(0, 'float', [1, 2, 3, 4, 5, 6, 7, 8]);
  */
-context.AttributeArray4 = function (index, type, data, normalize) {
+context.AttributeArray4 = function (index, type, data, normalize, divisor) {
 	var types = {
 		'byte': {
 			glType: context.BYTE,
@@ -561,7 +667,9 @@ context.AttributeArray4 = function (index, type, data, normalize) {
 	/**
 	 * Disables the `index`-th vertex attribute array.
 	 *
-	 * `gl.disableVertexAttribArray` equivalent.
+	 * `gl.disableVertexAttribArray` equivalent. If the array has an instance
+	 * divisor, the divisor of the `index`-th vertex attribute array is reset
+	 * to 0 so that it does not affect the arrays used later at the same index.
 	 *
 	 * @method disable
 	 * @example
@@ -569,6 +677,9 @@ context.AttributeArray4 = function (index, type, data, normalize) {
 	 */
 	buffer.disable = function () {
 		context.disableVertexAttribArray(index);
+		if (divisor) {
+			context.vertexAttribDivisor(index, 0);
+		}
 	};
 
 	/**
@@ -595,6 +706,9 @@ context.AttributeArray4 = function (index, type, data, normalize) {
 	 */
 	buffer.pointer = function (stride, offset) {
 		context.vertexAttribPointer(index, 4, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -620,6 +734,9 @@ context.AttributeArray4 = function (index, type, data, normalize) {
 	buffer.bindAndPointer = function (stride, offset) {
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 4, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
 	};
 
 	/**
@@ -641,222 +758,900 @@ context.AttributeArray4 = function (index, type, data, normalize) {
 		context.enableVertexAttribArray(index);
 		context.bindBuffer(context.ARRAY_BUFFER, buffer);
 		context.vertexAttribPointer(index, 4, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
+	};
+
+	/**
+	 * Changes the vertex attribute array index this array is associated to.
+	 *
+	 * This is used by
+	 * {{#crossLink "context.AttributeArrays/resolve"}}AttributeArrays.resolve{{/crossLink}}
+	 * to associate named arrays to the attribute locations of a program.
+	 *
+	 * @method setIndex
+	 * @param newIndex {Number} The new attribute array index.
+	 * @example
+	 *	array.setIndex(program.getAttribLocation('in_Vertex'));
+	 */
+	buffer.setIndex = function (newIndex) {
+		index = newIndex;
 	};
 
 	return buffer;
 };
 
 /**
- * Represents a set of vertex attribute arrays; simplifies the management of
- * multiple arrays.
+ * Creates an array buffer with dynamic draw usage representing a vertex
+ * attribute array whose data changes over time, e.g. particle positions or
+ * cloth vertices.
  *
- * @class context.AttributeArrays
+ * A copy of the data is kept in the `array` typed array. Changes made through
+ * the {{#crossLink "context.DynamicAttributeArray/update"}}update{{/crossLink}}
+ * method are recorded in a dirty range and uploaded by
+ * {{#crossLink "context.DynamicAttributeArray/flush"}}flush{{/crossLink}}, so
+ * that only the changed region of the buffer is re-uploaded with
+ * `gl.bufferSubData`. The
+ * {{#crossLink "context.DynamicAttributeArray/bindAndPointer"}}bindAndPointer{{/crossLink}}
+ * and
+ * {{#crossLink "context.DynamicAttributeArray/enableBindAndPointer"}}enableBindAndPointer{{/crossLink}}
+ * methods flush automatically.
+ *
+ * When the array is drawn through a
+ * {{#crossLink "context.VertexArray"}}VertexArray{{/crossLink}}, it is
+ * flushed when the vertex array is bound.
+ *
+ * The capacity grows automatically when data is written past its end. When
+ * the capacity changes or the whole array is dirty, the data is uploaded with
+ * `gl.bufferData` instead, which orphans the previous storage of the buffer so
+ * that the GL does not have to wait for pending draw calls that use it.
+ *
+ * The attribute array is associated to the specified `index` just like the
+ * {{#crossLink "context.AttributeArray1"}}AttributeArray1{{/crossLink}}
+ * through
+ * {{#crossLink "context.AttributeArray4"}}AttributeArray4{{/crossLink}}
+ * classes.
+ *
+ * @class context.DynamicAttributeArray
+ * @extends context.ArrayBuffer
  * @constructor
- * @param count {Number} The number of vertex attributes each array will
- *	contain.
+ * @param index {Number} The attribute array index.
+ * @param size {Number} The number of components per vertex attribute; can be
+ *	1, 2, 3 or 4.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` or `float`;
+ *	indicates the type of the data that will be put in the buffer.
+ * @param data {Mixed} A JavaScript `Array` or typed array containing the
+ *	initial data, or the initial capacity in elements.
+ * @param [normalize=false] {Boolean} Indicates whether the elements of the
+ *	array must be automatically normalized by the GL (see the explanation for
+ *	the equivalent argument in `gl.vertexAttribPointer`).
+ * @param [usage=gl.DYNAMIC_DRAW] {Number} The usage of the buffer; can be
+ *	`gl.DYNAMIC_DRAW` or `gl.STREAM_DRAW`.
+ * @param [divisor] {Number} The instance divisor of the attribute array (see
+ *	{{#crossLink "OOGL.Context/vertexAttribDivisor:method"}}{{/crossLink}}).
+ *	When non-zero, it is set together with the pointer so that the array can
+ *	hold per-instance data for instanced rendering.
  * @example
- *	var program = new oogl.AutoProgram(vertexSource, fragmentSource, ['in_Vertex', 'in_Color', 'in_TexCoord']);
- *	var arrays = new oogl.AttributeArrays(vertices.length / 3);
- *	arrays.add3('float', vertices);
- *	arrays.add3('float', colors);
- *	arrays.add2('float', textureCoordinates);
- *	arrays.bindAndPointer();
- *	program.use();
- *	arrays.drawTriangles();
+ *	var positions = new oogl.DynamicAttributeArray(0, 3, 'float', maxParticles * 3);
+ *	(new OOGL.RenderLoop(function () {
+ *		positions.update(0, particlePositions);
+ *		positions.enableBindAndPointer();
+ *		oogl.drawArrays(oogl.POINTS, 0, particleCount);
+ *	})).start();
  */
-context.AttributeArrays = function (count) {
-	var arrays = [];
-	return {
-		/**
-		 * Adds a single component vertex attribute array to the set.
-		 *
-		 * @method add1
-		 * @param type {String} The type of the data in the array. Must be one
-		 *	of `byte`, `ubyte`, `short`, `ushort` and `float`.
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add1('float', [1, 2, 3, 4, 5, 6, 7, 8]);
-		 */
-		add1: function (type, data, normalize) {
-			arrays.push(new context.AttributeArray1(arrays.length, type, data, normalize));
+context.DynamicAttributeArray = function (index, size, type, data, normalize, usage, divisor) {
+	var types = {
+		'byte': {
+			glType: context.BYTE,
+			constructor: Int8Array,
+			size: 1
 		},
-
-		/**
-		 * Adds a single signed byte component vertex attribute array to the
-		 * set.
-		 *
-		 * @method add1b
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add1b([1, 2, 3, 4, -1, -2, -3, -4]);
-		 */
-		add1b: function (data, normalize) {
-			arrays.push(new context.AttributeArray1(arrays.length, 'byte', data, normalize));
+		'ubyte': {
+			glType: context.UNSIGNED_BYTE,
+			constructor: Uint8Array,
+			size: 1
 		},
-
-		/**
-		 * Adds a single unsigned byte component vertex attribute array to the
-		 * set.
-		 *
-		 * @method add1ub
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add1ub([1, 2, 3, 4, 5, 6, 7, 8]);
-		 */
-		add1ub: function (data, normalize) {
-			arrays.push(new context.AttributeArray1(arrays.length, 'ubyte', data, normalize));
+		'short': {
+			glType: context.SHORT,
+			constructor: Int16Array,
+			size: 2
 		},
-
-		/**
-		 * Adds a single signed short integer component vertex attribute array
-		 * to the set.
-		 *
-		 * @method add1s
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add1s([1, 2, 3, 4, -1, -2, -3, -4]);
-		 */
-		add1s: function (data, normalize) {
-			arrays.push(new context.AttributeArray1(arrays.length, 'short', data, normalize));
+		'ushort': {
+			glType: context.UNSIGNED_SHORT,
+			constructor: Uint16Array,
+			size: 2
 		},
+		'float': {
+			glType: context.FLOAT,
+			constructor: Float32Array,
+			size: 4
+		}
+	};
+	if (!types.hasOwnProperty(type)) {
+		throw 'Invalid attribute type, must be one of "byte", "ubyte", "short", "ushort" and "float".';
+	}
+	if ((size < 1) || (size > 4)) {
+		throw 'Invalid attribute size, must be 1, 2, 3 or 4.';
+	}
+	if (!usage) {
+		usage = context.DYNAMIC_DRAW;
+	}
 
-		/**
-		 * Adds a single unsigned short integer component vertex attribute array
-		 * to the set.
-		 *
-		 * @method add1us
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add1us([1, 2, 3, 4, 5, 6, 7, 8]);
-		 */
-		add1us: function (data, normalize) {
-			arrays.push(new context.AttributeArray1(arrays.length, 'ushort', data, normalize));
-		},
+	var buffer = new context.ArrayBuffer(type, usage);
 
-		/**
-		 * Adds a single floating point component vertex attribute array to the
-		 * set.
-		 *
-		 * @method add1f
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add1f([1, 2, 3, 4, 5, 6, 7, 8]);
-		 */
-		add1f: function (data, normalize) {
-			arrays.push(new context.AttributeArray1(arrays.length, 'float', data, normalize));
-		},
+	/**
+	 * The client-side copy of the buffer data. Its length is the current
+	 * capacity; do not modify it directly, use
+	 * {{#crossLink "context.DynamicAttributeArray/update"}}update{{/crossLink}}
+	 * instead.
+	 *
+	 * @property array
+	 * @type ArrayBufferView
+	 */
+	buffer.array = new types[type].constructor(data);
 
-		/**
-		 * Adds a 2-component vertex attribute array to the set.
-		 *
-		 * @method add2
-		 * @param type {String} The type of the data in the array. Must be one
-		 *	of `byte`, `ubyte`, `short`, `ushort` and `float`.
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add2('float', [1, 2, 3, 4, 5, 6, 7, 8]);
-		 */
-		add2: function (type, data, normalize) {
-			arrays.push(new context.AttributeArray2(arrays.length, type, data, normalize));
-		},
+	/**
+	 * The number of elements written so far, i.e. the end of the furthest
+	 * region ever specified to
+	 * {{#crossLink "context.DynamicAttributeArray/update"}}update{{/crossLink}}.
+	 *
+	 * @property length
+	 * @type Number
+	 */
+	buffer.length = (typeof data === 'number') ? 0 : data.length;
 
-		/**
-		 * Adds a two signed byte component vertex attribute array to the set.
-		 *
-		 * @method add2b
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add2b([1, 2, 3, 4, -1, -2, -3, -4]);
-		 */
-		add2b: function (data, normalize) {
-			arrays.push(new context.AttributeArray2(arrays.length, 'byte', data, normalize));
-		},
+	var dirtyBegin = Infinity;
+	var dirtyEnd = 0;
+	var resized = false;
 
-		/**
-		 * Adds a two unsigned byte component vertex attribute array to the set.
-		 *
-		 * @method add2ub
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add2ub([1, 2, 3, 4, 5, 6, 7, 8]);
-		 */
-		add2ub: function (data, normalize) {
-			arrays.push(new context.AttributeArray2(arrays.length, 'ubyte', data, normalize));
-		},
+	context.bindBuffer(context.ARRAY_BUFFER, buffer);
+	context.bufferData(context.ARRAY_BUFFER, buffer.array, usage);
 
-		/**
-		 * Adds a two signed short integer component vertex attribute array to
-		 * the set.
-		 *
-		 * @method add2s
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add2s([1, 2, 3, 4, -1, -2, -3, -4]);
-		 */
-		add2s: function (data, normalize) {
-			arrays.push(new context.AttributeArray2(arrays.length, 'short', data, normalize));
-		},
+	/**
+	 * Returns the current capacity of this array, in elements.
+	 *
+	 * @method getCapacity
+	 * @return {Number} The capacity.
+	 * @example
+	 *	if (positions.getCapacity() < count * 3) {
+	 *		positions.reserve(count * 3);
+	 *	}
+	 */
+	buffer.getCapacity = function () {
+		return buffer.array.length;
+	};
 
-		/**
-		 * Adds a two unsigned short integer component vertex attribute array to
-		 * the set.
-		 *
-		 * @method add2us
-		 * @param data {Number[]} A standard JavaScript array containing the
-		 *	attribute data.
-		 * @param [normalize=false] {Boolean} Indicates whether attribute data
-		 *	must be normalized by the GL.
-		 * @example
-		 *	arrays.add2us([1, 2, 3, 4, 5, 6, 7, 8]);
-		 */
-		add2us: function (data, normalize) {
-			arrays.push(new context.AttributeArray2(arrays.length, 'ushort', data, normalize));
-		},
+	/**
+	 * Makes sure the capacity of this array is at least the specified number of
+	 * elements, reallocating the client-side copy if needed. The GL buffer is
+	 * reallocated at the next flush.
+	 *
+	 * @method reserve
+	 * @param capacity {Number} The minimum capacity, in elements.
+	 * @example
+	 *	positions.reserve(maxParticles * 3);
+	 */
+	buffer.reserve = function (capacity) {
+		if (capacity > buffer.array.length) {
+			var array = new types[type].constructor(capacity);
+			array.set(buffer.array);
+			buffer.array = array;
+			resized = true;
+		}
+	};
 
-		/**
-		 * Adds a two floating point component vertex attribute array to the
-		 * set.
-		 *
+	/**
+	 * Overwrites part of the data of this array, starting at the specified
+	 * element, and marks the region as dirty. The capacity is at least doubled
+	 * if the data does not fit.
+	 *
+	 * The GL buffer is not changed until the next flush.
+	 *
+	 * @method update
+	 * @param offset {Number} The index of the first element to overwrite.
+	 * @param data {Number[]} A JavaScript `Array` or typed array containing the
+	 *	new data.
+	 * @example
+	 *	cloth.update(row * width * 3, rowVertices);
+	 */
+	buffer.update = function (offset, data) {
+		var end = offset + data.length;
+		if (end > buffer.array.length) {
+			buffer.reserve(Math.max(end, buffer.array.length * 2));
+		}
+		buffer.array.set(data, offset);
+		buffer.length = Math.max(buffer.length, end);
+		dirtyBegin = Math.min(dirtyBegin, offset);
+		dirtyEnd = Math.max(dirtyEnd, end);
+	};
+
+	/**
+	 * Indicates whether there are changes that have not been uploaded yet.
+	 *
+	 * @method isDirty
+	 * @return {Boolean} `true` if a flush is needed, `false` otherwise.
+	 * @example
+	 *	if (positions.isDirty()) {
+	 *		positions.bind();
+	 *		positions.flush();
+	 *	}
+	 */
+	buffer.isDirty = function () {
+		return resized || (dirtyBegin < dirtyEnd);
+	};
+
+	/**
+	 * Uploads the pending changes to the GL buffer, which must be bound to the
+	 * `gl.ARRAY_BUFFER` target.
+	 *
+	 * Only the dirty range is uploaded with `gl.bufferSubData`; if the capacity
+	 * has changed or the whole array is dirty, the whole data is uploaded with
+	 * `gl.bufferData`, orphaning the previous storage.
+	 *
+	 * @method flush
+	 * @example
+	 *	positions.bind();
+	 *	positions.flush();
+	 */
+	buffer.flush = function () {
+		if (resized || ((dirtyBegin <= 0) && (dirtyEnd >= buffer.array.length))) {
+			context.bufferData(context.ARRAY_BUFFER, buffer.array, usage);
+		} else if (dirtyBegin < dirtyEnd) {
+			context.bufferSubData(context.ARRAY_BUFFER, dirtyBegin * types[type].size, buffer.array.subarray(dirtyBegin, dirtyEnd));
+		}
+		dirtyBegin = Infinity;
+		dirtyEnd = 0;
+		resized = false;
+	};
+
+	/**
+	 * Enables the `index`-th vertex attribute array.
+	 *
+	 * `gl.enableVertexAttribArray` equivalent.
+	 *
+	 * @method enable
+	 * @example
+	 *	positions.enable();
+	 */
+	buffer.enable = function () {
+		context.enableVertexAttribArray(index);
+	};
+
+	/**
+	 * Disables the `index`-th vertex attribute array.
+	 *
+	 * `gl.disableVertexAttribArray` equivalent. If the array has an instance
+	 * divisor, the divisor of the `index`-th vertex attribute array is reset
+	 * to 0 so that it does not affect the arrays used later at the same index.
+	 *
+	 * @method disable
+	 * @example
+	 *	positions.disable();
+	 */
+	buffer.disable = function () {
+		context.disableVertexAttribArray(index);
+		if (divisor) {
+			context.vertexAttribDivisor(index, 0);
+		}
+	};
+
+	/**
+	 * Specifies a pointer to this buffer for the `index`-th vertex attribute
+	 * array.
+	 *
+	 * `gl.vertexAttribPointer` equivalent.
+	 *
+	 * @method pointer
+	 * @param [stride=0] {Number} The stride between consecutive elements in the
+	 *	array (see the explanation for the equivalent argument in
+	 *	`gl.vertexAttribPointer`).
+	 * @param [offset=0] {Number} The index of the first element of the
+	 *	underlying buffer to be used for the attribute array.
+	 * @example
+	 *	positions.bind();
+	 *	positions.pointer();
+	 */
+	buffer.pointer = function (stride, offset) {
+		context.vertexAttribPointer(index, size, types[type].glType, !!normalize, (stride || 0) * types[type].size, (offset || 0) * types[type].size);
+		if (divisor) {
+			context.vertexAttribDivisor(index, divisor);
+		}
+	};
+
+	/**
+	 * Binds this buffer to its target, uploads the pending changes and then
+	 * specifies its pointer for the `index`-th vertex attribute array.
+	 *
+	 * @method bindAndPointer
+	 * @param [stride=0] {Number} The stride between consecutive elements in the
+	 *	array (see the explanation for the equivalent argument in
+	 *	`gl.vertexAttribPointer`).
+	 * @param [offset=0] {Number} The index of the first element of the
+	 *	underlying buffer to be used for the attribute array.
+	 * @example
+	 *	positions.bindAndPointer();
+	 */
+	buffer.bindAndPointer = function (stride, offset) {
+		context.bindBuffer(context.ARRAY_BUFFER, buffer);
+		buffer.flush();
+		buffer.pointer(stride, offset);
+	};
+
+	/**
+	 * Enables the `index`-th vertex attribute array, binds this buffer to its
+	 * target, uploads the pending changes and specifies its pointer for the
+	 * `index`-th vertex attribute array.
+	 *
+	 * @method enableBindAndPointer
+	 * @param [stride=0] {Number} The stride between consecutive elements in the
+	 *	array (see the explanation for the equivalent argument in
+	 *	`gl.vertexAttribPointer`).
+	 * @param [offset=0] {Number} The index of the first element of the
+	 *	underlying buffer to be used for the attribute array.
+	 * @example
+	 *	positions.enableBindAndPointer();
+	 */
+	buffer.enableBindAndPointer = function (stride, offset) {
+		context.enableVertexAttribArray(index);
+		buffer.bindAndPointer(stride, offset);
+	};
+
+	/**
+	 * Changes the vertex attribute array index this array is associated to.
+	 *
+	 * This is used by
+	 * {{#crossLink "context.AttributeArrays/resolve"}}AttributeArrays.resolve{{/crossLink}}
+	 * to associate named arrays to the attribute locations of a program.
+	 *
+	 * @method setIndex
+	 * @param newIndex {Number} The new attribute array index.
+	 * @example
+	 *	array.setIndex(program.getAttribLocation('in_Vertex'));
+	 */
+	buffer.setIndex = function (newIndex) {
+		index = newIndex;
+	};
+
+	return buffer;
+};
+
+/**
+ * Creates an array buffer with stream draw usage representing a vertex
+ * attribute array whose data is entirely rewritten very often, typically
+ * every frame.
+ *
+ * Equivalent to a
+ * {{#crossLink "context.DynamicAttributeArray"}}DynamicAttributeArray{{/crossLink}}
+ * with `gl.STREAM_DRAW` usage.
+ *
+ * @class context.StreamAttributeArray
+ * @extends context.DynamicAttributeArray
+ * @constructor
+ * @param index {Number} The attribute array index.
+ * @param size {Number} The number of components per vertex attribute; can be
+ *	1, 2, 3 or 4.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` or `float`;
+ *	indicates the type of the data that will be put in the buffer.
+ * @param data {Mixed} A JavaScript `Array` or typed array containing the
+ *	initial data, or the initial capacity in elements.
+ * @param [normalize=false] {Boolean} Indicates whether the elements of the
+ *	array must be automatically normalized by the GL.
+ * @param [divisor] {Number} The instance divisor of the attribute array.
+ * @example
+ *	var sparks = new oogl.StreamAttributeArray(0, 3, 'float', 3000);
+ */
+context.StreamAttributeArray = function (index, size, type, data, normalize, divisor) {
+	return new context.DynamicAttributeArray(index, size, type, data, normalize, context.STREAM_DRAW, divisor);
+};
+
+/**
+ * Creates an array buffer with dynamic draw usage containing a list of 4x4
+ * matrices, typically one model matrix per instance for instanced rendering.
+ *
+ * A `mat4` vertex attribute occupies four consecutive attribute indices, one
+ * per column: the provided methods enable and point the attribute arrays from
+ * `index` to `index + 3` and set their instance divisor.
+ *
+ * @class context.MatrixAttributeArray
+ * @extends context.DynamicArrayBuffer
+ * @constructor
+ * @param index {Number} The index of the first attribute array, i.e. the
+ *	location of the `mat4` attribute.
+ * @param matrices {OOGL.Matrix4[]} The matrices.
+ * @param [divisor=1] {Number} The instance divisor of the attribute arrays
+ *	(see
+ *	{{#crossLink "OOGL.Context/vertexAttribDivisor:method"}}{{/crossLink}}).
+ * @example
+ *	// the vertex shader declares "attribute mat4 in_Model;" at location 2
+ *	var models = new oogl.MatrixAttributeArray(2, crates.map(function (crate) {
+ *		return crate.transform.getWorldMatrix();
+ *	}));
+ *	arrays.enableBindAndPointer();
+ *	models.enableBindAndPointer();
+ *	arrays.drawTrianglesInstanced(models.count);
+ */
+context.MatrixAttributeArray = function (index, matrices, divisor) {
+	if (arguments.length < 3) {
+		divisor = 1;
+	}
+
+	var buffer = new context.DynamicArrayBuffer('float');
+
+	/**
+	 * The client-side copy of the matrices, in column-major order.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	buffer.array = new Float32Array(0);
+
+	/**
+	 * The number of matrices in the buffer.
+	 *
+	 * @property count
+	 * @type Number
+	 */
+	buffer.count = 0;
+
+	/**
+	 * Replaces the matrices in this buffer and uploads them. The buffer is
+	 * reallocated if the number of matrices changes.
+	 *
+	 * This method binds this buffer to the `gl.ARRAY_BUFFER` target.
+	 *
+	 * @method update
+	 * @param matrices {OOGL.Matrix4[]} The new matrices.
+	 * @example
+	 *	models.update(crates.map(function (crate) {
+	 *		return crate.transform.getWorldMatrix();
+	 *	}));
+	 */
+	buffer.update = function (matrices) {
+		var resized = (matrices.length !== buffer.count);
+		if (resized) {
+			buffer.array = new Float32Array(matrices.length * 16);
+			buffer.count = matrices.length;
+		}
+		for (var i = 0; i < matrices.length; i++) {
+			if (matrices[i].array) {
+				buffer.array.set(matrices[i].array, i * 16);
+			} else {
+				for (var j = 0; j < 16; j++) {
+					buffer.array[i * 16 + j] = matrices[i][j];
+				}
+			}
+		}
+		context.bindBuffer(context.ARRAY_BUFFER, buffer);
+		if (resized) {
+			context.bufferData(context.ARRAY_BUFFER, buffer.array, context.DYNAMIC_DRAW);
+		} else {
+			context.bufferSubData(context.ARRAY_BUFFER, 0, buffer.array);
+		}
+	};
+
+	/**
+	 * Enables the four vertex attribute arrays of the matrices.
+	 *
+	 * @method enable
+	 * @example
+	 *	models.enable();
+	 */
+	buffer.enable = function () {
+		for (var i = 0; i < 4; i++) {
+			context.enableVertexAttribArray(index + i);
+		}
+	};
+
+	/**
+	 * Disables the four vertex attribute arrays of the matrices and resets
+	 * their instance divisors to 0, so that they do not affect the arrays used
+	 * later at the same indices.
+	 *
+	 * @method disable
+	 * @example
+	 *	models.disable();
+	 */
+	buffer.disable = function () {
+		for (var i = 0; i < 4; i++) {
+			context.disableVertexAttribArray(index + i);
+			if (divisor) {
+				context.vertexAttribDivisor(index + i, 0);
+			}
+		}
+	};
+
+	/**
+	 * Specifies the pointers and the instance divisor of the four vertex
+	 * attribute arrays of the matrices, one per column.
+	 *
+	 * @method pointer
+	 * @example
+	 *	models.bind();
+	 *	models.pointer();
+	 */
+	buffer.pointer = function () {
+		for (var i = 0; i < 4; i++) {
+			context.vertexAttribPointer(index + i, 4, context.FLOAT, false, 64, i * 16);
+			context.vertexAttribDivisor(index + i, divisor);
+		}
+	};
+
+	/**
+	 * Binds this buffer to its target and then specifies the pointers of the
+	 * four vertex attribute arrays of the matrices.
+	 *
+	 * @method bindAndPointer
+	 * @example
+	 *	models.bindAndPointer();
+	 */
+	buffer.bindAndPointer = function () {
+		context.bindBuffer(context.ARRAY_BUFFER, buffer);
+		buffer.pointer();
+	};
+
+	/**
+	 * Enables the four vertex attribute arrays of the matrices, binds this
+	 * buffer to its target and specifies their pointers.
+	 *
+	 * @method enableBindAndPointer
+	 * @example
+	 *	models.enableBindAndPointer();
+	 */
+	buffer.enableBindAndPointer = function () {
+		buffer.enable();
+		buffer.bindAndPointer();
+	};
+
+	/**
+	 * Changes the vertex attribute array index of the first column of the
+	 * matrices.
+	 *
+	 * This is used by
+	 * {{#crossLink "context.AttributeArrays/resolve"}}AttributeArrays.resolve{{/crossLink}}
+	 * to associate named arrays to the attribute locations of a program.
+	 *
+	 * @method setIndex
+	 * @param newIndex {Number} The new attribute array index.
+	 * @example
+	 *	array.setIndex(program.getAttribLocation('in_Vertex'));
+	 */
+	buffer.setIndex = function (newIndex) {
+		index = newIndex;
+	};
+
+	buffer.update(matrices);
+	return buffer;
+};
+
+/**
+ * Represents a set of vertex attribute arrays; simplifies the management of
+ * multiple arrays.
+ *
+ * Arrays added with the typed `add*` methods are associated to consecutive
+ * attribute indices starting from 0, while arrays added with
+ * {{#crossLink "context.AttributeArrays/add"}}add{{/crossLink}} are associated
+ * by attribute name to the locations of a program using
+ * {{#crossLink "context.AttributeArrays/resolve"}}resolve{{/crossLink}}.
+ *
+ * @class context.AttributeArrays
+ * @constructor
+ * @param count {Number} The number of vertex attributes each array will
+ *	contain.
+ * @example
+ *	var program = new oogl.AutoProgram(vertexSource, fragmentSource, ['in_Vertex', 'in_Color', 'in_TexCoord']);
+ *	var arrays = new oogl.AttributeArrays(vertices.length / 3);
+ *	arrays.add3('float', vertices);
+ *	arrays.add3('float', colors);
+ *	arrays.add2('float', textureCoordinates);
+ *	arrays.bindAndPointer();
+ *	program.use();
+ *	arrays.drawTriangles();
+ */
+context.AttributeArrays = function (count) {
+	var arrays = [];
+	var names = [];
+	var sizes = [];
+	var indices = [];
+	var active = [];
+	var resolutions = [];
+	var index = 0;
+
+	var components = {};
+	components[context.FLOAT] = 1;
+	components[context.FLOAT_VEC2] = 2;
+	components[context.FLOAT_VEC3] = 3;
+	components[context.FLOAT_VEC4] = 4;
+	components[context.FLOAT_MAT2] = 4;
+	components[context.FLOAT_MAT3] = 9;
+	components[context.FLOAT_MAT4] = 16;
+
+	var matrices = {};
+	matrices[context.FLOAT_MAT2] = true;
+	matrices[context.FLOAT_MAT3] = true;
+	matrices[context.FLOAT_MAT4] = true;
+
+	function push(array, size, name) {
+		arrays.push(array);
+		names.push(name || null);
+		sizes.push(size);
+		indices.push(index);
+		index += (size > 4) ? 4 : 1;
+		active = arrays.slice();
+		resolutions = [];
+	}
+
+	function describe(i) {
+		if (names[i] !== null) {
+			return 'the array of "' + names[i] + '"';
+		} else {
+			return 'the unnamed array added at index ' + indices[i];
+		}
+	}
+
+	function locate(program) {
+		var locations = [];
+		var named = {};
+		var used = {};
+		var i, j;
+		for (i = 0; i < arrays.length; i++) {
+			if (names[i] !== null) {
+				locations.push(program.getAttribLocation(names[i]));
+				named[names[i]] = i;
+			} else {
+				locations.push(indices[i]);
+			}
+		}
+		for (i = 0; i < arrays.length; i++) {
+			if (locations[i] >= 0) {
+				for (j = 0; j < ((sizes[i] > 4) ? 4 : 1); j++) {
+					var location = locations[i] + j;
+					if (used.hasOwnProperty(location)) {
+						throw 'The attribute location ' + location + ' is used by both ' + describe(used[location]) + ' and ' + describe(i) + '.';
+					}
+					used[location] = i;
+				}
+			}
+		}
+		var count = program.getNumberOfActiveAttributes();
+		for (i = 0; i < count; i++) {
+			var info = program.getActiveAttrib(i);
+			if (/^gl_/.test(info.name)) {
+				continue;
+			}
+			if (named.hasOwnProperty(info.name)) {
+				var size = sizes[named[info.name]];
+				if (components.hasOwnProperty(info.type)) {
+					var matrix = matrices.hasOwnProperty(info.type);
+					if (matrix !== (size > 4)) {
+						throw 'The attribute "' + info.name + '" is a ' + (matrix ? 'matrix' : 'vector') + ', but its array contains ' + ((size > 4) ? 'matrices' : 'vectors') + '.';
+					}
+					if (matrix ? (size !== components[info.type]) : (size > components[info.type])) {
+						throw 'The attribute "' + info.name + '" has ' + components[info.type] + ' components, but its array has ' + size + '.';
+					}
+				}
+			} else if (!used.hasOwnProperty(program.getAttribLocation(info.name))) {
+				throw 'No array provides the attribute "' + info.name + '" used by the program.';
+			}
+		}
+		return locations;
+	}
+
+	return {
+		/**
+		 * Adds a single component vertex attribute array to the set.
+		 *
+		 * @method add1
+		 * @param type {String} The type of the data in the array. Must be one
+		 *	of `byte`, `ubyte`, `short`, `ushort` and `float`.
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add1('float', [1, 2, 3, 4, 5, 6, 7, 8]);
+		 */
+		add1: function (type, data, normalize, divisor) {
+			push(new context.AttributeArray1(index, type, data, normalize, divisor), 1);
+		},
+
+		/**
+		 * Adds a single signed byte component vertex attribute array to the
+		 * set.
+		 *
+		 * @method add1b
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add1b([1, 2, 3, 4, -1, -2, -3, -4]);
+		 */
+		add1b: function (data, normalize, divisor) {
+			push(new context.AttributeArray1(index, 'byte', data, normalize, divisor), 1);
+		},
+
+		/**
+		 * Adds a single unsigned byte component vertex attribute array to the
+		 * set.
+		 *
+		 * @method add1ub
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add1ub([1, 2, 3, 4, 5, 6, 7, 8]);
+		 */
+		add1ub: function (data, normalize, divisor) {
+			push(new context.AttributeArray1(index, 'ubyte', data, normalize, divisor), 1);
+		},
+
+		/**
+		 * Adds a single signed short integer component vertex attribute array
+		 * to the set.
+		 *
+		 * @method add1s
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add1s([1, 2, 3, 4, -1, -2, -3, -4]);
+		 */
+		add1s: function (data, normalize, divisor) {
+			push(new context.AttributeArray1(index, 'short', data, normalize, divisor), 1);
+		},
+
+		/**
+		 * Adds a single unsigned short integer component vertex attribute array
+		 * to the set.
+		 *
+		 * @method add1us
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add1us([1, 2, 3, 4, 5, 6, 7, 8]);
+		 */
+		add1us: function (data, normalize, divisor) {
+			push(new context.AttributeArray1(index, 'ushort', data, normalize, divisor), 1);
+		},
+
+		/**
+		 * Adds a single floating point component vertex attribute array to the
+		 * set.
+		 *
+		 * @method add1f
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add1f([1, 2, 3, 4, 5, 6, 7, 8]);
+		 */
+		add1f: function (data, normalize, divisor) {
+			push(new context.AttributeArray1(index, 'float', data, normalize, divisor), 1);
+		},
+
+		/**
+		 * Adds a 2-component vertex attribute array to the set.
+		 *
+		 * @method add2
+		 * @param type {String} The type of the data in the array. Must be one
+		 *	of `byte`, `ubyte`, `short`, `ushort` and `float`.
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add2('float', [1, 2, 3, 4, 5, 6, 7, 8]);
+		 */
+		add2: function (type, data, normalize, divisor) {
+			push(new context.AttributeArray2(index, type, data, normalize, divisor), 2);
+		},
+
+		/**
+		 * Adds a two signed byte component vertex attribute array to the set.
+		 *
+		 * @method add2b
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add2b([1, 2, 3, 4, -1, -2, -3, -4]);
+		 */
+		add2b: function (data, normalize, divisor) {
+			push(new context.AttributeArray2(index, 'byte', data, normalize, divisor), 2);
+		},
+
+		/**
+		 * Adds a two unsigned byte component vertex attribute array to the set.
+		 *
+		 * @method add2ub
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add2ub([1, 2, 3, 4, 5, 6, 7, 8]);
+		 */
+		add2ub: function (data, normalize, divisor) {
+			push(new context.AttributeArray2(index, 'ubyte', data, normalize, divisor), 2);
+		},
+
+		/**
+		 * Adds a two signed short integer component vertex attribute array to
+		 * the set.
+		 *
+		 * @method add2s
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add2s([1, 2, 3, 4, -1, -2, -3, -4]);
+		 */
+		add2s: function (data, normalize, divisor) {
+			push(new context.AttributeArray2(index, 'short', data, normalize, divisor), 2);
+		},
+
+		/**
+		 * Adds a two unsigned short integer component vertex attribute array to
+		 * the set.
+		 *
+		 * @method add2us
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add2us([1, 2, 3, 4, 5, 6, 7, 8]);
+		 */
+		add2us: function (data, normalize, divisor) {
+			push(new context.AttributeArray2(index, 'ushort', data, normalize, divisor), 2);
+		},
+
+		/**
+		 * Adds a two floating point component vertex attribute array to the
+		 * set.
+		 *
 		 * @method add2f
 		 * @param data {Number[]} A standard JavaScript array containing the
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add2f([1, 2, 3, 4, 5, 6, 7, 8]);
 		 */
-		add2f: function (data, normalize) {
-			arrays.push(new context.AttributeArray2(arrays.length, 'float', data, normalize));
+		add2f: function (data, normalize, divisor) {
+			push(new context.AttributeArray2(index, 'float', data, normalize, divisor), 2);
 		},
 
 		/**
@@ -869,11 +1664,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add3('float', [1, 2, 3, 4, 5, 6, 7, 8, 9]);
 		 */
-		add3: function (type, data, normalize) {
-			arrays.push(new context.AttributeArray3(arrays.length, type, data, normalize));
+		add3: function (type, data, normalize, divisor) {
+			push(new context.AttributeArray3(index, type, data, normalize, divisor), 3);
 		},
 
 		/**
@@ -884,11 +1681,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add3b([1, 2, 3, -1, -2, -3]);
 		 */
-		add3b: function (data, normalize) {
-			arrays.push(new context.AttributeArray3(arrays.length, 'byte', data, normalize));
+		add3b: function (data, normalize, divisor) {
+			push(new context.AttributeArray3(index, 'byte', data, normalize, divisor), 3);
 		},
 
 		/**
@@ -900,11 +1699,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add3ub([1, 2, 3, 4, 5, 6]);
 		 */
-		add3ub: function (data, normalize) {
-			arrays.push(new context.AttributeArray3(arrays.length, 'ubyte', data, normalize));
+		add3ub: function (data, normalize, divisor) {
+			push(new context.AttributeArray3(index, 'ubyte', data, normalize, divisor), 3);
 		},
 
 		/**
@@ -916,11 +1717,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add3s([1, 2, 3, -1, -2, -3]);
 		 */
-		add3s: function (data, normalize) {
-			arrays.push(new context.AttributeArray3(arrays.length, 'short', data, normalize));
+		add3s: function (data, normalize, divisor) {
+			push(new context.AttributeArray3(index, 'short', data, normalize, divisor), 3);
 		},
 
 		/**
@@ -932,11 +1735,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add3us([1, 2, 3, 4, 5, 6]);
 		 */
-		add3us: function (data, normalize) {
-			arrays.push(new context.AttributeArray3(arrays.length, 'ushort', data, normalize));
+		add3us: function (data, normalize, divisor) {
+			push(new context.AttributeArray3(index, 'ushort', data, normalize, divisor), 3);
 		},
 
 		/**
@@ -948,11 +1753,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add3f([1, 2, 3, 4, 5, 6]);
 		 */
-		add3f: function (data, normalize) {
-			arrays.push(new context.AttributeArray3(arrays.length, 'float', data, normalize));
+		add3f: function (data, normalize, divisor) {
+			push(new context.AttributeArray3(index, 'float', data, normalize, divisor), 3);
 		},
 
 		/**
@@ -965,11 +1772,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add4('float', [1, 2, 3, 4, 5, 6, 7, 8]);
 		 */
-		add4: function (type, data, normalize) {
-			arrays.push(new context.AttributeArray4(arrays.length, type, data, normalize));
+		add4: function (type, data, normalize, divisor) {
+			push(new context.AttributeArray4(index, type, data, normalize, divisor), 4);
 		},
 
 		/**
@@ -980,11 +1789,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add4b([1, 2, 3, 4, -1, -2, -3, -4]);
 		 */
-		add4b: function (data, normalize) {
-			arrays.push(new context.AttributeArray4(arrays.length, 'byte', data, normalize));
+		add4b: function (data, normalize, divisor) {
+			push(new context.AttributeArray4(index, 'byte', data, normalize, divisor), 4);
 		},
 
 		/**
@@ -995,11 +1806,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add4ub([1, 2, 3, 4, 5, 6, 7, 8]);
 		 */
-		add4ub: function (data, normalize) {
-			arrays.push(new context.AttributeArray4(arrays.length, 'ubyte', data, normalize));
+		add4ub: function (data, normalize, divisor) {
+			push(new context.AttributeArray4(index, 'ubyte', data, normalize, divisor), 4);
 		},
 
 		/**
@@ -1011,11 +1824,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add4s([1, 2, 3, 4, -5, -6, -7, -8]);
 		 */
-		add4s: function (data, normalize) {
-			arrays.push(new context.AttributeArray4(arrays.length, 'short', data, normalize));
+		add4s: function (data, normalize, divisor) {
+			push(new context.AttributeArray4(index, 'short', data, normalize, divisor), 4);
 		},
 
 		/**
@@ -1027,11 +1842,13 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add4us([1, 2, 3, 4, 5, 6, 7, 8]);
 		 */
-		add4us: function (data, normalize) {
-			arrays.push(new context.AttributeArray4(arrays.length, 'ushort', data, normalize));
+		add4us: function (data, normalize, divisor) {
+			push(new context.AttributeArray4(index, 'ushort', data, normalize, divisor), 4);
 		},
 
 		/**
@@ -1043,36 +1860,159 @@ context.AttributeArrays = function (count) {
 		 *	attribute data.
 		 * @param [normalize=false] {Boolean} Indicates whether attribute data
 		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
 		 * @example
 		 *	arrays.add4f([1, 2, 3, 4, 5, 6, 7, 8]);
 		 */
-		add4f: function (data, normalize) {
-			arrays.push(new context.AttributeArray4(arrays.length, 'float', data, normalize));
+		add4f: function (data, normalize, divisor) {
+			push(new context.AttributeArray4(index, 'float', data, normalize, divisor), 4);
+		},
+
+		/**
+		 * Adds a list of 4x4 matrices to the set as per-instance data, e.g.
+		 * one model matrix per instance. The matrices occupy four consecutive
+		 * attribute indices, one per column, just like a `mat4` attribute.
+		 *
+		 * See {{#crossLink "context.MatrixAttributeArray"}}{{/crossLink}}.
+		 *
+		 * @method addMatrix4
+		 * @param matrices {OOGL.Matrix4[]} The matrices.
+		 * @param [divisor=1] {Number} The instance divisor of the arrays.
+		 * @param [name] {String} The name of the `mat4` attribute in the
+		 *	shaders, see
+		 *	{{#crossLink "context.AttributeArrays/resolve"}}resolve{{/crossLink}}.
+		 * @example
+		 *	arrays.add3f(vertices);
+		 *	arrays.addMatrix4(models);
+		 *	arrays.enableBindAndPointer();
+		 *	arrays.drawTrianglesInstanced(models.length);
+		 */
+		addMatrix4: function (matrices, divisor, name) {
+			push(new context.MatrixAttributeArray(index, matrices, (arguments.length < 2) ? 1 : divisor), 16, name);
+		},
+
+		/**
+		 * Adds a vertex attribute array for the named attribute to the set.
+		 *
+		 * Named arrays are not bound to a fixed index: call
+		 * {{#crossLink "context.AttributeArrays/resolve"}}resolve{{/crossLink}}
+		 * before drawing to associate them to the attribute locations of the
+		 * program in use.
+		 *
+		 * @method add
+		 * @param name {String} The name of the attribute in the shaders.
+		 * @param size {Number} The number of components per vertex, must be 1,
+		 *	2, 3 or 4.
+		 * @param type {String} The type of the data in the array. Must be one
+		 *	of `byte`, `ubyte`, `short`, `ushort` and `float`.
+		 * @param data {Number[]} A standard JavaScript array containing the
+		 *	attribute data.
+		 * @param [normalize=false] {Boolean} Indicates whether attribute data
+		 *	must be normalized by the GL.
+		 * @param [divisor] {Number} The instance divisor of the array, for
+		 *	per-instance data.
+		 * @example
+		 *	arrays.add('in_Vertex', 3, 'float', vertices);
+		 *	arrays.add('in_Normal', 3, 'float', normals);
+		 *	arrays.add('in_TexCoord', 2, 'float', textureCoordinates);
+		 */
+		add: function (name, size, type, data, normalize, divisor) {
+			var constructors = [null, context.AttributeArray1, context.AttributeArray2, context.AttributeArray3, context.AttributeArray4];
+			if (!constructors[size]) {
+				throw 'Invalid attribute size, must be 1, 2, 3 or 4.';
+			}
+			push(new constructors[size](index, type, data, normalize, divisor), size, name);
+		},
+
+		/**
+		 * Associates the named arrays of the set to the attribute locations of
+		 * the specified program, which must be linked. Subsequent `enable`,
+		 * `disable`, `bindAndPointer` and `enableBindAndPointer` calls only
+		 * affect the arrays used by the program, so the same set can be drawn
+		 * with programs having different attribute lists.
+		 *
+		 * Arrays whose attribute is not active in the program are skipped, while
+		 * unnamed arrays keep the index they were added with. An exception is
+		 * thrown if an active attribute of the program has no array, if two
+		 * arrays end up at the same attribute location or if an array does not
+		 * fit its attribute: vectors cannot feed matrix attributes and vice
+		 * versa, and a vector array must not have more components than its
+		 * attribute, while it may have fewer (the missing components default to
+		 * 0, and to 1 for the fourth one, as usual in GL).
+		 *
+		 * The result is cached per program and the cache is cleared when an
+		 * array is added; specify `true` for `refresh` if the program has been
+		 * linked again since the last call.
+		 *
+		 * Disable the arrays before resolving them against a different program,
+		 * otherwise the attribute arrays enabled for the previous one may stay
+		 * enabled.
+		 *
+		 * @method resolve
+		 * @param program {context.Program} The program.
+		 * @param [refresh=false] {Boolean} Indicates whether the attribute
+		 *	locations must be looked up again even if they are cached.
+		 * @example
+		 *	arrays.resolve(program);
+		 *	program.use();
+		 *	arrays.enableBindAndPointer();
+		 *	arrays.drawTriangles();
+		 *	arrays.disable();
+		 *	arrays.resolve(depthProgram);
+		 *	depthProgram.use();
+		 *	arrays.enableBindAndPointer();
+		 *	arrays.drawTriangles();
+		 */
+		resolve: function (program, refresh) {
+			var resolution = null;
+			var i;
+			for (i = 0; i < resolutions.length; i++) {
+				if (resolutions[i].program === program) {
+					resolution = resolutions[i];
+				}
+			}
+			if (!resolution) {
+				resolution = {
+					program: program
+				};
+				resolutions.push(resolution);
+			}
+			if (refresh || !resolution.locations) {
+				resolution.locations = locate(program);
+			}
+			active = [];
+			for (i = 0; i < arrays.length; i++) {
+				if (resolution.locations[i] >= 0) {
+					arrays[i].setIndex(resolution.locations[i]);
+					active.push(arrays[i]);
+				}
+			}
 		},
 
 		/**
-		 * TODO
+		 * Enables the vertex attribute arrays of all the arrays in the set.
 		 *
 		 * @method enable
 		 * @example
-		 *	TODO
+		 *	arrays.enable();
 		 */
 		enable: function () {
-			for (var i = 0; i < arrays.length; i++) {
-				context.enableVertexAttribArray(i);
+			for (var i = 0; i < active.length; i++) {
+				active[i].enable();
 			}
 		},
 
 		/**
-		 * TODO
+		 * Disables the vertex attribute arrays of all the arrays in the set.
 		 *
 		 * @method disable
 		 * @example
-		 *	TODO
+		 *	arrays.disable();
 		 */
 		disable: function () {
-			for (var i = 0; i < arrays.length; i++) {
-				context.disableVertexAttribArray(i);
+			for (var i = 0; i < active.length; i++) {
+				active[i].disable();
 			}
 		},
 
@@ -1104,130 +2044,818 @@ context.AttributeArrays = function (count) {
 		 *	program.use();
 		 *	arrays.drawTriangles();
 		 */
-		bindAndPointer: function (stride, offset) {
-			for (var i in arrays) {
-				if (arrays.hasOwnProperty(i)) {
-					arrays[i].bindAndPointer(stride, offset);
+		bindAndPointer: function (stride, offset) {
+			for (var i = 0; i < active.length; i++) {
+				active[i].bindAndPointer(stride, offset);
+			}
+		},
+
+		/**
+		 * Enables the vertex attribute arrays of all the arrays in the set,
+		 * binds each array to its buffer target and specifies its pointer.
+		 *
+		 * You may optionally specify `stride` and `offset` parameters, see
+		 * {{#crossLink "context.AttributeArrays/bindAndPointer"}}bindAndPointer{{/crossLink}}.
+		 *
+		 * @method enableBindAndPointer
+		 * @param [stride=0] {Number} The stride between consecutive elements in
+		 *	the array.
+		 * @param [offset=0] {Number} The index of the first element of the
+		 *	underlying buffer to be used for the attribute array.
+		 * @example
+		 *	arrays.enableBindAndPointer();
+		 *	arrays.drawTriangles();
+		 */
+		enableBindAndPointer: function (stride, offset) {
+			for (var i = 0; i < active.length; i++) {
+				active[i].enable();
+				active[i].bindAndPointer(stride, offset);
+			}
+		},
+
+		/**
+		 * Draws the arrays in `gl.TRIANGLES` mode.
+		 *
+		 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLES`.
+		 *
+		 * You may optionally specify `offset` and `count` parameters.
+		 *
+		 * @method drawTriangles
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.bindAndPointer();
+		 *	arrays.drawTriangles();
+		 */
+		drawTriangles: (function (all) {
+			return function (offset, count) {
+				if (arguments.length < 2) {
+					count = all;
+					if (arguments.length < 1) {
+						offset = 0;
+					}
+				}
+				context.drawArrays(context.TRIANGLES, offset, count);
+			};
+		})(count),
+
+		/**
+		 * Draws the arrays in `gl.TRIANGLE_FAN` mode.
+		 *
+		 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLE_FAN`.
+		 *
+		 * You may optionally specify `offset` and `count` parameters.
+		 *
+		 * @method drawTriangleFan
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.bindAndPointer();
+		 *	arrays.drawTriangleFan();
+		 */
+		drawTriangleFan: (function (all) {
+			return function (offset, count) {
+				if (arguments.length < 2) {
+					count = all;
+					if (arguments.length < 1) {
+						offset = 0;
+					}
+				}
+				context.drawArrays(context.TRIANGLE_FAN, offset, count);
+			};
+		})(count),
+
+		/**
+		 * Draws the arrays in `gl.TRIANGLE_STRIP` mode.
+		 *
+		 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLE_STRIP`.
+		 *
+		 * You may optionally specify `offset` and `count` parameters.
+		 *
+		 * @method drawTriangleStrip
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.bindAndPointer();
+		 *	arrays.drawTriangleStrip();
+		 */
+		drawTriangleStrip: (function (all) {
+			return function (offset, count) {
+				if (arguments.length < 2) {
+					count = all;
+					if (arguments.length < 1) {
+						offset = 0;
+					}
+				}
+				context.drawArrays(context.TRIANGLE_STRIP, offset, count);
+			};
+		})(count),
+
+		/**
+		 * Draws the arrays in `gl.POINTS` mode.
+		 *
+		 * Equivalent to calling `gl.drawArrays` with `gl.POINTS`.
+		 *
+		 * You may optionally specify `offset` and `count` parameters.
+		 *
+		 * @method drawPoints
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.bindAndPointer();
+		 *	arrays.drawPoints();
+		 */
+		drawPoints: (function (all) {
+			return function (offset, count) {
+				if (arguments.length < 2) {
+					count = all;
+					if (arguments.length < 1) {
+						offset = 0;
+					}
+				}
+				context.drawArrays(context.POINTS, offset, count);
+			};
+		})(count),
+
+		/**
+		 * Draws the arrays in `gl.LINES` mode.
+		 *
+		 * Equivalent to calling `gl.drawArrays` with `gl.LINES`.
+		 *
+		 * You may optionally specify `offset` and `count` parameters.
+		 *
+		 * @method drawLines
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.bindAndPointer();
+		 *	arrays.drawLines();
+		 */
+		drawLines: (function (all) {
+			return function (offset, count) {
+				if (arguments.length < 2) {
+					count = all;
+					if (arguments.length < 1) {
+						offset = 0;
+					}
+				}
+				context.drawArrays(context.LINES, offset, count);
+			};
+		})(count),
+
+		/**
+		 * Draws the arrays in `gl.LINE_STRIP` mode.
+		 *
+		 * Equivalent to calling `gl.drawArrays` with `gl.LINE_STRIP`.
+		 *
+		 * You may optionally specify `offset` and `count` parameters.
+		 *
+		 * @method drawLineStrip
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.bindAndPointer();
+		 *	arrays.drawLineStrip();
+		 */
+		drawLineStrip: (function (all) {
+			return function (offset, count) {
+				if (arguments.length < 2) {
+					count = all;
+					if (arguments.length < 1) {
+						offset = 0;
+					}
+				}
+				context.drawArrays(context.LINE_STRIP, offset, count);
+			};
+		})(count),
+
+		/**
+		 * Draws the arrays in `gl.LINE_LOOP` mode.
+		 *
+		 * Equivalent to calling `gl.drawArrays` with `gl.LINE_LOOP`.
+		 *
+		 * You may optionally specify `offset` and `count` parameters.
+		 *
+		 * @method drawLineLoop
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.bindAndPointer();
+		 *	arrays.drawLineLoop();
+		 */
+		drawLineLoop: (function (all) {
+			return function (offset, count) {
+				if (arguments.length < 2) {
+					count = all;
+					if (arguments.length < 1) {
+						offset = 0;
+					}
+				}
+				context.drawArrays(context.LINE_LOOP, offset, count);
+			};
+		})(count),
+
+		/**
+		 * Draws several instances of the arrays in `gl.TRIANGLES` mode.
+		 *
+		 * Equivalent to calling `gl.drawArraysInstanced` with `gl.TRIANGLES`
+		 * (see
+		 * {{#crossLink "OOGL.Context/drawArraysInstanced:method"}}{{/crossLink}}).
+		 *
+		 * @method drawTrianglesInstanced
+		 * @param instanceCount {Number} The number of instances to draw.
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
+		 * @example
+		 *	arrays.enableBindAndPointer();
+		 *	arrays.drawTrianglesInstanced(1000);
+		 */
+		drawTrianglesInstanced: (function (all) {
+			return function (instanceCount, offset, count) {
+				if (arguments.length < 3) {
+					count = all;
+					if (arguments.length < 2) {
+						offset = 0;
+					}
 				}
-			}
-		},
+				context.drawArraysInstanced(context.TRIANGLES, offset, count, instanceCount);
+			};
+		})(count),
 
 		/**
-		 * TODO
+		 * Draws several instances of the arrays in `gl.TRIANGLE_FAN` mode.
 		 *
-		 * @method enableBindAndPointer
+		 * Equivalent to calling `gl.drawArraysInstanced` with `gl.TRIANGLE_FAN`
+		 * (see
+		 * {{#crossLink "OOGL.Context/drawArraysInstanced:method"}}{{/crossLink}}).
+		 *
+		 * @method drawTriangleFanInstanced
+		 * @param instanceCount {Number} The number of instances to draw.
+		 * @param [offset=0] {Number} The index of the first vertex attribute to
+		 *	draw.
+		 * @param [count] {Number} The number of vertex attributes to draw. When
+		 *	not specified defaults to the `count` parameter passed to the
+		 *	`AttributeArrays` constructor.
 		 * @example
-		 *	TODO
+		 *	arrays.enableBindAndPointer();
+		 *	arrays.drawTriangleFanInstanced(1000);
 		 */
-		enableBindAndPointer: function (stride, offset) {
-			for (var i = 0; i < arrays.length; i++) {
-				context.enableVertexAttribArray(i);
-				arrays[i].bindAndPointer(stride, offset);
-			}
-		},
+		drawTriangleFanInstanced: (function (all) {
+			return function (instanceCount, offset, count) {
+				if (arguments.length < 3) {
+					count = all;
+					if (arguments.length < 2) {
+						offset = 0;
+					}
+				}
+				context.drawArraysInstanced(context.TRIANGLE_FAN, offset, count, instanceCount);
+			};
+		})(count),
 
 		/**
-		 * Draws the arrays in `gl.TRIANGLES` mode.
-		 *
-		 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLES`.
+		 * Draws several instances of the arrays in `gl.TRIANGLE_STRIP` mode.
 		 *
-		 * You may optionally specify `offset` and `count` parameters.
+		 * Equivalent to calling `gl.drawArraysInstanced` with `gl.TRIANGLE_STRIP`
+		 * (see
+		 * {{#crossLink "OOGL.Context/drawArraysInstanced:method"}}{{/crossLink}}).
 		 *
-		 * @method drawTriangles
+		 * @method drawTriangleStripInstanced
+		 * @param instanceCount {Number} The number of instances to draw.
 		 * @param [offset=0] {Number} The index of the first vertex attribute to
 		 *	draw.
 		 * @param [count] {Number} The number of vertex attributes to draw. When
 		 *	not specified defaults to the `count` parameter passed to the
 		 *	`AttributeArrays` constructor.
 		 * @example
-		 *	arrays.bindAndPointer();
-		 *	arrays.drawTriangles();
+		 *	arrays.enableBindAndPointer();
+		 *	arrays.drawTriangleStripInstanced(1000);
 		 */
-		drawTriangles: (function (all) {
-			return function (offset, count) {
-				if (arguments.length < 2) {
+		drawTriangleStripInstanced: (function (all) {
+			return function (instanceCount, offset, count) {
+				if (arguments.length < 3) {
 					count = all;
-					if (arguments.length < 1) {
+					if (arguments.length < 2) {
 						offset = 0;
 					}
 				}
-				context.drawArrays(context.TRIANGLES, offset, count);
-			};
-		})(count),
+				context.drawArraysInstanced(context.TRIANGLE_STRIP, offset, count, instanceCount);
+			};
+		})(count),
+
+		/**
+		 * Deletes all the arrays in the set.
+		 *
+		 * @method _delete
+		 * @example
+		 *	arrays._delete();
+		 */
+		_delete: function () {
+			for (var i in arrays) {
+				if (arrays.hasOwnProperty(i)) {
+					arrays[i]._delete();
+				}
+			}
+		}
+	};
+};
+
+/**
+ * Represents a set of vertex attribute arrays interleaved in a single array
+ * buffer with static draw usage.
+ *
+ * The vertex layout is specified as an array of attribute descriptors, each
+ * one containing the `name`, `size` (the number of components, from 1 to 4),
+ * `type` (one of `byte`, `ubyte`, `short`, `ushort` or `float`), optional
+ * `normalize` flag and optional instance `divisor` of an attribute. The attribute data is specified per
+ * attribute name and packed into the buffer, vertex after vertex; each
+ * attribute is aligned to the size of its type and the stride is a multiple of
+ * the largest type size, as required by WebGL.
+ *
+ * The `i`-th attribute of the layout is associated to the `i`-th vertex
+ * attribute array index, just like the arrays of
+ * {{#crossLink "context.AttributeArrays"}}AttributeArrays{{/crossLink}}.
+ *
+ * An exception is thrown if the layout contains an invalid type or size or if
+ * the data of an attribute is missing.
+ *
+ * @class context.InterleavedArrays
+ * @extends context.StaticArrayBuffer
+ * @constructor
+ * @param layout {Object[]} The vertex layout.
+ * @param data {Object} An object that maps the name of each attribute to a
+ *	JavaScript `Array` or typed array containing its data.
+ * @example
+ *	var program = new oogl.AutoProgram(vertexSource, fragmentSource, ['in_Vertex', 'in_Color']);
+ *	var arrays = new oogl.InterleavedArrays([{
+ *		name: 'in_Vertex',
+ *		size: 3,
+ *		type: 'float'
+ *	}, {
+ *		name: 'in_Color',
+ *		size: 4,
+ *		type: 'ubyte',
+ *		normalize: true
+ *	}], {
+ *		in_Vertex: vertices,
+ *		in_Color: colors
+ *	});
+ *	arrays.enableBindAndPointer();
+ *	program.use();
+ *	arrays.drawTriangles();
+ */
+context.InterleavedArrays = function (layout, data) {
+	var types = {
+		'byte': {
+			glType: context.BYTE,
+			constructor: Int8Array,
+			size: 1
+		},
+		'ubyte': {
+			glType: context.UNSIGNED_BYTE,
+			constructor: Uint8Array,
+			size: 1
+		},
+		'short': {
+			glType: context.SHORT,
+			constructor: Int16Array,
+			size: 2
+		},
+		'ushort': {
+			glType: context.UNSIGNED_SHORT,
+			constructor: Uint16Array,
+			size: 2
+		},
+		'float': {
+			glType: context.FLOAT,
+			constructor: Float32Array,
+			size: 4
+		}
+	};
+
+	var i, j, k;
+	var stride = 0;
+	var alignment = 1;
+	var offsets = {};
+	for (i = 0; i < layout.length; i++) {
+		if (!types.hasOwnProperty(layout[i].type)) {
+			throw 'Invalid attribute type, must be one of "byte", "ubyte", "short", "ushort" and "float".';
+		}
+		if ((layout[i].size < 1) || (layout[i].size > 4)) {
+			throw 'Invalid attribute size, must be 1, 2, 3 or 4.';
+		}
+		if (!data.hasOwnProperty(layout[i].name)) {
+			throw 'Missing data for attribute "' + layout[i].name + '".';
+		}
+		var size = types[layout[i].type].size;
+		stride = Math.ceil(stride / size) * size;
+		offsets[layout[i].name] = stride;
+		stride += layout[i].size * size;
+		alignment = Math.max(alignment, size);
+	}
+	stride = Math.ceil(stride / alignment) * alignment;
+
+	var count = layout.length ? (data[layout[0].name].length / layout[0].size) : 0;
+	var bytes = new ArrayBuffer(count * stride);
+	for (i = 0; i < layout.length; i++) {
+		var type = types[layout[i].type];
+		var view = new type.constructor(bytes);
+		var source = data[layout[i].name];
+		var step = stride / type.size;
+		var first = offsets[layout[i].name] / type.size;
+		for (j = 0; j < count; j++) {
+			for (k = 0; k < layout[i].size; k++) {
+				view[first + j * step + k] = source[j * layout[i].size + k];
+			}
+		}
+	}
+
+	var buffer = new context.StaticArrayBuffer('ubyte');
+	buffer.bindAndData(new Uint8Array(bytes));
+
+	/**
+	 * The distance in bytes between two consecutive vertices in the buffer.
+	 *
+	 * @property stride
+	 * @type Number
+	 */
+	buffer.stride = stride;
+
+	/**
+	 * Maps the name of each attribute to its byte offset within a vertex.
+	 *
+	 * @property offsets
+	 * @type Object
+	 */
+	buffer.offsets = offsets;
+
+	/**
+	 * Enables the vertex attribute arrays of all the attributes in the layout.
+	 *
+	 * @method enable
+	 * @example
+	 *	arrays.enable();
+	 */
+	buffer.enable = function () {
+		for (var i = 0; i < layout.length; i++) {
+			context.enableVertexAttribArray(i);
+		}
+	};
+
+	/**
+	 * Disables the vertex attribute arrays of all the attributes in the
+	 * layout. The instance divisors of the attributes that have one are reset
+	 * to 0.
+	 *
+	 * @method disable
+	 * @example
+	 *	arrays.disable();
+	 */
+	buffer.disable = function () {
+		for (var i = 0; i < layout.length; i++) {
+			context.disableVertexAttribArray(i);
+			if (layout[i].divisor) {
+				context.vertexAttribDivisor(i, 0);
+			}
+		}
+	};
+
+	/**
+	 * Binds this buffer to its target once and specifies the pointers of all
+	 * the attributes in the layout, with the interleaved stride and offsets.
+	 *
+	 * @method bindAndPointer
+	 * @example
+	 *	arrays.bindAndPointer();
+	 */
+	buffer.bindAndPointer = function () {
+		context.bindBuffer(context.ARRAY_BUFFER, buffer);
+		for (var i = 0; i < layout.length; i++) {
+			context.vertexAttribPointer(i, layout[i].size, types[layout[i].type].glType, !!layout[i].normalize, stride, offsets[layout[i].name]);
+			if (layout[i].divisor) {
+				context.vertexAttribDivisor(i, layout[i].divisor);
+			}
+		}
+	};
+
+	/**
+	 * Enables the vertex attribute arrays of all the attributes in the layout,
+	 * binds this buffer to its target and specifies all the pointers.
+	 *
+	 * Equivalent to calling
+	 * {{#crossLink "context.InterleavedArrays/enable"}}enable{{/crossLink}} and
+	 * {{#crossLink "context.InterleavedArrays/bindAndPointer"}}bindAndPointer{{/crossLink}}
+	 * subsequently.
+	 *
+	 * @method enableBindAndPointer
+	 * @example
+	 *	arrays.enableBindAndPointer();
+	 */
+	buffer.enableBindAndPointer = function () {
+		context.bindBuffer(context.ARRAY_BUFFER, buffer);
+		for (var i = 0; i < layout.length; i++) {
+			context.enableVertexAttribArray(i);
+			context.vertexAttribPointer(i, layout[i].size, types[layout[i].type].glType, !!layout[i].normalize, stride, offsets[layout[i].name]);
+			if (layout[i].divisor) {
+				context.vertexAttribDivisor(i, layout[i].divisor);
+			}
+		}
+	};
+
+	/**
+	 * Draws the arrays in `gl.TRIANGLES` mode.
+	 *
+	 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLES`.
+	 *
+	 * You may optionally specify `offset` and `count` parameters.
+	 *
+	 * @method drawTriangles
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.bindAndPointer();
+	 *	arrays.drawTriangles();
+	 */
+	buffer.drawTriangles = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawArrays(context.TRIANGLES, offset, count);
+		};
+	})(count);
+
+	/**
+	 * Draws the arrays in `gl.TRIANGLE_FAN` mode.
+	 *
+	 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLE_FAN`.
+	 *
+	 * You may optionally specify `offset` and `count` parameters.
+	 *
+	 * @method drawTriangleFan
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.bindAndPointer();
+	 *	arrays.drawTriangleFan();
+	 */
+	buffer.drawTriangleFan = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawArrays(context.TRIANGLE_FAN, offset, count);
+		};
+	})(count);
+
+	/**
+	 * Draws the arrays in `gl.TRIANGLE_STRIP` mode.
+	 *
+	 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLE_STRIP`.
+	 *
+	 * You may optionally specify `offset` and `count` parameters.
+	 *
+	 * @method drawTriangleStrip
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.bindAndPointer();
+	 *	arrays.drawTriangleStrip();
+	 */
+	buffer.drawTriangleStrip = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawArrays(context.TRIANGLE_STRIP, offset, count);
+		};
+	})(count);
+
+	/**
+	 * Draws the arrays in `gl.POINTS` mode.
+	 *
+	 * Equivalent to calling `gl.drawArrays` with `gl.POINTS`.
+	 *
+	 * You may optionally specify `offset` and `count` parameters.
+	 *
+	 * @method drawPoints
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.bindAndPointer();
+	 *	arrays.drawPoints();
+	 */
+	buffer.drawPoints = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawArrays(context.POINTS, offset, count);
+		};
+	})(count);
+
+	/**
+	 * Draws the arrays in `gl.LINES` mode.
+	 *
+	 * Equivalent to calling `gl.drawArrays` with `gl.LINES`.
+	 *
+	 * You may optionally specify `offset` and `count` parameters.
+	 *
+	 * @method drawLines
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.bindAndPointer();
+	 *	arrays.drawLines();
+	 */
+	buffer.drawLines = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawArrays(context.LINES, offset, count);
+		};
+	})(count);
+
+	/**
+	 * Draws the arrays in `gl.LINE_STRIP` mode.
+	 *
+	 * Equivalent to calling `gl.drawArrays` with `gl.LINE_STRIP`.
+	 *
+	 * You may optionally specify `offset` and `count` parameters.
+	 *
+	 * @method drawLineStrip
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.bindAndPointer();
+	 *	arrays.drawLineStrip();
+	 */
+	buffer.drawLineStrip = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawArrays(context.LINE_STRIP, offset, count);
+		};
+	})(count);
+
+	/**
+	 * Draws the arrays in `gl.LINE_LOOP` mode.
+	 *
+	 * Equivalent to calling `gl.drawArrays` with `gl.LINE_LOOP`.
+	 *
+	 * You may optionally specify `offset` and `count` parameters.
+	 *
+	 * @method drawLineLoop
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.bindAndPointer();
+	 *	arrays.drawLineLoop();
+	 */
+	buffer.drawLineLoop = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawArrays(context.LINE_LOOP, offset, count);
+		};
+	})(count);
 
-		/**
-		 * Draws the arrays in `gl.TRIANGLE_FAN` mode.
-		 *
-		 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLE_FAN`.
-		 *
-		 * You may optionally specify `offset` and `count` parameters.
-		 *
-		 * @method drawTriangleFan
-		 * @param [offset=0] {Number} The index of the first vertex attribute to
-		 *	draw.
-		 * @param [count] {Number} The number of vertex attributes to draw. When
-		 *	not specified defaults to the `count` parameter passed to the
-		 *	`AttributeArrays` constructor.
-		 * @example
-		 *	arrays.bindAndPointer();
-		 *	arrays.drawTriangleFan();
-		 */
-		drawTriangleFan: (function (all) {
-			return function (offset, count) {
+	/**
+	 * Draws several instances of the arrays in `gl.TRIANGLES` mode.
+	 *
+	 * Equivalent to calling `gl.drawArraysInstanced` with `gl.TRIANGLES` (see
+	 * {{#crossLink "OOGL.Context/drawArraysInstanced:method"}}{{/crossLink}}).
+	 *
+	 * @method drawTrianglesInstanced
+	 * @param instanceCount {Number} The number of instances to draw.
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.enableBindAndPointer();
+	 *	arrays.drawTrianglesInstanced(1000);
+	 */
+	buffer.drawTrianglesInstanced = (function (all) {
+		return function (instanceCount, offset, count) {
+			if (arguments.length < 3) {
+				count = all;
 				if (arguments.length < 2) {
-					count = all;
-					if (arguments.length < 1) {
-						offset = 0;
-					}
+					offset = 0;
 				}
-				context.drawArrays(context.TRIANGLE_FAN, offset, count);
-			};
-		})(count),
+			}
+			context.drawArraysInstanced(context.TRIANGLES, offset, count, instanceCount);
+		};
+	})(count);
 
-		/**
-		 * Draws the arrays in `gl.TRIANGLE_STRIP` mode.
-		 *
-		 * Equivalent to calling `gl.drawArrays` with `gl.TRIANGLE_STRIP`.
-		 *
-		 * You may optionally specify `offset` and `count` parameters.
-		 *
-		 * @method drawTriangleStrip
-		 * @param [offset=0] {Number} The index of the first vertex attribute to
-		 *	draw.
-		 * @param [count] {Number} The number of vertex attributes to draw. When
-		 *	not specified defaults to the `count` parameter passed to the
-		 *	`AttributeArrays` constructor.
-		 * @example
-		 *	arrays.bindAndPointer();
-		 *	arrays.drawTriangleStrip();
-		 */
-		drawTriangleStrip: (function (all) {
-			return function (offset, count) {
+	/**
+	 * Draws several instances of the arrays in `gl.TRIANGLE_FAN` mode.
+	 *
+	 * Equivalent to calling `gl.drawArraysInstanced` with `gl.TRIANGLE_FAN` (see
+	 * {{#crossLink "OOGL.Context/drawArraysInstanced:method"}}{{/crossLink}}).
+	 *
+	 * @method drawTriangleFanInstanced
+	 * @param instanceCount {Number} The number of instances to draw.
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.enableBindAndPointer();
+	 *	arrays.drawTriangleFanInstanced(1000);
+	 */
+	buffer.drawTriangleFanInstanced = (function (all) {
+		return function (instanceCount, offset, count) {
+			if (arguments.length < 3) {
+				count = all;
 				if (arguments.length < 2) {
-					count = all;
-					if (arguments.length < 1) {
-						offset = 0;
-					}
+					offset = 0;
 				}
-				context.drawArrays(context.TRIANGLE_STRIP, offset, count);
-			};
-		})(count),
+			}
+			context.drawArraysInstanced(context.TRIANGLE_FAN, offset, count, instanceCount);
+		};
+	})(count);
 
-		/**
-		 * Deletes all the arrays in the set.
-		 *
-		 * @method _delete
-		 * @example
-		 *	arrays._delete();
-		 */
-		_delete: function () {
-			for (var i in arrays) {
-				if (arrays.hasOwnProperty(i)) {
-					arrays[i]._delete();
+	/**
+	 * Draws several instances of the arrays in `gl.TRIANGLE_STRIP` mode.
+	 *
+	 * Equivalent to calling `gl.drawArraysInstanced` with `gl.TRIANGLE_STRIP` (see
+	 * {{#crossLink "OOGL.Context/drawArraysInstanced:method"}}{{/crossLink}}).
+	 *
+	 * @method drawTriangleStripInstanced
+	 * @param instanceCount {Number} The number of instances to draw.
+	 * @param [offset=0] {Number} The index of the first vertex to draw.
+	 * @param [count] {Number} The number of vertices to draw. When not
+	 *	specified defaults to the number of vertices in the buffer.
+	 * @example
+	 *	arrays.enableBindAndPointer();
+	 *	arrays.drawTriangleStripInstanced(1000);
+	 */
+	buffer.drawTriangleStripInstanced = (function (all) {
+		return function (instanceCount, offset, count) {
+			if (arguments.length < 3) {
+				count = all;
+				if (arguments.length < 2) {
+					offset = 0;
 				}
 			}
-		}
-	};
+			context.drawArraysInstanced(context.TRIANGLE_STRIP, offset, count, instanceCount);
+		};
+	})(count);
+
+	return buffer;
 };
 
 /**
@@ -1240,9 +2868,14 @@ context.AttributeArrays = function (count) {
  * @extends context.StaticElementArrayBuffer
  * @constructor
  * @param indices {Number[]} The element indices.
- * @param [type='ushort'] {String} The type of each index. It can be either
- * `'ubyte'` or `'ushort'` and defaults to `'ushort'` so that indices greater
- *	than `255` are not wrapped to the `0-255` range.
+ * @param [type='ushort'] {String} The type of each index. It can be
+ *	`'ubyte'`, `'ushort'` or `'uint'` and defaults to `'ushort'` so that
+ *	indices greater than `255` are not wrapped to the `0-255` range. `'uint'`
+ *	indices allow drawing meshes with more than 65536 vertices; they are
+ *	supported natively by WebGL 2 contexts (see
+ *	{{#crossLink "OOGL.Context/isWebGL2:method"}}{{/crossLink}}), while
+ *	WebGL 1 contexts require the `OES_element_index_uint` extension and an
+ *	exception is thrown if it is not supported.
  * @example
  *	var program = new oogl.AutoProgram(vertexSource, fragmentSource, ['in_Vertex', 'in_Color', 'in_TexCoord']);
  *	var arrays = new oogl.AttributeArrays();
@@ -1262,11 +2895,24 @@ context.ElementArray = function (indices, type) {
 	var count = indices.length;
 
 	var types = {
-		'ubyte': context.UNSIGNED_BYTE,
-		'ushort': context.UNSIGNED_SHORT
+		'ubyte': {
+			glType: context.UNSIGNED_BYTE,
+			size: 1
+		},
+		'ushort': {
+			glType: context.UNSIGNED_SHORT,
+			size: 2
+		},
+		'uint': {
+			glType: context.UNSIGNED_INT,
+			size: 4
+		}
 	};
 	if (!types.hasOwnProperty(type)) {
-		throw 'Invalid element type, must be either "ubyte" or "ushort".';
+		throw 'Invalid element type, must be one of "ubyte", "ushort" and "uint".';
+	}
+	if ((type === 'uint') && !context.isWebGL2() && !context.getExtension('OES_element_index_uint')) {
+		throw 'The "uint" element type requires the OES_element_index_uint extension, which is not supported.';
 	}
 
 	var buffer = new context.StaticElementArrayBuffer(type);
@@ -1292,7 +2938,7 @@ context.ElementArray = function (indices, type) {
 					offset = 0;
 				}
 			}
-			context.drawElements(context.TRIANGLES, count, types[type], offset);
+			context.drawElements(context.TRIANGLES, count, types[type].glType, offset * types[type].size);
 		};
 	})(count);
 
@@ -1316,7 +2962,7 @@ context.ElementArray = function (indices, type) {
 					offset = 0;
 				}
 			}
-			context.drawElements(context.TRIANGLE_FAN, count, types[type], offset);
+			context.drawElements(context.TRIANGLE_FAN, count, types[type].glType, offset * types[type].size);
 		};
 	})(count);
 
@@ -1340,7 +2986,195 @@ context.ElementArray = function (indices, type) {
 					offset = 0;
 				}
 			}
-			context.drawElements(context.TRIANGLE_STRIP, count, types[type], offset);
+			context.drawElements(context.TRIANGLE_STRIP, count, types[type].glType, offset * types[type].size);
+		};
+	})(count);
+
+	/**
+	 * Draws the elements in `gl.POINTS` mode.
+	 *
+	 * Equivalent to calling `gl.drawElements` with `gl.POINTS`.
+	 *
+	 * @method drawPoints
+	 * @param [offset=0] {Number} The index of the first element to draw.
+	 * @param [count] {Number} The number of elements to draw. When not
+	 *	specified defaults to the length of the `indices` array passed to the
+	 *	`ElementArray` constructor.
+	 * @example
+	 *	elements.bind();
+	 *	elements.drawPoints();
+	 */
+	buffer.drawPoints = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawElements(context.POINTS, count, types[type].glType, offset * types[type].size);
+		};
+	})(count);
+
+	/**
+	 * Draws the elements in `gl.LINES` mode.
+	 *
+	 * Equivalent to calling `gl.drawElements` with `gl.LINES`.
+	 *
+	 * @method drawLines
+	 * @param [offset=0] {Number} The index of the first element to draw.
+	 * @param [count] {Number} The number of elements to draw. When not
+	 *	specified defaults to the length of the `indices` array passed to the
+	 *	`ElementArray` constructor.
+	 * @example
+	 *	elements.bind();
+	 *	elements.drawLines();
+	 */
+	buffer.drawLines = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawElements(context.LINES, count, types[type].glType, offset * types[type].size);
+		};
+	})(count);
+
+	/**
+	 * Draws the elements in `gl.LINE_STRIP` mode.
+	 *
+	 * Equivalent to calling `gl.drawElements` with `gl.LINE_STRIP`.
+	 *
+	 * @method drawLineStrip
+	 * @param [offset=0] {Number} The index of the first element to draw.
+	 * @param [count] {Number} The number of elements to draw. When not
+	 *	specified defaults to the length of the `indices` array passed to the
+	 *	`ElementArray` constructor.
+	 * @example
+	 *	elements.bind();
+	 *	elements.drawLineStrip();
+	 */
+	buffer.drawLineStrip = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawElements(context.LINE_STRIP, count, types[type].glType, offset * types[type].size);
+		};
+	})(count);
+
+	/**
+	 * Draws the elements in `gl.LINE_LOOP` mode.
+	 *
+	 * Equivalent to calling `gl.drawElements` with `gl.LINE_LOOP`.
+	 *
+	 * @method drawLineLoop
+	 * @param [offset=0] {Number} The index of the first element to draw.
+	 * @param [count] {Number} The number of elements to draw. When not
+	 *	specified defaults to the length of the `indices` array passed to the
+	 *	`ElementArray` constructor.
+	 * @example
+	 *	elements.bind();
+	 *	elements.drawLineLoop();
+	 */
+	buffer.drawLineLoop = (function (all) {
+		return function (offset, count) {
+			if (arguments.length < 2) {
+				count = all;
+				if (arguments.length < 1) {
+					offset = 0;
+				}
+			}
+			context.drawElements(context.LINE_LOOP, count, types[type].glType, offset * types[type].size);
+		};
+	})(count);
+
+	/**
+	 * Draws several instances of the elements in `gl.TRIANGLES` mode.
+	 *
+	 * Equivalent to calling `gl.drawElementsInstanced` with `gl.TRIANGLES` (see
+	 * {{#crossLink "OOGL.Context/drawElementsInstanced:method"}}{{/crossLink}}).
+	 *
+	 * @method drawTrianglesInstanced
+	 * @param instanceCount {Number} The number of instances to draw.
+	 * @param [offset=0] {Number} The index of the first element to draw.
+	 * @param [count] {Number} The number of elements to draw. When not
+	 *	specified defaults to the length of the `indices` array passed to the
+	 *	`ElementArray` constructor.
+	 * @example
+	 *	elements.bind();
+	 *	elements.drawTrianglesInstanced(1000);
+	 */
+	buffer.drawTrianglesInstanced = (function (all) {
+		return function (instanceCount, offset, count) {
+			if (arguments.length < 3) {
+				count = all;
+				if (arguments.length < 2) {
+					offset = 0;
+				}
+			}
+			context.drawElementsInstanced(context.TRIANGLES, count, types[type].glType, offset * types[type].size, instanceCount);
+		};
+	})(count);
+
+	/**
+	 * Draws several instances of the elements in `gl.TRIANGLE_FAN` mode.
+	 *
+	 * Equivalent to calling `gl.drawElementsInstanced` with `gl.TRIANGLE_FAN` (see
+	 * {{#crossLink "OOGL.Context/drawElementsInstanced:method"}}{{/crossLink}}).
+	 *
+	 * @method drawTriangleFanInstanced
+	 * @param instanceCount {Number} The number of instances to draw.
+	 * @param [offset=0] {Number} The index of the first element to draw.
+	 * @param [count] {Number} The number of elements to draw. When not
+	 *	specified defaults to the length of the `indices` array passed to the
+	 *	`ElementArray` constructor.
+	 * @example
+	 *	elements.bind();
+	 *	elements.drawTriangleFanInstanced(1000);
+	 */
+	buffer.drawTriangleFanInstanced = (function (all) {
+		return function (instanceCount, offset, count) {
+			if (arguments.length < 3) {
+				count = all;
+				if (arguments.length < 2) {
+					offset = 0;
+				}
+			}
+			context.drawElementsInstanced(context.TRIANGLE_FAN, count, types[type].glType, offset * types[type].size, instanceCount);
+		};
+	})(count);
+
+	/**
+	 * Draws several instances of the elements in `gl.TRIANGLE_STRIP` mode.
+	 *
+	 * Equivalent to calling `gl.drawElementsInstanced` with `gl.TRIANGLE_STRIP` (see
+	 * {{#crossLink "OOGL.Context/drawElementsInstanced:method"}}{{/crossLink}}).
+	 *
+	 * @method drawTriangleStripInstanced
+	 * @param instanceCount {Number} The number of instances to draw.
+	 * @param [offset=0] {Number} The index of the first element to draw.
+	 * @param [count] {Number} The number of elements to draw. When not
+	 *	specified defaults to the length of the `indices` array passed to the
+	 *	`ElementArray` constructor.
+	 * @example
+	 *	elements.bind();
+	 *	elements.drawTriangleStripInstanced(1000);
+	 */
+	buffer.drawTriangleStripInstanced = (function (all) {
+		return function (instanceCount, offset, count) {
+			if (arguments.length < 3) {
+				count = all;
+				if (arguments.length < 2) {
+					offset = 0;
+				}
+			}
+			context.drawElementsInstanced(context.TRIANGLE_STRIP, count, types[type].glType, offset * types[type].size, instanceCount);
 		};
 	})(count);
 
@@ -0,0 +1,184 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A mutable bounding sphere.
+ *
+ * @class OOGL.BoundingSphere
+ * @constructor
+ * @param {OOGL.Vector3} center The center of the sphere. It is stored as is,
+ *	not duplicated.
+ * @param {Number} radius The radius of the sphere.
+ * @example
+ *	var sphere = new OOGL.BoundingSphere(new OOGL.Vector3(0, 0, 0), 1);
+ */
+OOGL.BoundingSphere = function (center, radius) {
+	/**
+	 * The center of the sphere.
+	 *
+	 * @property center
+	 * @type OOGL.Vector3
+	 */
+	this.center = center;
+
+	/**
+	 * The radius of the sphere.
+	 *
+	 * @property radius
+	 * @type Number
+	 */
+	this.radius = radius;
+};
+
+OOGL.BoundingSphere.prototype = {
+	/**
+	 * Clones this sphere and returns the new one.
+	 *
+	 * @method clone
+	 * @return {OOGL.BoundingSphere} The new sphere.
+	 * @example
+	 *	var s2 = s1.clone();
+	 */
+	clone: function () {
+		return new OOGL.BoundingSphere(this.center.clone(), this.radius);
+	},
+
+	/**
+	 * Indicates whether the specified point lies inside this sphere or on its
+	 * boundary.
+	 *
+	 * @method containsPoint
+	 * @param {OOGL.Vector3} point The point to test.
+	 * @return {Boolean} `true` if the point lies inside this sphere, `false`
+	 *	otherwise.
+	 */
+	containsPoint: function (point) {
+		return point.minus(this.center).length() <= this.radius;
+	},
+
+	/**
+	 * Indicates whether the specified sphere intersects (or touches) this one.
+	 *
+	 * @method intersects
+	 * @param {OOGL.BoundingSphere} sphere The sphere to test.
+	 * @return {Boolean} `true` if the spheres intersect, `false` otherwise.
+	 */
+	intersects: function (sphere) {
+		return sphere.center.minus(this.center).length() <= this.radius + sphere.radius;
+	},
+
+	/**
+	 * Indicates whether the specified box intersects (or touches) this sphere.
+	 *
+	 * @method intersectsAABB
+	 * @param {OOGL.AABB} box The box to test.
+	 * @return {Boolean} `true` if the box intersects this sphere, `false`
+	 *	otherwise.
+	 */
+	intersectsAABB: function (box) {
+		return box.intersectsSphere(this);
+	},
+
+	/**
+	 * Enlarges this sphere, if needed, so that it contains the specified
+	 * point. The center is moved towards the point so that the resulting
+	 * sphere is as small as possible.
+	 *
+	 * @method addPoint
+	 * @param {OOGL.Vector3} point The point to include.
+	 * @return {OOGL.BoundingSphere} This sphere.
+	 */
+	addPoint: function (point) {
+		var delta = point.minus(this.center);
+		var distance = delta.length();
+		if (distance > this.radius) {
+			var radius = (this.radius + distance) / 2;
+			this.center.add(delta.multiply((radius - this.radius) / distance));
+			this.radius = radius;
+		}
+		return this;
+	},
+
+	/**
+	 * Transforms this sphere by the specified affine matrix. The center is
+	 * transformed as a point and the radius is multiplied by the largest
+	 * scaling factor of the matrix, so the result contains the transformed
+	 * sphere even if the scaling is not uniform.
+	 *
+	 * @method transform
+	 * @param {OOGL.Matrix4} matrix The transformation matrix.
+	 * @return {OOGL.BoundingSphere} This sphere.
+	 * @example
+	 *	sphere.transform(model);
+	 */
+	transform: function (matrix) {
+		matrix.multiply(this.center);
+		this.radius *= Math.sqrt(Math.max(
+			matrix[0] * matrix[0] + matrix[1] * matrix[1] + matrix[2] * matrix[2],
+			matrix[4] * matrix[4] + matrix[5] * matrix[5] + matrix[6] * matrix[6],
+			matrix[8] * matrix[8] + matrix[9] * matrix[9] + matrix[10] * matrix[10]
+			));
+		return this;
+	},
+
+	/**
+	 * Transforms this sphere by the specified affine matrix and returns the
+	 * result as a new sphere. This sphere is not modified.
+	 *
+	 * @method getTransformed
+	 * @param {OOGL.Matrix4} matrix The transformation matrix.
+	 * @return {OOGL.BoundingSphere} The new sphere.
+	 * @example
+	 *	var worldSphere = modelSphere.getTransformed(model);
+	 */
+	getTransformed: function (matrix) {
+		return this.clone().transform(matrix);
+	}
+};
+
+/**
+ * Creates a bounding sphere containing all the vertices of the specified flat
+ * array, such as the ones passed to
+ * {{#crossLink "context.AttributeArray3"}}{{/crossLink}}.
+ *
+ * The sphere is centered at the center of the bounding box of the vertices; it
+ * is not necessarily the smallest possible one but is computed in linear time.
+ * If the array contains no vertices the sphere is centered at the origin and
+ * its radius is 0.
+ *
+ * @class OOGL.VertexBoundingSphere
+ * @extends OOGL.BoundingSphere
+ * @constructor
+ * @param {Number[]} vertices The flat vertex array. Typed arrays are also
+ *	accepted.
+ * @param {Number} [stride=3] The number of array elements between the
+ *	beginning of a vertex and the beginning of the next one.
+ * @param {Number} [offset=0] The index of the X coordinate of the first
+ *	vertex.
+ * @example
+ *	var sphere = new OOGL.VertexBoundingSphere(positions);
+ */
+OOGL.VertexBoundingSphere = function (vertices, stride, offset) {
+	if (arguments.length < 2) {
+		stride = 3;
+	}
+	if (arguments.length < 3) {
+		offset = 0;
+	}
+	var box = new OOGL.VertexAABB(vertices, stride, offset);
+	if (box.isEmpty()) {
+		return new OOGL.BoundingSphere(new OOGL.Vector3(0, 0, 0), 0);
+	}
+	var center = box.getCenter();
+	var radius = 0;
+	for (var i = offset; i + 2 < vertices.length; i += stride) {
+		var dx = vertices[i] - center.x;
+		var dy = vertices[i + 1] - center.y;
+		var dz = vertices[i + 2] - center.z;
+		radius = Math.max(radius, dx * dx + dy * dy + dz * dz);
+	}
+	return new OOGL.BoundingSphere(center, Math.sqrt(radius));
+};
@@ -17,8 +17,9 @@
  * @param target {Number} The target against which this buffer will be bound
  *	when the provided `bind` method is used. Either `gl.ARRAY_BUFFER` or
  *	`gl.ELEMENT_ARRAY_BUFFER`.
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @param usage {Number} One of `gl.STATIC_DRAW`, `gl.STREAM_DRAW` or
  *	`gl.DYNAMIC_DRAW`; will be used when calling `gl.bufferData` through the
  *	provided `data` method.
@@ -44,6 +45,10 @@ context.Buffer = (function () {
 			constructor: Uint16Array,
 			size: 2
 		},
+		'uint': {
+			constructor: Uint32Array,
+			size: 4
+		},
 		'float': {
 			constructor: Float32Array,
 			size: 4
@@ -54,7 +59,7 @@ context.Buffer = (function () {
 		if (types.hasOwnProperty(type)) {
 			Constructor = types[type].constructor;
 		} else {
-			throw 'Invalid buffer type, must be one of "byte", "ubyte", "short", "ushort" and "float".';
+			throw 'Invalid buffer type, must be one of "byte", "ubyte", "short", "ushort", "uint" and "float".';
 		}
 		var buffer = context.createBuffer();
 
@@ -222,8 +227,9 @@ context.Buffer = (function () {
  * @param target {Number} The target against which this buffer will be bound
  *	when the provided `bind` method is used. Either `gl.ARRAY_BUFFER` or
  *	`gl.ELEMENT_ARRAY_BUFFER`.
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.StaticBuffer(oogl.ARRAY_BUFFER, 'float');
  */
@@ -240,8 +246,9 @@ context.StaticBuffer = function (target, type) {
  * @param target {Number} The target against which this buffer will be bound
  *	when the provided `bind` method is used. Either `gl.ARRAY_BUFFER` or
  *	`gl.ELEMENT_ARRAY_BUFFER`.
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.StreamBuffer(oogl.ARRAY_BUFFER, 'float');
  */
@@ -259,8 +266,9 @@ context.StreamBuffer = function (target, type) {
  * @param target {Number} The target against which this buffer will be bound
  *	when the provided `bind` method is used. Either `gl.ARRAY_BUFFER` or
  *	`gl.ELEMENT_ARRAY_BUFFER`.
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.DynamicBuffer(oogl.ARRAY_BUFFER, 'float');
  */
@@ -274,8 +282,9 @@ context.DynamicBuffer = function (target, type) {
  * @class context.ArrayBuffer
  * @extends context.Buffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @param usage {Number} One of `gl.STATIC_DRAW`, `gl.STREAM_DRAW` or
  *	`gl.DYNAMIC_DRAW`; will be used when calling `gl.bufferData` through the
  *	provided `data` method.
@@ -292,8 +301,9 @@ context.ArrayBuffer = function (type, usage) {
  * @class context.ElementArrayBuffer
  * @extends context.Buffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @param usage {Number} One of `gl.STATIC_DRAW`, `gl.STREAM_DRAW` or
  *	`gl.DYNAMIC_DRAW`; will be used when calling `gl.bufferData` through the
  *	provided `data` method.
@@ -311,8 +321,9 @@ context.ElementArrayBuffer = function (type, usage) {
  * @class context.StaticArrayBuffer
  * @extends context.StaticBuffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.StaticArrayBuffer('float');
  */
@@ -327,8 +338,9 @@ context.StaticArrayBuffer = function (type) {
  * @class context.StaticElementArrayBuffer
  * @extends context.StaticBuffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.StaticElementArrayBuffer('float');
  */
@@ -343,8 +355,9 @@ context.StaticElementArrayBuffer = function (type) {
  * @class context.StreamArrayBuffer
  * @extends context.StreamBuffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.StreamArrayBuffer('float');
  */
@@ -359,8 +372,9 @@ context.StreamArrayBuffer = function (type) {
  * @class context.StreamElementArrayBuffer
  * @extends context.StreamBuffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.StreamElementArrayBuffer('float');
  */
@@ -375,8 +389,9 @@ context.StreamElementArrayBuffer = function (type) {
  * @class context.DynamicArrayBuffer
  * @extends context.DynamicBuffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.DynamicArrayBuffer('float');
  */
@@ -391,8 +406,9 @@ context.DynamicArrayBuffer = function (type) {
  * @class context.DynamicElementArrayBuffer
  * @extends context.DynamicBuffer
  * @constructor
- * @param type {String} One of `byte`, `ubyte`, `short`, `ushort` and `float`;
- *	indicates the type of the data that will be put in the buffer.
+ * @param type {String} One of `byte`, `ubyte`, `short`, `ushort`, `uint`
+ *	and `float`; indicates the type of the data that will be put in the
+ *	buffer.
  * @example
  *	var buffer = new oogl.DynamicElementArrayBuffer('float');
  */
@@ -0,0 +1,569 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A mutable RGBA color whose components are floating point values in the
+ * range `[0, 1]`, the same representation used by GLSL.
+ *
+ * Besides this constructor, colors can be created from other representations
+ * using {{#crossLink "OOGL.HSVColor"}}{{/crossLink}},
+ * {{#crossLink "OOGL.HSLColor"}}{{/crossLink}},
+ * {{#crossLink "OOGL.HexColor"}}{{/crossLink}} and
+ * {{#crossLink "OOGL.CSSColor"}}{{/crossLink}}.
+ *
+ * @class OOGL.Color
+ * @constructor
+ * @param {Number} r The red component.
+ * @param {Number} g The green component.
+ * @param {Number} b The blue component.
+ * @param {Number} [a=1] The alpha component.
+ * @example
+ *	var orange = new OOGL.Color(1, 0.5, 0);
+ */
+OOGL.Color = function (r, g, b, a) {
+	/**
+	 * The red component.
+	 *
+	 * @property r
+	 * @type Number
+	 */
+	this.r = r;
+
+	/**
+	 * The green component.
+	 *
+	 * @property g
+	 * @type Number
+	 */
+	this.g = g;
+
+	/**
+	 * The blue component.
+	 *
+	 * @property b
+	 * @type Number
+	 */
+	this.b = b;
+
+	/**
+	 * The alpha component.
+	 *
+	 * @property a
+	 * @type Number
+	 */
+	this.a = (arguments.length < 4) ? 1 : a;
+};
+
+OOGL.Color.prototype = {
+	/**
+	 * Clones this color and returns the new one.
+	 *
+	 * @method clone
+	 * @return {OOGL.Color} The new color.
+	 * @example
+	 *	var c2 = c1.clone();
+	 */
+	clone: function () {
+		return new OOGL.Color(this.r, this.g, this.b, this.a);
+	},
+
+	/**
+	 * Returns the red, green, blue and alpha components of this color as an
+	 * array.
+	 *
+	 * @method toArray
+	 * @return {Number[]} The RGBA components.
+	 * @example
+	 *	program.uniform4fv('Color', color.toArray());
+	 */
+	toArray: function () {
+		return [this.r, this.g, this.b, this.a];
+	},
+
+	/**
+	 * Returns the red, green and blue components of this color as a new
+	 * `OOGL.Vector3`.
+	 *
+	 * @method toVector3
+	 * @return {OOGL.Vector3} The RGB components.
+	 * @example
+	 *	program.uniformVec3('LightColor', color.toVector3());
+	 */
+	toVector3: function () {
+		return new OOGL.Vector3(this.r, this.g, this.b);
+	},
+
+	/**
+	 * Returns the red, green, blue and alpha components of this color as a new
+	 * `OOGL.Vector4`.
+	 *
+	 * @method toVector4
+	 * @return {OOGL.Vector4} The RGBA components.
+	 */
+	toVector4: function () {
+		return new OOGL.Vector4(this.r, this.g, this.b, this.a);
+	},
+
+	/**
+	 * Converts this color to the HSV (hue, saturation, value) representation.
+	 * The alpha component is ignored.
+	 *
+	 * @method toHSV
+	 * @return {Number[]} An array containing the hue in degrees, in the range
+	 *	`[0, 360)`, the saturation and the value, both in the range `[0, 1]`.
+	 * @example
+	 *	var hue = color.toHSV()[0];
+	 */
+	toHSV: function () {
+		var max = Math.max(this.r, this.g, this.b);
+		var min = Math.min(this.r, this.g, this.b);
+		return [this.getHue(), max ? (max - min) / max : 0, max];
+	},
+
+	/**
+	 * Converts this color to the HSL (hue, saturation, lightness)
+	 * representation. The alpha component is ignored.
+	 *
+	 * @method toHSL
+	 * @return {Number[]} An array containing the hue in degrees, in the range
+	 *	`[0, 360)`, the saturation and the lightness, both in the range
+	 *	`[0, 1]`.
+	 * @example
+	 *	var lightness = color.toHSL()[2];
+	 */
+	toHSL: function () {
+		var max = Math.max(this.r, this.g, this.b);
+		var min = Math.min(this.r, this.g, this.b);
+		var l = (max + min) / 2;
+		var s = ((max == min) || (l <= 0) || (l >= 1)) ? 0 : (max - min) / (1 - Math.abs(2 * l - 1));
+		return [this.getHue(), s, l];
+	},
+
+	/**
+	 * Computes the hue of this color, as used by the HSV and HSL
+	 * representations.
+	 *
+	 * @method getHue
+	 * @return {Number} The hue in degrees, in the range `[0, 360)`. Shades of
+	 *	gray have hue 0.
+	 */
+	getHue: function () {
+		var max = Math.max(this.r, this.g, this.b);
+		var delta = max - Math.min(this.r, this.g, this.b);
+		var h;
+		if (!delta) {
+			return 0;
+		} else if (max == this.r) {
+			h = (this.g - this.b) / delta;
+		} else if (max == this.g) {
+			h = (this.b - this.r) / delta + 2;
+		} else {
+			h = (this.r - this.g) / delta + 4;
+		}
+		return (h * 60 + 360) % 360;
+	},
+
+	/**
+	 * Formats this color as a hexadecimal string in the `#rrggbb` format, or
+	 * `#rrggbbaa` if `alpha` is `true`. Components are clamped to the range
+	 * `[0, 1]`.
+	 *
+	 * @method toHex
+	 * @param {Boolean} [alpha=false] Whether to include the alpha component.
+	 * @return {String} The hexadecimal string.
+	 * @example
+	 *	var hex = (new OOGL.Color(1, 0.5, 0)).toHex(); // '#ff8000'
+	 */
+	toHex: function (alpha) {
+		var components = alpha ? [this.r, this.g, this.b, this.a] : [this.r, this.g, this.b];
+		return '#' + components.map(function (value) {
+			var n = Math.round(Math.max(0, Math.min(1, value)) * 255);
+			return ((n < 16) ? '0' : '') + n.toString(16);
+		}).join('');
+	},
+
+	/**
+	 * Formats this color as a CSS `rgba()` string, which can be used to style
+	 * DOM elements or to draw on 2D canvases. Components are clamped to the
+	 * range `[0, 1]`.
+	 *
+	 * @method toCSS
+	 * @return {String} The CSS color string.
+	 * @example
+	 *	element.style.color = color.toCSS(); // e.g. 'rgba(255, 128, 0, 1)'
+	 */
+	toCSS: function () {
+		function toByte(value) {
+			return Math.round(Math.max(0, Math.min(1, value)) * 255);
+		}
+		return 'rgba(' + toByte(this.r) + ', ' + toByte(this.g) + ', ' + toByte(this.b) + ', ' +
+			Math.max(0, Math.min(1, this.a)) + ')';
+	},
+
+	/**
+	 * Converts this color from the sRGB color space, used by images and CSS
+	 * colors, to linear RGB, in which lighting computations must be done. The
+	 * alpha component is not changed. This color is changed.
+	 *
+	 * @method linearize
+	 * @return {OOGL.Color} This color.
+	 * @example
+	 *	var diffuse = (new OOGL.HexColor('#808080')).linearize();
+	 */
+	linearize: function () {
+		function convert(value) {
+			if (value <= 0.04045) {
+				return value / 12.92;
+			} else {
+				return Math.pow((value + 0.055) / 1.055, 2.4);
+			}
+		}
+		this.r = convert(this.r);
+		this.g = convert(this.g);
+		this.b = convert(this.b);
+		return this;
+	},
+
+	/**
+	 * Converts this color from the sRGB color space to linear RGB and returns
+	 * the result as a new color. This color is not changed.
+	 *
+	 * @method getLinearized
+	 * @return {OOGL.Color} The linear color.
+	 * @example
+	 *	var diffuse = sRGBColor.getLinearized();
+	 */
+	getLinearized: function () {
+		return this.clone().linearize();
+	},
+
+	/**
+	 * Converts this color from linear RGB to the sRGB color space. The alpha
+	 * component is not changed. This color is changed.
+	 *
+	 * @method delinearize
+	 * @return {OOGL.Color} This color.
+	 * @example
+	 *	element.style.color = lightColor.delinearize().toCSS();
+	 */
+	delinearize: function () {
+		function convert(value) {
+			if (value <= 0.0031308) {
+				return value * 12.92;
+			} else {
+				return 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+			}
+		}
+		this.r = convert(this.r);
+		this.g = convert(this.g);
+		this.b = convert(this.b);
+		return this;
+	},
+
+	/**
+	 * Converts this color from linear RGB to the sRGB color space and returns
+	 * the result as a new color. This color is not changed.
+	 *
+	 * @method getDelinearized
+	 * @return {OOGL.Color} The sRGB color.
+	 */
+	getDelinearized: function () {
+		return this.clone().delinearize();
+	},
+
+	/**
+	 * Multiplies the red, green and blue components of this color by its
+	 * alpha component, as required by the `gl.ONE, gl.ONE_MINUS_SRC_ALPHA`
+	 * blending function. This color is changed.
+	 *
+	 * @method premultiply
+	 * @return {OOGL.Color} This color.
+	 * @example
+	 *	program.uniformColor('Color', color.premultiply());
+	 */
+	premultiply: function () {
+		this.r *= this.a;
+		this.g *= this.a;
+		this.b *= this.a;
+		return this;
+	},
+
+	/**
+	 * Multiplies the red, green and blue components of this color by its
+	 * alpha component and returns the result as a new color. This color is
+	 * not changed.
+	 *
+	 * @method getPremultiplied
+	 * @return {OOGL.Color} The premultiplied color.
+	 */
+	getPremultiplied: function () {
+		return this.clone().premultiply();
+	},
+
+	/**
+	 * Divides the red, green and blue components of this color by its alpha
+	 * component, reverting the effect of
+	 * {{#crossLink "OOGL.Color/premultiply:method"}}{{/crossLink}}. Fully
+	 * transparent colors are left untouched. This color is changed.
+	 *
+	 * @method unpremultiply
+	 * @return {OOGL.Color} This color.
+	 */
+	unpremultiply: function () {
+		if (this.a) {
+			this.r /= this.a;
+			this.g /= this.a;
+			this.b /= this.a;
+		}
+		return this;
+	},
+
+	/**
+	 * Divides the red, green and blue components of this color by its alpha
+	 * component and returns the result as a new color. This color is not
+	 * changed.
+	 *
+	 * @method getUnpremultiplied
+	 * @return {OOGL.Color} The straight-alpha color.
+	 */
+	getUnpremultiplied: function () {
+		return this.clone().unpremultiply();
+	},
+
+	/**
+	 * Linearly interpolates between this color and the specified one, alpha
+	 * included. This color is changed.
+	 *
+	 * @method lerp
+	 * @param {OOGL.Color} color The target color.
+	 * @param {Number} t The interpolation factor, from 0 (this color) to 1 (the
+	 *	target color).
+	 * @return {OOGL.Color} This color.
+	 * @example
+	 *	skyColor.lerp(OOGL.Color.BLACK, sunset);
+	 */
+	lerp: function (color, t) {
+		this.r += (color.r - this.r) * t;
+		this.g += (color.g - this.g) * t;
+		this.b += (color.b - this.b) * t;
+		this.a += (color.a - this.a) * t;
+		return this;
+	},
+
+	/**
+	 * Linearly interpolates between this color and the specified one and
+	 * returns the result as a new color. This color is not changed.
+	 *
+	 * @method getLerp
+	 * @param {OOGL.Color} color The target color.
+	 * @param {Number} t The interpolation factor, from 0 (this color) to 1 (the
+	 *	target color).
+	 * @return {OOGL.Color} The interpolated color.
+	 */
+	getLerp: function (color, t) {
+		return this.clone().lerp(color, t);
+	}
+};
+
+/**
+ * Opaque black.
+ *
+ * @property BLACK
+ * @static
+ * @type OOGL.Color
+ */
+OOGL.Color.BLACK = new OOGL.Color(0, 0, 0, 1);
+
+/**
+ * Opaque white.
+ *
+ * @property WHITE
+ * @static
+ * @type OOGL.Color
+ */
+OOGL.Color.WHITE = new OOGL.Color(1, 1, 1, 1);
+
+/**
+ * Fully transparent black.
+ *
+ * @property TRANSPARENT
+ * @static
+ * @type OOGL.Color
+ */
+OOGL.Color.TRANSPARENT = new OOGL.Color(0, 0, 0, 0);
+
+/**
+ * Creates a color from the HSV (hue, saturation, value) representation.
+ *
+ * @class OOGL.HSVColor
+ * @extends OOGL.Color
+ * @constructor
+ * @param {Number} h The hue in degrees; values outside the range `[0, 360)`
+ *	wrap around.
+ * @param {Number} s The saturation, from 0 to 1.
+ * @param {Number} v The value, from 0 to 1.
+ * @param {Number} [a=1] The alpha component.
+ * @example
+ *	var yellow = new OOGL.HSVColor(60, 1, 1);
+ */
+OOGL.HSVColor = function (h, s, v, a) {
+	h = ((h % 360) + 360) % 360 / 60;
+	function component(n) {
+		var k = (n + h) % 6;
+		return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+	}
+	return new OOGL.Color(component(5), component(3), component(1), (arguments.length < 4) ? 1 : a);
+};
+
+/**
+ * Creates a color from the HSL (hue, saturation, lightness) representation.
+ *
+ * @class OOGL.HSLColor
+ * @extends OOGL.Color
+ * @constructor
+ * @param {Number} h The hue in degrees; values outside the range `[0, 360)`
+ *	wrap around.
+ * @param {Number} s The saturation, from 0 to 1.
+ * @param {Number} l The lightness, from 0 to 1.
+ * @param {Number} [a=1] The alpha component.
+ * @example
+ *	var pink = new OOGL.HSLColor(0, 1, 0.75);
+ */
+OOGL.HSLColor = function (h, s, l, a) {
+	h = ((h % 360) + 360) % 360 / 30;
+	var chroma = s * Math.min(l, 1 - l);
+	function component(n) {
+		var k = (n + h) % 12;
+		return l - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+	}
+	return new OOGL.Color(component(0), component(8), component(4), (arguments.length < 4) ? 1 : a);
+};
+
+/**
+ * Creates a color from its hexadecimal representation.
+ *
+ * The representation can be either a number in the `0xRRGGBB` format or a
+ * string in one of the `#rgb`, `#rgba`, `#rrggbb` and `#rrggbbaa` formats; the
+ * leading `#` is optional.
+ *
+ * An exception is thrown if the string is not in a valid format.
+ *
+ * @class OOGL.HexColor
+ * @extends OOGL.Color
+ * @constructor
+ * @param {Mixed} hex The hexadecimal representation, a number or a string.
+ * @example
+ *	var c1 = new OOGL.HexColor(0xff8000);
+ *	var c2 = new OOGL.HexColor('#ff8000');
+ *	var c3 = new OOGL.HexColor('f80');
+ */
+OOGL.HexColor = function (hex) {
+	if (typeof hex === 'number') {
+		return new OOGL.Color(((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255, 1);
+	}
+	var digits = hex.replace(/^#/, '');
+	if (!/^[0-9a-fA-F]+$/.test(digits)) {
+		throw 'Invalid hexadecimal color: ' + hex;
+	}
+	var components;
+	if ((digits.length == 3) || (digits.length == 4)) {
+		components = digits.split('').map(function (digit) {
+			return parseInt(digit + digit, 16) / 255;
+		});
+	} else if ((digits.length == 6) || (digits.length == 8)) {
+		components = digits.match(/../g).map(function (pair) {
+			return parseInt(pair, 16) / 255;
+		});
+	} else {
+		throw 'Invalid hexadecimal color: ' + hex;
+	}
+	return new OOGL.Color(components[0], components[1], components[2], (components.length > 3) ? components[3] : 1);
+};
+
+/**
+ * Creates a color by parsing the specified CSS color string.
+ *
+ * Supported formats are hexadecimal colors (see
+ * {{#crossLink "OOGL.HexColor"}}{{/crossLink}}), the `rgb()`, `rgba()`,
+ * `hsl()` and `hsla()` functional notations (with comma-separated arguments,
+ * percentages allowed where CSS allows them) and the basic named colors,
+ * including `transparent`.
+ *
+ * An exception is thrown if the string cannot be parsed.
+ *
+ * @class OOGL.CSSColor
+ * @extends OOGL.Color
+ * @constructor
+ * @param {String} css The CSS color string.
+ * @example
+ *	var c1 = new OOGL.CSSColor('rgba(255, 128, 0, 0.5)');
+ *	var c2 = new OOGL.CSSColor('hsl(120, 100%, 25%)');
+ *	var c3 = new OOGL.CSSColor('teal');
+ */
+OOGL.CSSColor = function (css) {
+	var names = {
+		black: 0x000000,
+		silver: 0xc0c0c0,
+		gray: 0x808080,
+		grey: 0x808080,
+		white: 0xffffff,
+		maroon: 0x800000,
+		red: 0xff0000,
+		purple: 0x800080,
+		fuchsia: 0xff00ff,
+		green: 0x008000,
+		lime: 0x00ff00,
+		olive: 0x808000,
+		yellow: 0xffff00,
+		navy: 0x000080,
+		blue: 0x0000ff,
+		teal: 0x008080,
+		aqua: 0x00ffff,
+		orange: 0xffa500
+	};
+	var string = css.replace(/^\s+|\s+$/g, '').toLowerCase();
+	if (string === 'transparent') {
+		return new OOGL.Color(0, 0, 0, 0);
+	} else if (names.hasOwnProperty(string)) {
+		return new OOGL.HexColor(names[string]);
+	} else if (string.charAt(0) === '#') {
+		return new OOGL.HexColor(string);
+	}
+	var match = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(string);
+	if (!match) {
+		throw 'Invalid CSS color: ' + css;
+	}
+	var args = match[2].split(',').map(function (arg) {
+		return arg.replace(/^\s+|\s+$/g, '');
+	});
+	if ((args.length < 3) || (args.length > 4)) {
+		throw 'Invalid CSS color: ' + css;
+	}
+	function number(arg, percentScale) {
+		if (!/^[+\-]?(\d+\.?\d*|\.\d+)%?$/.test(arg)) {
+			throw 'Invalid CSS color: ' + css;
+		}
+		if (arg.charAt(arg.length - 1) === '%') {
+			return parseFloat(arg) * percentScale / 100;
+		} else {
+			return parseFloat(arg);
+		}
+	}
+	function clamp(value) {
+		return Math.max(0, Math.min(1, value));
+	}
+	var a = (args.length > 3) ? clamp(number(args[3], 1)) : 1;
+	if (match[1].charAt(0) === 'r') {
+		return new OOGL.Color(
+			clamp(number(args[0], 255) / 255),
+			clamp(number(args[1], 255) / 255),
+			clamp(number(args[2], 255) / 255),
+			a
+			);
+	} else {
+		return new OOGL.HSLColor(number(args[0], 360), clamp(number(args[1], 1)), clamp(number(args[2], 1)), a);
+	}
+};
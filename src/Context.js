@@ -0,0 +1,129 @@
+/*global context: false, WebGL2RenderingContext: false */
+
+/**
+ * @module context
+ */
+
+/**
+ * Specifies the clear color using the specified `OOGL.Color` object.
+ *
+ * `gl.clearColor` equivalent.
+ *
+ * @method clearColorObject
+ * @for OOGL.Context
+ * @param color {OOGL.Color} The color used to clear the color buffer.
+ * @example
+ *	var oogl = new OOGL.Context('canvas');
+ *	oogl.clearColorObject(new OOGL.CSSColor('#336699'));
+ *	oogl.clear(oogl.COLOR_BUFFER_BIT);
+ */
+context.clearColorObject = function (color) {
+	context.clearColor(color.r, color.g, color.b, color.a);
+};
+
+/**
+ * Indicates whether this is a WebGL 2 context. This is only possible if it has
+ * been requested when constructing the
+ * {{#crossLink "OOGL.Context"}}{{/crossLink}}.
+ *
+ * @method isWebGL2
+ * @for OOGL.Context
+ * @return {Boolean} `true` if this is a WebGL 2 context, `false` otherwise.
+ * @example
+ *	var oogl = new OOGL.Context('canvas', null, true);
+ *	if (oogl.isWebGL2()) {
+ *		// use WebGL 2 features
+ *	}
+ */
+context.isWebGL2 = function () {
+	return (typeof WebGL2RenderingContext !== 'undefined') && (context instanceof WebGL2RenderingContext);
+};
+
+if (!context.isWebGL2()) {
+	(function () {
+		var extension = null;
+
+		function getExtension() {
+			if (!extension) {
+				extension = context.getExtension('ANGLE_instanced_arrays');
+				if (!extension) {
+					throw 'Instanced rendering requires the ANGLE_instanced_arrays extension, which is not supported.';
+				}
+			}
+			return extension;
+		}
+
+		/**
+		 * Specifies how many instances are drawn before the `index`-th vertex
+		 * attribute array advances to its next element; 0 (the default)
+		 * means that the array advances once per vertex.
+		 *
+		 * `gl.vertexAttribDivisor` equivalent. This method is native on WebGL 2
+		 * contexts (see
+		 * {{#crossLink "OOGL.Context/isWebGL2:method"}}{{/crossLink}}); on
+		 * WebGL 1 contexts OOGL provides it through the
+		 * `ANGLE_instanced_arrays` extension and throws an exception if the
+		 * extension is not supported.
+		 *
+		 * @method vertexAttribDivisor
+		 * @for OOGL.Context
+		 * @param index {Number} The attribute array index.
+		 * @param divisor {Number} The divisor.
+		 * @example
+		 *	oogl.vertexAttribDivisor(3, 1);
+		 */
+		context.vertexAttribDivisor = function (index, divisor) {
+			getExtension().vertexAttribDivisorANGLE(index, divisor);
+		};
+
+		/**
+		 * Draws several instances of the specified range of vertex attribute
+		 * arrays.
+		 *
+		 * `gl.drawArraysInstanced` equivalent. This method is native on WebGL 2
+		 * contexts (see
+		 * {{#crossLink "OOGL.Context/isWebGL2:method"}}{{/crossLink}}); on
+		 * WebGL 1 contexts OOGL provides it through the
+		 * `ANGLE_instanced_arrays` extension and throws an exception if the
+		 * extension is not supported.
+		 *
+		 * @method drawArraysInstanced
+		 * @for OOGL.Context
+		 * @param mode {Number} The primitive type, e.g. `gl.TRIANGLES`.
+		 * @param first {Number} The index of the first vertex to draw.
+		 * @param count {Number} The number of vertices to draw.
+		 * @param instanceCount {Number} The number of instances to draw.
+		 * @example
+		 *	oogl.drawArraysInstanced(oogl.TRIANGLES, 0, 36, 1000);
+		 */
+		context.drawArraysInstanced = function (mode, first, count, instanceCount) {
+			getExtension().drawArraysInstancedANGLE(mode, first, count, instanceCount);
+		};
+
+		/**
+		 * Draws several instances of the specified range of the bound element
+		 * array.
+		 *
+		 * `gl.drawElementsInstanced` equivalent. This method is native on
+		 * WebGL 2 contexts (see
+		 * {{#crossLink "OOGL.Context/isWebGL2:method"}}{{/crossLink}}); on
+		 * WebGL 1 contexts OOGL provides it through the
+		 * `ANGLE_instanced_arrays` extension and throws an exception if the
+		 * extension is not supported.
+		 *
+		 * @method drawElementsInstanced
+		 * @for OOGL.Context
+		 * @param mode {Number} The primitive type, e.g. `gl.TRIANGLES`.
+		 * @param count {Number} The number of elements to draw.
+		 * @param type {Number} The type of the elements, e.g.
+		 *	`gl.UNSIGNED_SHORT`.
+		 * @param offset {Number} The byte offset of the first element to draw.
+		 * @param instanceCount {Number} The number of instances to draw.
+		 * @example
+		 *	oogl.drawElementsInstanced(oogl.TRIANGLES, 36, oogl.UNSIGNED_SHORT, 0, 1000);
+		 */
+		context.drawElementsInstanced = function (mode, count, type, offset, instanceCount) {
+			getExtension().drawElementsInstancedANGLE(mode, count, type, offset, instanceCount);
+		};
+	})();
+}
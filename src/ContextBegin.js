@@ -48,6 +48,13 @@
  *	var program = new oogl.AutoProgram(fragmentSource, vertexSource, ['in_Vertex, in_TexCoord']);
  *	program.use();
  *
+ * A WebGL 2 context is requested first if the `webgl2` argument is `true`,
+ * falling back to WebGL 1 if WebGL 2 is not supported; use
+ * {{#crossLink "OOGL.Context/isWebGL2:method"}}{{/crossLink}} to tell which
+ * one was obtained. On WebGL 2 contexts OOGL uses the native vertex array
+ * objects, instanced rendering and `uint` element indices instead of the
+ * corresponding WebGL 1 extensions.
+ *
  * @class OOGL.Context
  * @extends WebGLRenderingContext
  * @constructor
@@ -55,19 +62,31 @@
  *	containing its `id` attribute, representing the canvas whose WebGL context
  *	has to be wrapped.
  * @param [attributes] {Object} WebGL attributes to pass to `canvas.getContext`.
+ * @param [webgl2=false] {Boolean} Indicates whether a WebGL 2 context must be
+ *	requested first.
  * @example
  *	var oogl = new OOGL.Context('canvas', {
  *		stencil: true
  *	});
+ *	var oogl2 = new OOGL.Context('canvas2', null, true);
+ *	if (!oogl2.isWebGL2()) {
+ *		// WebGL 1 fallback
+ *	}
  */
-OOGL.Context = function (canvasOrId, attributes) {
+OOGL.Context = function (canvasOrId, attributes, webgl2) {
 	var canvas;
 	if (typeof canvasOrId !== 'string') {
 		canvas = canvasOrId;
 	} else {
 		canvas = document.getElementById(canvasOrId);
 	}
-	var context = canvas.getContext('webgl', attributes);
+	var context = null;
+	if (webgl2) {
+		context = canvas.getContext('webgl2', attributes);
+	}
+	if (!context) {
+		context = canvas.getContext('webgl', attributes);
+	}
 	if (!context) {
 		context = canvas.getContext('experimental-webgl', attributes);
 	}
@@ -0,0 +1,269 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A parametric curve whose points are `OOGL.Vector2`, `OOGL.Vector3` or
+ * `OOGL.Vector4` objects, defined by a function that computes the position for
+ * a given parameter value in the range `[0, 1]` and one that computes its
+ * derivative (the tangent).
+ *
+ * You usually do not construct `OOGL.Curve` objects directly but use one of
+ * {{#crossLink "OOGL.BezierCurve"}}{{/crossLink}},
+ * {{#crossLink "OOGL.HermiteCurve"}}{{/crossLink}} and
+ * {{#crossLink "OOGL.CatmullRomSpline"}}{{/crossLink}}.
+ *
+ * Besides the parameter-based evaluation, curves support arc-length
+ * parameterization, which moves along the curve at constant speed. The arc
+ * length is approximated by sampling the curve the first time it is needed.
+ *
+ * @class OOGL.Curve
+ * @constructor
+ * @param {Function} position A function that receives a parameter value and
+ *	returns the corresponding point as a new vector.
+ * @param {Function} tangent A function that receives a parameter value and
+ *	returns the derivative of the curve at that point as a new vector.
+ * @param {Number} [samples=100] The number of linear segments used to
+ *	approximate the arc length of the curve.
+ * @example
+ *	var line = new OOGL.Curve(function (t) {
+ *		return a.getLerp(b, t);
+ *	}, function () {
+ *		return b.minus(a);
+ *	});
+ */
+OOGL.Curve = function (position, tangent, samples) {
+	this.position = position;
+	this.tangent = tangent;
+	this.samples = (arguments.length < 3) ? 100 : samples;
+	this.lengths = null;
+};
+
+OOGL.Curve.prototype = {
+	/**
+	 * Computes the point of this curve at the specified parameter value.
+	 *
+	 * @method at
+	 * @param {Number} t The parameter value, from 0 (the start of the curve) to
+	 *	1 (the end of the curve).
+	 * @return {Mixed} The point, as a new vector.
+	 * @example
+	 *	camera.position = path.at(t);
+	 */
+	at: function (t) {
+		return this.position(t);
+	},
+
+	/**
+	 * Computes the tangent (the derivative with respect to the parameter) of
+	 * this curve at the specified parameter value. The returned vector is not
+	 * normalized.
+	 *
+	 * @method tangentAt
+	 * @param {Number} t The parameter value, from 0 to 1.
+	 * @return {Mixed} The tangent, as a new vector.
+	 * @example
+	 *	var heading = path.tangentAt(t).normalize();
+	 */
+	tangentAt: function (t) {
+		return this.tangent(t);
+	},
+
+	/**
+	 * Returns the arc length of this curve.
+	 *
+	 * @method getLength
+	 * @return {Number} The approximated length of this curve.
+	 * @example
+	 *	var duration = path.getLength() / speed;
+	 */
+	getLength: function () {
+		if (!this.lengths) {
+			this.lengths = [0];
+			var previous = this.position(0);
+			for (var i = 1; i <= this.samples; i++) {
+				var current = this.position(i / this.samples);
+				this.lengths.push(this.lengths[i - 1] + current.minus(previous).length());
+				previous = current;
+			}
+		}
+		return this.lengths[this.samples];
+	},
+
+	/**
+	 * Computes the parameter value corresponding to the point at the specified
+	 * arc length from the start of this curve. The distance is clamped to the
+	 * range `[0, getLength()]`.
+	 *
+	 * @method parameterAt
+	 * @param {Number} distance The arc length from the start of the curve.
+	 * @return {Number} The parameter value, from 0 to 1.
+	 * @example
+	 *	var t = path.parameterAt(speed * elapsed);
+	 */
+	parameterAt: function (distance) {
+		var length = this.getLength();
+		if (distance <= 0) {
+			return 0;
+		} else if (distance >= length) {
+			return 1;
+		}
+		var low = 0;
+		var high = this.samples;
+		while (high - low > 1) {
+			var middle = (low + high) >> 1;
+			if (this.lengths[middle] < distance) {
+				low = middle;
+			} else {
+				high = middle;
+			}
+		}
+		var segment = this.lengths[high] - this.lengths[low];
+		return (low + (segment ? (distance - this.lengths[low]) / segment : 0)) / this.samples;
+	},
+
+	/**
+	 * Computes the point at the specified arc length from the start of this
+	 * curve.
+	 *
+	 * @method atDistance
+	 * @param {Number} distance The arc length from the start of the curve.
+	 * @return {Mixed} The point, as a new vector.
+	 * @example
+	 *	camera.position = path.atDistance(speed * elapsed);
+	 */
+	atDistance: function (distance) {
+		return this.position(this.parameterAt(distance));
+	},
+
+	/**
+	 * Computes the tangent of this curve at the specified arc length from its
+	 * start. The returned vector is not normalized.
+	 *
+	 * @method tangentAtDistance
+	 * @param {Number} distance The arc length from the start of the curve.
+	 * @return {Mixed} The tangent, as a new vector.
+	 * @example
+	 *	var heading = path.tangentAtDistance(speed * elapsed).normalize();
+	 */
+	tangentAtDistance: function (distance) {
+		return this.tangent(this.parameterAt(distance));
+	}
+};
+
+/**
+ * Creates a cubic Hermite curve going from `p0` to `p1` with the specified
+ * tangents at its ends.
+ *
+ * The points and tangents can be `OOGL.Vector2`, `OOGL.Vector3` or
+ * `OOGL.Vector4` objects, but they must all be of the same type.
+ *
+ * @class OOGL.HermiteCurve
+ * @extends OOGL.Curve
+ * @constructor
+ * @param {Mixed} p0 The start point.
+ * @param {Mixed} m0 The tangent at the start point.
+ * @param {Mixed} p1 The end point.
+ * @param {Mixed} m1 The tangent at the end point.
+ * @example
+ *	var curve = new OOGL.HermiteCurve(start, startVelocity, end, endVelocity);
+ */
+OOGL.HermiteCurve = function (p0, m0, p1, m1) {
+	return new OOGL.Curve(function (t) {
+		var t2 = t * t;
+		var t3 = t2 * t;
+		return p0.by(2 * t3 - 3 * t2 + 1)
+			.add(m0.by(t3 - 2 * t2 + t))
+			.add(p1.by(3 * t2 - 2 * t3))
+			.add(m1.by(t3 - t2));
+	}, function (t) {
+		var t2 = t * t;
+		return p0.by(6 * t2 - 6 * t)
+			.add(m0.by(3 * t2 - 4 * t + 1))
+			.add(p1.by(6 * t - 6 * t2))
+			.add(m1.by(3 * t2 - 2 * t));
+	});
+};
+
+/**
+ * Creates a cubic Bezier curve with the specified control points. The curve
+ * starts at `p0`, ends at `p3` and is pulled towards `p1` and `p2`.
+ *
+ * The control points can be `OOGL.Vector2`, `OOGL.Vector3` or `OOGL.Vector4`
+ * objects, but they must all be of the same type.
+ *
+ * @class OOGL.BezierCurve
+ * @extends OOGL.Curve
+ * @constructor
+ * @param {Mixed} p0 The start point.
+ * @param {Mixed} p1 The first control point.
+ * @param {Mixed} p2 The second control point.
+ * @param {Mixed} p3 The end point.
+ * @example
+ *	var curve = new OOGL.BezierCurve(
+ *		new OOGL.Vector2(0, 0),
+ *		new OOGL.Vector2(0, 1),
+ *		new OOGL.Vector2(1, 1),
+ *		new OOGL.Vector2(1, 0)
+ *		);
+ */
+OOGL.BezierCurve = function (p0, p1, p2, p3) {
+	return new OOGL.HermiteCurve(p0, p1.minus(p0).multiply(3), p3, p3.minus(p2).multiply(3));
+};
+
+/**
+ * Creates a uniform Catmull-Rom spline passing through all the specified
+ * points. The parameter range `[0, 1]` is evenly split among the segments
+ * between consecutive points.
+ *
+ * The points can be `OOGL.Vector2`, `OOGL.Vector3` or `OOGL.Vector4` objects,
+ * but they must all be of the same type.
+ *
+ * An exception is thrown if fewer than two points are specified.
+ *
+ * @class OOGL.CatmullRomSpline
+ * @extends OOGL.Curve
+ * @constructor
+ * @param {Mixed[]} points The points to interpolate.
+ * @param {Boolean} [closed=false] If `true`, the spline also goes from the
+ *	last point back to the first one, forming a loop.
+ * @example
+ *	var path = new OOGL.CatmullRomSpline(waypoints, true);
+ *	(new OOGL.RenderLoop(function () {
+ *		var distance = (OOGL.Timing.now() * speed) % path.getLength();
+ *		camera.position = path.atDistance(distance);
+ *	})).start();
+ */
+OOGL.CatmullRomSpline = function (points, closed) {
+	var n = points.length;
+	if (n < 2) {
+		throw 'A Catmull-Rom spline needs at least two points.';
+	}
+	function tangent(i) {
+		if (closed) {
+			return points[(i + 1) % n].minus(points[(i + n - 1) % n]).multiply(0.5);
+		} else if (!i) {
+			return points[1].minus(points[0]);
+		} else if (i == n - 1) {
+			return points[n - 1].minus(points[n - 2]);
+		} else {
+			return points[i + 1].minus(points[i - 1]).multiply(0.5);
+		}
+	}
+	var segments = [];
+	var count = closed ? n : (n - 1);
+	for (var i = 0; i < count; i++) {
+		segments.push(new OOGL.HermiteCurve(points[i], tangent(i), points[(i + 1) % n], tangent((i + 1) % n)));
+	}
+	return new OOGL.Curve(function (t) {
+		var x = Math.max(0, Math.min(1, t)) * count;
+		var i = Math.min(Math.floor(x), count - 1);
+		return segments[i].at(x - i);
+	}, function (t) {
+		var x = Math.max(0, Math.min(1, t)) * count;
+		var i = Math.min(Math.floor(x), count - 1);
+		return segments[i].tangentAt(x - i).multiply(count);
+	}, 100 * count);
+};
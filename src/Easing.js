@@ -0,0 +1,475 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * Static class providing standard easing functions for animations.
+ *
+ * Every easing function maps a linear progress value in the range `[0, 1]` to
+ * an eased one, with 0 mapped to 0 and 1 mapped to 1. `*In` functions start
+ * slowly, `*Out` functions end slowly and `*InOut` functions do both. The back
+ * and elastic functions overshoot the `[0, 1]` range.
+ *
+ * The eased values can be used as interpolation factors, e.g. for the `lerp`
+ * methods of the vector classes or the `slerp` method of
+ * {{#crossLink "OOGL.Quaternion"}}{{/crossLink}}.
+ *
+ * @class OOGL.Easing
+ * @static
+ * @example
+ *	var start = OOGL.Timing.now();
+ *	(new OOGL.RenderLoop(function () {
+ *		var t = OOGL.Easing.progress(start, 2000, OOGL.Easing.cubicInOut);
+ *		position = from.getLerp(to, t);
+ *	})).start();
+ */
+OOGL.Easing = {
+	/**
+	 * Computes the eased progress of an animation that started at the
+	 * specified timestamp and lasts for the specified duration, based on the
+	 * current time as returned by
+	 * {{#crossLink "OOGL.Timing/now:method"}}{{/crossLink}}.
+	 *
+	 * The linear progress is clamped to the range `[0, 1]` before being
+	 * eased, so the result is 0 before the animation starts and 1 after it
+	 * ends.
+	 *
+	 * @method progress
+	 * @static
+	 * @param {Number} start The timestamp at which the animation started, in
+	 *	milliseconds.
+	 * @param {Number} duration The duration of the animation, in milliseconds.
+	 * @param {Function} [easing=OOGL.Easing.linear] The easing function.
+	 * @return {Number} The eased progress.
+	 * @example
+	 *	var t = OOGL.Easing.progress(start, 500, OOGL.Easing.bounceOut);
+	 */
+	progress: function (start, duration, easing) {
+		var t = Math.max(0, Math.min(1, (OOGL.Timing.now() - start) / duration));
+		return easing ? easing(t) : t;
+	},
+
+	/**
+	 * The identity easing function.
+	 *
+	 * @method linear
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} `t`.
+	 */
+	linear: function (t) {
+		return t;
+	},
+
+	/**
+	 * The quadratic ease-in function.
+	 *
+	 * @method quadIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quadIn: function (t) {
+		return t * t;
+	},
+
+	/**
+	 * The quadratic ease-out function.
+	 *
+	 * @method quadOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quadOut: function (t) {
+		return t * (2 - t);
+	},
+
+	/**
+	 * The quadratic ease-in-out function.
+	 *
+	 * @method quadInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quadInOut: function (t) {
+		return (t < 0.5) ? 2 * t * t : -1 + (4 - 2 * t) * t;
+	},
+
+	/**
+	 * The cubic ease-in function.
+	 *
+	 * @method cubicIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	cubicIn: function (t) {
+		return t * t * t;
+	},
+
+	/**
+	 * The cubic ease-out function.
+	 *
+	 * @method cubicOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	cubicOut: function (t) {
+		t -= 1;
+		return t * t * t + 1;
+	},
+
+	/**
+	 * The cubic ease-in-out function.
+	 *
+	 * @method cubicInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	cubicInOut: function (t) {
+		return (t < 0.5) ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+	},
+
+	/**
+	 * The quartic ease-in function.
+	 *
+	 * @method quartIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quartIn: function (t) {
+		return t * t * t * t;
+	},
+
+	/**
+	 * The quartic ease-out function.
+	 *
+	 * @method quartOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quartOut: function (t) {
+		t -= 1;
+		return 1 - t * t * t * t;
+	},
+
+	/**
+	 * The quartic ease-in-out function.
+	 *
+	 * @method quartInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quartInOut: function (t) {
+		if (t < 0.5) {
+			return 8 * t * t * t * t;
+		} else {
+			t -= 1;
+			return 1 - 8 * t * t * t * t;
+		}
+	},
+
+	/**
+	 * The quintic ease-in function.
+	 *
+	 * @method quintIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quintIn: function (t) {
+		return t * t * t * t * t;
+	},
+
+	/**
+	 * The quintic ease-out function.
+	 *
+	 * @method quintOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quintOut: function (t) {
+		t -= 1;
+		return 1 + t * t * t * t * t;
+	},
+
+	/**
+	 * The quintic ease-in-out function.
+	 *
+	 * @method quintInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	quintInOut: function (t) {
+		if (t < 0.5) {
+			return 16 * t * t * t * t * t;
+		} else {
+			t -= 1;
+			return 1 + 16 * t * t * t * t * t;
+		}
+	},
+
+	/**
+	 * The sinusoidal ease-in function.
+	 *
+	 * @method sineIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	sineIn: function (t) {
+		return 1 - Math.cos(t * Math.PI / 2);
+	},
+
+	/**
+	 * The sinusoidal ease-out function.
+	 *
+	 * @method sineOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	sineOut: function (t) {
+		return Math.sin(t * Math.PI / 2);
+	},
+
+	/**
+	 * The sinusoidal ease-in-out function.
+	 *
+	 * @method sineInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	sineInOut: function (t) {
+		return (1 - Math.cos(Math.PI * t)) / 2;
+	},
+
+	/**
+	 * The exponential ease-in function.
+	 *
+	 * @method expoIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	expoIn: function (t) {
+		return t ? Math.pow(2, 10 * (t - 1)) : 0;
+	},
+
+	/**
+	 * The exponential ease-out function.
+	 *
+	 * @method expoOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	expoOut: function (t) {
+		return (t < 1) ? 1 - Math.pow(2, -10 * t) : 1;
+	},
+
+	/**
+	 * The exponential ease-in-out function.
+	 *
+	 * @method expoInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	expoInOut: function (t) {
+		if (!t || (t == 1)) {
+			return t;
+		} else if (t < 0.5) {
+			return Math.pow(2, 20 * t - 10) / 2;
+		} else {
+			return 1 - Math.pow(2, 10 - 20 * t) / 2;
+		}
+	},
+
+	/**
+	 * The circular ease-in function.
+	 *
+	 * @method circIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	circIn: function (t) {
+		return 1 - Math.sqrt(1 - t * t);
+	},
+
+	/**
+	 * The circular ease-out function.
+	 *
+	 * @method circOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	circOut: function (t) {
+		t -= 1;
+		return Math.sqrt(1 - t * t);
+	},
+
+	/**
+	 * The circular ease-in-out function.
+	 *
+	 * @method circInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	circInOut: function (t) {
+		return (t < 0.5) ? (1 - Math.sqrt(1 - 4 * t * t)) / 2 : (1 + Math.sqrt(1 - (2 * t - 2) * (2 * t - 2))) / 2;
+	},
+
+	/**
+	 * The back (overshooting) ease-in function.
+	 *
+	 * @method backIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	backIn: function (t) {
+		return t * t * (2.70158 * t - 1.70158);
+	},
+
+	/**
+	 * The back (overshooting) ease-out function.
+	 *
+	 * @method backOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	backOut: function (t) {
+		t -= 1;
+		return 1 + t * t * (2.70158 * t + 1.70158);
+	},
+
+	/**
+	 * The back (overshooting) ease-in-out function.
+	 *
+	 * @method backInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	backInOut: function (t) {
+		var s = 1.70158 * 1.525;
+		if (t < 0.5) {
+			return 2 * t * t * ((s + 1) * 2 * t - s);
+		} else {
+			t = 2 * t - 2;
+			return (t * t * ((s + 1) * t + s) + 2) / 2;
+		}
+	},
+
+	/**
+	 * The elastic ease-in function.
+	 *
+	 * @method elasticIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	elasticIn: function (t) {
+		if (!t || (t == 1)) {
+			return t;
+		}
+		return -Math.pow(2, 10 * t - 10) * Math.sin((10 * t - 10.75) * 2 * Math.PI / 3);
+	},
+
+	/**
+	 * The elastic ease-out function.
+	 *
+	 * @method elasticOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	elasticOut: function (t) {
+		if (!t || (t == 1)) {
+			return t;
+		}
+		return Math.pow(2, -10 * t) * Math.sin((10 * t - 0.75) * 2 * Math.PI / 3) + 1;
+	},
+
+	/**
+	 * The elastic ease-in-out function.
+	 *
+	 * @method elasticInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	elasticInOut: function (t) {
+		if (!t || (t == 1)) {
+			return t;
+		} else if (t < 0.5) {
+			return -Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * 2 * Math.PI / 4.5) / 2;
+		} else {
+			return Math.pow(2, 10 - 20 * t) * Math.sin((20 * t - 11.125) * 2 * Math.PI / 4.5) / 2 + 1;
+		}
+	},
+
+	/**
+	 * The bouncing ease-in function.
+	 *
+	 * @method bounceIn
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	bounceIn: function (t) {
+		return 1 - OOGL.Easing.bounceOut(1 - t);
+	},
+
+	/**
+	 * The bouncing ease-out function.
+	 *
+	 * @method bounceOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	bounceOut: function (t) {
+		if (t < 1 / 2.75) {
+			return 7.5625 * t * t;
+		} else if (t < 2 / 2.75) {
+			t -= 1.5 / 2.75;
+			return 7.5625 * t * t + 0.75;
+		} else if (t < 2.5 / 2.75) {
+			t -= 2.25 / 2.75;
+			return 7.5625 * t * t + 0.9375;
+		} else {
+			t -= 2.625 / 2.75;
+			return 7.5625 * t * t + 0.984375;
+		}
+	},
+
+	/**
+	 * The bouncing ease-in-out function.
+	 *
+	 * @method bounceInOut
+	 * @static
+	 * @param {Number} t The linear progress, from 0 to 1.
+	 * @return {Number} The eased progress.
+	 */
+	bounceInOut: function (t) {
+		return (t < 0.5) ? (1 - OOGL.Easing.bounceOut(1 - 2 * t)) / 2 : (1 + OOGL.Easing.bounceOut(2 * t - 1)) / 2;
+	}
+};
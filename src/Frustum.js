@@ -0,0 +1,169 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A view frustum, made of six planes extracted from the specified
+ * transformation matrix, usually the product of a projection and a view
+ * matrix. It can be used to skip drawing objects that are not visible.
+ *
+ * The planes are normalized and their normals point inside the frustum. The
+ * frustum is the region of space that the matrix maps inside the clip volume,
+ * so it works with any projection matrix provided by OOGL, including
+ * {{#crossLink "OOGL.ReversedProjection"}}{{/crossLink}} (whose infinite far
+ * plane is degenerate and never excludes anything).
+ *
+ * If the matrix is a projection matrix alone, the frustum is in view space; if
+ * it is the product of a projection, view and model matrix, the frustum is in
+ * model space.
+ *
+ * @class OOGL.Frustum
+ * @constructor
+ * @param {OOGL.Matrix4} matrix The transformation matrix.
+ * @example
+ *	var frustum = new OOGL.Frustum(projection.by(view));
+ *	objects.forEach(function (object) {
+ *		if (frustum.intersectsSphere(object.bounds)) {
+ *			object.draw();
+ *		}
+ *	});
+ */
+OOGL.Frustum = function (matrix) {
+	var m = matrix;
+	function plane(sign, row) {
+		return (new OOGL.Plane(new OOGL.Vector3(
+			m[3] + sign * m[row],
+			m[7] + sign * m[row + 4],
+			m[11] + sign * m[row + 8]
+			), m[15] + sign * m[row + 12])).normalize();
+	}
+
+	/**
+	 * The six planes of the frustum, in the following order: left, right,
+	 * bottom, top, near and far. The last two are swapped for projections
+	 * with reversed depth, which map the near plane to the far end of the
+	 * clip volume.
+	 *
+	 * @property planes
+	 * @type OOGL.Plane[]
+	 */
+	this.planes = [
+		plane(1, 0),
+		plane(-1, 0),
+		plane(1, 1),
+		plane(-1, 1),
+		plane(1, 2),
+		plane(-1, 2)
+	];
+};
+
+OOGL.Frustum.prototype = {
+	/**
+	 * Indicates whether the specified point lies inside this frustum or on its
+	 * boundary.
+	 *
+	 * @method containsPoint
+	 * @param {OOGL.Vector3} point The point to test.
+	 * @return {Boolean} `true` if the point lies inside this frustum, `false`
+	 *	otherwise.
+	 */
+	containsPoint: function (point) {
+		for (var i = 0; i < 6; i++) {
+			if (this.planes[i].distance(point) < 0) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	/**
+	 * Indicates whether the specified sphere lies entirely inside this
+	 * frustum.
+	 *
+	 * @method containsSphere
+	 * @param {OOGL.BoundingSphere} sphere The sphere to test.
+	 * @return {Boolean} `true` if the sphere lies inside this frustum, `false`
+	 *	otherwise.
+	 */
+	containsSphere: function (sphere) {
+		for (var i = 0; i < 6; i++) {
+			if (this.planes[i].distance(sphere.center) < sphere.radius) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	/**
+	 * Indicates whether the specified sphere may intersect this frustum.
+	 *
+	 * The test is conservative: it never returns `false` for a visible sphere,
+	 * but it may return `true` for some spheres that lie just outside the
+	 * corners of the frustum.
+	 *
+	 * @method intersectsSphere
+	 * @param {OOGL.BoundingSphere} sphere The sphere to test.
+	 * @return {Boolean} `false` if the sphere lies entirely outside this
+	 *	frustum, `true` otherwise.
+	 */
+	intersectsSphere: function (sphere) {
+		for (var i = 0; i < 6; i++) {
+			if (this.planes[i].distance(sphere.center) < -sphere.radius) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	/**
+	 * Indicates whether the specified box lies entirely inside this frustum.
+	 *
+	 * @method containsAABB
+	 * @param {OOGL.AABB} box The box to test.
+	 * @return {Boolean} `true` if the box lies inside this frustum, `false`
+	 *	otherwise.
+	 */
+	containsAABB: function (box) {
+		for (var i = 0; i < 6; i++) {
+			var n = this.planes[i].normal;
+			var corner = new OOGL.Vector3(
+				(n.x < 0) ? box.max.x : box.min.x,
+				(n.y < 0) ? box.max.y : box.min.y,
+				(n.z < 0) ? box.max.z : box.min.z
+				);
+			if (this.planes[i].distance(corner) < 0) {
+				return false;
+			}
+		}
+		return true;
+	},
+
+	/**
+	 * Indicates whether the specified box may intersect this frustum.
+	 *
+	 * The test is conservative: it never returns `false` for a visible box, but
+	 * it may return `true` for some boxes that lie just outside the corners of
+	 * the frustum.
+	 *
+	 * @method intersectsAABB
+	 * @param {OOGL.AABB} box The box to test.
+	 * @return {Boolean} `false` if the box lies entirely outside this frustum,
+	 *	`true` otherwise.
+	 */
+	intersectsAABB: function (box) {
+		for (var i = 0; i < 6; i++) {
+			var n = this.planes[i].normal;
+			var corner = new OOGL.Vector3(
+				(n.x < 0) ? box.min.x : box.max.x,
+				(n.y < 0) ? box.min.y : box.max.y,
+				(n.z < 0) ? box.min.z : box.max.z
+				);
+			if (this.planes[i].distance(corner) < 0) {
+				return false;
+			}
+		}
+		return true;
+	}
+};
@@ -0,0 +1,646 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+(function () {
+	function addVertex(geometry, vertex) {
+		geometry.positions.push(vertex[0], vertex[1], vertex[2]);
+		geometry.normals.push(vertex[3], vertex[4], vertex[5]);
+		geometry.texCoords.push(vertex[6], vertex[7]);
+		return geometry.positions.length / 3 - 1;
+	}
+
+	function addTriangle(geometry, a, b, c) {
+		var p = geometry.positions;
+		function coincident(i, j) {
+			var dx = p[i * 3] - p[j * 3];
+			var dy = p[i * 3 + 1] - p[j * 3 + 1];
+			var dz = p[i * 3 + 2] - p[j * 3 + 2];
+			return dx * dx + dy * dy + dz * dz < 1e-12;
+		}
+		if (!coincident(a, b) && !coincident(b, c) && !coincident(c, a)) {
+			geometry.indices.push(a, b, c);
+		}
+	}
+
+	function addGrid(geometry, columns, rows, vertex) {
+		var base = geometry.getVertexCount();
+		var i, j;
+		for (j = 0; j <= rows; j++) {
+			for (i = 0; i <= columns; i++) {
+				addVertex(geometry, vertex(i, j));
+			}
+		}
+		for (j = 0; j < rows; j++) {
+			for (i = 0; i < columns; i++) {
+				var a = base + j * (columns + 1) + i;
+				var c = a + columns + 1;
+				addTriangle(geometry, a, a + 1, c + 1);
+				addTriangle(geometry, a, c + 1, c);
+			}
+		}
+	}
+
+	function addFrustum(geometry, bottomRadius, topRadius, height, radialSegments, heightSegments, capped) {
+		var slope = bottomRadius - topRadius;
+		var length = Math.sqrt(height * height + slope * slope);
+		addGrid(geometry, radialSegments, heightSegments, function (i, j) {
+			var angle = i / radialSegments * 2 * Math.PI;
+			var sin = Math.sin(angle);
+			var cos = Math.cos(angle);
+			var v = j / heightSegments;
+			var radius = bottomRadius + (topRadius - bottomRadius) * v;
+			return [radius * sin, (v - 0.5) * height, radius * cos, sin * height / length, slope / length, cos * height / length, i / radialSegments, v];
+		});
+		function cap(radius, y, ny) {
+			if (radius > 0) {
+				addGrid(geometry, radialSegments, 1, function (i, j) {
+					var angle = i / radialSegments * 2 * Math.PI;
+					var sin = Math.sin(angle);
+					var cos = Math.cos(angle);
+					var r = (ny > 0) ? (1 - j) : j;
+					return [radius * r * sin, y, radius * r * cos, 0, ny, 0, 0.5 + 0.5 * r * sin, 0.5 - 0.5 * r * cos * ny];
+				});
+			}
+		}
+		if (capped) {
+			cap(bottomRadius, -height / 2, -1);
+			cap(topRadius, height / 2, 1);
+		}
+	}
+
+	/**
+	 * A triangle mesh made of flat arrays of vertex positions, normals, texture
+	 * coordinates and indices, ready to be fed into
+	 * {{#crossLink "context.AttributeArrays"}}{{/crossLink}},
+	 * {{#crossLink "context.ElementArray"}}{{/crossLink}} or
+	 * {{#crossLink "context.Mesh"}}{{/crossLink}}.
+	 *
+	 * Triangles are wound counterclockwise when seen from the outside, so they are
+	 * front facing with the default GL settings.
+	 *
+	 * You usually do not construct `OOGL.Geometry` objects directly but use one of
+	 * the generators: {{#crossLink "OOGL.CubeGeometry"}}{{/crossLink}},
+	 * {{#crossLink "OOGL.UVSphereGeometry"}}{{/crossLink}},
+	 * {{#crossLink "OOGL.IcosphereGeometry"}}{{/crossLink}},
+	 * {{#crossLink "OOGL.PlaneGeometry"}}{{/crossLink}},
+	 * {{#crossLink "OOGL.CylinderGeometry"}}{{/crossLink}},
+	 * {{#crossLink "OOGL.ConeGeometry"}}{{/crossLink}},
+	 * {{#crossLink "OOGL.TorusGeometry"}}{{/crossLink}} and
+	 * {{#crossLink "OOGL.CapsuleGeometry"}}{{/crossLink}}.
+	 *
+	 * @class OOGL.Geometry
+	 * @constructor
+	 * @example
+	 *	var sphere = new OOGL.UVSphereGeometry(1, 32, 16);
+	 *	var arrays = new oogl.AttributeArrays(sphere.getVertexCount());
+	 *	arrays.add3f(sphere.positions);
+	 *	arrays.add3f(sphere.normals);
+	 *	arrays.add2f(sphere.texCoords);
+	 *	var elements = new oogl.ElementArray(sphere.indices);
+	 */
+	OOGL.Geometry = function () {
+		/**
+		 * The vertex positions, three components per vertex.
+		 *
+		 * @property positions
+		 * @type Number[]
+		 */
+		this.positions = [];
+
+		/**
+		 * The unit-length vertex normals, three components per vertex.
+		 *
+		 * @property normals
+		 * @type Number[]
+		 */
+		this.normals = [];
+
+		/**
+		 * The texture coordinates, two components per vertex, in the range
+		 * `[0, 1]` except for
+		 * {{#crossLink "OOGL.IcosphereGeometry"}}{{/crossLink}}, whose seam
+		 * coordinates exceed 1 and require `gl.REPEAT` wrapping.
+		 *
+		 * @property texCoords
+		 * @type Number[]
+		 */
+		this.texCoords = [];
+
+		/**
+		 * The vertex indices, three per triangle.
+		 *
+		 * @property indices
+		 * @type Number[]
+		 */
+		this.indices = [];
+	};
+
+	OOGL.Geometry.prototype = {
+		/**
+		 * Returns the number of vertices of this geometry.
+		 *
+		 * @method getVertexCount
+		 * @return {Number} The number of vertices.
+		 * @example
+		 *	var arrays = new oogl.AttributeArrays(geometry.getVertexCount());
+		 */
+		getVertexCount: function () {
+			return this.positions.length / 3;
+		},
+
+		/**
+		 * Returns the number of triangles of this geometry.
+		 *
+		 * @method getTriangleCount
+		 * @return {Number} The number of triangles.
+		 * @example
+		 *	console.log(geometry.getTriangleCount());
+		 */
+		getTriangleCount: function () {
+			return this.indices.length / 3;
+		},
+
+		/**
+		 * Creates a `context.Mesh` drawing this geometry with the specified
+		 * context.
+		 *
+		 * @method createMesh
+		 * @param {OOGL.Context} context The context.
+		 * @param {String} [positionName='in_Vertex'] The name of the position
+		 *	attribute in the shaders.
+		 * @param {String} [normalName='in_Normal'] The name of the normal
+		 *	attribute in the shaders.
+		 * @param {String} [texCoordName='in_TexCoord'] The name of the texture
+		 *	coordinate attribute in the shaders.
+		 * @return {context.Mesh} The new mesh.
+		 * @example
+		 *	var mesh = (new OOGL.TorusGeometry(1, 0.25, 48, 16)).createMesh(oogl);
+		 *	program.use();
+		 *	mesh.draw(program);
+		 */
+		createMesh: function (context, positionName, normalName, texCoordName) {
+			var data = {};
+			data[positionName || 'in_Vertex'] = this.positions;
+			data[normalName || 'in_Normal'] = this.normals;
+			data[texCoordName || 'in_TexCoord'] = this.texCoords;
+			return new context.Mesh([{
+				name: positionName || 'in_Vertex',
+				size: 3
+			}, {
+				name: normalName || 'in_Normal',
+				size: 3
+			}, {
+				name: texCoordName || 'in_TexCoord',
+				size: 2
+			}], data, this.indices);
+		},
+
+		/**
+		 * Replaces the normals of this geometry with normals computed by
+		 * {{#crossLink "OOGL.Normals/generate:method"}}{{/crossLink}}, which are
+		 * smooth except along the edges sharper than the specified angle. The
+		 * vertices along those edges are split, so all the arrays of this geometry
+		 * are replaced.
+		 *
+		 * @method computeNormals
+		 * @param {Number} [angle=Math.PI] The angle threshold, in radians. 0
+		 *	results in flat normals and `Math.PI` in smooth normals.
+		 * @chainable
+		 * @example
+		 *	var faceted = (new OOGL.IcosphereGeometry(1, 1)).computeNormals(0);
+		 */
+		computeNormals: function (angle) {
+			var result = OOGL.Normals.generate(this.positions, this.indices, (arguments.length < 1) ? Math.PI : angle);
+			this.positions = OOGL.Normals.remap(this.positions, 3, result.vertices);
+			this.texCoords = OOGL.Normals.remap(this.texCoords, 2, result.vertices);
+			this.normals = result.normals;
+			this.indices = result.indices;
+			return this;
+		},
+
+		/**
+		 * Computes the tangents of this geometry using
+		 * {{#crossLink "OOGL.Normals/tangents:method"}}{{/crossLink}}. The
+		 * generated solids never mirror their texture coordinates, so no vertex
+		 * needs to be split by handedness.
+		 *
+		 * @method getTangents
+		 * @return {Number[]} The unit-length tangents and their handedness, four
+		 *	components per vertex.
+		 * @example
+		 *	arrays.add4f(geometry.getTangents());
+		 */
+		getTangents: function () {
+			return OOGL.Normals.tangents(this.positions, this.normals, this.texCoords, this.indices);
+		}
+	};
+
+	/**
+	 * Generates an axis-aligned cube centered at the origin. Each face has its own
+	 * vertices, so the normals are perpendicular to the faces, and the whole
+	 * texture is mapped on each face.
+	 *
+	 * @class OOGL.CubeGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [size=1] The length of the edges.
+	 * @param {Number} [segments=1] The number of subdivisions of each edge.
+	 * @example
+	 *	var crate = new OOGL.CubeGeometry(2);
+	 */
+	OOGL.CubeGeometry = function (size, segments) {
+		if (arguments.length < 1) {
+			size = 1;
+		}
+		if (arguments.length < 2) {
+			segments = 1;
+		}
+		var geometry = new OOGL.Geometry();
+		var faces = [
+			[1, 0, 0, 0, 0, -1, 0, 1, 0],
+			[-1, 0, 0, 0, 0, 1, 0, 1, 0],
+			[0, 1, 0, 1, 0, 0, 0, 0, -1],
+			[0, -1, 0, 1, 0, 0, 0, 0, 1],
+			[0, 0, 1, 1, 0, 0, 0, 1, 0],
+			[0, 0, -1, -1, 0, 0, 0, 1, 0]
+		];
+		faces.forEach(function (face) {
+			addGrid(geometry, segments, segments, function (i, j) {
+				var u = i / segments;
+				var v = j / segments;
+				var a = (u - 0.5) * size;
+				var b = (v - 0.5) * size;
+				return [
+					face[0] * size / 2 + face[3] * a + face[6] * b,
+					face[1] * size / 2 + face[4] * a + face[7] * b,
+					face[2] * size / 2 + face[5] * a + face[8] * b,
+					face[0], face[1], face[2], u, v
+				];
+			});
+		});
+		return geometry;
+	};
+
+	/**
+	 * Generates a sphere centered at the origin made of rings of latitude and
+	 * longitude. The texture is mapped with an equirectangular projection: the
+	 * `s` coordinate follows the longitude and the `t` coordinate the latitude,
+	 * from the south pole (0) to the north pole (1).
+	 *
+	 * @class OOGL.UVSphereGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [radius=1] The radius.
+	 * @param {Number} [widthSegments=32] The number of meridians.
+	 * @param {Number} [heightSegments=16] The number of parallels plus one.
+	 * @example
+	 *	var earth = new OOGL.UVSphereGeometry(1, 64, 32);
+	 */
+	OOGL.UVSphereGeometry = function (radius, widthSegments, heightSegments) {
+		if (arguments.length < 1) {
+			radius = 1;
+		}
+		if (arguments.length < 2) {
+			widthSegments = 32;
+		}
+		if (arguments.length < 3) {
+			heightSegments = 16;
+		}
+		var geometry = new OOGL.Geometry();
+		addGrid(geometry, widthSegments, heightSegments, function (i, j) {
+			var longitude = i / widthSegments * 2 * Math.PI;
+			var latitude = j / heightSegments * Math.PI;
+			var x = Math.sin(latitude) * Math.sin(longitude);
+			var y = -Math.cos(latitude);
+			var z = Math.sin(latitude) * Math.cos(longitude);
+			return [radius * x, radius * y, radius * z, x, y, z, i / widthSegments, j / heightSegments];
+		});
+		return geometry;
+	};
+
+	/**
+	 * Generates a sphere centered at the origin by repeatedly subdividing the
+	 * faces of an icosahedron, which distributes the vertices much more evenly
+	 * than {{#crossLink "OOGL.UVSphereGeometry"}}{{/crossLink}}.
+	 *
+	 * The texture is mapped with the same equirectangular projection as
+	 * `OOGL.UVSphereGeometry`. The triangles crossing the seam use duplicated
+	 * vertices whose `s` coordinate is increased by 1, so it exceeds the `[0, 1]`
+	 * range: the texture must use `gl.REPEAT` wrapping along `s`, otherwise the
+	 * seam triangles are smeared. In WebGL 1 this requires power of two
+	 * textures.
+	 *
+	 * @class OOGL.IcosphereGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [radius=1] The radius.
+	 * @param {Number} [subdivisions=2] The number of times each triangle is split
+	 *	into four. The number of triangles is `20 * 4^subdivisions`.
+	 * @example
+	 *	var planet = new OOGL.IcosphereGeometry(1, 4);
+	 */
+	OOGL.IcosphereGeometry = function (radius, subdivisions) {
+		if (arguments.length < 1) {
+			radius = 1;
+		}
+		if (arguments.length < 2) {
+			subdivisions = 2;
+		}
+		var t = (1 + Math.sqrt(5)) / 2;
+		var vertices = [
+			[-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+			[0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+			[t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+		].map(function (vertex) {
+			var length = Math.sqrt(vertex[0] * vertex[0] + vertex[1] * vertex[1] + vertex[2] * vertex[2]);
+			return [vertex[0] / length, vertex[1] / length, vertex[2] / length];
+		});
+		var faces = [
+			[0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+			[1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+			[3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+			[4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+		];
+		var i, j;
+		for (i = 0; i < subdivisions; i++) {
+			var midpoints = {};
+			var midpoint = function (a, b) {
+				var key = Math.min(a, b) + ',' + Math.max(a, b);
+				if (!midpoints.hasOwnProperty(key)) {
+					var x = vertices[a][0] + vertices[b][0];
+					var y = vertices[a][1] + vertices[b][1];
+					var z = vertices[a][2] + vertices[b][2];
+					var length = Math.sqrt(x * x + y * y + z * z);
+					midpoints[key] = vertices.push([x / length, y / length, z / length]) - 1;
+				}
+				return midpoints[key];
+			};
+			var subdivided = [];
+			for (j = 0; j < faces.length; j++) {
+				var a = midpoint(faces[j][0], faces[j][1]);
+				var b = midpoint(faces[j][1], faces[j][2]);
+				var c = midpoint(faces[j][2], faces[j][0]);
+				subdivided.push([faces[j][0], a, c], [faces[j][1], b, a], [faces[j][2], c, b], [a, b, c]);
+			}
+			faces = subdivided;
+		}
+		var geometry = new OOGL.Geometry();
+		for (i = 0; i < vertices.length; i++) {
+			var vertex = vertices[i];
+			addVertex(geometry, [
+				radius * vertex[0], radius * vertex[1], radius * vertex[2],
+				vertex[0], vertex[1], vertex[2],
+				0.5 + Math.atan2(vertex[0], vertex[2]) / (2 * Math.PI),
+				0.5 + Math.asin(Math.max(-1, Math.min(1, vertex[1]))) / Math.PI
+			]);
+		}
+		var wrapped = {};
+		function wrap(index) {
+			if (!wrapped.hasOwnProperty(index)) {
+				var p = geometry.positions;
+				var n = geometry.normals;
+				var uv = geometry.texCoords;
+				wrapped[index] = addVertex(geometry, [
+					p[index * 3], p[index * 3 + 1], p[index * 3 + 2],
+					n[index * 3], n[index * 3 + 1], n[index * 3 + 2],
+					uv[index * 2] + 1, uv[index * 2 + 1]
+				]);
+			}
+			return wrapped[index];
+		}
+		for (i = 0; i < faces.length; i++) {
+			var face = faces[i].slice();
+			var s = face.map(function (index) {
+				return geometry.texCoords[index * 2];
+			});
+			if (Math.max.apply(Math, s) - Math.min.apply(Math, s) > 0.5) {
+				for (j = 0; j < 3; j++) {
+					if (s[j] < 0.5) {
+						face[j] = wrap(face[j]);
+					}
+				}
+			}
+			geometry.indices.push(face[0], face[1], face[2]);
+		}
+		return geometry;
+	};
+
+	/**
+	 * Generates a rectangular grid lying on the XZ plane, centered at the origin
+	 * and facing the positive Y axis, e.g. for floors and terrains.
+	 *
+	 * @class OOGL.PlaneGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [width=1] The size along the X axis.
+	 * @param {Number} [depth=1] The size along the Z axis.
+	 * @param {Number} [widthSegments=1] The number of subdivisions along the X
+	 *	axis.
+	 * @param {Number} [depthSegments=1] The number of subdivisions along the Z
+	 *	axis.
+	 * @example
+	 *	var floor = new OOGL.PlaneGeometry(100, 100, 64, 64);
+	 */
+	OOGL.PlaneGeometry = function (width, depth, widthSegments, depthSegments) {
+		if (arguments.length < 1) {
+			width = 1;
+		}
+		if (arguments.length < 2) {
+			depth = 1;
+		}
+		if (arguments.length < 3) {
+			widthSegments = 1;
+		}
+		if (arguments.length < 4) {
+			depthSegments = 1;
+		}
+		var geometry = new OOGL.Geometry();
+		addGrid(geometry, widthSegments, depthSegments, function (i, j) {
+			var u = i / widthSegments;
+			var v = j / depthSegments;
+			return [(u - 0.5) * width, 0, (0.5 - v) * depth, 0, 1, 0, u, v];
+		});
+		return geometry;
+	};
+
+	/**
+	 * Generates a cylinder whose axis is the Y axis, centered at the origin.
+	 *
+	 * @class OOGL.CylinderGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [radius=0.5] The radius.
+	 * @param {Number} [height=1] The height.
+	 * @param {Number} [radialSegments=32] The number of subdivisions around the
+	 *	axis.
+	 * @param {Number} [heightSegments=1] The number of subdivisions along the
+	 *	axis.
+	 * @param {Boolean} [capped=true] Indicates whether the bottom and top disks
+	 *	are generated.
+	 * @example
+	 *	var column = new OOGL.CylinderGeometry(0.5, 4, 24);
+	 */
+	OOGL.CylinderGeometry = function (radius, height, radialSegments, heightSegments, capped) {
+		var geometry = new OOGL.Geometry();
+		addFrustum(
+			geometry,
+			(arguments.length < 1) ? 0.5 : radius,
+			(arguments.length < 1) ? 0.5 : radius,
+			(arguments.length < 2) ? 1 : height,
+			(arguments.length < 3) ? 32 : radialSegments,
+			(arguments.length < 4) ? 1 : heightSegments,
+			(arguments.length < 5) || capped
+			);
+		return geometry;
+	};
+
+	/**
+	 * Generates a cone whose axis is the Y axis, with the base centered at
+	 * `-height / 2` and the apex at `height / 2`.
+	 *
+	 * @class OOGL.ConeGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [radius=0.5] The radius of the base.
+	 * @param {Number} [height=1] The height.
+	 * @param {Number} [radialSegments=32] The number of subdivisions around the
+	 *	axis.
+	 * @param {Number} [heightSegments=1] The number of subdivisions along the
+	 *	axis.
+	 * @param {Boolean} [capped=true] Indicates whether the base disk is
+	 *	generated.
+	 * @example
+	 *	var arrowHead = new OOGL.ConeGeometry(0.2, 0.5, 16);
+	 */
+	OOGL.ConeGeometry = function (radius, height, radialSegments, heightSegments, capped) {
+		var geometry = new OOGL.Geometry();
+		addFrustum(
+			geometry,
+			(arguments.length < 1) ? 0.5 : radius,
+			0,
+			(arguments.length < 2) ? 1 : height,
+			(arguments.length < 3) ? 32 : radialSegments,
+			(arguments.length < 4) ? 1 : heightSegments,
+			(arguments.length < 5) || capped
+			);
+		return geometry;
+	};
+
+	/**
+	 * Generates a torus lying on the XZ plane, centered at the origin.
+	 *
+	 * The `s` texture coordinate goes around the Y axis and the `t` coordinate
+	 * around the tube.
+	 *
+	 * @class OOGL.TorusGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [radius=0.5] The distance from the center of the torus to
+	 *	the center of the tube.
+	 * @param {Number} [tube=0.2] The radius of the tube.
+	 * @param {Number} [ringSegments=48] The number of subdivisions around the Y
+	 *	axis.
+	 * @param {Number} [tubeSegments=16] The number of subdivisions around the
+	 *	tube.
+	 * @example
+	 *	var donut = new OOGL.TorusGeometry(1, 0.4, 64, 24);
+	 */
+	OOGL.TorusGeometry = function (radius, tube, ringSegments, tubeSegments) {
+		if (arguments.length < 1) {
+			radius = 0.5;
+		}
+		if (arguments.length < 2) {
+			tube = 0.2;
+		}
+		if (arguments.length < 3) {
+			ringSegments = 48;
+		}
+		if (arguments.length < 4) {
+			tubeSegments = 16;
+		}
+		var geometry = new OOGL.Geometry();
+		addGrid(geometry, ringSegments, tubeSegments, function (i, j) {
+			var theta = i / ringSegments * 2 * Math.PI;
+			var phi = j / tubeSegments * 2 * Math.PI;
+			var x = Math.sin(theta) * Math.cos(phi);
+			var y = Math.sin(phi);
+			var z = Math.cos(theta) * Math.cos(phi);
+			return [
+				radius * Math.sin(theta) + tube * x, tube * y, radius * Math.cos(theta) + tube * z,
+				x, y, z, i / ringSegments, j / tubeSegments
+			];
+		});
+		return geometry;
+	};
+
+	/**
+	 * Generates a capsule, i.e. a cylinder closed by two hemispheres, whose axis
+	 * is the Y axis, centered at the origin.
+	 *
+	 * The `t` texture coordinate goes from the bottom (0) to the top (1) of the
+	 * capsule, proportionally to the height.
+	 *
+	 * @class OOGL.CapsuleGeometry
+	 * @extends OOGL.Geometry
+	 * @constructor
+	 * @param {Number} [radius=0.5] The radius of the cylinder and hemispheres.
+	 * @param {Number} [height=1] The height of the cylinder, excluding the
+	 *	hemispheres. The total height of the capsule is `height + 2 * radius`.
+	 * @param {Number} [radialSegments=32] The number of subdivisions around the
+	 *	axis.
+	 * @param {Number} [capSegments=8] The number of subdivisions of each
+	 *	hemisphere from the pole to the equator.
+	 * @param {Number} [heightSegments=1] The number of subdivisions of the
+	 *	cylinder along the axis.
+	 * @example
+	 *	var character = new OOGL.CapsuleGeometry(0.4, 1, 24, 6);
+	 */
+	OOGL.CapsuleGeometry = function (radius, height, radialSegments, capSegments, heightSegments) {
+		if (arguments.length < 1) {
+			radius = 0.5;
+		}
+		if (arguments.length < 2) {
+			height = 1;
+		}
+		if (arguments.length < 3) {
+			radialSegments = 32;
+		}
+		if (arguments.length < 4) {
+			capSegments = 8;
+		}
+		if (arguments.length < 5) {
+			heightSegments = 1;
+		}
+		var geometry = new OOGL.Geometry();
+		addGrid(geometry, radialSegments, 2 * capSegments + heightSegments, function (i, j) {
+			var angle = i / radialSegments * 2 * Math.PI;
+			var sin = Math.sin(angle);
+			var cos = Math.cos(angle);
+			var ring, y, ny;
+			if (j < capSegments) {
+				var south = j / capSegments * Math.PI / 2;
+				ring = Math.sin(south);
+				ny = -Math.cos(south);
+				y = -height / 2 + radius * ny;
+			} else if (j <= capSegments + heightSegments) {
+				ring = 1;
+				ny = 0;
+				y = ((j - capSegments) / heightSegments - 0.5) * height;
+			} else {
+				var north = (j - capSegments - heightSegments) / capSegments * Math.PI / 2;
+				ring = Math.cos(north);
+				ny = Math.sin(north);
+				y = height / 2 + radius * ny;
+			}
+			return [
+				radius * ring * sin, y, radius * ring * cos,
+				ring * sin, ny, ring * cos,
+				i / radialSegments, (y + height / 2 + radius) / (height + 2 * radius)
+			];
+		});
+		return geometry;
+	};
+})();
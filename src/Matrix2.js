@@ -195,6 +195,25 @@ OOGL.Matrix2.prototype = {
 		return new OOGL.Matrix2(newArray);
 	},
 
+	/**
+	 * Adds the specified matrix to this one and stores the sum in the `out`
+	 * matrix, which may be this matrix or the specified one. No new objects
+	 * are allocated.
+	 *
+	 * @method plusInto
+	 * @param {OOGL.Matrix2} m The matrix to add.
+	 * @param {OOGL.Matrix2} out The matrix where the sum is stored.
+	 * @return {OOGL.Matrix2} The `out` matrix.
+	 * @example
+	 *	m1.plusInto(m2, result);
+	 */
+	plusInto: function (m, out) {
+		for (var i = 0; i < 4; i++) {
+			out[i] = this[i] + m[i];
+		}
+		return out;
+	},
+
 	/**
 	 * Subtracts the specified matrix to this one.
 	 *
@@ -235,6 +254,25 @@ OOGL.Matrix2.prototype = {
 		return new OOGL.Matrix2(newArray);
 	},
 
+	/**
+	 * Subtracts the specified matrix to this one and stores the difference in
+	 * the `out` matrix, which may be this matrix or the specified one. No new
+	 * objects are allocated.
+	 *
+	 * @method minusInto
+	 * @param {OOGL.Matrix2} m The matrix to subtract.
+	 * @param {OOGL.Matrix2} out The matrix where the difference is stored.
+	 * @return {OOGL.Matrix2} The `out` matrix.
+	 * @example
+	 *	m1.minusInto(m2, result);
+	 */
+	minusInto: function (m, out) {
+		for (var i = 0; i < 4; i++) {
+			out[i] = this[i] - m[i];
+		}
+		return out;
+	},
+
 	/**
 	 * Multiplies this matrix by the specified constant factor. This method
 	 * changes the original matrix.
@@ -314,6 +352,68 @@ OOGL.Matrix2.prototype = {
 		}
 	},
 
+	/**
+	 * Multiplies this matrix by the specified constant factor and stores the
+	 * product in the `out` matrix, which may be this matrix. No new objects are
+	 * allocated.
+	 *
+	 * @method byInto
+	 * @param {Number} x The multiplying factor.
+	 * @param {OOGL.Matrix2} out The matrix where the product is stored.
+	 * @return {OOGL.Matrix2} The `out` matrix.
+	 * @example
+	 *	matrix.byInto(2, result);
+	 */
+
+	/**
+	 * Left-multiplies this matrix by the specified `Vector2` object and stores
+	 * the product in the `out` vector, which may be the specified vector. No new
+	 * objects are allocated.
+	 *
+	 * @method byInto
+	 * @param {OOGL.Vector2} x The vector to multiply.
+	 * @param {OOGL.Vector2} out The vector where the product is stored.
+	 * @return {OOGL.Vector2} The `out` vector.
+	 * @example
+	 *	matrix.byInto(v, v); // transforms v in place
+	 */
+
+	/**
+	 * Left-multiplies this matrix by the specified `Matrix2` object and stores
+	 * the product in the `out` matrix, which may be either this matrix or the
+	 * specified one. No new objects are allocated.
+	 *
+	 * @method byInto
+	 * @param {OOGL.Matrix2} x The matrix to multiply.
+	 * @param {OOGL.Matrix2} out The matrix where the product is stored.
+	 * @return {OOGL.Matrix2} The `out` matrix.
+	 * @example
+	 *	projection.byInto(view, transform);
+	 *	program.uniformMat2('Transform', transform);
+	 */
+	byInto: function (x, out) {
+		if (x instanceof OOGL.Vector2) {
+			var vx = this[0] * x.x + this[2] * x.y;
+			var vy = this[1] * x.x + this[3] * x.y;
+			out.x = vx;
+			out.y = vy;
+		} else if (x instanceof OOGL.Matrix2) {
+			var r0 = this[0] * x[0] + this[2] * x[1],
+				r1 = this[1] * x[0] + this[3] * x[1],
+				r2 = this[0] * x[2] + this[2] * x[3],
+				r3 = this[1] * x[2] + this[3] * x[3];
+			out[0] = r0;
+			out[1] = r1;
+			out[2] = r2;
+			out[3] = r3;
+		} else {
+			for (var i = 0; i < 4; i++) {
+				out[i] = this[i] * x;
+			}
+		}
+		return out;
+	},
+
 	/**
 	 * Computes the determinant of this matrix.
 	 *
@@ -368,7 +468,139 @@ OOGL.Matrix2.prototype = {
 			this[1] / determinant,
 			this[0] / determinant
 		]);
+	},
+
+	/**
+	 * Indicates whether this matrix equals the specified one within the
+	 * specified tolerance, i.e. whether no element differs by more than
+	 * `epsilon`.
+	 *
+	 * @method equals
+	 * @param {OOGL.Matrix2} m The other matrix.
+	 * @param {Number} [epsilon=OOGL.EPSILON] The tolerance.
+	 * @return {Boolean} `true` if the two matrices are approximately equal,
+	 *	`false` otherwise.
+	 * @example
+	 *	if (m.by(m.getInverse()).equals(OOGL.Matrix2.IDENTITY)) {
+	 *		// as expected
+	 *	}
+	 */
+	equals: function (m, epsilon) {
+		if (arguments.length < 2) {
+			epsilon = OOGL.EPSILON;
+		}
+		var equal = true;
+		for (var i = 0; i < 4 && equal; i++) {
+			equal = Math.abs(this[i] - m[i]) <= epsilon;
+		}
+		return equal;
+	},
+
+	/**
+	 * Returns a human-readable representation of this matrix, listing its
+	 * rows in order.
+	 *
+	 * @method toString
+	 * @return {String} The string representation.
+	 * @example
+	 *	console.log(String(OOGL.Matrix2.IDENTITY)); // 'OOGL.Matrix2([1, 0], [0, 1])'
+	 */
+	toString: function () {
+		return 'OOGL.Matrix2([' +
+			this[0] + ', ' + this[2] + '], [' +
+			this[1] + ', ' + this[3] + '])';
+	},
+
+	/**
+	 * Returns the JSON representation of this matrix, which is the array of
+	 * its elements in column-major order. This method is used by
+	 * `JSON.stringify`; the result can be converted back using
+	 * {{#crossLink "OOGL.Matrix2/fromJSON:method"}}{{/crossLink}}.
+	 *
+	 * @method toJSON
+	 * @return {Number[]} The elements of this matrix, in column-major order.
+	 * @example
+	 *	var json = JSON.stringify(OOGL.Matrix2.IDENTITY); // '[1,0,0,1]'
+	 */
+	toJSON: function () {
+		var data = [];
+		for (var i = 0; i < 4; i++) {
+			data.push(this[i]);
+		}
+		return data;
+	},
+
+	/**
+	 * Writes the elements of this matrix, in column-major order, into the
+	 * specified typed array starting at the specified offset. If no array is
+	 * specified a new 4-element `Float32Array` is created.
+	 *
+	 * The matrix can be read back using
+	 * {{#crossLink "OOGL.Matrix2/unpack:method"}}{{/crossLink}}.
+	 *
+	 * @method pack
+	 * @param {Float32Array} [array] The destination array.
+	 * @param {Number} [offset=0] The index of the first element to write.
+	 * @return {Float32Array} The destination array.
+	 * @example
+	 *	var data = new Float32Array(4 * count);
+	 *	for (var i = 0; i < count; i++) {
+	 *		matrices[i].pack(data, i * 4);
+	 *	}
+	 */
+	pack: function (array, offset) {
+		if (arguments.length < 1) {
+			array = new Float32Array(4);
+		}
+		if (arguments.length < 2) {
+			offset = 0;
+		}
+		for (var i = 0; i < 4; i++) {
+			array[offset + i] = this[i];
+		}
+		return array;
+	}
+};
+
+/**
+ * Creates a matrix from its JSON representation, as returned by
+ * {{#crossLink "OOGL.Matrix2/toJSON:method"}}{{/crossLink}}.
+ *
+ * An exception is thrown if the data is not a 4-element array.
+ *
+ * @method fromJSON
+ * @static
+ * @param {Mixed} json Either the JSON string or the already parsed array.
+ * @return {OOGL.Matrix2} The new matrix.
+ * @example
+ *	var m = OOGL.Matrix2.fromJSON('[1, 0, 0, 1]');
+ */
+OOGL.Matrix2.fromJSON = function (json) {
+	var data = (typeof json === 'string') ? JSON.parse(json) : json;
+	if (!data || (data.length != 4)) {
+		throw 'Invalid OOGL.Matrix2 JSON data.';
+	}
+	return new OOGL.Matrix2(data);
+};
+
+/**
+ * Reads a matrix from the specified typed array, starting at the specified
+ * offset, as written by
+ * {{#crossLink "OOGL.Matrix2/pack:method"}}{{/crossLink}}.
+ *
+ * @method unpack
+ * @static
+ * @param {Float32Array} array The source array.
+ * @param {Number} [offset=0] The index of the first element to read.
+ * @return {OOGL.Matrix2} The new matrix.
+ * @example
+ *	var m = OOGL.Matrix2.unpack(data, i * 4);
+ */
+OOGL.Matrix2.unpack = function (array, offset) {
+	if (arguments.length < 2) {
+		offset = 0;
 	}
+	return new OOGL.Matrix2(Array.prototype.slice.call(array, offset, offset + 4));
 };
 
 /**
@@ -419,3 +651,58 @@ OOGL.RotationMatrix2 = function (a) {
 OOGL.ScalingMatrix2 = function (x, y) {
 	return new OOGL.Matrix2([x, 0, 0, y]);
 };
+
+/**
+ * Creates a 2x2 matrix whose elements are stored in a `Float32Array`.
+ *
+ * The returned object is an {{#crossLink "OOGL.Matrix2"}}{{/crossLink}} in
+ * every respect, but its numeric properties are accessors reading from and
+ * writing to the {{#crossLink "OOGL.Float32Matrix2/array:property"}}{{/crossLink}}
+ * typed array, which the uniform setters of
+ * {{#crossLink "context.Program"}}{{/crossLink}} can pass to WebGL without
+ * copying.
+ *
+ * Non-mutating methods such as `by`, `plus` and `clone` still return plain
+ * matrices; use the `*Into` variants to write into a typed matrix without
+ * allocating.
+ *
+ * An exception is thrown if the length of the `data` array is not 4.
+ *
+ * @class OOGL.Float32Matrix2
+ * @extends OOGL.Matrix2
+ * @constructor
+ * @param {Number[]} data A 4-element array of the floating point values to
+ *	be put into the matrix, in column-major order.
+ * @example
+ *	var matrix = new OOGL.Float32Matrix2([1, 0, 0, 1]);
+ */
+OOGL.Float32Matrix2 = function (data) {
+	if (data.length != 4) {
+		throw 'A 2x2 matrix must have exactly 4 elements.';
+	}
+	var matrix = Object.create(OOGL.Matrix2.prototype);
+
+	/**
+	 * The typed array holding the elements of this matrix in column-major
+	 * order.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	var array = matrix.array = new Float32Array(data);
+
+	for (var i = 0; i < 4; i++) {
+		(function (i) {
+			Object.defineProperty(matrix, i, {
+				get: function () {
+					return array[i];
+				},
+				set: function (value) {
+					array[i] = value;
+				},
+				enumerable: true
+			});
+		})(i);
+	}
+	return matrix;
+};
@@ -186,6 +186,25 @@ OOGL.Matrix3.prototype = {
 		return new OOGL.Matrix3(newArray);
 	},
 
+	/**
+	 * Adds the specified matrix to this one and stores the sum in the `out`
+	 * matrix, which may be this matrix or the specified one. No new objects
+	 * are allocated.
+	 *
+	 * @method plusInto
+	 * @param {OOGL.Matrix3} m The matrix to add.
+	 * @param {OOGL.Matrix3} out The matrix where the sum is stored.
+	 * @return {OOGL.Matrix3} The `out` matrix.
+	 * @example
+	 *	m1.plusInto(m2, result);
+	 */
+	plusInto: function (m, out) {
+		for (var i = 0; i < 9; i++) {
+			out[i] = this[i] + m[i];
+		}
+		return out;
+	},
+
 	/**
 	 * Subtracts the specified matrix to this one.
 	 *
@@ -226,6 +245,25 @@ OOGL.Matrix3.prototype = {
 		return new OOGL.Matrix3(newArray);
 	},
 
+	/**
+	 * Subtracts the specified matrix to this one and stores the difference in
+	 * the `out` matrix, which may be this matrix or the specified one. No new
+	 * objects are allocated.
+	 *
+	 * @method minusInto
+	 * @param {OOGL.Matrix3} m The matrix to subtract.
+	 * @param {OOGL.Matrix3} out The matrix where the difference is stored.
+	 * @return {OOGL.Matrix3} The `out` matrix.
+	 * @example
+	 *	m1.minusInto(m2, result);
+	 */
+	minusInto: function (m, out) {
+		for (var i = 0; i < 9; i++) {
+			out[i] = this[i] - m[i];
+		}
+		return out;
+	},
+
 	/**
 	 * Multiplies this matrix by the specified constant factor. This method
 	 * changes the original matrix.
@@ -341,6 +379,80 @@ OOGL.Matrix3.prototype = {
 		}
 	},
 
+	/**
+	 * Multiplies this matrix by the specified constant factor and stores the
+	 * product in the `out` matrix, which may be this matrix. No new objects are
+	 * allocated.
+	 *
+	 * @method byInto
+	 * @param {Number} x The multiplying factor.
+	 * @param {OOGL.Matrix3} out The matrix where the product is stored.
+	 * @return {OOGL.Matrix3} The `out` matrix.
+	 * @example
+	 *	matrix.byInto(2, result);
+	 */
+
+	/**
+	 * Left-multiplies this matrix by the specified `Vector3` object and stores
+	 * the product in the `out` vector, which may be the specified vector. No new
+	 * objects are allocated.
+	 *
+	 * @method byInto
+	 * @param {OOGL.Vector3} x The vector to multiply.
+	 * @param {OOGL.Vector3} out The vector where the product is stored.
+	 * @return {OOGL.Vector3} The `out` vector.
+	 * @example
+	 *	matrix.byInto(v, v); // transforms v in place
+	 */
+
+	/**
+	 * Left-multiplies this matrix by the specified `Matrix3` object and stores
+	 * the product in the `out` matrix, which may be either this matrix or the
+	 * specified one. No new objects are allocated.
+	 *
+	 * @method byInto
+	 * @param {OOGL.Matrix3} x The matrix to multiply.
+	 * @param {OOGL.Matrix3} out The matrix where the product is stored.
+	 * @return {OOGL.Matrix3} The `out` matrix.
+	 * @example
+	 *	projection.byInto(view, transform);
+	 *	program.uniformMat3('Transform', transform);
+	 */
+	byInto: function (x, out) {
+		if (x instanceof OOGL.Vector3) {
+			var vx = this[0] * x.x + this[3] * x.y + this[6] * x.z;
+			var vy = this[1] * x.x + this[4] * x.y + this[7] * x.z;
+			var vz = this[2] * x.x + this[5] * x.y + this[8] * x.z;
+			out.x = vx;
+			out.y = vy;
+			out.z = vz;
+		} else if (x instanceof OOGL.Matrix3) {
+			var r0 = this[0] * x[0] + this[3] * x[1] + this[6] * x[2],
+				r1 = this[1] * x[0] + this[4] * x[1] + this[7] * x[2],
+				r2 = this[2] * x[0] + this[5] * x[1] + this[8] * x[2],
+				r3 = this[0] * x[3] + this[3] * x[4] + this[6] * x[5],
+				r4 = this[1] * x[3] + this[4] * x[4] + this[7] * x[5],
+				r5 = this[2] * x[3] + this[5] * x[4] + this[8] * x[5],
+				r6 = this[0] * x[6] + this[3] * x[7] + this[6] * x[8],
+				r7 = this[1] * x[6] + this[4] * x[7] + this[7] * x[8],
+				r8 = this[2] * x[6] + this[5] * x[7] + this[8] * x[8];
+			out[0] = r0;
+			out[1] = r1;
+			out[2] = r2;
+			out[3] = r3;
+			out[4] = r4;
+			out[5] = r5;
+			out[6] = r6;
+			out[7] = r7;
+			out[8] = r8;
+		} else {
+			for (var i = 0; i < 9; i++) {
+				out[i] = this[i] * x;
+			}
+		}
+		return out;
+	},
+
 	/**
 	 * Computes the determinant of this matrix.
 	 *
@@ -410,7 +522,140 @@ OOGL.Matrix3.prototype = {
 			(this[1] * this[6] - this[0] * this[7]) / determinant,
 			(this[0] * this[4] - this[1] * this[3]) / determinant
 		]);
+	},
+
+	/**
+	 * Indicates whether this matrix equals the specified one within the
+	 * specified tolerance, i.e. whether no element differs by more than
+	 * `epsilon`.
+	 *
+	 * @method equals
+	 * @param {OOGL.Matrix3} m The other matrix.
+	 * @param {Number} [epsilon=OOGL.EPSILON] The tolerance.
+	 * @return {Boolean} `true` if the two matrices are approximately equal,
+	 *	`false` otherwise.
+	 * @example
+	 *	if (m.by(m.getInverse()).equals(OOGL.Matrix3.IDENTITY)) {
+	 *		// as expected
+	 *	}
+	 */
+	equals: function (m, epsilon) {
+		if (arguments.length < 2) {
+			epsilon = OOGL.EPSILON;
+		}
+		var equal = true;
+		for (var i = 0; i < 9 && equal; i++) {
+			equal = Math.abs(this[i] - m[i]) <= epsilon;
+		}
+		return equal;
+	},
+
+	/**
+	 * Returns a human-readable representation of this matrix, listing its
+	 * rows in order.
+	 *
+	 * @method toString
+	 * @return {String} The string representation.
+	 * @example
+	 *	console.log(String(OOGL.Matrix3.IDENTITY)); // 'OOGL.Matrix3([1, 0, 0], [0, 1, 0], [0, 0, 1])'
+	 */
+	toString: function () {
+		return 'OOGL.Matrix3([' +
+			this[0] + ', ' + this[3] + ', ' + this[6] + '], [' +
+			this[1] + ', ' + this[4] + ', ' + this[7] + '], [' +
+			this[2] + ', ' + this[5] + ', ' + this[8] + '])';
+	},
+
+	/**
+	 * Returns the JSON representation of this matrix, which is the array of
+	 * its elements in column-major order. This method is used by
+	 * `JSON.stringify`; the result can be converted back using
+	 * {{#crossLink "OOGL.Matrix3/fromJSON:method"}}{{/crossLink}}.
+	 *
+	 * @method toJSON
+	 * @return {Number[]} The elements of this matrix, in column-major order.
+	 * @example
+	 *	var json = JSON.stringify(OOGL.Matrix3.IDENTITY); // '[1,0,0,0,1,0,0,0,1]'
+	 */
+	toJSON: function () {
+		var data = [];
+		for (var i = 0; i < 9; i++) {
+			data.push(this[i]);
+		}
+		return data;
+	},
+
+	/**
+	 * Writes the elements of this matrix, in column-major order, into the
+	 * specified typed array starting at the specified offset. If no array is
+	 * specified a new 9-element `Float32Array` is created.
+	 *
+	 * The matrix can be read back using
+	 * {{#crossLink "OOGL.Matrix3/unpack:method"}}{{/crossLink}}.
+	 *
+	 * @method pack
+	 * @param {Float32Array} [array] The destination array.
+	 * @param {Number} [offset=0] The index of the first element to write.
+	 * @return {Float32Array} The destination array.
+	 * @example
+	 *	var data = new Float32Array(9 * count);
+	 *	for (var i = 0; i < count; i++) {
+	 *		matrices[i].pack(data, i * 9);
+	 *	}
+	 */
+	pack: function (array, offset) {
+		if (arguments.length < 1) {
+			array = new Float32Array(9);
+		}
+		if (arguments.length < 2) {
+			offset = 0;
+		}
+		for (var i = 0; i < 9; i++) {
+			array[offset + i] = this[i];
+		}
+		return array;
+	}
+};
+
+/**
+ * Creates a matrix from its JSON representation, as returned by
+ * {{#crossLink "OOGL.Matrix3/toJSON:method"}}{{/crossLink}}.
+ *
+ * An exception is thrown if the data is not a 9-element array.
+ *
+ * @method fromJSON
+ * @static
+ * @param {Mixed} json Either the JSON string or the already parsed array.
+ * @return {OOGL.Matrix3} The new matrix.
+ * @example
+ *	var m = OOGL.Matrix3.fromJSON('[1, 0, 0, 0, 1, 0, 0, 0, 1]');
+ */
+OOGL.Matrix3.fromJSON = function (json) {
+	var data = (typeof json === 'string') ? JSON.parse(json) : json;
+	if (!data || (data.length != 9)) {
+		throw 'Invalid OOGL.Matrix3 JSON data.';
 	}
+	return new OOGL.Matrix3(data);
+};
+
+/**
+ * Reads a matrix from the specified typed array, starting at the specified
+ * offset, as written by
+ * {{#crossLink "OOGL.Matrix3/pack:method"}}{{/crossLink}}.
+ *
+ * @method unpack
+ * @static
+ * @param {Float32Array} array The source array.
+ * @param {Number} [offset=0] The index of the first element to read.
+ * @return {OOGL.Matrix3} The new matrix.
+ * @example
+ *	var m = OOGL.Matrix3.unpack(data, i * 9);
+ */
+OOGL.Matrix3.unpack = function (array, offset) {
+	if (arguments.length < 2) {
+		offset = 0;
+	}
+	return new OOGL.Matrix3(Array.prototype.slice.call(array, offset, offset + 9));
 };
 
 /**
@@ -542,3 +787,58 @@ OOGL.ZRotationMatrix3 = function (angle) {
 OOGL.ScalingMatrix3 = function (x, y, z) {
 	return new OOGL.Matrix3([x, 0, 0, 0, y, 0, 0, 0, z]);
 };
+
+/**
+ * Creates a 3x3 matrix whose elements are stored in a `Float32Array`.
+ *
+ * The returned object is an {{#crossLink "OOGL.Matrix3"}}{{/crossLink}} in
+ * every respect, but its numeric properties are accessors reading from and
+ * writing to the {{#crossLink "OOGL.Float32Matrix3/array:property"}}{{/crossLink}}
+ * typed array, which the uniform setters of
+ * {{#crossLink "context.Program"}}{{/crossLink}} can pass to WebGL without
+ * copying.
+ *
+ * Non-mutating methods such as `by`, `plus` and `clone` still return plain
+ * matrices; use the `*Into` variants to write into a typed matrix without
+ * allocating.
+ *
+ * An exception is thrown if the length of the `data` array is not 9.
+ *
+ * @class OOGL.Float32Matrix3
+ * @extends OOGL.Matrix3
+ * @constructor
+ * @param {Number[]} data A 9-element array of the floating point values to
+ *	be put into the matrix, in column-major order.
+ * @example
+ *	var matrix = new OOGL.Float32Matrix3([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+ */
+OOGL.Float32Matrix3 = function (data) {
+	if (data.length != 9) {
+		throw 'A 3x3 matrix must have exactly 9 elements.';
+	}
+	var matrix = Object.create(OOGL.Matrix3.prototype);
+
+	/**
+	 * The typed array holding the elements of this matrix in column-major
+	 * order.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	var array = matrix.array = new Float32Array(data);
+
+	for (var i = 0; i < 9; i++) {
+		(function (i) {
+			Object.defineProperty(matrix, i, {
+				get: function () {
+					return array[i];
+				},
+				set: function (value) {
+					array[i] = value;
+				},
+				enumerable: true
+			});
+		})(i);
+	}
+	return matrix;
+};
@@ -171,6 +171,25 @@ OOGL.Matrix4.prototype = {
 		return new OOGL.Matrix4(newArray);
 	},
 
+	/**
+	 * Adds the specified matrix to this one and stores the sum in the `out`
+	 * matrix, which may be this matrix or the specified one. No new objects
+	 * are allocated.
+	 *
+	 * @method plusInto
+	 * @param {OOGL.Matrix4} m The matrix to add.
+	 * @param {OOGL.Matrix4} out The matrix where the sum is stored.
+	 * @return {OOGL.Matrix4} The `out` matrix.
+	 * @example
+	 *	m1.plusInto(m2, result);
+	 */
+	plusInto: function (m, out) {
+		for (var i = 0; i < 16; i++) {
+			out[i] = this[i] + m[i];
+		}
+		return out;
+	},
+
 	/**
 	 * Subtracts the specified matrix to this one.
 	 *
@@ -208,6 +227,25 @@ OOGL.Matrix4.prototype = {
 		return new OOGL.Matrix4(newArray);
 	},
 
+	/**
+	 * Subtracts the specified matrix to this one and stores the difference in
+	 * the `out` matrix, which may be this matrix or the specified one. No new
+	 * objects are allocated.
+	 *
+	 * @method minusInto
+	 * @param {OOGL.Matrix4} m The matrix to subtract.
+	 * @param {OOGL.Matrix4} out The matrix where the difference is stored.
+	 * @return {OOGL.Matrix4} The `out` matrix.
+	 * @example
+	 *	m1.minusInto(m2, result);
+	 */
+	minusInto: function (m, out) {
+		for (var i = 0; i < 16; i++) {
+			out[i] = this[i] - m[i];
+		}
+		return out;
+	},
+
 	/**
 	 * Multiplies this matrix by the specified constant factor. This method
 	 * changes the original matrix.
@@ -229,9 +267,70 @@ OOGL.Matrix4.prototype = {
 	 * @example
 	 *	TODO
 	 */
-	multiply: function (x) {
-		var i;
-		if (x instanceof OOGL.Matrix4) {
+
+	/**
+	 * Transforms the specified `Vector4` object in place, that is replaces it
+	 * with its product by this matrix. This matrix is not changed.
+	 *
+	 * @method multiply
+	 * @param {OOGL.Vector4} x The vector to transform.
+	 * @return {OOGL.Vector4} The specified vector.
+	 * @example
+	 *	var v = new OOGL.Vector4(1, 2, 3, 1);
+	 *	(new OOGL.TranslationMatrix4(1, 1, 1)).multiply(v); // v is now (2, 3, 4, 1)
+	 */
+
+	/**
+	 * Transforms the specified `Vector3` object in place. The vector is extended
+	 * with the specified homogeneous `w` coordinate, multiplied by this matrix
+	 * and converted back to a 3-component vector. This matrix is not changed.
+	 *
+	 * With `w = 1` (the default) the vector is regarded as a point: it is
+	 * affected by translations and the result is divided by its W component, so
+	 * projection matrices can be applied too. With `w = 0` the vector is
+	 * regarded as a direction: translations are ignored and no division occurs.
+	 *
+	 * @method multiply
+	 * @param {OOGL.Vector3} x The vector to transform.
+	 * @param {Number} [w=1] The homogeneous W coordinate, either 1 for points or
+	 *	0 for directions.
+	 * @return {OOGL.Vector3} The specified vector.
+	 * @example
+	 *	var position = new OOGL.Vector3(1, 2, 3);
+	 *	var direction = new OOGL.Vector3(0, 0, -1);
+	 *	model.multiply(position);
+	 *	model.multiply(direction, 0);
+	 */
+	multiply: function (x, w) {
+		var i, vx, vy, vz;
+		if (x instanceof OOGL.Vector4) {
+			vx = this[0] * x.x + this[4] * x.y + this[8] * x.z + this[12] * x.w;
+			vy = this[1] * x.x + this[5] * x.y + this[9] * x.z + this[13] * x.w;
+			vz = this[2] * x.x + this[6] * x.y + this[10] * x.z + this[14] * x.w;
+			x.w = this[3] * x.x + this[7] * x.y + this[11] * x.z + this[15] * x.w;
+			x.x = vx;
+			x.y = vy;
+			x.z = vz;
+			return x;
+		} else if (x instanceof OOGL.Vector3) {
+			if (arguments.length < 2) {
+				w = 1;
+			}
+			vx = this[0] * x.x + this[4] * x.y + this[8] * x.z + this[12] * w;
+			vy = this[1] * x.x + this[5] * x.y + this[9] * x.z + this[13] * w;
+			vz = this[2] * x.x + this[6] * x.y + this[10] * x.z + this[14] * w;
+			if (w) {
+				w = this[3] * x.x + this[7] * x.y + this[11] * x.z + this[15] * w;
+				x.x = vx / w;
+				x.y = vy / w;
+				x.z = vz / w;
+			} else {
+				x.x = vx;
+				x.y = vy;
+				x.z = vz;
+			}
+			return x;
+		} else if (x instanceof OOGL.Matrix4) {
 			var newArray = [
 				this[0] * x[0] + this[4] * x[1] + this[8] * x[2] + this[12] * x[3],
 				this[1] * x[0] + this[5] * x[1] + this[9] * x[2] + this[13] * x[3],
@@ -281,7 +380,29 @@ OOGL.Matrix4.prototype = {
 	 * @param {OOGL.Vector4} v The vector to multiply.
 	 * @return {OOGL.Vector4} The product vector.
 	 * @example
-	 *	TODO
+	 *	var m = new OOGL.TranslationMatrix4(1, 1, 1);
+	 *	var v = m.by(new OOGL.Vector4(1, 2, 3, 1)); // (2, 3, 4, 1)
+	 */
+
+	/**
+	 * Transforms the specified `Vector3` object by this matrix and returns the
+	 * result as a new `Vector3` object. Neither this matrix nor the specified
+	 * vector are changed.
+	 *
+	 * The vector is extended with the specified homogeneous `w` coordinate:
+	 * with `w = 1` (the default) it is regarded as a point and the result is
+	 * divided by its W component, with `w = 0` it is regarded as a direction and
+	 * translations are ignored. See the
+	 * {{#crossLink "OOGL.Matrix4/multiply"}}multiply{{/crossLink}} method.
+	 *
+	 * @method by
+	 * @param {OOGL.Vector3} v The vector to transform.
+	 * @param {Number} [w=1] The homogeneous W coordinate, either 1 for points or
+	 *	0 for directions.
+	 * @return {OOGL.Vector3} The transformed vector.
+	 * @example
+	 *	var worldPosition = model.by(localPosition);
+	 *	var worldNormal = model.by(localNormal, 0);
 	 */
 
 	/**
@@ -295,7 +416,7 @@ OOGL.Matrix4.prototype = {
 	 * @example
 	 *	TODO
 	 */
-	by: function (x) {
+	by: function (x, w) {
 		if (x instanceof OOGL.Matrix4) {
 			return new OOGL.Matrix4([
 				this[0] * x[0] + this[4] * x[1] + this[8] * x[2] + this[12] * x[3],
@@ -322,6 +443,8 @@ OOGL.Matrix4.prototype = {
 				this[2] * x.x + this[6] * x.y + this[10] * x.z + this[14] * x.w,
 				this[3] * x.x + this[7] * x.y + this[11] * x.z + this[15] * x.w
 				);
+		} else if (x instanceof OOGL.Vector3) {
+			return this.multiply(x.clone(), (arguments.length < 2) ? 1 : w);
 		} else {
 			var newArray = [];
 			for (var i = 0; i < 16; i++) {
@@ -329,9 +452,455 @@ OOGL.Matrix4.prototype = {
 			}
 			return new OOGL.Matrix4(newArray);
 		}
+	},
+
+	/**
+	 * Multiplies this matrix by the specified constant factor and stores the
+	 * product in the `out` matrix, which may be this matrix. No new objects are
+	 * allocated.
+	 *
+	 * @method byInto
+	 * @param {Number} x The multiplying factor.
+	 * @param {OOGL.Matrix4} out The matrix where the product is stored.
+	 * @return {OOGL.Matrix4} The `out` matrix.
+	 * @example
+	 *	matrix.byInto(2, result);
+	 */
+
+	/**
+	 * Left-multiplies this matrix by the specified `Vector4` object and stores
+	 * the product in the `out` vector, which may be the specified vector. No new
+	 * objects are allocated.
+	 *
+	 * @method byInto
+	 * @param {OOGL.Vector4} x The vector to multiply.
+	 * @param {OOGL.Vector4} out The vector where the product is stored.
+	 * @return {OOGL.Vector4} The `out` vector.
+	 * @example
+	 *	matrix.byInto(v, v); // transforms v in place
+	 */
+
+	/**
+	 * Transforms the specified `Vector3` object by this matrix and stores the
+	 * result in the `out` vector, which may be the specified vector. No new
+	 * objects are allocated.
+	 *
+	 * The meaning of the `w` argument is the same as in the
+	 * {{#crossLink "OOGL.Matrix4/multiply"}}multiply{{/crossLink}} method.
+	 *
+	 * @method byInto
+	 * @param {OOGL.Vector3} x The vector to transform.
+	 * @param {OOGL.Vector3} out The vector where the result is stored.
+	 * @param {Number} [w=1] The homogeneous W coordinate, either 1 for points or
+	 *	0 for directions.
+	 * @return {OOGL.Vector3} The `out` vector.
+	 * @example
+	 *	model.byInto(localPosition, worldPosition);
+	 */
+
+	/**
+	 * Left-multiplies this matrix by the specified `Matrix4` object and stores
+	 * the product in the `out` matrix, which may be either this matrix or the
+	 * specified one. No new objects are allocated.
+	 *
+	 * @method byInto
+	 * @param {OOGL.Matrix4} x The matrix to multiply.
+	 * @param {OOGL.Matrix4} out The matrix where the product is stored.
+	 * @return {OOGL.Matrix4} The `out` matrix.
+	 * @example
+	 *	projection.byInto(view, transform);
+	 *	program.uniformMat4('Transform', transform);
+	 */
+	byInto: function (x, out, w) {
+		if (x instanceof OOGL.Vector4) {
+			var vx = this[0] * x.x + this[4] * x.y + this[8] * x.z + this[12] * x.w;
+			var vy = this[1] * x.x + this[5] * x.y + this[9] * x.z + this[13] * x.w;
+			var vz = this[2] * x.x + this[6] * x.y + this[10] * x.z + this[14] * x.w;
+			var vw = this[3] * x.x + this[7] * x.y + this[11] * x.z + this[15] * x.w;
+			out.x = vx;
+			out.y = vy;
+			out.z = vz;
+			out.w = vw;
+		} else if (x instanceof OOGL.Vector3) {
+			out.x = x.x;
+			out.y = x.y;
+			out.z = x.z;
+			this.multiply(out, (arguments.length < 3) ? 1 : w);
+		} else if (x instanceof OOGL.Matrix4) {
+			var r0 = this[0] * x[0] + this[4] * x[1] + this[8] * x[2] + this[12] * x[3],
+				r1 = this[1] * x[0] + this[5] * x[1] + this[9] * x[2] + this[13] * x[3],
+				r2 = this[2] * x[0] + this[6] * x[1] + this[10] * x[2] + this[14] * x[3],
+				r3 = this[3] * x[0] + this[7] * x[1] + this[11] * x[2] + this[15] * x[3],
+				r4 = this[0] * x[4] + this[4] * x[5] + this[8] * x[6] + this[12] * x[7],
+				r5 = this[1] * x[4] + this[5] * x[5] + this[9] * x[6] + this[13] * x[7],
+				r6 = this[2] * x[4] + this[6] * x[5] + this[10] * x[6] + this[14] * x[7],
+				r7 = this[3] * x[4] + this[7] * x[5] + this[11] * x[6] + this[15] * x[7],
+				r8 = this[0] * x[8] + this[4] * x[9] + this[8] * x[10] + this[12] * x[11],
+				r9 = this[1] * x[8] + this[5] * x[9] + this[9] * x[10] + this[13] * x[11],
+				r10 = this[2] * x[8] + this[6] * x[9] + this[10] * x[10] + this[14] * x[11],
+				r11 = this[3] * x[8] + this[7] * x[9] + this[11] * x[10] + this[15] * x[11],
+				r12 = this[0] * x[12] + this[4] * x[13] + this[8] * x[14] + this[12] * x[15],
+				r13 = this[1] * x[12] + this[5] * x[13] + this[9] * x[14] + this[13] * x[15],
+				r14 = this[2] * x[12] + this[6] * x[13] + this[10] * x[14] + this[14] * x[15],
+				r15 = this[3] * x[12] + this[7] * x[13] + this[11] * x[14] + this[15] * x[15];
+			out[0] = r0;
+			out[1] = r1;
+			out[2] = r2;
+			out[3] = r3;
+			out[4] = r4;
+			out[5] = r5;
+			out[6] = r6;
+			out[7] = r7;
+			out[8] = r8;
+			out[9] = r9;
+			out[10] = r10;
+			out[11] = r11;
+			out[12] = r12;
+			out[13] = r13;
+			out[14] = r14;
+			out[15] = r15;
+		} else {
+			for (var i = 0; i < 16; i++) {
+				out[i] = this[i] * x;
+			}
+		}
+		return out;
+	},
+
+	/**
+	 * Computes the determinant of this matrix.
+	 *
+	 * @method determinant
+	 * @return {Number} The computed determinant.
+	 * @example
+	 *	var m = new OOGL.ScalingMatrix4(2, 3, 4);
+	 *	var d = m.determinant(); // 24
+	 */
+	determinant: function () {
+		var b00 = this[0] * this[5] - this[1] * this[4];
+		var b01 = this[0] * this[6] - this[2] * this[4];
+		var b02 = this[0] * this[7] - this[3] * this[4];
+		var b03 = this[1] * this[6] - this[2] * this[5];
+		var b04 = this[1] * this[7] - this[3] * this[5];
+		var b05 = this[2] * this[7] - this[3] * this[6];
+		var b06 = this[8] * this[13] - this[9] * this[12];
+		var b07 = this[8] * this[14] - this[10] * this[12];
+		var b08 = this[8] * this[15] - this[11] * this[12];
+		var b09 = this[9] * this[14] - this[10] * this[13];
+		var b10 = this[9] * this[15] - this[11] * this[13];
+		var b11 = this[10] * this[15] - this[11] * this[14];
+		return b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+	},
+
+	/**
+	 * Inverts this matrix.
+	 *
+	 * @method invert
+	 * @chainable
+	 * @example
+	 *	var view = new OOGL.TranslationMatrix4(0, -2, -5);
+	 *	view.invert(); // view is now the (0, 2, 5) translation
+	 */
+	invert: function () {
+		var b00 = this[0] * this[5] - this[1] * this[4];
+		var b01 = this[0] * this[6] - this[2] * this[4];
+		var b02 = this[0] * this[7] - this[3] * this[4];
+		var b03 = this[1] * this[6] - this[2] * this[5];
+		var b04 = this[1] * this[7] - this[3] * this[5];
+		var b05 = this[2] * this[7] - this[3] * this[6];
+		var b06 = this[8] * this[13] - this[9] * this[12];
+		var b07 = this[8] * this[14] - this[10] * this[12];
+		var b08 = this[8] * this[15] - this[11] * this[12];
+		var b09 = this[9] * this[14] - this[10] * this[13];
+		var b10 = this[9] * this[15] - this[11] * this[13];
+		var b11 = this[10] * this[15] - this[11] * this[14];
+		var determinant = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+		var newArray = [
+			(this[5] * b11 - this[6] * b10 + this[7] * b09) / determinant,
+			(this[2] * b10 - this[1] * b11 - this[3] * b09) / determinant,
+			(this[13] * b05 - this[14] * b04 + this[15] * b03) / determinant,
+			(this[10] * b04 - this[9] * b05 - this[11] * b03) / determinant,
+			(this[6] * b08 - this[4] * b11 - this[7] * b07) / determinant,
+			(this[0] * b11 - this[2] * b08 + this[3] * b07) / determinant,
+			(this[14] * b02 - this[12] * b05 - this[15] * b01) / determinant,
+			(this[8] * b05 - this[10] * b02 + this[11] * b01) / determinant,
+			(this[4] * b10 - this[5] * b08 + this[7] * b06) / determinant,
+			(this[1] * b08 - this[0] * b10 - this[3] * b06) / determinant,
+			(this[12] * b04 - this[13] * b02 + this[15] * b00) / determinant,
+			(this[9] * b02 - this[8] * b04 - this[11] * b00) / determinant,
+			(this[5] * b07 - this[4] * b09 - this[6] * b06) / determinant,
+			(this[0] * b09 - this[1] * b07 + this[2] * b06) / determinant,
+			(this[13] * b01 - this[12] * b03 - this[14] * b00) / determinant,
+			(this[8] * b03 - this[9] * b01 + this[10] * b00) / determinant
+		];
+		for (var i = 0; i < 16; i++) {
+			this[i] = newArray[i];
+		}
+		return this;
+	},
+
+	/**
+	 * Computes the inverse of this matrix and returns it as a new `Matrix4`
+	 * object. This matrix is not changed.
+	 *
+	 * @method getInverse
+	 * @return {OOGL.Matrix4} The inverse matrix.
+	 * @example
+	 *	var camera = new OOGL.TranslationMatrix4(0, 2, 5);
+	 *	var view = camera.getInverse(); // the (0, -2, -5) translation
+	 */
+	getInverse: function () {
+		return this.clone().invert();
+	},
+
+	/**
+	 * Computes the normal matrix of this matrix, that is the inverse of the
+	 * transposed upper left 3x3 block, and returns it as a new `Matrix3`
+	 * object. This matrix is not changed.
+	 *
+	 * The normal matrix transforms surface normals consistently with the
+	 * vertices transformed by this matrix, even when it contains non-uniform
+	 * scaling.
+	 *
+	 * @method getNormalMatrix
+	 * @return {OOGL.Matrix3} The normal matrix.
+	 * @example
+	 *	program.uniformMat4('ModelView', modelView);
+	 *	program.uniformMat3('Normal', modelView.getNormalMatrix());
+	 */
+	getNormalMatrix: function () {
+		return new OOGL.Matrix3([
+			this[0], this[1], this[2],
+			this[4], this[5], this[6],
+			this[8], this[9], this[10]
+		]).invert().transpose();
+	},
+
+	/**
+	 * Extracts Euler angles from the rotation contained in the upper-left 3x3
+	 * part of this matrix, which must be a pure rotation (use
+	 * {{#crossLink "OOGL.Matrix4/decompose:method"}}{{/crossLink}} first if it
+	 * also contains a scaling).
+	 *
+	 * The `order` string lists the axes in the order the rotations are applied
+	 * to vertices, e.g. `'XYZ'` means that this matrix is decomposed as the
+	 * product of the `OOGL.ZRotationMatrix4`, `OOGL.YRotationMatrix4` and
+	 * `OOGL.XRotationMatrix4` matrices, in this order. The result can be
+	 * converted back to a matrix by using
+	 * {{#crossLink "OOGL.EulerRotationMatrix4"}}{{/crossLink}} with the same
+	 * order.
+	 *
+	 * The angle of the second rotation is always in the range `[-PI/2, PI/2]`;
+	 * when it is exactly `PI/2` or `-PI/2` the other two rotations are not
+	 * independent (gimbal lock) and the third one is reported as 0.
+	 *
+	 * An exception is thrown if `order` is not one of `'XYZ'`, `'XZY'`,
+	 * `'YXZ'`, `'YZX'`, `'ZXY'` and `'ZYX'`.
+	 *
+	 * @method toEuler
+	 * @param {String} [order='XYZ'] The order of the rotations.
+	 * @return {OOGL.Vector3} A new vector containing the rotation angles around
+	 *	the X, Y and Z axes, in radians.
+	 * @example
+	 *	var angles = matrix.toEuler('YXZ');
+	 *	var yaw = angles.y;
+	 */
+	toEuler: function (order) {
+		if (arguments.length < 1) {
+			order = 'XYZ';
+		} else if (!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order)) {
+			throw 'Invalid Euler angle order: ' + order;
+		}
+		var i = 'XYZ'.indexOf(order.charAt(0));
+		var j = 'XYZ'.indexOf(order.charAt(1));
+		var k = 'XYZ'.indexOf(order.charAt(2));
+		var sign = ((j - i + 3) % 3 == 1) ? 1 : -1;
+		var angles = [0, 0, 0];
+		var s = Math.max(-1, Math.min(1, -sign * this[i * 4 + k]));
+		angles[j] = Math.asin(s);
+		if (Math.abs(s) < 0.9999999) {
+			angles[i] = Math.atan2(sign * this[j * 4 + k], this[k * 5]);
+			angles[k] = Math.atan2(sign * this[i * 4 + j], this[i * 5]);
+		} else {
+			angles[i] = Math.atan2(-sign * this[k * 4 + j], this[j * 5]);
+		}
+		return new OOGL.Vector3(angles[0], angles[1], angles[2]);
+	},
+
+	/**
+	 * Decomposes this affine transformation matrix into a translation, a
+	 * rotation and a scaling, so that it equals the product of the
+	 * translation, rotation and scaling matrices, in this order.
+	 *
+	 * The last row of this matrix must be `(0, 0, 0, 1)` and its upper-left
+	 * 3x3 part must not contain any shearing. If the matrix contains a
+	 * reflection the X scaling factor is negative.
+	 *
+	 * The result can be converted back to a matrix by using
+	 * {{#crossLink "OOGL.ComposedMatrix4"}}{{/crossLink}}.
+	 *
+	 * @method decompose
+	 * @return {Object} An object containing the translation in its
+	 *	`translation` field (an `OOGL.Vector3`), the rotation in its `rotation`
+	 *	field (a unit-length `OOGL.Quaternion`) and the X, Y and Z scaling
+	 *	factors in its `scale` field (an `OOGL.Vector3`).
+	 * @example
+	 *	var parts = model.decompose();
+	 *	var angles = parts.rotation.toEuler();
+	 */
+	decompose: function () {
+		var sx = Math.sqrt(this[0] * this[0] + this[1] * this[1] + this[2] * this[2]);
+		var sy = Math.sqrt(this[4] * this[4] + this[5] * this[5] + this[6] * this[6]);
+		var sz = Math.sqrt(this[8] * this[8] + this[9] * this[9] + this[10] * this[10]);
+		if (this.determinant() < 0) {
+			sx = -sx;
+		}
+		return {
+			translation: new OOGL.Vector3(this[12], this[13], this[14]),
+			rotation: new OOGL.MatrixQuaternion(new OOGL.Matrix3([
+				this[0] / sx, this[1] / sx, this[2] / sx,
+				this[4] / sy, this[5] / sy, this[6] / sy,
+				this[8] / sz, this[9] / sz, this[10] / sz
+			])),
+			scale: new OOGL.Vector3(sx, sy, sz)
+		};
+	},
+
+	/**
+	 * Indicates whether this matrix equals the specified one within the
+	 * specified tolerance, i.e. whether no element differs by more than
+	 * `epsilon`.
+	 *
+	 * @method equals
+	 * @param {OOGL.Matrix4} m The other matrix.
+	 * @param {Number} [epsilon=OOGL.EPSILON] The tolerance.
+	 * @return {Boolean} `true` if the two matrices are approximately equal,
+	 *	`false` otherwise.
+	 * @example
+	 *	if (m.by(m.getInverse()).equals(OOGL.Matrix4.IDENTITY)) {
+	 *		// as expected
+	 *	}
+	 */
+	equals: function (m, epsilon) {
+		if (arguments.length < 2) {
+			epsilon = OOGL.EPSILON;
+		}
+		var equal = true;
+		for (var i = 0; i < 16 && equal; i++) {
+			equal = Math.abs(this[i] - m[i]) <= epsilon;
+		}
+		return equal;
+	},
+
+	/**
+	 * Returns a human-readable representation of this matrix, listing its
+	 * rows in order.
+	 *
+	 * @method toString
+	 * @return {String} The string representation.
+	 * @example
+	 *	console.log(String(OOGL.Matrix4.IDENTITY)); // 'OOGL.Matrix4([1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1])'
+	 */
+	toString: function () {
+		return 'OOGL.Matrix4([' +
+			this[0] + ', ' + this[4] + ', ' + this[8] + ', ' + this[12] + '], [' +
+			this[1] + ', ' + this[5] + ', ' + this[9] + ', ' + this[13] + '], [' +
+			this[2] + ', ' + this[6] + ', ' + this[10] + ', ' + this[14] + '], [' +
+			this[3] + ', ' + this[7] + ', ' + this[11] + ', ' + this[15] + '])';
+	},
+
+	/**
+	 * Returns the JSON representation of this matrix, which is the array of
+	 * its elements in column-major order. This method is used by
+	 * `JSON.stringify`; the result can be converted back using
+	 * {{#crossLink "OOGL.Matrix4/fromJSON:method"}}{{/crossLink}}.
+	 *
+	 * @method toJSON
+	 * @return {Number[]} The elements of this matrix, in column-major order.
+	 * @example
+	 *	var json = JSON.stringify(OOGL.Matrix4.IDENTITY); // '[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1]'
+	 */
+	toJSON: function () {
+		var data = [];
+		for (var i = 0; i < 16; i++) {
+			data.push(this[i]);
+		}
+		return data;
+	},
+
+	/**
+	 * Writes the elements of this matrix, in column-major order, into the
+	 * specified typed array starting at the specified offset. If no array is
+	 * specified a new 16-element `Float32Array` is created.
+	 *
+	 * The matrix can be read back using
+	 * {{#crossLink "OOGL.Matrix4/unpack:method"}}{{/crossLink}}.
+	 *
+	 * @method pack
+	 * @param {Float32Array} [array] The destination array.
+	 * @param {Number} [offset=0] The index of the first element to write.
+	 * @return {Float32Array} The destination array.
+	 * @example
+	 *	var data = new Float32Array(16 * count);
+	 *	for (var i = 0; i < count; i++) {
+	 *		matrices[i].pack(data, i * 16);
+	 *	}
+	 */
+	pack: function (array, offset) {
+		if (arguments.length < 1) {
+			array = new Float32Array(16);
+		}
+		if (arguments.length < 2) {
+			offset = 0;
+		}
+		for (var i = 0; i < 16; i++) {
+			array[offset + i] = this[i];
+		}
+		return array;
 	}
 };
 
+/**
+ * Creates a matrix from its JSON representation, as returned by
+ * {{#crossLink "OOGL.Matrix4/toJSON:method"}}{{/crossLink}}.
+ *
+ * An exception is thrown if the data is not a 16-element array.
+ *
+ * @method fromJSON
+ * @static
+ * @param {Mixed} json Either the JSON string or the already parsed array.
+ * @return {OOGL.Matrix4} The new matrix.
+ * @example
+ *	var m = OOGL.Matrix4.fromJSON('[1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]');
+ */
+OOGL.Matrix4.fromJSON = function (json) {
+	var data = (typeof json === 'string') ? JSON.parse(json) : json;
+	if (!data || (data.length != 16)) {
+		throw 'Invalid OOGL.Matrix4 JSON data.';
+	}
+	return new OOGL.Matrix4(data);
+};
+
+/**
+ * Reads a matrix from the specified typed array, starting at the specified
+ * offset, as written by
+ * {{#crossLink "OOGL.Matrix4/pack:method"}}{{/crossLink}}.
+ *
+ * @method unpack
+ * @static
+ * @param {Float32Array} array The source array.
+ * @param {Number} [offset=0] The index of the first element to read.
+ * @return {OOGL.Matrix4} The new matrix.
+ * @example
+ *	var m = OOGL.Matrix4.unpack(data, i * 16);
+ */
+OOGL.Matrix4.unpack = function (array, offset) {
+	if (arguments.length < 2) {
+		offset = 0;
+	}
+	return new OOGL.Matrix4(Array.prototype.slice.call(array, offset, offset + 16));
+};
+
 /**
  * The null 4x4 matrix.
  *
@@ -484,6 +1053,44 @@ OOGL.ZRotationMatrix4 = function (angle) {
 	]);
 };
 
+/**
+ * Creates a 3D rotation matrix from the specified Euler angles, applying the
+ * rotations around the X, Y and Z axes in the specified order.
+ *
+ * The `order` string lists the axes in the order the rotations are applied
+ * to vertices, so the default `'XYZ'` order creates the product of the
+ * `OOGL.ZRotationMatrix4`, `OOGL.YRotationMatrix4` and `OOGL.XRotationMatrix4`
+ * matrices, in this order.
+ *
+ * An exception is thrown if `order` is not one of `'XYZ'`, `'XZY'`, `'YXZ'`,
+ * `'YZX'`, `'ZXY'` and `'ZYX'`.
+ *
+ * @class OOGL.EulerRotationMatrix4
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {Number} x The rotation angle around the X axis, in radians.
+ * @param {Number} y The rotation angle around the Y axis, in radians.
+ * @param {Number} z The rotation angle around the Z axis, in radians.
+ * @param {String} [order='XYZ'] The order of the rotations.
+ * @example
+ *	var m = new OOGL.EulerRotationMatrix4(pitch, yaw, 0, 'XYZ'); // first pitch, then yaw
+ */
+OOGL.EulerRotationMatrix4 = function (x, y, z, order) {
+	if (arguments.length < 4) {
+		order = 'XYZ';
+	} else if (!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order)) {
+		throw 'Invalid Euler angle order: ' + order;
+	}
+	var rotations = {
+		X: new OOGL.XRotationMatrix4(x),
+		Y: new OOGL.YRotationMatrix4(y),
+		Z: new OOGL.ZRotationMatrix4(z)
+	};
+	return rotations[order.charAt(2)]
+		.multiply(rotations[order.charAt(1)])
+		.multiply(rotations[order.charAt(0)]);
+};
+
 /**
  * Creates a 3D scaling matrix using the specified `x`, `y` and `z` scaling
  * factors.
@@ -504,6 +1111,42 @@ OOGL.ScalingMatrix4 = function (x, y, z) {
 	return new OOGL.Matrix4([x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0, 0, 0, 0, 1]);
 };
 
+/**
+ * Composes a 3D affine transformation matrix from the specified translation,
+ * rotation and scaling. The created matrix first scales, then rotates and
+ * finally translates everything, i.e. it is the product of the translation,
+ * rotation and scaling matrices, in this order.
+ *
+ * This is the inverse operation of
+ * {{#crossLink "OOGL.Matrix4/decompose:method"}}{{/crossLink}}.
+ *
+ * @class OOGL.ComposedMatrix4
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {OOGL.Vector3} translation The translation.
+ * @param {OOGL.Quaternion} rotation The rotation, as a unit-length quaternion.
+ * @param {OOGL.Vector3} [scale] The X, Y and Z scaling factors. Defaults to no
+ *	scaling.
+ * @example
+ *	var parts = model.decompose();
+ *	parts.translation.add(new OOGL.Vector3(0, 1, 0));
+ *	model = new OOGL.ComposedMatrix4(parts.translation, parts.rotation, parts.scale);
+ */
+OOGL.ComposedMatrix4 = function (translation, rotation, scale) {
+	var matrix = rotation.toMatrix4();
+	if (scale) {
+		for (var i = 0; i < 3; i++) {
+			matrix[i] *= scale.x;
+			matrix[4 + i] *= scale.y;
+			matrix[8 + i] *= scale.z;
+		}
+	}
+	matrix[12] = translation.x;
+	matrix[13] = translation.y;
+	matrix[14] = translation.z;
+	return matrix;
+};
+
 /**
  * Creates an orthographic projection matrix using the specified screen ratio.
  *
@@ -531,23 +1174,78 @@ OOGL.OrthogonalProjection = function (screenRatio) {
 	return new OOGL.Matrix4([1, 0, 0, 0, 0, screenRatio, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
 };
 
+/**
+ * Creates an orthographic projection matrix from the specified clipping
+ * planes, like the legacy `glOrtho` function.
+ *
+ * The bounds are specified in eye coordinates: the camera looks down the
+ * negative Z axis, so `near` and `far` are distances along that direction.
+ * The created matrix has the following form, in row-major order:
+ *
+ *	2/(r-l)	0		0			-(r+l)/(r-l)
+ *	0		2/(t-b)	0			-(t+b)/(t-b)
+ *	0		0		-2/(f-n)	-(f+n)/(f-n)
+ *	0		0		0			1
+ *
+ * @class OOGL.BoundedOrthogonalProjection
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {Number} left The X coordinate of the left clipping plane.
+ * @param {Number} right The X coordinate of the right clipping plane.
+ * @param {Number} bottom The Y coordinate of the bottom clipping plane.
+ * @param {Number} top The Y coordinate of the top clipping plane.
+ * @param {Number} near The distance of the near clipping plane.
+ * @param {Number} far The distance of the far clipping plane.
+ * @example
+ *	// maps canvas pixels to clip space, with the origin in the upper left corner
+ *	var projection = new OOGL.BoundedOrthogonalProjection(0, canvas.width, canvas.height, 0, -1, 1);
+ */
+OOGL.BoundedOrthogonalProjection = function (left, right, bottom, top, near, far) {
+	return new OOGL.Matrix4([
+		2 / (right - left), 0, 0, 0,
+		0, 2 / (top - bottom), 0, 0,
+		0, 0, 2 / (near - far), 0,
+		(right + left) / (left - right), (top + bottom) / (bottom - top), (far + near) / (near - far), 1
+	]);
+};
+
 /**
  * Creates an isometric projection matrix using the specified span parameter and
  * screen ratio.
  *
- * TODO
+ * The scene is seen from the `(1, 1, 1)` direction: it is first rotated by 45
+ * degrees around the Y axis, then tilted around the X axis by the `elevation`
+ * angle and finally projected orthographically. The default elevation yields
+ * a true isometric projection, where the three axes are equally foreshortened;
+ * other values yield dimetric projections, e.g. `Math.PI / 6` is the 2:1
+ * dimetric projection commonly used in pixel art.
+ *
+ * The `span` is the size of the visible region along the X axis of the screen,
+ * in world units; the depth range has the same size and is centered in the
+ * origin.
  *
  * @class OOGL.IsometricProjection
  * @extends OOGL.Matrix4
  * @constructor
- * @param {Number} span TODO
+ * @param {Number} span The width of the visible region, in world units.
  * @param {Number} [screenRatio=1] The screen ratio, e.g. the screen width
  *	divided by the screen height. Defaults to 1:1.
+ * @param {Number} [elevation=Math.atan(Math.SQRT1_2)] The angle between the
+ *	ground plane and the viewing direction, in radians. Defaults to the true
+ *	isometric angle, about 35.26 degrees.
  * @example
  *	program.uniformMat4('Projection', new OOGL.IsometricProjection(50));
  */
-OOGL.IsometricProjection = function () {
-	// TODO
+OOGL.IsometricProjection = function (span, screenRatio, elevation) {
+	if (arguments.length < 3) {
+		elevation = Math.atan(Math.SQRT1_2);
+		if (arguments.length < 2) {
+			screenRatio = 1;
+		}
+	}
+	return (new OOGL.ScalingMatrix4(2 / span, 2 * screenRatio / span, -2 / span))
+		.by(new OOGL.XRotationMatrix4(elevation))
+		.by(new OOGL.YRotationMatrix4(-Math.PI / 4));
 };
 
 /**
@@ -565,6 +1263,11 @@ OOGL.IsometricProjection = function () {
  *
  *	h = Math.cos(focus / 2);
  *
+ * This matrix has no near and far clipping planes; see
+ * {{#crossLink "OOGL.FieldOfViewProjection"}}FieldOfViewProjection{{/crossLink}}
+ * and {{#crossLink "OOGL.FrustumProjection"}}FrustumProjection{{/crossLink}}
+ * for standard perspective projections.
+ *
  * @class OOGL.PerspectiveProjection
  * @extends OOGL.Matrix4
  * @constructor
@@ -585,3 +1288,217 @@ OOGL.PerspectiveProjection = function (screenRatio, focus) {
 	var h = Math.cos(focus / 2);
 	return new OOGL.Matrix4([h, 0, 0, 0, 0, h * screenRatio, 0, 0, 0, 0, 0, 1, 0, 0, 1, h]);
 };
+
+/**
+ * Creates a perspective projection matrix from the specified viewing frustum,
+ * like the legacy `glFrustum` function.
+ *
+ * The frustum is specified in eye coordinates: the camera looks down the
+ * negative Z axis and the `near` and `far` distances must be positive. The
+ * created matrix has the following form, in row-major order:
+ *
+ *	2n/(r-l)	0			(r+l)/(r-l)		0
+ *	0			2n/(t-b)	(t+b)/(t-b)		0
+ *	0			0			(f+n)/(n-f)		2fn/(n-f)
+ *	0			0			-1				0
+ *
+ * @class OOGL.FrustumProjection
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {Number} left The X coordinate of the left clipping plane.
+ * @param {Number} right The X coordinate of the right clipping plane.
+ * @param {Number} bottom The Y coordinate of the bottom clipping plane.
+ * @param {Number} top The Y coordinate of the top clipping plane.
+ * @param {Number} near The distance of the near clipping plane.
+ * @param {Number} far The distance of the far clipping plane.
+ * @example
+ *	program.uniformMat4('Projection', new OOGL.FrustumProjection(-0.4, 0.4, -0.3, 0.3, 1, 100));
+ */
+OOGL.FrustumProjection = function (left, right, bottom, top, near, far) {
+	return new OOGL.Matrix4([
+		2 * near / (right - left), 0, 0, 0,
+		0, 2 * near / (top - bottom), 0, 0,
+		(right + left) / (right - left), (top + bottom) / (top - bottom), (far + near) / (near - far), -1,
+		0, 0, 2 * far * near / (near - far), 0
+	]);
+};
+
+/**
+ * Creates a perspective projection matrix with the specified screen ratio,
+ * vertical field of view and near and far clipping planes, like the legacy
+ * `gluPerspective` function.
+ *
+ * The camera looks down the negative Z axis and the `near` and `far`
+ * distances must be positive. The created matrix has the following form, in
+ * row-major order:
+ *
+ *	h/r	0	0			0
+ *	0	h	0			0
+ *	0	0	(f+n)/(n-f)	2fn/(n-f)
+ *	0	0	-1			0
+ *
+ * where `r` is the screen ratio and `h` is defined by:
+ *
+ *	h = 1 / Math.tan(fov / 2);
+ *
+ * @class OOGL.FieldOfViewProjection
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {Number} screenRatio The screen ratio, e.g. the screen width divided
+ *	by the screen height.
+ * @param {Number} fov The vertical field of view, in radians.
+ * @param {Number} near The distance of the near clipping plane.
+ * @param {Number} far The distance of the far clipping plane.
+ * @example
+ *	program.uniformMat4('Projection', new OOGL.FieldOfViewProjection(4 / 3, Math.PI / 3, 0.1, 100));
+ */
+OOGL.FieldOfViewProjection = function (screenRatio, fov, near, far) {
+	var h = 1 / Math.tan(fov / 2);
+	return new OOGL.Matrix4([
+		h / screenRatio, 0, 0, 0,
+		0, h, 0, 0,
+		0, 0, (far + near) / (near - far), -1,
+		0, 0, 2 * far * near / (near - far), 0
+	]);
+};
+
+/**
+ * Creates a reversed depth perspective projection matrix, that is a
+ * perspective projection mapping the near clipping plane to depth 1 and the
+ * far one to depth 0. If no `far` distance is specified the far clipping
+ * plane is placed at infinity.
+ *
+ * Reversed depth requires the depth test to be set up accordingly:
+ *
+ *	oogl.enable(oogl.DEPTH_TEST);
+ *	oogl.depthFunc(oogl.GREATER);
+ *	oogl.clearDepth(0);
+ *
+ * The created matrix has the following form, in row-major order:
+ *
+ *	h/r	0	0			0
+ *	0	h	0			0
+ *	0	0	(f+n)/(f-n)	2fn/(f-n)
+ *	0	0	-1			0
+ *
+ * where `r` is the screen ratio and `h` is defined by:
+ *
+ *	h = 1 / Math.tan(fov / 2);
+ *
+ * When the far clipping plane is at infinity the third row becomes
+ * `0 0 1 2n`.
+ *
+ * @class OOGL.ReversedProjection
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {Number} screenRatio The screen ratio, e.g. the screen width divided
+ *	by the screen height.
+ * @param {Number} fov The vertical field of view, in radians.
+ * @param {Number} near The distance of the near clipping plane.
+ * @param {Number} [far=Infinity] The distance of the far clipping plane.
+ * @example
+ *	program.uniformMat4('Projection', new OOGL.ReversedProjection(4 / 3, Math.PI / 3, 0.1));
+ */
+OOGL.ReversedProjection = function (screenRatio, fov, near, far) {
+	var h = 1 / Math.tan(fov / 2);
+	if ((arguments.length < 4) || (far === Infinity)) {
+		return new OOGL.Matrix4([
+			h / screenRatio, 0, 0, 0,
+			0, h, 0, 0,
+			0, 0, 1, -1,
+			0, 0, 2 * near, 0
+		]);
+	} else {
+		return new OOGL.Matrix4([
+			h / screenRatio, 0, 0, 0,
+			0, h, 0, 0,
+			0, 0, (far + near) / (far - near), -1,
+			0, 0, 2 * far * near / (far - near), 0
+		]);
+	}
+};
+
+/**
+ * Creates a view matrix that places the camera at the `eye` position and
+ * orients it towards the `target` position, like the legacy `gluLookAt`
+ * function.
+ *
+ * The `up` vector indicates the upward direction of the camera and must not be
+ * parallel to the viewing direction.
+ *
+ * @class OOGL.LookAtMatrix4
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {OOGL.Vector3} eye The position of the camera.
+ * @param {OOGL.Vector3} target The position the camera looks at.
+ * @param {OOGL.Vector3} up The upward direction.
+ * @example
+ *	var view = new OOGL.LookAtMatrix4(new OOGL.Vector3(0, 2, 5), OOGL.Vector3.NULL, OOGL.Vector3.J);
+ *	program.uniformMat4('Transform', projection.by(view));
+ */
+OOGL.LookAtMatrix4 = function (eye, target, up) {
+	var f = target.minus(eye).normalize();
+	var s = f.getCrossProduct(up).normalize();
+	var u = s.getCrossProduct(f);
+	return new OOGL.Matrix4([
+		s.x, u.x, -f.x, 0,
+		s.y, u.y, -f.y, 0,
+		s.z, u.z, -f.z, 0,
+		-s.dot(eye), -u.dot(eye), f.dot(eye), 1
+	]);
+};
+
+/**
+ * Creates a 4x4 matrix whose elements are stored in a `Float32Array`.
+ *
+ * The returned object is an {{#crossLink "OOGL.Matrix4"}}{{/crossLink}} in
+ * every respect, but its numeric properties are accessors reading from and
+ * writing to the {{#crossLink "OOGL.Float32Matrix4/array:property"}}{{/crossLink}}
+ * typed array, which the uniform setters of
+ * {{#crossLink "context.Program"}}{{/crossLink}} can pass to WebGL without
+ * copying.
+ *
+ * Non-mutating methods such as `by`, `plus` and `clone` still return plain
+ * matrices; use the `*Into` variants to write into a typed matrix without
+ * allocating.
+ *
+ * An exception is thrown if the length of the `data` array is not 16.
+ *
+ * @class OOGL.Float32Matrix4
+ * @extends OOGL.Matrix4
+ * @constructor
+ * @param {Number[]} data A 16-element array of the floating point values to
+ *	be put into the matrix, in column-major order.
+ * @example
+ *	var matrix = new OOGL.Float32Matrix4([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+ */
+OOGL.Float32Matrix4 = function (data) {
+	if (data.length != 16) {
+		throw 'A 4x4 matrix must have exactly 16 elements.';
+	}
+	var matrix = Object.create(OOGL.Matrix4.prototype);
+
+	/**
+	 * The typed array holding the elements of this matrix in column-major
+	 * order.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	var array = matrix.array = new Float32Array(data);
+
+	for (var i = 0; i < 16; i++) {
+		(function (i) {
+			Object.defineProperty(matrix, i, {
+				get: function () {
+					return array[i];
+				},
+				set: function (value) {
+					array[i] = value;
+				},
+				enumerable: true
+			});
+		})(i);
+	}
+	return matrix;
+};
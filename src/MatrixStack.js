@@ -0,0 +1,215 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A stack of 4x4 matrices providing the `glPushMatrix`/`glPopMatrix` semantics
+ * of fixed-function OpenGL, useful for hierarchical transformations.
+ *
+ * The stack initially contains only the identity matrix (or a copy of the
+ * specified matrix). All transformation methods post-multiply the top matrix,
+ * exactly like their fixed-function counterparts, so transformations are
+ * applied to vertices in reverse order of specification.
+ *
+ * Matrices in the stack are
+ * {{#crossLink "OOGL.Float32Matrix4"}}{{/crossLink}} objects that are reused
+ * across pushes and pops, so the top can be uploaded without any allocation.
+ *
+ * @class OOGL.MatrixStack
+ * @constructor
+ * @param {OOGL.Matrix4} [matrix=OOGL.Matrix4.IDENTITY] The initial matrix.
+ * @example
+ *	var stack = new OOGL.MatrixStack();
+ *	stack.translate(0, 0, -5);
+ *	stack.push();
+ *	stack.rotate(0, 1, 0, angle);
+ *	stack.uniform(program, 'Transform');
+ *	arrays.drawTriangles();
+ *	stack.pop();
+ */
+OOGL.MatrixStack = function (matrix) {
+	this.matrices = [new OOGL.Float32Matrix4([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1])];
+	this.depth = 0;
+	if (matrix) {
+		this.load(matrix);
+	}
+};
+
+OOGL.MatrixStack.prototype = {
+	/**
+	 * Returns the matrix currently at the top of the stack.
+	 *
+	 * The returned object is owned by the stack: it is modified by subsequent
+	 * transformations and reused after it is popped, so clone it if you need
+	 * to keep it.
+	 *
+	 * @method top
+	 * @return {OOGL.Float32Matrix4} The top matrix.
+	 * @example
+	 *	var position = stack.top().by(new OOGL.Vector3(0, 0, 0));
+	 */
+	top: function () {
+		return this.matrices[this.depth];
+	},
+
+	/**
+	 * Returns the number of matrices in the stack, which is always at least 1.
+	 *
+	 * @method size
+	 * @return {Number} The number of matrices in the stack.
+	 */
+	size: function () {
+		return this.depth + 1;
+	},
+
+	/**
+	 * Duplicates the top matrix, like `glPushMatrix`.
+	 *
+	 * @method push
+	 * @chainable
+	 * @example
+	 *	stack.push();
+	 */
+	push: function () {
+		var top = this.matrices[this.depth++];
+		if (this.depth < this.matrices.length) {
+			this.matrices[this.depth].array.set(top.array);
+		} else {
+			this.matrices.push(new OOGL.Float32Matrix4(top.array));
+		}
+		return this;
+	},
+
+	/**
+	 * Removes the top matrix, like `glPopMatrix`.
+	 *
+	 * An exception is thrown if the stack contains only one matrix.
+	 *
+	 * @method pop
+	 * @chainable
+	 * @example
+	 *	stack.pop();
+	 */
+	pop: function () {
+		if (!this.depth) {
+			throw 'Matrix stack underflow.';
+		}
+		this.depth--;
+		return this;
+	},
+
+	/**
+	 * Replaces the top matrix with the identity matrix, like `glLoadIdentity`.
+	 *
+	 * @method loadIdentity
+	 * @chainable
+	 * @example
+	 *	stack.loadIdentity();
+	 */
+	loadIdentity: function () {
+		return this.load(OOGL.Matrix4.IDENTITY);
+	},
+
+	/**
+	 * Replaces the top matrix with a copy of the specified one, like
+	 * `glLoadMatrix`.
+	 *
+	 * @method load
+	 * @param {OOGL.Matrix4} matrix The matrix to load.
+	 * @chainable
+	 * @example
+	 *	stack.load(camera.getInverse());
+	 */
+	load: function (matrix) {
+		var top = this.matrices[this.depth];
+		for (var i = 0; i < 16; i++) {
+			top[i] = matrix[i];
+		}
+		return this;
+	},
+
+	/**
+	 * Post-multiplies the top matrix by the specified one, like
+	 * `glMultMatrix`.
+	 *
+	 * @method multiply
+	 * @param {OOGL.Matrix4} matrix The matrix to multiply the top by.
+	 * @chainable
+	 * @example
+	 *	stack.multiply(new OOGL.LookAtMatrix4(eye, target, up));
+	 */
+	multiply: function (matrix) {
+		this.matrices[this.depth].multiply(matrix);
+		return this;
+	},
+
+	/**
+	 * Post-multiplies the top matrix by a translation matrix, like
+	 * `glTranslate`.
+	 *
+	 * @method translate
+	 * @param {Number} x The X component of the translation.
+	 * @param {Number} y The Y component of the translation.
+	 * @param {Number} z The Z component of the translation.
+	 * @chainable
+	 * @example
+	 *	stack.translate(0, 0, -5);
+	 */
+	translate: function (x, y, z) {
+		return this.multiply(new OOGL.TranslationMatrix4(x, y, z));
+	},
+
+	/**
+	 * Post-multiplies the top matrix by a rotation matrix, like `glRotate`.
+	 *
+	 * Note that, consistently with
+	 * {{#crossLink "OOGL.RotationMatrix4"}}{{/crossLink}}, the angle is the last
+	 * argument and is expressed in radians, and the axis must be unit-length.
+	 *
+	 * @method rotate
+	 * @param {Number} x The X component of the rotation axis.
+	 * @param {Number} y The Y component of the rotation axis.
+	 * @param {Number} z The Z component of the rotation axis.
+	 * @param {Number} a The rotation angle, in radians.
+	 * @chainable
+	 * @example
+	 *	stack.rotate(0, 1, 0, Math.PI / 2);
+	 */
+	rotate: function (x, y, z, a) {
+		return this.multiply(new OOGL.RotationMatrix4(x, y, z, a));
+	},
+
+	/**
+	 * Post-multiplies the top matrix by a scaling matrix, like `glScale`.
+	 *
+	 * @method scale
+	 * @param {Number} x The X scaling factor.
+	 * @param {Number} y The Y scaling factor.
+	 * @param {Number} z The Z scaling factor.
+	 * @chainable
+	 * @example
+	 *	stack.scale(2, 2, 2);
+	 */
+	scale: function (x, y, z) {
+		return this.multiply(new OOGL.ScalingMatrix4(x, y, z));
+	},
+
+	/**
+	 * Uploads the top matrix to the specified `mat4` uniform variable of the
+	 * specified program using its
+	 * {{#crossLink "context.Program/uniformMat4:method"}}{{/crossLink}} method.
+	 *
+	 * @method uniform
+	 * @param {context.Program} program The program, which must be in use.
+	 * @param {String} name The name of the uniform variable.
+	 * @chainable
+	 * @example
+	 *	stack.uniform(program, 'Transform');
+	 */
+	uniform: function (program, name) {
+		program.uniformMat4(name, this.matrices[this.depth]);
+		return this;
+	}
+};
@@ -0,0 +1,188 @@
+/*global OOGL: false, context: false */
+
+/**
+ * @module context
+ */
+
+/**
+ * Represents a mesh, i.e. a set of vertex attribute arrays, an optional element
+ * array and the primitive mode used to draw them.
+ *
+ * The vertex layout is specified as an array of attribute descriptors, each
+ * one containing the `name`, `size` (the number of components, from 1 to 4),
+ * optional `type` (one of `byte`, `ubyte`, `short`, `ushort` or `float`,
+ * defaults to `float`) and optional `normalize` flag of an attribute. The
+ * attribute data is specified per attribute name and stored in a separate
+ * buffer for each attribute, see
+ * {{#crossLink "context.AttributeArrays/add"}}AttributeArrays.add{{/crossLink}}.
+ *
+ * The first attribute of the layout determines the number of vertices and,
+ * if it has at least three components, is used as the vertex positions to
+ * compute the bounds of the mesh.
+ *
+ * The attributes are associated by name to the locations of the program the
+ * mesh is drawn with, so the same mesh can be drawn with programs having
+ * different attribute lists.
+ *
+ * An exception is thrown if the layout is empty, if the data of an attribute
+ * is missing or if the primitive mode is invalid.
+ *
+ * @class context.Mesh
+ * @constructor
+ * @param layout {Object[]} The vertex layout.
+ * @param data {Object} An object that maps the name of each attribute to a
+ *	JavaScript `Array` or typed array containing its data.
+ * @param [indices] {Number[]} The element indices. When not specified, or
+ *	`null`, the vertices are drawn in order. `uint` indices are used if the
+ *	mesh has more than 65536 vertices, `ushort` indices otherwise.
+ * @param [mode='triangles'] {String} The primitive mode, one of `points`,
+ *	`lines`, `lineStrip`, `lineLoop`, `triangles`, `triangleStrip` and
+ *	`triangleFan`.
+ * @example
+ *	var mesh = new oogl.Mesh([{
+ *		name: 'in_Vertex',
+ *		size: 3
+ *	}, {
+ *		name: 'in_Normal',
+ *		size: 3
+ *	}, {
+ *		name: 'in_TexCoord',
+ *		size: 2
+ *	}], {
+ *		in_Vertex: vertices,
+ *		in_Normal: normals,
+ *		in_TexCoord: textureCoordinates
+ *	}, indices);
+ *	(new OOGL.RenderLoop(function () {
+ *		program.use();
+ *		mesh.draw(program);
+ *	})).start();
+ */
+context.Mesh = function (layout, data, indices, mode) {
+	var methods = {
+		points: 'drawPoints',
+		lines: 'drawLines',
+		lineStrip: 'drawLineStrip',
+		lineLoop: 'drawLineLoop',
+		triangles: 'drawTriangles',
+		triangleStrip: 'drawTriangleStrip',
+		triangleFan: 'drawTriangleFan'
+	};
+	mode = mode || 'triangles';
+	if (!methods.hasOwnProperty(mode)) {
+		throw 'Invalid primitive mode, must be one of "points", "lines", "lineStrip", "lineLoop", "triangles", "triangleStrip" and "triangleFan".';
+	}
+
+	if (!layout.length) {
+		throw 'The layout of a mesh must contain at least one attribute.';
+	}
+	var i;
+	for (i = 0; i < layout.length; i++) {
+		if (!data.hasOwnProperty(layout[i].name)) {
+			throw 'Missing data for attribute "' + layout[i].name + '".';
+		}
+	}
+
+	var positions = data[layout[0].name];
+	var count = Math.floor(positions.length / layout[0].size);
+	var arrays = new context.AttributeArrays(count);
+	for (i = 0; i < layout.length; i++) {
+		arrays.add(layout[i].name, layout[i].size, layout[i].type || 'float', data[layout[i].name], layout[i].normalize);
+	}
+	var elements = indices ? new context.ElementArray(indices, (count > 65536) ? 'uint' : 'ushort') : null;
+
+	return {
+		/**
+		 * The vertex attribute arrays of the mesh.
+		 *
+		 * @property arrays
+		 * @type context.AttributeArrays
+		 */
+		arrays: arrays,
+
+		/**
+		 * The element array of the mesh, or `null` if the mesh is not indexed.
+		 *
+		 * @property elements
+		 * @type context.ElementArray
+		 */
+		elements: elements,
+
+		/**
+		 * The primitive mode of the mesh.
+		 *
+		 * @property mode
+		 * @type String
+		 */
+		mode: mode,
+
+		/**
+		 * The number of vertices of the mesh.
+		 *
+		 * @property count
+		 * @type Number
+		 */
+		count: count,
+
+		/**
+		 * The axis-aligned bounding box of the vertex positions, or `null` if
+		 * the first attribute of the layout has less than three components.
+		 *
+		 * @property bounds
+		 * @type OOGL.AABB
+		 */
+		bounds: (layout[0].size < 3) ? null : new OOGL.VertexAABB(positions, layout[0].size),
+
+		/**
+		 * The bounding sphere of the vertex positions, or `null` if the first
+		 * attribute of the layout has less than three components.
+		 *
+		 * @property boundingSphere
+		 * @type OOGL.BoundingSphere
+		 */
+		boundingSphere: (layout[0].size < 3) ? null : new OOGL.VertexBoundingSphere(positions, layout[0].size),
+
+		/**
+		 * Draws the mesh with the specified program, which must be linked and
+		 * in use.
+		 *
+		 * The attribute arrays are associated to the attribute locations of the
+		 * program (see
+		 * {{#crossLink "context.AttributeArrays/resolve"}}AttributeArrays.resolve{{/crossLink}}),
+		 * enabled, bound and pointed, then the mesh is drawn in its primitive
+		 * mode and the attribute arrays are disabled again. An exception is
+		 * thrown if an attribute used by the program is missing from the mesh.
+		 *
+		 * @method draw
+		 * @param program {context.Program} The program.
+		 * @example
+		 *	program.use();
+		 *	mesh.draw(program);
+		 */
+		draw: function (program) {
+			arrays.resolve(program);
+			arrays.enableBindAndPointer();
+			if (elements) {
+				elements.bind();
+				elements[methods[mode]]();
+			} else {
+				arrays[methods[mode]]();
+			}
+			arrays.disable();
+		},
+
+		/**
+		 * Deletes all the attribute arrays and the element array of the mesh.
+		 *
+		 * @method _delete
+		 * @example
+		 *	mesh._delete();
+		 */
+		_delete: function () {
+			arrays._delete();
+			if (elements) {
+				elements._delete();
+			}
+		}
+	};
+};
@@ -0,0 +1,716 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A seeded generator of procedural noise, suitable for terrains, clouds and
+ * textures generated on the CPU.
+ *
+ * Provides 2D, 3D and 4D Perlin (gradient) noise, Simplex noise and Worley
+ * (cellular) noise, plus fractal Brownian motion and turbulence built upon
+ * them. Generators constructed with the same seed always produce the same
+ * values.
+ *
+ * Perlin and Simplex noise values are approximately in the range `[-1, 1]`,
+ * while Worley noise values are distances to the nearest feature point and
+ * are approximately in the range `[0, 1]`. All three kinds of noise repeat
+ * every 256 units along each axis.
+ *
+ * @class OOGL.Noise
+ * @constructor
+ * @param {Number} [seed] A positive integer seed. If no seed is specified a
+ *	random one is used.
+ * @example
+ *	var noise = new OOGL.Noise(1234);
+ *	var height = noise.fbm(new OOGL.Vector2(x, z).multiply(0.01), 6);
+ */
+OOGL.Noise = function (seed) {
+	var state = (arguments.length < 1) ? Math.floor(Math.random() * 2147483646) + 1 : Math.floor(seed) % 2147483647;
+	if (state <= 0) {
+		state += 2147483646;
+	}
+
+	var values = [];
+	var i;
+	for (i = 0; i < 256; i++) {
+		values.push(i);
+	}
+	for (i = 255; i > 0; i--) {
+		state = state * 16807 % 2147483647;
+		var j = Math.floor((state - 1) / 2147483646 * (i + 1));
+		var value = values[i];
+		values[i] = values[j];
+		values[j] = value;
+	}
+
+	this.permutation = new Uint8Array(512);
+	this.permutationMod12 = new Uint8Array(512);
+	for (i = 0; i < 512; i++) {
+		this.permutation[i] = values[i & 255];
+		this.permutationMod12[i] = values[i & 255] % 12;
+	}
+};
+
+OOGL.Noise.GRADIENTS2 = [
+	1, 1, -1, 1, 1, -1, -1, -1,
+	1, 0, -1, 0, 0, 1, 0, -1
+];
+
+OOGL.Noise.GRADIENTS3 = [
+	1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+	1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+	0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+];
+
+OOGL.Noise.GRADIENTS4 = [
+	0, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1,
+	0, -1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1,
+	1, 0, 1, 1, 1, 0, 1, -1, 1, 0, -1, 1, 1, 0, -1, -1,
+	-1, 0, 1, 1, -1, 0, 1, -1, -1, 0, -1, 1, -1, 0, -1, -1,
+	1, 1, 0, 1, 1, 1, 0, -1, 1, -1, 0, 1, 1, -1, 0, -1,
+	-1, 1, 0, 1, -1, 1, 0, -1, -1, -1, 0, 1, -1, -1, 0, -1,
+	1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0,
+	-1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1, 0
+];
+
+OOGL.Noise.prototype = {
+	/**
+	 * Computes 2D Perlin noise at the specified point.
+	 *
+	 * @method perlin2
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var value = noise.perlin2(x * 0.1, y * 0.1);
+	 */
+	perlin2: function (x, y) {
+		var p = this.permutation;
+		var g = OOGL.Noise.GRADIENTS2;
+		var i = Math.floor(x);
+		var j = Math.floor(y);
+		x -= i;
+		y -= j;
+		i &= 255;
+		j &= 255;
+		var u = x * x * x * (x * (x * 6 - 15) + 10);
+		var v = y * y * y * (y * (y * 6 - 15) + 10);
+		var result = 0;
+		for (var c = 0; c < 4; c++) {
+			var di = c & 1;
+			var dj = c >> 1;
+			var h = (p[p[i + di] + j + dj] & 7) * 2;
+			result += (di ? u : 1 - u) * (dj ? v : 1 - v) *
+				(g[h] * (x - di) + g[h + 1] * (y - dj));
+		}
+		return result;
+	},
+
+	/**
+	 * Computes 3D Perlin noise at the specified point.
+	 *
+	 * @method perlin3
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @param {Number} z The Z coordinate.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var density = noise.perlin3(x, y, z);
+	 */
+	perlin3: function (x, y, z) {
+		var p = this.permutation;
+		var p12 = this.permutationMod12;
+		var g = OOGL.Noise.GRADIENTS3;
+		var i = Math.floor(x);
+		var j = Math.floor(y);
+		var k = Math.floor(z);
+		x -= i;
+		y -= j;
+		z -= k;
+		i &= 255;
+		j &= 255;
+		k &= 255;
+		var u = x * x * x * (x * (x * 6 - 15) + 10);
+		var v = y * y * y * (y * (y * 6 - 15) + 10);
+		var w = z * z * z * (z * (z * 6 - 15) + 10);
+		var result = 0;
+		for (var c = 0; c < 8; c++) {
+			var di = c & 1;
+			var dj = (c >> 1) & 1;
+			var dk = c >> 2;
+			var h = p12[p[p[i + di] + j + dj] + k + dk] * 3;
+			result += (di ? u : 1 - u) * (dj ? v : 1 - v) * (dk ? w : 1 - w) *
+				(g[h] * (x - di) + g[h + 1] * (y - dj) + g[h + 2] * (z - dk));
+		}
+		return result;
+	},
+
+	/**
+	 * Computes 4D Perlin noise at the specified point. The fourth coordinate
+	 * is typically used to animate 3D noise over time.
+	 *
+	 * @method perlin4
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @param {Number} z The Z coordinate.
+	 * @param {Number} w The W coordinate.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var density = noise.perlin4(x, y, z, OOGL.Timing.now() * 0.001);
+	 */
+	perlin4: function (x, y, z, w) {
+		var p = this.permutation;
+		var g = OOGL.Noise.GRADIENTS4;
+		var i = Math.floor(x);
+		var j = Math.floor(y);
+		var k = Math.floor(z);
+		var l = Math.floor(w);
+		x -= i;
+		y -= j;
+		z -= k;
+		w -= l;
+		i &= 255;
+		j &= 255;
+		k &= 255;
+		l &= 255;
+		var fx = x * x * x * (x * (x * 6 - 15) + 10);
+		var fy = y * y * y * (y * (y * 6 - 15) + 10);
+		var fz = z * z * z * (z * (z * 6 - 15) + 10);
+		var fw = w * w * w * (w * (w * 6 - 15) + 10);
+		var result = 0;
+		for (var c = 0; c < 16; c++) {
+			var di = c & 1;
+			var dj = (c >> 1) & 1;
+			var dk = (c >> 2) & 1;
+			var dl = c >> 3;
+			var h = (p[p[p[p[i + di] + j + dj] + k + dk] + l + dl] & 31) * 4;
+			result += (di ? fx : 1 - fx) * (dj ? fy : 1 - fy) * (dk ? fz : 1 - fz) * (dl ? fw : 1 - fw) *
+				(g[h] * (x - di) + g[h + 1] * (y - dj) + g[h + 2] * (z - dk) + g[h + 3] * (w - dl));
+		}
+		return result * 0.8;
+	},
+
+	/**
+	 * Computes 2D Simplex noise at the specified point.
+	 *
+	 * Simplex noise is cheaper than Perlin noise in higher dimensions and has
+	 * fewer directional artifacts.
+	 *
+	 * @method simplex2
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var value = noise.simplex2(x * 0.1, y * 0.1);
+	 */
+	simplex2: function (x, y) {
+		var p = this.permutation;
+		var g = OOGL.Noise.GRADIENTS2;
+		var G2 = (3 - Math.sqrt(3)) / 6;
+		var s = (x + y) * (Math.sqrt(3) - 1) / 2;
+		var i = Math.floor(x + s);
+		var j = Math.floor(y + s);
+		var t = (i + j) * G2;
+		var x0 = x - i + t;
+		var y0 = y - j + t;
+		var rankX = (x0 > y0) ? 1 : 0;
+		var rankY = 1 - rankX;
+		i &= 255;
+		j &= 255;
+		var result = 0;
+		for (var c = 0; c < 3; c++) {
+			var di = (rankX >= 2 - c) ? 1 : 0;
+			var dj = (rankY >= 2 - c) ? 1 : 0;
+			var dx = x0 - di + c * G2;
+			var dy = y0 - dj + c * G2;
+			var a = 0.5 - dx * dx - dy * dy;
+			if (a > 0) {
+				var h = (p[i + di + p[j + dj]] & 7) * 2;
+				a *= a;
+				result += a * a * (g[h] * dx + g[h + 1] * dy);
+			}
+		}
+		return result * 70;
+	},
+
+	/**
+	 * Computes 3D Simplex noise at the specified point.
+	 *
+	 * @method simplex3
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @param {Number} z The Z coordinate.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var density = noise.simplex3(x, y, z);
+	 */
+	simplex3: function (x, y, z) {
+		var p = this.permutation;
+		var p12 = this.permutationMod12;
+		var g = OOGL.Noise.GRADIENTS3;
+		var G3 = 1 / 6;
+		var s = (x + y + z) / 3;
+		var i = Math.floor(x + s);
+		var j = Math.floor(y + s);
+		var k = Math.floor(z + s);
+		var t = (i + j + k) * G3;
+		var x0 = x - i + t;
+		var y0 = y - j + t;
+		var z0 = z - k + t;
+		var rankX = 0;
+		var rankY = 0;
+		var rankZ = 0;
+		if (x0 > y0) {
+			rankX++;
+		} else {
+			rankY++;
+		}
+		if (x0 > z0) {
+			rankX++;
+		} else {
+			rankZ++;
+		}
+		if (y0 > z0) {
+			rankY++;
+		} else {
+			rankZ++;
+		}
+		i &= 255;
+		j &= 255;
+		k &= 255;
+		var result = 0;
+		for (var c = 0; c < 4; c++) {
+			var di = (rankX >= 3 - c) ? 1 : 0;
+			var dj = (rankY >= 3 - c) ? 1 : 0;
+			var dk = (rankZ >= 3 - c) ? 1 : 0;
+			var dx = x0 - di + c * G3;
+			var dy = y0 - dj + c * G3;
+			var dz = z0 - dk + c * G3;
+			var a = 0.5 - dx * dx - dy * dy - dz * dz;
+			if (a > 0) {
+				var h = p12[i + di + p[j + dj + p[k + dk]]] * 3;
+				a *= a;
+				result += a * a * (g[h] * dx + g[h + 1] * dy + g[h + 2] * dz);
+			}
+		}
+		return result * 76;
+	},
+
+	/**
+	 * Computes 4D Simplex noise at the specified point. The fourth coordinate
+	 * is typically used to animate 3D noise over time.
+	 *
+	 * @method simplex4
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @param {Number} z The Z coordinate.
+	 * @param {Number} w The W coordinate.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var density = noise.simplex4(x, y, z, OOGL.Timing.now() * 0.001);
+	 */
+	simplex4: function (x, y, z, w) {
+		var p = this.permutation;
+		var g = OOGL.Noise.GRADIENTS4;
+		var G4 = (5 - Math.sqrt(5)) / 20;
+		var s = (x + y + z + w) * (Math.sqrt(5) - 1) / 4;
+		var i = Math.floor(x + s);
+		var j = Math.floor(y + s);
+		var k = Math.floor(z + s);
+		var l = Math.floor(w + s);
+		var t = (i + j + k + l) * G4;
+		var x0 = x - i + t;
+		var y0 = y - j + t;
+		var z0 = z - k + t;
+		var w0 = w - l + t;
+		var rankX = 0;
+		var rankY = 0;
+		var rankZ = 0;
+		var rankW = 0;
+		if (x0 > y0) {
+			rankX++;
+		} else {
+			rankY++;
+		}
+		if (x0 > z0) {
+			rankX++;
+		} else {
+			rankZ++;
+		}
+		if (x0 > w0) {
+			rankX++;
+		} else {
+			rankW++;
+		}
+		if (y0 > z0) {
+			rankY++;
+		} else {
+			rankZ++;
+		}
+		if (y0 > w0) {
+			rankY++;
+		} else {
+			rankW++;
+		}
+		if (z0 > w0) {
+			rankZ++;
+		} else {
+			rankW++;
+		}
+		i &= 255;
+		j &= 255;
+		k &= 255;
+		l &= 255;
+		var result = 0;
+		for (var c = 0; c < 5; c++) {
+			var di = (rankX >= 4 - c) ? 1 : 0;
+			var dj = (rankY >= 4 - c) ? 1 : 0;
+			var dk = (rankZ >= 4 - c) ? 1 : 0;
+			var dl = (rankW >= 4 - c) ? 1 : 0;
+			var dx = x0 - di + c * G4;
+			var dy = y0 - dj + c * G4;
+			var dz = z0 - dk + c * G4;
+			var dw = w0 - dl + c * G4;
+			var a = 0.5 - dx * dx - dy * dy - dz * dz - dw * dw;
+			if (a > 0) {
+				var h = (p[i + di + p[j + dj + p[k + dk + p[l + dl]]]] & 31) * 4;
+				a *= a;
+				result += a * a * (g[h] * dx + g[h + 1] * dy + g[h + 2] * dz + g[h + 3] * dw);
+			}
+		}
+		return result * 62;
+	},
+
+	/**
+	 * Computes 2D Worley noise at the specified point, i.e. the distance from
+	 * the point to the nearest of a set of feature points randomly scattered
+	 * one per unit square.
+	 *
+	 * @method worley2
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @return {Number} The noise value, approximately in the range `[0, 1]`.
+	 * @example
+	 *	var cells = noise.worley2(x * 0.1, y * 0.1);
+	 */
+	worley2: function (x, y) {
+		var p = this.permutation;
+		var i = Math.floor(x);
+		var j = Math.floor(y);
+		x -= i;
+		y -= j;
+		var result = Infinity;
+		for (var dj = -1; dj <= 1; dj++) {
+			for (var di = -1; di <= 1; di++) {
+				var h = p[p[(i + di) & 255] + ((j + dj) & 255)];
+				var dx = di + p[h] / 256 - x;
+				var dy = dj + p[h + 1] / 256 - y;
+				result = Math.min(result, dx * dx + dy * dy);
+			}
+		}
+		return Math.sqrt(result);
+	},
+
+	/**
+	 * Computes 3D Worley noise at the specified point, i.e. the distance from
+	 * the point to the nearest of a set of feature points randomly scattered
+	 * one per unit cube.
+	 *
+	 * @method worley3
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @param {Number} z The Z coordinate.
+	 * @return {Number} The noise value, approximately in the range `[0, 1]`.
+	 * @example
+	 *	var cells = noise.worley3(x, y, z);
+	 */
+	worley3: function (x, y, z) {
+		var p = this.permutation;
+		var i = Math.floor(x);
+		var j = Math.floor(y);
+		var k = Math.floor(z);
+		x -= i;
+		y -= j;
+		z -= k;
+		var result = Infinity;
+		for (var dk = -1; dk <= 1; dk++) {
+			for (var dj = -1; dj <= 1; dj++) {
+				for (var di = -1; di <= 1; di++) {
+					var h = p[p[p[(i + di) & 255] + ((j + dj) & 255)] + ((k + dk) & 255)];
+					var dx = di + p[h] / 256 - x;
+					var dy = dj + p[h + 1] / 256 - y;
+					var dz = dk + p[h + 2] / 256 - z;
+					result = Math.min(result, dx * dx + dy * dy + dz * dz);
+				}
+			}
+		}
+		return Math.sqrt(result);
+	},
+
+	/**
+	 * Computes 4D Worley noise at the specified point, i.e. the distance from
+	 * the point to the nearest of a set of feature points randomly scattered
+	 * one per unit hypercube. The fourth coordinate is typically used to
+	 * animate 3D noise over time.
+	 *
+	 * @method worley4
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @param {Number} z The Z coordinate.
+	 * @param {Number} w The W coordinate.
+	 * @return {Number} The noise value, approximately in the range `[0, 1]`.
+	 * @example
+	 *	var cells = noise.worley4(x, y, z, OOGL.Timing.now() * 0.001);
+	 */
+	worley4: function (x, y, z, w) {
+		var p = this.permutation;
+		var i = Math.floor(x);
+		var j = Math.floor(y);
+		var k = Math.floor(z);
+		var l = Math.floor(w);
+		x -= i;
+		y -= j;
+		z -= k;
+		w -= l;
+		var result = Infinity;
+		for (var dl = -1; dl <= 1; dl++) {
+			for (var dk = -1; dk <= 1; dk++) {
+				for (var dj = -1; dj <= 1; dj++) {
+					for (var di = -1; di <= 1; di++) {
+						var h = p[p[p[p[(i + di) & 255] + ((j + dj) & 255)] + ((k + dk) & 255)] + ((l + dl) & 255)];
+						var dx = di + p[h] / 256 - x;
+						var dy = dj + p[h + 1] / 256 - y;
+						var dz = dk + p[h + 2] / 256 - z;
+						var dw = dl + p[h + 3] / 256 - w;
+						result = Math.min(result, dx * dx + dy * dy + dz * dz + dw * dw);
+					}
+				}
+			}
+		}
+		return Math.sqrt(result);
+	},
+
+	/**
+	 * Computes Perlin noise at the specified point. The dimension of the noise
+	 * depends on the type of the point.
+	 *
+	 * @method perlin
+	 * @param {Mixed} v The point, an `OOGL.Vector2`, `OOGL.Vector3` or
+	 *	`OOGL.Vector4`.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var value = noise.perlin(new OOGL.Vector3(x, y, z));
+	 */
+	perlin: function (v) {
+		return this.fbm(v, 1, 2, 0.5, 'perlin');
+	},
+
+	/**
+	 * Computes Simplex noise at the specified point. The dimension of the
+	 * noise depends on the type of the point.
+	 *
+	 * @method simplex
+	 * @param {Mixed} v The point, an `OOGL.Vector2`, `OOGL.Vector3` or
+	 *	`OOGL.Vector4`.
+	 * @return {Number} The noise value, approximately in the range `[-1, 1]`.
+	 * @example
+	 *	var value = noise.simplex(new OOGL.Vector3(x, y, z));
+	 */
+	simplex: function (v) {
+		return this.fbm(v, 1, 2, 0.5, 'simplex');
+	},
+
+	/**
+	 * Computes Worley noise at the specified point. The dimension of the noise
+	 * depends on the type of the point.
+	 *
+	 * @method worley
+	 * @param {Mixed} v The point, an `OOGL.Vector2`, `OOGL.Vector3` or
+	 *	`OOGL.Vector4`.
+	 * @return {Number} The noise value, approximately in the range `[0, 1]`.
+	 * @example
+	 *	var value = noise.worley(new OOGL.Vector3(x, y, z));
+	 */
+	worley: function (v) {
+		return this.fbm(v, 1, 2, 0.5, 'worley');
+	},
+
+	/**
+	 * Computes fractal Brownian motion at the specified point, i.e. the sum of
+	 * several octaves of noise with increasing frequency and decreasing
+	 * amplitude. The result is normalized so that it has the same range as the
+	 * underlying noise.
+	 *
+	 * The dimension of the noise depends on the type of the point.
+	 *
+	 * An exception is thrown if the noise type is invalid.
+	 *
+	 * @method fbm
+	 * @param {Mixed} v The point, an `OOGL.Vector2`, `OOGL.Vector3` or
+	 *	`OOGL.Vector4`.
+	 * @param {Number} [octaves=4] The number of octaves.
+	 * @param {Number} [lacunarity=2] The frequency multiplier between
+	 *	successive octaves.
+	 * @param {Number} [gain=0.5] The amplitude multiplier between successive
+	 *	octaves.
+	 * @param {String} [type='perlin'] The type of the underlying noise; can be
+	 *	`'perlin'`, `'simplex'` or `'worley'`.
+	 * @return {Number} The noise value.
+	 * @example
+	 *	var height = noise.fbm(new OOGL.Vector2(x, z).multiply(0.01), 6, 2, 0.5, 'simplex');
+	 */
+	fbm: function (v, octaves, lacunarity, gain, type) {
+		return this.sum(v, (arguments.length < 2) ? 4 : octaves, (arguments.length < 3) ? 2 : lacunarity, (arguments.length < 4) ? 0.5 : gain, (arguments.length < 5) ? 'perlin' : type, false);
+	},
+
+	/**
+	 * Computes turbulence at the specified point, i.e. the sum of the absolute
+	 * values of several octaves of noise with increasing frequency and
+	 * decreasing amplitude. The result is normalized and is approximately in
+	 * the range `[0, 1]`.
+	 *
+	 * The dimension of the noise depends on the type of the point.
+	 *
+	 * An exception is thrown if the noise type is invalid.
+	 *
+	 * @method turbulence
+	 * @param {Mixed} v The point, an `OOGL.Vector2`, `OOGL.Vector3` or
+	 *	`OOGL.Vector4`.
+	 * @param {Number} [octaves=4] The number of octaves.
+	 * @param {Number} [lacunarity=2] The frequency multiplier between
+	 *	successive octaves.
+	 * @param {Number} [gain=0.5] The amplitude multiplier between successive
+	 *	octaves.
+	 * @param {String} [type='perlin'] The type of the underlying noise; can be
+	 *	`'perlin'`, `'simplex'` or `'worley'`.
+	 * @return {Number} The noise value.
+	 * @example
+	 *	var marble = Math.sin(x + 5 * noise.turbulence(new OOGL.Vector3(x, y, z)));
+	 */
+	turbulence: function (v, octaves, lacunarity, gain, type) {
+		return this.sum(v, (arguments.length < 2) ? 4 : octaves, (arguments.length < 3) ? 2 : lacunarity, (arguments.length < 4) ? 0.5 : gain, (arguments.length < 5) ? 'perlin' : type, true);
+	},
+
+	sum: function (v, octaves, lacunarity, gain, type, absolute) {
+		if ((type != 'perlin') && (type != 'simplex') && (type != 'worley')) {
+			throw 'Invalid noise type: ' + type;
+		}
+		var dimensions = (v instanceof OOGL.Vector4) ? 4 : (v instanceof OOGL.Vector3) ? 3 : 2;
+		var noise = this[type + dimensions];
+		var z = (dimensions > 2) ? v.z : 0;
+		var w = (dimensions > 3) ? v.w : 0;
+		var result = 0;
+		var total = 0;
+		var frequency = 1;
+		var amplitude = 1;
+		for (var i = 0; i < octaves; i++) {
+			var value = noise.call(this, v.x * frequency, v.y * frequency, z * frequency, w * frequency);
+			result += amplitude * (absolute ? Math.abs(value) : value);
+			total += amplitude;
+			frequency *= lacunarity;
+			amplitude *= gain;
+		}
+		return result / total;
+	},
+
+	/**
+	 * Fills an array with a grid of 2D noise values, for example to use them
+	 * as a height map in vertex data. The value of each grid point is written
+	 * as is at the element with index `offset + (y * width + x) * stride`.
+	 *
+	 * The grid is sampled so that its width spans `frequency` noise units.
+	 *
+	 * An exception is thrown if the noise type is invalid.
+	 *
+	 * @method fill
+	 * @param {Mixed} array The array to fill, typically a `Float32Array`.
+	 * @param {Number} width The number of grid points along the X axis.
+	 * @param {Number} height The number of grid points along the Y axis.
+	 * @param {Number} [frequency=4] The number of noise units spanned by the
+	 *	width of the grid.
+	 * @param {String} [type='perlin'] The type of noise; can be `'perlin'`,
+	 *	`'simplex'` or `'worley'`.
+	 * @param {Number} [octaves=1] The number of fBm octaves.
+	 * @param {Number} [stride=1] The distance between the indices of two
+	 *	consecutive values.
+	 * @param {Number} [offset=0] The index of the first value.
+	 * @return {Mixed} The filled array.
+	 * @example
+	 *	// the Y components of a 64x64 grid of vertices
+	 *	var vertices = new Float32Array(64 * 64 * 3);
+	 *	noise.fill(vertices, 64, 64, 4, 'simplex', 5, 3, 1);
+	 */
+	fill: function (array, width, height, frequency, type, octaves, stride, offset) {
+		return this.fillGrid(array, width, height,
+			(arguments.length < 4) ? 4 : frequency,
+			(arguments.length < 5) ? 'perlin' : type,
+			(arguments.length < 6) ? 1 : octaves,
+			(arguments.length < 7) ? 1 : stride,
+			(arguments.length < 8) ? 0 : offset,
+			false);
+	},
+
+	/**
+	 * Fills an array with a grid of 2D noise values converted to bytes, for
+	 * example to upload them as a texture image with
+	 * {{#crossLink "context.Texture/image2D:method"}}{{/crossLink}}. Perlin and
+	 * Simplex noise values are mapped from `[-1, 1]` to `[0, 255]`, Worley
+	 * noise values from `[0, 1]` to `[0, 255]`; values are clamped.
+	 *
+	 * The value of each texel is written at the element with index
+	 * `offset + (y * width + x) * stride`, so that the noise can be written to
+	 * a single channel of an RGBA image.
+	 *
+	 * An exception is thrown if the noise type is invalid.
+	 *
+	 * @method fillBytes
+	 * @param {Uint8Array} array The array to fill.
+	 * @param {Number} width The width of the image.
+	 * @param {Number} height The height of the image.
+	 * @param {Number} [frequency=4] The number of noise units spanned by the
+	 *	width of the image.
+	 * @param {String} [type='perlin'] The type of noise; can be `'perlin'`,
+	 *	`'simplex'` or `'worley'`.
+	 * @param {Number} [octaves=1] The number of fBm octaves.
+	 * @param {Number} [stride=1] The distance between the indices of two
+	 *	consecutive values.
+	 * @param {Number} [offset=0] The index of the first value.
+	 * @return {Uint8Array} The filled array.
+	 * @example
+	 *	var pixels = noise.fillBytes(new Uint8Array(256 * 256), 256, 256, 8, 'perlin', 6);
+	 *	var texture = new oogl.Texture2D();
+	 *	texture.bind();
+	 *	texture.image2D(0, oogl.LUMINANCE, oogl.UNSIGNED_BYTE, 256, 256, pixels);
+	 */
+	fillBytes: function (array, width, height, frequency, type, octaves, stride, offset) {
+		return this.fillGrid(array, width, height,
+			(arguments.length < 4) ? 4 : frequency,
+			(arguments.length < 5) ? 'perlin' : type,
+			(arguments.length < 6) ? 1 : octaves,
+			(arguments.length < 7) ? 1 : stride,
+			(arguments.length < 8) ? 0 : offset,
+			true);
+	},
+
+	fillGrid: function (array, width, height, frequency, type, octaves, stride, offset, bytes) {
+		var point = new OOGL.Vector2(0, 0);
+		var scale = frequency / width;
+		for (var y = 0; y < height; y++) {
+			for (var x = 0; x < width; x++) {
+				point.x = x * scale;
+				point.y = y * scale;
+				var value = this.sum(point, octaves, 2, 0.5, type, false);
+				if (bytes) {
+					if (type != 'worley') {
+						value = (value + 1) / 2;
+					}
+					value = Math.round(Math.max(0, Math.min(1, value)) * 255);
+				}
+				array[offset + (y * width + x) * stride] = value;
+			}
+		}
+		return array;
+	}
+};
@@ -0,0 +1,473 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+(function () {
+	function normalize(v) {
+		var length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+		return length ? [v[0] / length, v[1] / length, v[2] / length] : [0, 0, 0];
+	}
+
+	function orthogonalize(v, normals, vertex) {
+		var n = [normals[vertex * 3], normals[vertex * 3 + 1], normals[vertex * 3 + 2]];
+		var dot = v[0] * n[0] + v[1] * n[1] + v[2] * n[2];
+		return [v[0] - n[0] * dot, v[1] - n[1] * dot, v[2] - n[2] * dot];
+	}
+
+	function faceData(positions, indices) {
+		var faces = {
+			normals: [],
+			angles: []
+		};
+		for (var i = 0; i < indices.length; i += 3) {
+			var p = [];
+			for (var j = 0; j < 3; j++) {
+				p.push([positions[indices[i + j] * 3], positions[indices[i + j] * 3 + 1], positions[indices[i + j] * 3 + 2]]);
+			}
+			var e1 = [p[1][0] - p[0][0], p[1][1] - p[0][1], p[1][2] - p[0][2]];
+			var e2 = [p[2][0] - p[0][0], p[2][1] - p[0][1], p[2][2] - p[0][2]];
+			var normal = normalize([
+				e1[1] * e2[2] - e1[2] * e2[1],
+				e1[2] * e2[0] - e1[0] * e2[2],
+				e1[0] * e2[1] - e1[1] * e2[0]
+			]);
+			faces.normals.push(normal[0], normal[1], normal[2]);
+			for (j = 0; j < 3; j++) {
+				var u = normalize([p[(j + 1) % 3][0] - p[j][0], p[(j + 1) % 3][1] - p[j][1], p[(j + 1) % 3][2] - p[j][2]]);
+				var v = normalize([p[(j + 2) % 3][0] - p[j][0], p[(j + 2) % 3][1] - p[j][1], p[(j + 2) % 3][2] - p[j][2]]);
+				faces.angles.push(Math.acos(Math.max(-1, Math.min(1, u[0] * v[0] + u[1] * v[1] + u[2] * v[2]))));
+			}
+		}
+		return faces;
+	}
+
+	function cornerTangents(positions, normals, texCoords, indices) {
+		var faces = faceData(positions, indices);
+		var corners = {
+			tangents: [],
+			bitangents: [],
+			handedness: []
+		};
+		for (var i = 0; i < indices.length; i += 3) {
+			var a = indices[i];
+			var b = indices[i + 1];
+			var c = indices[i + 2];
+			var s1 = texCoords[b * 2] - texCoords[a * 2];
+			var t1 = texCoords[b * 2 + 1] - texCoords[a * 2 + 1];
+			var s2 = texCoords[c * 2] - texCoords[a * 2];
+			var t2 = texCoords[c * 2 + 1] - texCoords[a * 2 + 1];
+			var area = s1 * t2 - s2 * t1;
+			var sign = (area < 0) ? -1 : 1;
+			var faceTangent = [];
+			var faceBitangent = [];
+			var j;
+			for (j = 0; j < 3; j++) {
+				var e1 = positions[b * 3 + j] - positions[a * 3 + j];
+				var e2 = positions[c * 3 + j] - positions[a * 3 + j];
+				faceTangent.push((e1 * t2 - e2 * t1) * sign);
+				faceBitangent.push((e2 * s1 - e1 * s2) * sign);
+			}
+			faceTangent = normalize(faceTangent);
+			faceBitangent = normalize(faceBitangent);
+			for (j = 0; j < 3; j++) {
+				var vertex = indices[i + j];
+				var tangent = orthogonalize(faceTangent, normals, vertex);
+				var bitangent = orthogonalize(faceBitangent, normals, vertex);
+				var handedness = 0;
+				if (area) {
+					handedness = (normals[vertex * 3 + 1] * tangent[2] - normals[vertex * 3 + 2] * tangent[1]) * bitangent[0] +
+						(normals[vertex * 3 + 2] * tangent[0] - normals[vertex * 3] * tangent[2]) * bitangent[1] +
+						(normals[vertex * 3] * tangent[1] - normals[vertex * 3 + 1] * tangent[0]) * bitangent[2];
+				}
+				for (var k = 0; k < 3; k++) {
+					corners.tangents.push(tangent[k] * faces.angles[i + j]);
+					corners.bitangents.push(bitangent[k] * faces.angles[i + j]);
+				}
+				corners.handedness.push((handedness < 0) ? -1 : ((handedness > 0) ? 1 : 0));
+			}
+		}
+		return corners;
+	}
+
+	function tangentSpace(tangent, bitangent, normals, vertex) {
+		var n = [normals[vertex * 3], normals[vertex * 3 + 1], normals[vertex * 3 + 2]];
+		var t = normalize(orthogonalize(tangent, normals, vertex));
+		if (!t[0] && !t[1] && !t[2]) {
+			t = normalize((Math.abs(n[0]) < 0.9) ? [0, -n[2], n[1]] : [n[2], 0, -n[0]]);
+		}
+		var handedness = (n[1] * t[2] - n[2] * t[1]) * bitangent[0] +
+			(n[2] * t[0] - n[0] * t[2]) * bitangent[1] +
+			(n[0] * t[1] - n[1] * t[0]) * bitangent[2];
+		return [t[0], t[1], t[2], (handedness < 0) ? -1 : 1];
+	}
+
+	function weld(positions) {
+		var keys = {};
+		var groups = [];
+		for (var i = 0; i < positions.length / 3; i++) {
+			var key = Math.round(positions[i * 3] * 1e6) + ',' + Math.round(positions[i * 3 + 1] * 1e6) + ',' + Math.round(positions[i * 3 + 2] * 1e6);
+			if (!keys.hasOwnProperty(key)) {
+				keys[key] = i;
+			}
+			groups.push(keys[key]);
+		}
+		return groups;
+	}
+
+	/**
+	 * Static class providing functions that compute vertex normals, tangents and
+	 * bitangents of indexed triangle meshes.
+	 *
+	 * All the functions work on flat arrays like the ones passed to
+	 * {{#crossLink "context.AttributeArray3"}}{{/crossLink}} and
+	 * {{#crossLink "context.ElementArray"}}{{/crossLink}}: three components per
+	 * position and normal, two per texture coordinate, three indices per triangle
+	 * wound counterclockwise. Typed arrays are also accepted. The results are
+	 * standard JavaScript arrays.
+	 *
+	 * @class OOGL.Normals
+	 * @static
+	 * @example
+	 *	var normals = OOGL.Normals.smooth(positions, indices);
+	 *	var tangents = OOGL.Normals.tangents(positions, normals, texCoords, indices);
+	 *	arrays.add3f(positions);
+	 *	arrays.add3f(normals);
+	 *	arrays.add2f(texCoords);
+	 *	arrays.add4f(tangents);
+	 */
+	OOGL.Normals = {
+		/**
+		 * Computes smooth vertex normals. The normal of each vertex is the
+		 * average of the normals of the triangles around it, weighted by the
+		 * angle of the triangle at the vertex.
+		 *
+		 * Vertices at the same position (up to a millionth of a unit) are treated
+		 * as one, so the normals are smooth across texture seams too.
+		 *
+		 * @method smooth
+		 * @static
+		 * @param {Number[]} positions The vertex positions.
+		 * @param {Number[]} indices The vertex indices.
+		 * @return {Number[]} The unit-length vertex normals, three components per
+		 *	vertex.
+		 * @example
+		 *	var normals = OOGL.Normals.smooth(positions, indices);
+		 */
+		smooth: function (positions, indices) {
+			var faces = faceData(positions, indices);
+			var groups = weld(positions);
+			var sums = {};
+			var i, j;
+			for (i = 0; i < indices.length; i++) {
+				var key = groups[indices[i]];
+				var sum = sums[key] || (sums[key] = [0, 0, 0]);
+				for (j = 0; j < 3; j++) {
+					sum[j] += faces.normals[i - i % 3 + j] * faces.angles[i];
+				}
+			}
+			var normals = [];
+			for (i = 0; i < groups.length; i++) {
+				normals.push.apply(normals, normalize(sums[groups[i]] || [0, 0, 0]));
+			}
+			return normals;
+		},
+
+		/**
+		 * Computes flat vertex normals, so that each triangle is lit uniformly.
+		 *
+		 * Vertices shared by triangles with different normals are split, so a new
+		 * index array is returned together with the normals. Use
+		 * {{#crossLink "OOGL.Normals/remap:method"}}{{/crossLink}} to rebuild the
+		 * other vertex attributes for the new vertices.
+		 *
+		 * Equivalent to calling
+		 * {{#crossLink "OOGL.Normals/generate:method"}}{{/crossLink}} with an angle
+		 * of 0.
+		 *
+		 * @method flat
+		 * @static
+		 * @param {Number[]} positions The vertex positions.
+		 * @param {Number[]} indices The vertex indices.
+		 * @return {Object} An object containing the `normals` and `indices` of
+		 *	the new vertices and their `vertices` array, which maps each new vertex
+		 *	to the original one it was split from.
+		 * @example
+		 *	var result = OOGL.Normals.flat(positions, indices);
+		 *	arrays.add3f(OOGL.Normals.remap(positions, 3, result.vertices));
+		 *	arrays.add3f(result.normals);
+		 *	var elements = new oogl.ElementArray(result.indices);
+		 */
+		flat: function (positions, indices) {
+			return OOGL.Normals.generate(positions, indices, 0);
+		},
+
+		/**
+		 * Computes vertex normals that are smooth except along hard edges, i.e.
+		 * the edges between triangles whose normals differ by more than the
+		 * specified angle.
+		 *
+		 * The normal of each corner of a triangle is the angle-weighted average of
+		 * the normals of the triangles around the same position that differ from
+		 * its own by at most `angle`. Vertices whose corners get different normals
+		 * are split, so a new index array is returned together with the normals.
+		 * Use {{#crossLink "OOGL.Normals/remap:method"}}{{/crossLink}} to rebuild
+		 * the other vertex attributes for the new vertices.
+		 *
+		 * @method generate
+		 * @static
+		 * @param {Number[]} positions The vertex positions.
+		 * @param {Number[]} indices The vertex indices.
+		 * @param {Number} [angle=Math.PI] The angle threshold, in radians. 0
+		 *	results in flat normals and `Math.PI` in smooth normals.
+		 * @return {Object} An object containing the `normals` and `indices` of
+		 *	the new vertices and their `vertices` array, which maps each new vertex
+		 *	to the original one it was split from.
+		 * @example
+		 *	var result = OOGL.Normals.generate(positions, indices, Math.PI / 6);
+		 *	arrays.add3f(OOGL.Normals.remap(positions, 3, result.vertices));
+		 *	arrays.add3f(result.normals);
+		 *	arrays.add2f(OOGL.Normals.remap(texCoords, 2, result.vertices));
+		 *	var elements = new oogl.ElementArray(result.indices);
+		 */
+		generate: function (positions, indices, angle) {
+			if (arguments.length < 3) {
+				angle = Math.PI;
+			}
+			var threshold = Math.cos(angle) - 1e-6;
+			var faces = faceData(positions, indices);
+			var groups = weld(positions);
+			var corners = {};
+			var i, j, k;
+			for (i = 0; i < indices.length; i++) {
+				var key = groups[indices[i]];
+				(corners[key] || (corners[key] = [])).push(i);
+			}
+			var result = {
+				normals: [],
+				indices: [],
+				vertices: []
+			};
+			var split = {};
+			for (i = 0; i < indices.length; i++) {
+				var face = i - i % 3;
+				var sum = [0, 0, 0];
+				var around = corners[groups[indices[i]]];
+				for (j = 0; j < around.length; j++) {
+					var other = around[j] - around[j] % 3;
+					var dot = 0;
+					for (k = 0; k < 3; k++) {
+						dot += faces.normals[face + k] * faces.normals[other + k];
+					}
+					if (dot >= threshold) {
+						for (k = 0; k < 3; k++) {
+							sum[k] += faces.normals[other + k] * faces.angles[around[j]];
+						}
+					}
+				}
+				var normal = normalize(sum);
+				if (!normal[0] && !normal[1] && !normal[2]) {
+					normal = faces.normals.slice(face, face + 3);
+				}
+				var candidates = split[indices[i]] || (split[indices[i]] = []);
+				var index = -1;
+				for (j = 0; j < candidates.length && index < 0; j++) {
+					var n = result.normals;
+					var c = candidates[j] * 3;
+					if (Math.abs(n[c] - normal[0]) < 1e-6 && Math.abs(n[c + 1] - normal[1]) < 1e-6 && Math.abs(n[c + 2] - normal[2]) < 1e-6) {
+						index = candidates[j];
+					}
+				}
+				if (index < 0) {
+					index = result.vertices.push(indices[i]) - 1;
+					result.normals.push(normal[0], normal[1], normal[2]);
+					candidates.push(index);
+				}
+				result.indices.push(index);
+			}
+			return result;
+		},
+
+		/**
+		 * Rebuilds a flat vertex attribute array for the vertices returned by
+		 * {{#crossLink "OOGL.Normals/generate:method"}}{{/crossLink}} or
+		 * {{#crossLink "OOGL.Normals/flat:method"}}{{/crossLink}}.
+		 *
+		 * @method remap
+		 * @static
+		 * @param {Number[]} array The attribute data of the original vertices.
+		 * @param {Number} size The number of components per vertex.
+		 * @param {Number[]} vertices The index of the original vertex of each new
+		 *	vertex.
+		 * @return {Number[]} The attribute data of the new vertices.
+		 * @example
+		 *	var texCoords2 = OOGL.Normals.remap(texCoords, 2, result.vertices);
+		 */
+		remap: function (array, size, vertices) {
+			var result = [];
+			for (var i = 0; i < vertices.length; i++) {
+				for (var j = 0; j < size; j++) {
+					result.push(array[vertices[i] * size + j]);
+				}
+			}
+			return result;
+		},
+
+		/**
+		 * Computes per-vertex tangents for normal mapping. Each tangent is
+		 * orthogonal to the vertex normal and points in the direction of
+		 * increasing `s` texture coordinate, and its fourth component is the
+		 * handedness (1 or -1) of the tangent space, so that the bitangent is
+		 * `handedness * cross(normal, tangent)`.
+		 *
+		 * The tangents of the triangles around each vertex are averaged weighted by
+		 * the angle of the triangle at the vertex. Vertices are not split, so a
+		 * vertex shared by triangles where the texture is mirrored gets a single
+		 * handedness; use
+		 * {{#crossLink "OOGL.Normals/generateTangents:method"}}{{/crossLink}} if
+		 * the mesh may contain such vertices.
+		 *
+		 * @method tangents
+		 * @static
+		 * @param {Number[]} positions The vertex positions.
+		 * @param {Number[]} normals The unit-length vertex normals.
+		 * @param {Number[]} texCoords The texture coordinates.
+		 * @param {Number[]} indices The vertex indices.
+		 * @return {Number[]} The unit-length tangents and their handedness, four
+		 *	components per vertex.
+		 * @example
+		 *	var tangents = OOGL.Normals.tangents(positions, normals, texCoords, indices);
+		 *	arrays.add4f(tangents);
+		 */
+		tangents: function (positions, normals, texCoords, indices) {
+			var corners = cornerTangents(positions, normals, texCoords, indices);
+			var count = positions.length / 3;
+			var tangents = [];
+			var bitangents = [];
+			var i, j;
+			for (i = 0; i < count * 3; i++) {
+				tangents.push(0);
+				bitangents.push(0);
+			}
+			for (i = 0; i < indices.length; i++) {
+				for (j = 0; j < 3; j++) {
+					tangents[indices[i] * 3 + j] += corners.tangents[i * 3 + j];
+					bitangents[indices[i] * 3 + j] += corners.bitangents[i * 3 + j];
+				}
+			}
+			var result = [];
+			for (i = 0; i < count; i++) {
+				result.push.apply(result, tangentSpace(tangents.slice(i * 3, i * 3 + 3), bitangents.slice(i * 3, i * 3 + 3), normals, i));
+			}
+			return result;
+		},
+
+		/**
+		 * Computes per-vertex tangents for normal mapping like
+		 * {{#crossLink "OOGL.Normals/tangents:method"}}{{/crossLink}}, splitting
+		 * the vertices shared by triangles whose tangent spaces have different
+		 * handedness, as happens where the texture is mirrored. This is what
+		 * MikkTSpace does, so that the tangents of the two sides of a mirror seam
+		 * are not averaged together.
+		 *
+		 * Triangles with degenerate texture coordinates join the vertices of
+		 * either side. As with
+		 * {{#crossLink "OOGL.Normals/generate:method"}}{{/crossLink}}, a new index
+		 * array is returned together with the tangents; use
+		 * {{#crossLink "OOGL.Normals/remap:method"}}{{/crossLink}} to rebuild the
+		 * other vertex attributes for the new vertices.
+		 *
+		 * @method generateTangents
+		 * @static
+		 * @param {Number[]} positions The vertex positions.
+		 * @param {Number[]} normals The unit-length vertex normals.
+		 * @param {Number[]} texCoords The texture coordinates.
+		 * @param {Number[]} indices The vertex indices.
+		 * @return {Object} An object containing the `tangents` (four components
+		 *	per vertex, as returned by `tangents`) and `indices` of the new
+		 *	vertices and their `vertices` array, which maps each new vertex to the
+		 *	original one it was split from.
+		 * @example
+		 *	var result = OOGL.Normals.generateTangents(positions, normals, texCoords, indices);
+		 *	arrays.add3f(OOGL.Normals.remap(positions, 3, result.vertices));
+		 *	arrays.add3f(OOGL.Normals.remap(normals, 3, result.vertices));
+		 *	arrays.add2f(OOGL.Normals.remap(texCoords, 2, result.vertices));
+		 *	arrays.add4f(result.tangents);
+		 *	var elements = new oogl.ElementArray(result.indices);
+		 */
+		generateTangents: function (positions, normals, texCoords, indices) {
+			var corners = cornerTangents(positions, normals, texCoords, indices);
+			var mirrored = {};
+			var i, j;
+			for (i = 0; i < indices.length; i++) {
+				if (corners.handedness[i]) {
+					var sides = mirrored[indices[i]] || (mirrored[indices[i]] = {});
+					sides[corners.handedness[i]] = true;
+				}
+			}
+			var result = {
+				tangents: [],
+				indices: [],
+				vertices: []
+			};
+			var split = {};
+			var tangents = [];
+			var bitangents = [];
+			for (i = 0; i < indices.length; i++) {
+				var side = corners.handedness[i];
+				if (!side) {
+					side = (mirrored[indices[i]] && !mirrored[indices[i]][1]) ? -1 : 1;
+				}
+				var key = indices[i] + ',' + side;
+				if (!split.hasOwnProperty(key)) {
+					split[key] = result.vertices.push(indices[i]) - 1;
+					tangents.push(0, 0, 0);
+					bitangents.push(0, 0, 0);
+				}
+				var index = split[key];
+				for (j = 0; j < 3; j++) {
+					tangents[index * 3 + j] += corners.tangents[i * 3 + j];
+					bitangents[index * 3 + j] += corners.bitangents[i * 3 + j];
+				}
+				result.indices.push(index);
+			}
+			for (i = 0; i < result.vertices.length; i++) {
+				result.tangents.push.apply(result.tangents, tangentSpace(tangents.slice(i * 3, i * 3 + 3), bitangents.slice(i * 3, i * 3 + 3), normals, result.vertices[i]));
+			}
+			return result;
+		},
+
+		/**
+		 * Computes the bitangents from the normals and the tangents returned by
+		 * {{#crossLink "OOGL.Normals/tangents:method"}}{{/crossLink}} or
+		 * {{#crossLink "OOGL.Normals/generateTangents:method"}}{{/crossLink}}, as
+		 * `handedness * cross(normal, tangent)`. Shaders can also compute them
+		 * this way, saving an attribute.
+		 *
+		 * @method bitangents
+		 * @static
+		 * @param {Number[]} normals The unit-length vertex normals.
+		 * @param {Number[]} tangents The tangents and their handedness, four
+		 *	components per vertex.
+		 * @return {Number[]} The unit-length bitangents, three components per
+		 *	vertex.
+		 * @example
+		 *	arrays.add3f(OOGL.Normals.bitangents(normals, tangents));
+		 */
+		bitangents: function (normals, tangents) {
+			var result = [];
+			for (var i = 0; i < normals.length / 3; i++) {
+				var n = [normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]];
+				var t = [tangents[i * 4], tangents[i * 4 + 1], tangents[i * 4 + 2]];
+				var w = tangents[i * 4 + 3];
+				result.push(
+					w * (n[1] * t[2] - n[2] * t[1]),
+					w * (n[2] * t[0] - n[0] * t[2]),
+					w * (n[0] * t[1] - n[1] * t[0])
+					);
+			}
+			return result;
+		}
+	};
+})();
@@ -47,6 +47,20 @@ if (typeof $ === 'undefined') {
 	$ = OOGL;
 }
 
+/**
+ * The default tolerance used by the `equals` methods of the OOGL math classes.
+ * It can be changed to affect all subsequent comparisons.
+ *
+ * @property EPSILON
+ * @for OOGL
+ * @static
+ * @type Number
+ * @default 1e-6
+ * @example
+ *	OOGL.EPSILON = 1e-4; // compare more loosely
+ */
+OOGL.EPSILON = 1e-6;
+
 /**
  * This is actually a _pseudo_-module used to document OOGL classes whose
  * namespace is a WebGL/OOGL context instance.
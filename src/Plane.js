@@ -0,0 +1,183 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A mutable plane in 3D space, represented by the equation
+ * `normal.dot(p) + constant = 0`.
+ *
+ * When the normal is unit-length the `constant` is the signed distance of the
+ * plane from the origin, measured against the normal, and the
+ * {{#crossLink "OOGL.Plane/distance:method"}}{{/crossLink}} method returns
+ * actual distances; use the
+ * {{#crossLink "OOGL.Plane/normalize:method"}}{{/crossLink}} method to make
+ * sure of it.
+ *
+ * @class OOGL.Plane
+ * @constructor
+ * @param {OOGL.Vector3} normal The normal vector of the plane. It is stored as
+ *	is, not duplicated.
+ * @param {Number} constant The constant term of the plane equation.
+ * @example
+ *	var ground = new OOGL.Plane(new OOGL.Vector3(0, 1, 0), 0);
+ */
+OOGL.Plane = function (normal, constant) {
+	/**
+	 * The normal vector of the plane.
+	 *
+	 * @property normal
+	 * @type OOGL.Vector3
+	 */
+	this.normal = normal;
+
+	/**
+	 * The constant term of the plane equation.
+	 *
+	 * @property constant
+	 * @type Number
+	 */
+	this.constant = constant;
+};
+
+OOGL.Plane.prototype = {
+	/**
+	 * Clones this plane and returns the new one.
+	 *
+	 * @method clone
+	 * @return {OOGL.Plane} The new plane.
+	 * @example
+	 *	var p2 = p1.clone();
+	 */
+	clone: function () {
+		return new OOGL.Plane(this.normal.clone(), this.constant);
+	},
+
+	/**
+	 * Returns this plane as an array of four elements, the X, Y and Z
+	 * components of the normal followed by the constant term, as expected by a
+	 * `vec4` uniform variable.
+	 *
+	 * @method toArray
+	 * @return {Number[]} The plane equation coefficients.
+	 * @example
+	 *	program.uniform4fv('ClipPlane', plane.toArray());
+	 */
+	toArray: function () {
+		return [this.normal.x, this.normal.y, this.normal.z, this.constant];
+	},
+
+	/**
+	 * Normalizes this plane so that its normal is unit-length, scaling the
+	 * constant term accordingly. Planes with a null normal are left untouched.
+	 *
+	 * @method normalize
+	 * @return {OOGL.Plane} This plane.
+	 * @example
+	 *	plane.normalize();
+	 */
+	normalize: function () {
+		var length = this.normal.length();
+		if (length) {
+			this.normal.divide(length);
+			this.constant /= length;
+		}
+		return this;
+	},
+
+	/**
+	 * Returns a normalized copy of this plane. This plane is not modified.
+	 *
+	 * @method getNormalized
+	 * @return {OOGL.Plane} The normalized plane.
+	 * @example
+	 *	var p2 = p1.getNormalized();
+	 */
+	getNormalized: function () {
+		return this.clone().normalize();
+	},
+
+	/**
+	 * Flips this plane so that its normal points to the opposite side.
+	 *
+	 * @method negate
+	 * @return {OOGL.Plane} This plane.
+	 * @example
+	 *	plane.negate();
+	 */
+	negate: function () {
+		this.normal.multiply(-1);
+		this.constant = -this.constant;
+		return this;
+	},
+
+	/**
+	 * Computes the signed distance of the specified point from this plane. The
+	 * result is positive if the point lies on the side the normal points to,
+	 * and it is an actual distance only if the plane is normalized.
+	 *
+	 * @method distance
+	 * @param {OOGL.Vector3} point The point.
+	 * @return {Number} The signed distance.
+	 * @example
+	 *	if (ground.distance(position) < 0) {
+	 *		// below the ground
+	 *	}
+	 */
+	distance: function (point) {
+		return this.normal.dot(point) + this.constant;
+	},
+
+	/**
+	 * Computes the orthogonal projection of the specified point on this
+	 * normalized plane and returns it as a new vector.
+	 *
+	 * @method project
+	 * @param {OOGL.Vector3} point The point to project.
+	 * @return {OOGL.Vector3} The projected point.
+	 * @example
+	 *	var shadow = ground.project(position);
+	 */
+	project: function (point) {
+		return point.minus(this.normal.by(this.distance(point)));
+	}
+};
+
+/**
+ * Creates a plane that contains the specified point and is perpendicular to
+ * the specified normal.
+ *
+ * The created plane is normalized if `normal` is unit-length.
+ *
+ * @class OOGL.PointNormalPlane
+ * @extends OOGL.Plane
+ * @constructor
+ * @param {OOGL.Vector3} point A point of the plane.
+ * @param {OOGL.Vector3} normal The normal vector of the plane. It is
+ *	duplicated into the plane.
+ * @example
+ *	var wall = new OOGL.PointNormalPlane(new OOGL.Vector3(5, 0, 0), new OOGL.Vector3(-1, 0, 0));
+ */
+OOGL.PointNormalPlane = function (point, normal) {
+	return new OOGL.Plane(normal.clone(), -normal.dot(point));
+};
+
+/**
+ * Creates the normalized plane that contains the three specified points. The
+ * normal points to the side from which the points appear in counterclockwise
+ * order.
+ *
+ * @class OOGL.TrianglePlane
+ * @extends OOGL.Plane
+ * @constructor
+ * @param {OOGL.Vector3} a The first point.
+ * @param {OOGL.Vector3} b The second point.
+ * @param {OOGL.Vector3} c The third point.
+ * @example
+ *	var plane = new OOGL.TrianglePlane(v0, v1, v2);
+ */
+OOGL.TrianglePlane = function (a, b, c) {
+	var normal = b.minus(a).cross(c.minus(a)).normalize();
+	return new OOGL.Plane(normal, -normal.dot(a));
+};
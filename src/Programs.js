@@ -28,6 +28,9 @@
 context.Program = function () {
 	var program = context.createProgram();
 	var locationCache = {};
+	var matrix2Scratch = new Float32Array(4);
+	var matrix3Scratch = new Float32Array(9);
+	var matrix4Scratch = new Float32Array(16);
 
 	/**
 	 * Queries a program-related parameter.
@@ -780,7 +783,11 @@ context.Program = function () {
 	 *	TODO
 	 */
 	program.uniformVec2 = function (name, v) {
-		context.uniform2f(getUniformLocation(name), v.x, v.y);
+		if (v.array) {
+			context.uniform2fv(getUniformLocation(name), v.array);
+		} else {
+			context.uniform2f(getUniformLocation(name), v.x, v.y);
+		}
 	};
 
 	/**
@@ -793,7 +800,11 @@ context.Program = function () {
 	 *	TODO
 	 */
 	program.uniformVec3 = function (name, v) {
-		context.uniform3f(getUniformLocation(name), v.x, v.y, v.z);
+		if (v.array) {
+			context.uniform3fv(getUniformLocation(name), v.array);
+		} else {
+			context.uniform3f(getUniformLocation(name), v.x, v.y, v.z);
+		}
 	};
 
 	/**
@@ -806,7 +817,39 @@ context.Program = function () {
 	 *	TODO
 	 */
 	program.uniformVec4 = function (name, v) {
-		context.uniform2f(getUniformLocation(name), v.x, v.y, v.z, v.w);
+		if (v.array) {
+			context.uniform4fv(getUniformLocation(name), v.array);
+		} else {
+			context.uniform4f(getUniformLocation(name), v.x, v.y, v.z, v.w);
+		}
+	};
+
+	/**
+	 * Specifies the value for a `vec4` uniform variable using the X, Y, Z and
+	 * W components of the specified quaternion, in this order.
+	 *
+	 * @method uniformQuat
+	 * @param name {String} The name of the uniform variable.
+	 * @param q {OOGL.Quaternion} The quaternion.
+	 * @example
+	 *	program.uniformQuat('Orientation', new OOGL.AxisAngleQuaternion(0, 1, 0, yaw));
+	 */
+	program.uniformQuat = function (name, q) {
+		context.uniform4f(getUniformLocation(name), q.x, q.y, q.z, q.w);
+	};
+
+	/**
+	 * Specifies the value for a `vec4` uniform variable using the red, green,
+	 * blue and alpha components of the specified color, in this order.
+	 *
+	 * @method uniformColor
+	 * @param name {String} The name of the uniform variable.
+	 * @param color {OOGL.Color} The color.
+	 * @example
+	 *	program.uniformColor('Diffuse', new OOGL.CSSColor('orange'));
+	 */
+	program.uniformColor = function (name, color) {
+		context.uniform4f(getUniformLocation(name), color.r, color.g, color.b, color.a);
 	};
 
 	/**
@@ -858,10 +901,14 @@ context.Program = function () {
 	 *	TODO
 	 */
 	program.uniformMat2 = function (name, matrix) {
-		context.uniformMatrix2fv(getUniformLocation(name), false, [
-			matrix[0], matrix[1],
-			matrix[2], matrix[3]
-		]);
+		if (matrix.array) {
+			context.uniformMatrix2fv(getUniformLocation(name), false, matrix.array);
+		} else {
+			for (var i = 0; i < 4; i++) {
+				matrix2Scratch[i] = matrix[i];
+			}
+			context.uniformMatrix2fv(getUniformLocation(name), false, matrix2Scratch);
+		}
 	};
 
 	/**
@@ -874,11 +921,14 @@ context.Program = function () {
 	 *	TODO
 	 */
 	program.uniformMat3 = function (name, matrix) {
-		context.uniformMatrix3fv(getUniformLocation(name), false, [
-			matrix[0], matrix[1], matrix[2],
-			matrix[3], matrix[4], matrix[5],
-			matrix[6], matrix[7], matrix[8]
-		]);
+		if (matrix.array) {
+			context.uniformMatrix3fv(getUniformLocation(name), false, matrix.array);
+		} else {
+			for (var i = 0; i < 9; i++) {
+				matrix3Scratch[i] = matrix[i];
+			}
+			context.uniformMatrix3fv(getUniformLocation(name), false, matrix3Scratch);
+		}
 	};
 
 	/**
@@ -891,12 +941,14 @@ context.Program = function () {
 	 *	TODO
 	 */
 	program.uniformMat4 = function (name, matrix) {
-		context.uniformMatrix4fv(getUniformLocation(name), false, [
-			matrix[0], matrix[1], matrix[2], matrix[3],
-			matrix[4], matrix[5], matrix[6], matrix[7],
-			matrix[8], matrix[9], matrix[10], matrix[11],
-			matrix[12], matrix[13], matrix[14], matrix[15]
-		]);
+		if (matrix.array) {
+			context.uniformMatrix4fv(getUniformLocation(name), false, matrix.array);
+		} else {
+			for (var i = 0; i < 16; i++) {
+				matrix4Scratch[i] = matrix[i];
+			}
+			context.uniformMatrix4fv(getUniformLocation(name), false, matrix4Scratch);
+		}
 	};
 
 	/**
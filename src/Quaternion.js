@@ -0,0 +1,728 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A mutable quaternion, typically used to represent 3D rotations.
+ *
+ * Unit-length quaternions can be composed and interpolated without the drift
+ * and gimbal lock problems that affect rotation matrices and Euler angles; they
+ * can be converted to rotation matrices using the provided `toMatrix3` and
+ * `toMatrix4` methods.
+ *
+ * @class OOGL.Quaternion
+ * @constructor
+ * @param {Number} x The X component of the vector part.
+ * @param {Number} y The Y component of the vector part.
+ * @param {Number} z The Z component of the vector part.
+ * @param {Number} w The scalar part.
+ * @example
+ *	var q = new OOGL.Quaternion(0, 0, 0, 1); // the identity rotation
+ */
+OOGL.Quaternion = function (x, y, z, w) {
+	/**
+	 * The X component of the vector part.
+	 *
+	 * @property x
+	 * @type Number
+	 */
+	this.x = x;
+
+	/**
+	 * The Y component of the vector part.
+	 *
+	 * @property y
+	 * @type Number
+	 */
+	this.y = y;
+
+	/**
+	 * The Z component of the vector part.
+	 *
+	 * @property z
+	 * @type Number
+	 */
+	this.z = z;
+
+	/**
+	 * The scalar part.
+	 *
+	 * @property w
+	 * @type Number
+	 */
+	this.w = w;
+};
+
+OOGL.Quaternion.prototype = {
+	/**
+	 * Clones this quaternion and returns the new one.
+	 *
+	 * @method clone
+	 * @return {OOGL.Quaternion} The new quaternion.
+	 * @example
+	 *	var orientation = OOGL.Quaternion.IDENTITY.clone();
+	 */
+	clone: function () {
+		return new OOGL.Quaternion(this.x, this.y, this.z, this.w);
+	},
+
+	/**
+	 * Returns this quaternion as an array of four elements.
+	 *
+	 * @method toArray
+	 * @return {Number[]} An array containing the X, Y, Z and W components of
+	 *	this quaternion.
+	 * @example
+	 *	program.uniform4fv('Orientation', q.toArray());
+	 */
+	toArray: function () {
+		return [this.x, this.y, this.z, this.w];
+	},
+
+	/**
+	 * Computes the norm of this quaternion. This is computed as
+	 * `Math.sqrt(x * x + y * y + z * z + w * w)`.
+	 *
+	 * @method length
+	 * @return {Number} The computed value.
+	 * @example
+	 *	var q = new OOGL.Quaternion(1, 1, 1, 1);
+	 *	var l = q.length(); // 2
+	 */
+	length: function () {
+		return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+	},
+
+	/**
+	 * Normalizes this quaternion so that its norm becomes 1.
+	 *
+	 * Rotations composed many times should be normalized once in a while to
+	 * compensate for floating point errors.
+	 *
+	 * @method normalize
+	 * @chainable
+	 * @example
+	 *	orientation.multiply(delta).normalize();
+	 */
+	normalize: function () {
+		var length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+		this.x /= length;
+		this.y /= length;
+		this.z /= length;
+		this.w /= length;
+		return this;
+	},
+
+	/**
+	 * Computes the normalized quaternion and returns it as a new `Quaternion`
+	 * object. This quaternion is not changed.
+	 *
+	 * @method getNormalized
+	 * @return {OOGL.Quaternion} The normalized quaternion.
+	 * @example
+	 *	var q1 = new OOGL.Quaternion(1, 1, 1, 1);
+	 *	var q2 = q1.getNormalized(); // (0.5, 0.5, 0.5, 0.5)
+	 */
+	getNormalized: function () {
+		var length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+		return new OOGL.Quaternion(this.x / length, this.y / length, this.z / length, this.w / length);
+	},
+
+	/**
+	 * Conjugates this quaternion by negating its vector part. The conjugate of
+	 * a unit-length quaternion represents the inverse rotation.
+	 *
+	 * @method conjugate
+	 * @chainable
+	 * @example
+	 *	var q = new OOGL.Quaternion(1, 2, 3, 4);
+	 *	q.conjugate(); // q is now (-1, -2, -3, 4)
+	 */
+	conjugate: function () {
+		this.x = -this.x;
+		this.y = -this.y;
+		this.z = -this.z;
+		return this;
+	},
+
+	/**
+	 * Computes the conjugate of this quaternion and returns it as a new
+	 * `Quaternion` object. This quaternion is not changed.
+	 *
+	 * @method getConjugate
+	 * @return {OOGL.Quaternion} The conjugate quaternion.
+	 * @example
+	 *	var q1 = new OOGL.Quaternion(1, 2, 3, 4);
+	 *	var q2 = q1.getConjugate(); // (-1, -2, -3, 4)
+	 */
+	getConjugate: function () {
+		return new OOGL.Quaternion(-this.x, -this.y, -this.z, this.w);
+	},
+
+	/**
+	 * Inverts this quaternion. For unit-length quaternions this is equivalent
+	 * to `conjugate`.
+	 *
+	 * @method invert
+	 * @chainable
+	 * @example
+	 *	var q = new OOGL.Quaternion(0, 0, 0, 2);
+	 *	q.invert(); // q is now (0, 0, 0, 0.5)
+	 */
+	invert: function () {
+		var squaredLength = this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w;
+		this.x /= -squaredLength;
+		this.y /= -squaredLength;
+		this.z /= -squaredLength;
+		this.w /= squaredLength;
+		return this;
+	},
+
+	/**
+	 * Computes the inverse of this quaternion and returns it as a new
+	 * `Quaternion` object. This quaternion is not changed.
+	 *
+	 * @method getInverse
+	 * @return {OOGL.Quaternion} The inverse quaternion.
+	 * @example
+	 *	var q1 = new OOGL.Quaternion(0, 0, 0, 2);
+	 *	var q2 = q1.getInverse(); // (0, 0, 0, 0.5)
+	 */
+	getInverse: function () {
+		var squaredLength = this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w;
+		return new OOGL.Quaternion(
+			-this.x / squaredLength,
+			-this.y / squaredLength,
+			-this.z / squaredLength,
+			this.w / squaredLength
+			);
+	},
+
+	/**
+	 * Computes the dot product between this quaternion and the specified one,
+	 * regarding both as 4-component vectors.
+	 *
+	 * @method dot
+	 * @param {OOGL.Quaternion} q The other quaternion.
+	 * @return {Number} The computed dot product.
+	 * @example
+	 *	var cosine = q1.dot(q2);
+	 */
+	dot: function (q) {
+		return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+	},
+
+	/**
+	 * Multiplies this quaternion by the specified constant factor. This method
+	 * changes the original quaternion.
+	 *
+	 * @method multiply
+	 * @param {Number} x The multiplying factor.
+	 * @chainable
+	 * @example
+	 *	var q = new OOGL.Quaternion(1, 2, 3, 4);
+	 *	q.multiply(2); // q is now (2, 4, 6, 8)
+	 */
+
+	/**
+	 * Right-multiplies this quaternion by the specified one. This method
+	 * changes the original quaternion.
+	 *
+	 * The resulting rotation is equivalent to applying the specified rotation
+	 * first and then this one, just like the product of the respective
+	 * rotation matrices.
+	 *
+	 * @method multiply
+	 * @param {OOGL.Quaternion} x The multiplying quaternion.
+	 * @chainable
+	 * @example
+	 *	orientation.multiply(new OOGL.AxisAngleQuaternion(0, 1, 0, Math.PI / 60));
+	 */
+	multiply: function (x) {
+		if (x instanceof OOGL.Quaternion) {
+			var qx = this.w * x.x + this.x * x.w + this.y * x.z - this.z * x.y;
+			var qy = this.w * x.y - this.x * x.z + this.y * x.w + this.z * x.x;
+			var qz = this.w * x.z + this.x * x.y - this.y * x.x + this.z * x.w;
+			this.w = this.w * x.w - this.x * x.x - this.y * x.y - this.z * x.z;
+			this.x = qx;
+			this.y = qy;
+			this.z = qz;
+		} else {
+			this.x *= x;
+			this.y *= x;
+			this.z *= x;
+			this.w *= x;
+		}
+		return this;
+	},
+
+	/**
+	 * Multiplies this quaternion by the specified constant factor and returns
+	 * the product as a new `Quaternion` object. This quaternion is not changed.
+	 *
+	 * @method by
+	 * @param {Number} x The multiplying factor.
+	 * @return {OOGL.Quaternion} The product quaternion.
+	 * @example
+	 *	var q1 = new OOGL.Quaternion(1, 2, 3, 4);
+	 *	var q2 = q1.by(2); // (2, 4, 6, 8)
+	 */
+
+	/**
+	 * Rotates the specified `Vector3` object by this unit-length quaternion
+	 * and returns the rotated vector as a new `Vector3` object. Neither this
+	 * quaternion nor the specified vector are changed.
+	 *
+	 * @method by
+	 * @param {OOGL.Vector3} v The vector to rotate.
+	 * @return {OOGL.Vector3} The rotated vector.
+	 * @example
+	 *	var q = new OOGL.AxisAngleQuaternion(0, 0, 1, Math.PI / 2);
+	 *	var v = q.by(OOGL.Vector3.I); // (0, 1, 0)
+	 */
+
+	/**
+	 * Right-multiplies this quaternion by the specified one and returns the
+	 * product as a new `Quaternion` object. Neither this quaternion nor the
+	 * specified one are changed.
+	 *
+	 * @method by
+	 * @param {OOGL.Quaternion} x The multiplying quaternion.
+	 * @return {OOGL.Quaternion} The product quaternion.
+	 * @example
+	 *	var q3 = q1.by(q2); // rotates by q2 first and then by q1
+	 */
+	by: function (x) {
+		if (x instanceof OOGL.Quaternion) {
+			return new OOGL.Quaternion(
+				this.w * x.x + this.x * x.w + this.y * x.z - this.z * x.y,
+				this.w * x.y - this.x * x.z + this.y * x.w + this.z * x.x,
+				this.w * x.z + this.x * x.y - this.y * x.x + this.z * x.w,
+				this.w * x.w - this.x * x.x - this.y * x.y - this.z * x.z
+				);
+		} else if (x instanceof OOGL.Vector3) {
+			var tx = 2 * (this.y * x.z - this.z * x.y);
+			var ty = 2 * (this.z * x.x - this.x * x.z);
+			var tz = 2 * (this.x * x.y - this.y * x.x);
+			return new OOGL.Vector3(
+				x.x + this.w * tx + this.y * tz - this.z * ty,
+				x.y + this.w * ty + this.z * tx - this.x * tz,
+				x.z + this.w * tz + this.x * ty - this.y * tx
+				);
+		} else {
+			return new OOGL.Quaternion(this.x * x, this.y * x, this.z * x, this.w * x);
+		}
+	},
+
+	/**
+	 * Normalized linear interpolation: linearly interpolates between this
+	 * quaternion and the specified one and normalizes the result. This method
+	 * changes the original quaternion.
+	 *
+	 * `nlerp` is cheaper than `slerp` but does not have a constant angular
+	 * velocity. Interpolation always follows the shortest path.
+	 *
+	 * @method nlerp
+	 * @param {OOGL.Quaternion} q The target quaternion.
+	 * @param {Number} t The interpolation factor, from 0 (this quaternion) to
+	 *	1 (the target quaternion).
+	 * @chainable
+	 * @example
+	 *	orientation.nlerp(target, 0.1);
+	 */
+	nlerp: function (q, t) {
+		var s = (this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w < 0) ? -t : t;
+		this.x += s * q.x - t * this.x;
+		this.y += s * q.y - t * this.y;
+		this.z += s * q.z - t * this.z;
+		this.w += s * q.w - t * this.w;
+		return this.normalize();
+	},
+
+	/**
+	 * Normalized linear interpolation between this quaternion and the
+	 * specified one; the result is returned as a new `Quaternion` object, this
+	 * quaternion is not changed.
+	 *
+	 * @method getNlerp
+	 * @param {OOGL.Quaternion} q The target quaternion.
+	 * @param {Number} t The interpolation factor, from 0 (this quaternion) to
+	 *	1 (the target quaternion).
+	 * @return {OOGL.Quaternion} The interpolated quaternion.
+	 * @example
+	 *	var halfway = q1.getNlerp(q2, 0.5);
+	 */
+	getNlerp: function (q, t) {
+		return this.clone().nlerp(q, t);
+	},
+
+	/**
+	 * Spherical linear interpolation: interpolates between this unit-length
+	 * quaternion and the specified one with constant angular velocity. This
+	 * method changes the original quaternion.
+	 *
+	 * Interpolation always follows the shortest path. When the two
+	 * quaternions are very close `nlerp` is used instead to avoid numerical
+	 * instability.
+	 *
+	 * @method slerp
+	 * @param {OOGL.Quaternion} q The target quaternion.
+	 * @param {Number} t The interpolation factor, from 0 (this quaternion) to
+	 *	1 (the target quaternion).
+	 * @chainable
+	 * @example
+	 *	var orientation = start.clone().slerp(end, (OOGL.Timing.now() - t0) / duration);
+	 */
+	slerp: function (q, t) {
+		var cosine = this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+		var sign = 1;
+		if (cosine < 0) {
+			cosine = -cosine;
+			sign = -1;
+		}
+		if (cosine > 0.9995) {
+			return this.nlerp(q, t);
+		}
+		var angle = Math.acos(cosine);
+		var sine = Math.sin(angle);
+		var a = Math.sin((1 - t) * angle) / sine;
+		var b = sign * Math.sin(t * angle) / sine;
+		this.x = a * this.x + b * q.x;
+		this.y = a * this.y + b * q.y;
+		this.z = a * this.z + b * q.z;
+		this.w = a * this.w + b * q.w;
+		return this;
+	},
+
+	/**
+	 * Spherical linear interpolation between this unit-length quaternion and
+	 * the specified one; the result is returned as a new `Quaternion` object,
+	 * this quaternion is not changed.
+	 *
+	 * @method getSlerp
+	 * @param {OOGL.Quaternion} q The target quaternion.
+	 * @param {Number} t The interpolation factor, from 0 (this quaternion) to
+	 *	1 (the target quaternion).
+	 * @return {OOGL.Quaternion} The interpolated quaternion.
+	 * @example
+	 *	var halfway = q1.getSlerp(q2, 0.5);
+	 */
+	getSlerp: function (q, t) {
+		return this.clone().slerp(q, t);
+	},
+
+	/**
+	 * Converts this unit-length quaternion to a 3x3 rotation matrix and
+	 * returns it as a new `Matrix3` object.
+	 *
+	 * @method toMatrix3
+	 * @return {OOGL.Matrix3} The rotation matrix.
+	 * @example
+	 *	program.uniformMat3('Rotation', orientation.toMatrix3());
+	 */
+	toMatrix3: function () {
+		var x = this.x, y = this.y, z = this.z, w = this.w;
+		return new OOGL.Matrix3([
+			1 - 2 * (y * y + z * z),
+			2 * (x * y + w * z),
+			2 * (x * z - w * y),
+			2 * (x * y - w * z),
+			1 - 2 * (x * x + z * z),
+			2 * (y * z + w * x),
+			2 * (x * z + w * y),
+			2 * (y * z - w * x),
+			1 - 2 * (x * x + y * y)
+		]);
+	},
+
+	/**
+	 * Converts this unit-length quaternion to a homogeneous 4x4 rotation
+	 * matrix and returns it as a new `Matrix4` object.
+	 *
+	 * @method toMatrix4
+	 * @return {OOGL.Matrix4} The rotation matrix.
+	 * @example
+	 *	program.uniformMat4('Rotation', orientation.toMatrix4());
+	 */
+	toMatrix4: function () {
+		var x = this.x, y = this.y, z = this.z, w = this.w;
+		return new OOGL.Matrix4([
+			1 - 2 * (y * y + z * z),
+			2 * (x * y + w * z),
+			2 * (x * z - w * y),
+			0,
+			2 * (x * y - w * z),
+			1 - 2 * (x * x + z * z),
+			2 * (y * z + w * x),
+			0,
+			2 * (x * z + w * y),
+			2 * (y * z - w * x),
+			1 - 2 * (x * x + y * y),
+			0,
+			0,
+			0,
+			0,
+			1
+		]);
+	},
+
+	/**
+	 * Converts this unit-length quaternion to Euler angles in the specified
+	 * order.
+	 *
+	 * See {{#crossLink "OOGL.Matrix4/toEuler:method"}}{{/crossLink}} for the
+	 * meaning of the `order` argument and for the range of the returned angles.
+	 *
+	 * @method toEuler
+	 * @param {String} [order='XYZ'] The order of the rotations.
+	 * @return {OOGL.Vector3} A new vector containing the rotation angles around
+	 *	the X, Y and Z axes, in radians.
+	 * @example
+	 *	var yaw = orientation.toEuler('YXZ').y;
+	 */
+	toEuler: function (order) {
+		if (arguments.length < 1) {
+			return this.toMatrix4().toEuler();
+		} else {
+			return this.toMatrix4().toEuler(order);
+		}
+	},
+
+	/**
+	 * Indicates whether this quaternion equals the specified one within the
+	 * specified tolerance, i.e. whether no component differs by more than
+	 * `epsilon`.
+	 *
+	 * @method equals
+	 * @param {OOGL.Quaternion} q The other quaternion.
+	 * @param {Number} [epsilon=OOGL.EPSILON] The tolerance.
+	 * @return {Boolean} `true` if the two quaternions are approximately equal,
+	 *	`false` otherwise.
+	 * @example
+	 *	var a = new OOGL.Quaternion(0, 0, 0, 1);
+	 *	a.equals(a.clone()); // true
+	 */
+	equals: function (q, epsilon) {
+		if (arguments.length < 2) {
+			epsilon = OOGL.EPSILON;
+		}
+		return (Math.abs(this.x - q.x) <= epsilon) &&
+			(Math.abs(this.y - q.y) <= epsilon) &&
+			(Math.abs(this.z - q.z) <= epsilon) &&
+			(Math.abs(this.w - q.w) <= epsilon);
+	},
+
+	/**
+	 * Returns a human-readable representation of this quaternion.
+	 *
+	 * @method toString
+	 * @return {String} The string representation.
+	 * @example
+	 *	console.log(String(new OOGL.Quaternion(0, 0, 0, 1))); // 'OOGL.Quaternion(0, 0, 0, 1)'
+	 */
+	toString: function () {
+		return 'OOGL.Quaternion(' + this.x + ', ' + this.y + ', ' + this.z + ', ' + this.w + ')';
+	},
+
+	/**
+	 * Returns the JSON representation of this quaternion, which is the array of
+	 * its components. This method is used by `JSON.stringify`; the result can
+	 * be converted back using
+	 * {{#crossLink "OOGL.Quaternion/fromJSON:method"}}{{/crossLink}}.
+	 *
+	 * @method toJSON
+	 * @return {Number[]} The components of this quaternion.
+	 * @example
+	 *	var json = JSON.stringify(new OOGL.Quaternion(0, 0, 0, 1)); // '[0,0,0,1]'
+	 */
+	toJSON: function () {
+		return this.toArray();
+	},
+
+	/**
+	 * Writes the components of this quaternion into the specified typed array,
+	 * starting at the specified offset. If no array is specified a new
+	 * 4-element `Float32Array` is created.
+	 *
+	 * The quaternion can be read back using
+	 * {{#crossLink "OOGL.Quaternion/unpack:method"}}{{/crossLink}}.
+	 *
+	 * @method pack
+	 * @param {Float32Array} [array] The destination array.
+	 * @param {Number} [offset=0] The index of the first element to write.
+	 * @return {Float32Array} The destination array.
+	 * @example
+	 *	var data = new Float32Array(4 * count);
+	 *	for (var i = 0; i < count; i++) {
+	 *		items[i].pack(data, i * 4);
+	 *	}
+	 */
+	pack: function (array, offset) {
+		if (arguments.length < 1) {
+			array = new Float32Array(4);
+		}
+		if (arguments.length < 2) {
+			offset = 0;
+		}
+		array[offset] = this.x;
+		array[offset + 1] = this.y;
+		array[offset + 2] = this.z;
+		array[offset + 3] = this.w;
+		return array;
+	}
+};
+
+/**
+ * Creates a quaternion from its JSON representation, as returned by
+ * {{#crossLink "OOGL.Quaternion/toJSON:method"}}{{/crossLink}}.
+ *
+ * An exception is thrown if the data is not a 4-element array.
+ *
+ * @method fromJSON
+ * @static
+ * @param {Mixed} json Either the JSON string or the already parsed array.
+ * @return {OOGL.Quaternion} The new quaternion.
+ * @example
+ *	var q = OOGL.Quaternion.fromJSON('[0, 0, 0, 1]');
+ */
+OOGL.Quaternion.fromJSON = function (json) {
+	var data = (typeof json === 'string') ? JSON.parse(json) : json;
+	if (!data || (data.length != 4)) {
+		throw 'Invalid OOGL.Quaternion JSON data.';
+	}
+	return new OOGL.Quaternion(data[0], data[1], data[2], data[3]);
+};
+
+/**
+ * Reads a quaternion from the specified typed array, starting at the specified
+ * offset, as written by
+ * {{#crossLink "OOGL.Quaternion/pack:method"}}{{/crossLink}}.
+ *
+ * @method unpack
+ * @static
+ * @param {Float32Array} array The source array.
+ * @param {Number} [offset=0] The index of the first element to read.
+ * @return {OOGL.Quaternion} The new quaternion.
+ * @example
+ *	var q = OOGL.Quaternion.unpack(data, i * 4);
+ */
+OOGL.Quaternion.unpack = function (array, offset) {
+	if (arguments.length < 2) {
+		offset = 0;
+	}
+	return new OOGL.Quaternion(array[offset], array[offset + 1], array[offset + 2], array[offset + 3]);
+};
+
+/**
+ * The identity quaternion `(0, 0, 0, 1)`, representing no rotation.
+ *
+ * @property IDENTITY
+ * @static
+ * @type OOGL.Quaternion
+ * @example
+ *	var orientation = OOGL.Quaternion.IDENTITY.clone();
+ */
+OOGL.Quaternion.IDENTITY = new OOGL.Quaternion(0, 0, 0, 1);
+
+/**
+ * Creates a quaternion that rotates everything counterclockwise around the
+ * specified `(x, y, z)` axis by the specified `a` angle.
+ *
+ * The specified `x`, `y` and `z` components must form a unit-length vector.
+ *
+ * The created quaternion is equivalent to a rotation matrix created by using
+ * `OOGL.RotationMatrix3` with the same arguments.
+ *
+ * @class OOGL.AxisAngleQuaternion
+ * @extends OOGL.Quaternion
+ * @constructor
+ * @param {Number} x The X component of the rotation axis.
+ * @param {Number} y The Y component of the rotation axis.
+ * @param {Number} z The Z component of the rotation axis.
+ * @param {Number} a The rotation angle, in radians.
+ * @example
+ *	var q = new OOGL.AxisAngleQuaternion(0, 1, 0, Math.PI / 2); // 90 degrees horizontal rotation
+ */
+OOGL.AxisAngleQuaternion = function (x, y, z, a) {
+	var s = Math.sin(a / 2);
+	return new OOGL.Quaternion(x * s, y * s, z * s, Math.cos(a / 2));
+};
+
+/**
+ * Creates a quaternion from the specified Euler angles, applying the rotations
+ * around the X, Y and Z axes in the specified order.
+ *
+ * The `order` string lists the axes in the order the rotations are applied
+ * to vertices; the created quaternion is equivalent to a rotation matrix
+ * created by using {{#crossLink "OOGL.EulerRotationMatrix4"}}{{/crossLink}}
+ * with the same arguments. With the default `'XYZ'` order the rotation around
+ * the X axis is applied first, then the one around the Y axis and finally the
+ * one around the Z axis.
+ *
+ * An exception is thrown if `order` is not one of `'XYZ'`, `'XZY'`, `'YXZ'`,
+ * `'YZX'`, `'ZXY'` and `'ZYX'`.
+ *
+ * @class OOGL.EulerQuaternion
+ * @extends OOGL.Quaternion
+ * @constructor
+ * @param {Number} x The rotation angle around the X axis, in radians.
+ * @param {Number} y The rotation angle around the Y axis, in radians.
+ * @param {Number} z The rotation angle around the Z axis, in radians.
+ * @param {String} [order='XYZ'] The order of the rotations.
+ * @example
+ *	var q = new OOGL.EulerQuaternion(pitch, yaw, roll);
+ */
+OOGL.EulerQuaternion = function (x, y, z, order) {
+	if (arguments.length < 4) {
+		order = 'XYZ';
+	} else if (!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order)) {
+		throw 'Invalid Euler angle order: ' + order;
+	}
+	var rotations = {
+		X: new OOGL.AxisAngleQuaternion(1, 0, 0, x),
+		Y: new OOGL.AxisAngleQuaternion(0, 1, 0, y),
+		Z: new OOGL.AxisAngleQuaternion(0, 0, 1, z)
+	};
+	return rotations[order.charAt(2)]
+		.multiply(rotations[order.charAt(1)])
+		.multiply(rotations[order.charAt(0)]);
+};
+
+/**
+ * Creates a quaternion from the specified rotation matrix.
+ *
+ * The matrix can be either an `OOGL.Matrix3` or an `OOGL.Matrix4`; in the
+ * latter case only its upper-left 3x3 part is used. It must be a pure
+ * rotation, i.e. orthonormal with determinant 1.
+ *
+ * @class OOGL.MatrixQuaternion
+ * @extends OOGL.Quaternion
+ * @constructor
+ * @param {Mixed} matrix The rotation matrix, an `OOGL.Matrix3` or
+ *	`OOGL.Matrix4`.
+ * @example
+ *	var q = new OOGL.MatrixQuaternion(new OOGL.LookAtMatrix4(eye, target, up));
+ */
+OOGL.MatrixQuaternion = function (matrix) {
+	var n = (matrix instanceof OOGL.Matrix4) ? 4 : 3;
+	var m00 = matrix[0], m10 = matrix[1], m20 = matrix[2];
+	var m01 = matrix[n], m11 = matrix[n + 1], m21 = matrix[n + 2];
+	var m02 = matrix[2 * n], m12 = matrix[2 * n + 1], m22 = matrix[2 * n + 2];
+	var trace = m00 + m11 + m22;
+	var s;
+	if (trace > 0) {
+		s = 0.5 / Math.sqrt(trace + 1);
+		return new OOGL.Quaternion((m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s);
+	} else if (m00 > m11 && m00 > m22) {
+		s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+		return new OOGL.Quaternion(0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s);
+	} else if (m11 > m22) {
+		s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+		return new OOGL.Quaternion((m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s);
+	} else {
+		s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+		return new OOGL.Quaternion((m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s);
+	}
+};
@@ -0,0 +1,333 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A mutable ray, i.e. a half-line starting at an `origin` point and going
+ * towards a `direction`.
+ *
+ * All the intersection methods return distances measured along the ray in
+ * units of the length of `direction`, so they are actual distances only if
+ * the direction is unit-length. Only intersections at non-negative distances
+ * are reported.
+ *
+ * @class OOGL.Ray
+ * @constructor
+ * @param {OOGL.Vector3} origin The origin of the ray. It is stored as is, not
+ *	duplicated.
+ * @param {OOGL.Vector3} direction The direction of the ray. It is stored as
+ *	is, not duplicated.
+ * @example
+ *	var ray = new OOGL.Ray(new OOGL.Vector3(0, 1, 0), new OOGL.Vector3(0, -1, 0));
+ */
+OOGL.Ray = function (origin, direction) {
+	/**
+	 * The origin of the ray.
+	 *
+	 * @property origin
+	 * @type OOGL.Vector3
+	 */
+	this.origin = origin;
+
+	/**
+	 * The direction of the ray.
+	 *
+	 * @property direction
+	 * @type OOGL.Vector3
+	 */
+	this.direction = direction;
+};
+
+OOGL.Ray.prototype = {
+	/**
+	 * Clones this ray and returns the new one.
+	 *
+	 * @method clone
+	 * @return {OOGL.Ray} The new ray.
+	 * @example
+	 *	var r2 = r1.clone();
+	 */
+	clone: function () {
+		return new OOGL.Ray(this.origin.clone(), this.direction.clone());
+	},
+
+	/**
+	 * Computes the point of this ray at the specified distance from the origin
+	 * and returns it as a new vector.
+	 *
+	 * @method at
+	 * @param {Number} distance The distance along the ray.
+	 * @return {OOGL.Vector3} The point.
+	 * @example
+	 *	var hit = ray.intersectPlane(ground);
+	 *	if (hit !== null) {
+	 *		var target = ray.at(hit);
+	 *	}
+	 */
+	at: function (distance) {
+		return this.origin.plus(this.direction.by(distance));
+	},
+
+	/**
+	 * Transforms this ray by the specified affine matrix.
+	 *
+	 * This is useful to cast rays in the model space of an object, using the
+	 * inverse of its model matrix. Distances measured along the transformed
+	 * ray are the same as those along the original one, as long as the
+	 * direction is not normalized again.
+	 *
+	 * @method transform
+	 * @param {OOGL.Matrix4} matrix The transformation matrix.
+	 * @return {OOGL.Ray} This ray.
+	 * @example
+	 *	ray.transform(model.getInverse());
+	 */
+	transform: function (matrix) {
+		matrix.multiply(this.origin);
+		matrix.multiply(this.direction, 0);
+		return this;
+	},
+
+	/**
+	 * Transforms this ray by the specified affine matrix and returns the result
+	 * as a new ray. This ray is not modified.
+	 *
+	 * @method getTransformed
+	 * @param {OOGL.Matrix4} matrix The transformation matrix.
+	 * @return {OOGL.Ray} The new ray.
+	 * @example
+	 *	var localRay = ray.getTransformed(model.getInverse());
+	 */
+	getTransformed: function (matrix) {
+		return this.clone().transform(matrix);
+	},
+
+	/**
+	 * Computes the intersection between this ray and the specified plane.
+	 *
+	 * @method intersectPlane
+	 * @param {OOGL.Plane} plane The plane.
+	 * @return {Number} The distance of the intersection point, or `null` if
+	 *	the ray is parallel to the plane or points away from it.
+	 * @example
+	 *	var distance = ray.intersectPlane(ground);
+	 */
+	intersectPlane: function (plane) {
+		var denominator = plane.normal.dot(this.direction);
+		if (!denominator) {
+			return null;
+		}
+		var distance = -plane.distance(this.origin) / denominator;
+		if (distance < 0) {
+			return null;
+		}
+		return distance;
+	},
+
+	/**
+	 * Computes the nearest intersection between this ray and the specified
+	 * sphere. If the origin of the ray lies inside the sphere, the exit point
+	 * is reported.
+	 *
+	 * @method intersectSphere
+	 * @param {OOGL.BoundingSphere} sphere The sphere.
+	 * @return {Number} The distance of the intersection point, or `null` if
+	 *	the ray misses the sphere.
+	 * @example
+	 *	if (ray.intersectSphere(object.bounds) !== null) {
+	 *		// the object may have been picked
+	 *	}
+	 */
+	intersectSphere: function (sphere) {
+		var delta = this.origin.minus(sphere.center);
+		var a = this.direction.dot(this.direction);
+		var b = delta.dot(this.direction);
+		var c = delta.dot(delta) - sphere.radius * sphere.radius;
+		var discriminant = b * b - a * c;
+		if (discriminant < 0) {
+			return null;
+		}
+		var root = Math.sqrt(discriminant);
+		if (-b - root >= 0) {
+			return (-b - root) / a;
+		} else if (-b + root >= 0) {
+			return (-b + root) / a;
+		} else {
+			return null;
+		}
+	},
+
+	/**
+	 * Computes the nearest intersection between this ray and the specified
+	 * box. If the origin of the ray lies inside the box, 0 is returned.
+	 *
+	 * @method intersectAABB
+	 * @param {OOGL.AABB} box The box.
+	 * @return {Number} The distance of the intersection point, or `null` if
+	 *	the ray misses the box.
+	 * @example
+	 *	var distance = ray.intersectAABB(crate.bounds);
+	 */
+	intersectAABB: function (box) {
+		var origin = [this.origin.x, this.origin.y, this.origin.z];
+		var direction = [this.direction.x, this.direction.y, this.direction.z];
+		var min = [box.min.x, box.min.y, box.min.z];
+		var max = [box.max.x, box.max.y, box.max.z];
+		var near = 0;
+		var far = Infinity;
+		for (var i = 0; i < 3; i++) {
+			if (direction[i]) {
+				var t1 = (min[i] - origin[i]) / direction[i];
+				var t2 = (max[i] - origin[i]) / direction[i];
+				near = Math.max(near, Math.min(t1, t2));
+				far = Math.min(far, Math.max(t1, t2));
+				if (near > far) {
+					return null;
+				}
+			} else if ((origin[i] < min[i]) || (origin[i] > max[i])) {
+				return null;
+			}
+		}
+		return near;
+	},
+
+	/**
+	 * Computes the intersection between this ray and the triangle with the
+	 * specified vertices.
+	 *
+	 * The barycentric coordinates `u` and `v` of the intersection point are
+	 * also returned, so that the point equals `a * (1 - u - v) + b * u + c * v`
+	 * and vertex attributes can be interpolated the same way.
+	 *
+	 * @method intersectTriangle
+	 * @param {OOGL.Vector3} a The first vertex.
+	 * @param {OOGL.Vector3} b The second vertex.
+	 * @param {OOGL.Vector3} c The third vertex.
+	 * @param {Boolean} [cullBackFaces=false] If `true`, triangles whose
+	 *	vertices appear in clockwise order from the origin of the ray are
+	 *	ignored.
+	 * @return {Object} An object containing the distance of the intersection
+	 *	point in its `distance` field and the barycentric coordinates in its
+	 *	`u` and `v` fields, or `null` if the ray misses the triangle.
+	 * @example
+	 *	var hit = ray.intersectTriangle(v0, v1, v2);
+	 *	if (hit) {
+	 *		var texCoord = t0.by(1 - hit.u - hit.v).add(t1.by(hit.u)).add(t2.by(hit.v));
+	 *	}
+	 */
+	intersectTriangle: function (a, b, c, cullBackFaces) {
+		var edge1 = b.minus(a);
+		var edge2 = c.minus(a);
+		var p = this.direction.getCrossProduct(edge2);
+		var determinant = edge1.dot(p);
+		if (cullBackFaces ? (determinant <= 0) : !determinant) {
+			return null;
+		}
+		var delta = this.origin.minus(a);
+		var u = delta.dot(p) / determinant;
+		if ((u < 0) || (u > 1)) {
+			return null;
+		}
+		var q = delta.cross(edge1);
+		var v = this.direction.dot(q) / determinant;
+		if ((v < 0) || (u + v > 1)) {
+			return null;
+		}
+		var distance = edge2.dot(q) / determinant;
+		if (distance < 0) {
+			return null;
+		}
+		return {
+			distance: distance,
+			u: u,
+			v: v
+		};
+	},
+
+	/**
+	 * Computes the nearest intersection between this ray and the triangles of
+	 * the specified flat vertex array, such as the ones passed to
+	 * {{#crossLink "context.AttributeArray3"}}{{/crossLink}} and drawn with
+	 * `drawTriangles`. Every three consecutive vertices form a triangle.
+	 *
+	 * @method intersectTriangles
+	 * @param {Number[]} vertices The flat vertex array. Typed arrays are also
+	 *	accepted.
+	 * @param {Number} [stride=3] The number of array elements between the
+	 *	beginning of a vertex and the beginning of the next one.
+	 * @param {Number} [offset=0] The index of the X coordinate of the first
+	 *	vertex.
+	 * @param {Boolean} [cullBackFaces=false] If `true`, triangles whose
+	 *	vertices appear in clockwise order from the origin of the ray are
+	 *	ignored.
+	 * @return {Object} An object containing the distance of the intersection
+	 *	point in its `distance` field, the barycentric coordinates in its `u`
+	 *	and `v` fields (see
+	 *	{{#crossLink "OOGL.Ray/intersectTriangle:method"}}{{/crossLink}}) and
+	 *	the 0-based index of the intersected triangle in its `index` field, or
+	 *	`null` if the ray misses all the triangles.
+	 * @example
+	 *	OOGL.Ajax.getJSON('walls.json', function (walls) {
+	 *		var hit = ray.intersectTriangles(walls.vertices);
+	 *	});
+	 */
+	intersectTriangles: function (vertices, stride, offset, cullBackFaces) {
+		if (arguments.length < 2) {
+			stride = 3;
+		}
+		if (arguments.length < 3) {
+			offset = 0;
+		}
+		function vertex(i) {
+			return new OOGL.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]);
+		}
+		var nearest = null;
+		for (var i = offset, index = 0; i + stride * 2 + 2 < vertices.length; i += stride * 3, index++) {
+			var hit = this.intersectTriangle(vertex(i), vertex(i + stride), vertex(i + stride * 2), cullBackFaces);
+			if (hit && (!nearest || (hit.distance < nearest.distance))) {
+				hit.index = index;
+				nearest = hit;
+			}
+		}
+		return nearest;
+	}
+};
+
+/**
+ * Creates the ray that starts on the near plane under the specified canvas
+ * point and goes through all the points of the scene that are projected on it
+ * by the specified transformation matrix, usually the product of a projection
+ * and a view matrix. This is typically used to pick objects with the mouse.
+ *
+ * The direction of the created ray is unit-length, so distances measured along
+ * it are in world units.
+ *
+ * @class OOGL.UnprojectedRay
+ * @extends OOGL.Ray
+ * @constructor
+ * @param {Number} x The X coordinate of the point, in pixels from the left
+ *	edge of the canvas.
+ * @param {Number} y The Y coordinate of the point, in pixels from the top edge
+ *	of the canvas.
+ * @param {Number} width The width of the canvas (or viewport), in pixels.
+ * @param {Number} height The height of the canvas (or viewport), in pixels.
+ * @param {OOGL.Matrix4} matrix The transformation matrix.
+ * @param {Boolean} [reversed=false] Must be `true` if the matrix contains a
+ *	projection with reversed depth, such as the ones created by
+ *	{{#crossLink "OOGL.ReversedProjection"}}{{/crossLink}}.
+ * @example
+ *	canvas.addEventListener('click', function (event) {
+ *		var ray = new OOGL.UnprojectedRay(event.offsetX, event.offsetY, canvas.width, canvas.height, projection.by(view));
+ *		var hit = ray.intersectTriangles(walls.vertices);
+ *	}, false);
+ */
+OOGL.UnprojectedRay = function (x, y, width, height, matrix, reversed) {
+	var inverse = matrix.getInverse();
+	var ndcX = 2 * x / width - 1;
+	var ndcY = 1 - 2 * y / height;
+	var origin = inverse.by(new OOGL.Vector3(ndcX, ndcY, reversed ? 1 : -1));
+	var target = inverse.by(new OOGL.Vector3(ndcX, ndcY, reversed ? 0 : 1));
+	return new OOGL.Ray(origin, target.subtract(origin).normalize());
+};
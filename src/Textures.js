@@ -233,7 +233,8 @@ context.Texture = function (target) {
 	};
 
 	/**
-	 * Specifies an image, canvas or video for this texture.
+	 * Specifies an image, canvas or video for this texture, or the texels of
+	 * the texture image as a typed array.
 	 *
 	 * `gl.texImage2D` equivalent.
 	 *
@@ -245,12 +246,20 @@ context.Texture = function (target) {
 	 *	`gl.UNSIGNED_SHORT_5_6_5`, `gl.UNSIGNED_SHORT_4_4_4_4` or
 	 *	`gl.UNSIGNED_SHORT_5_5_5_1`.
 	 * @param object {Mixed} A DOM image, canvas or video element to use as
-	 *	texture image.
+	 *	texture image, or the width of the image if `pixels` is specified.
+	 * @param [height] {Number} The height of the image; required if `pixels`
+	 *	is specified.
+	 * @param [pixels] {ArrayBufferView} The texels, e.g. a `Uint8Array`.
 	 * @example
 	 *	texture.image2D(0, oogl.RGBA, oogl.UNSIGNED_BYTE, image);
+	 *	texture.image2D(0, oogl.LUMINANCE, oogl.UNSIGNED_BYTE, 256, 256, pixels);
 	 */
-	texture.image2D = function (level, format, type, object) {
-		context.texImage2D(target, level, format, format, type, object);
+	texture.image2D = function (level, format, type, object, height, pixels) {
+		if (arguments.length > 4) {
+			context.texImage2D(target, level, format, object, height, 0, format, type, pixels);
+		} else {
+			context.texImage2D(target, level, format, format, type, object);
+		}
 	};
 
 	/**
@@ -0,0 +1,304 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * The transformation of an object in a scene, made of a position, a rotation
+ * and a scaling relative to an optional parent transform.
+ *
+ * The local matrix (translation, rotation and scaling, in this order) and the
+ * world matrix (the parent's world matrix times the local matrix) are computed
+ * lazily and cached: they are recomputed only after the transform, or one of
+ * its ancestors, has actually changed, so unchanged transforms cost nothing per
+ * frame.
+ *
+ * Changes made through the provided methods are tracked automatically. If you
+ * modify the `position`, `rotation` or `scale` objects directly, call
+ * {{#crossLink "OOGL.Transform/invalidate:method"}}{{/crossLink}} afterwards.
+ *
+ * @class OOGL.Transform
+ * @constructor
+ * @param {OOGL.Transform} [parent] The parent transform.
+ * @example
+ *	var body = new OOGL.Transform();
+ *	var turret = new OOGL.Transform(body);
+ *	turret.setPosition(0, 1, 0);
+ *	(new OOGL.RenderLoop(function () {
+ *		body.translate(0, 0, -0.05);
+ *		turret.rotate(new OOGL.AxisAngleQuaternion(0, 1, 0, 0.01));
+ *		program.uniformMat4('Model', turret.getWorldMatrix());
+ *		arrays.drawTriangles();
+ *	})).start();
+ */
+OOGL.Transform = function (parent) {
+	/**
+	 * The position, i.e. the translation relative to the parent.
+	 *
+	 * @property position
+	 * @type OOGL.Vector3
+	 */
+	this.position = new OOGL.Vector3(0, 0, 0);
+
+	/**
+	 * The rotation relative to the parent, as a unit-length quaternion.
+	 *
+	 * @property rotation
+	 * @type OOGL.Quaternion
+	 */
+	this.rotation = new OOGL.Quaternion(0, 0, 0, 1);
+
+	/**
+	 * The X, Y and Z scaling factors.
+	 *
+	 * @property scale
+	 * @type OOGL.Vector3
+	 */
+	this.scale = new OOGL.Vector3(1, 1, 1);
+
+	/**
+	 * The parent transform, or `null` if this is a root transform. Use
+	 * {{#crossLink "OOGL.Transform/setParent:method"}}{{/crossLink}} to change
+	 * it.
+	 *
+	 * @property parent
+	 * @type OOGL.Transform
+	 */
+	this.parent = parent || null;
+
+	this.localMatrix = new OOGL.Float32Matrix4([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+	this.worldMatrix = new OOGL.Float32Matrix4([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+	this.localDirty = true;
+	this.localVersion = 0;
+	this.worldVersion = 0;
+	this.cachedLocalVersion = -1;
+	this.cachedParent = null;
+	this.cachedParentVersion = -1;
+};
+
+OOGL.Transform.prototype = {
+	/**
+	 * Marks the local matrix of this transform as changed. You need to call
+	 * this method only after modifying the `position`, `rotation` or `scale`
+	 * objects directly.
+	 *
+	 * @method invalidate
+	 * @chainable
+	 * @example
+	 *	transform.position.add(velocity);
+	 *	transform.invalidate();
+	 */
+	invalidate: function () {
+		this.localDirty = true;
+		return this;
+	},
+
+	/**
+	 * Changes the parent of this transform. The position, rotation and scale
+	 * are kept, so the object moves if the new parent has a different world
+	 * matrix.
+	 *
+	 * An exception is thrown if the change would create a cycle.
+	 *
+	 * @method setParent
+	 * @param {OOGL.Transform} parent The new parent transform, or `null` to
+	 *	make this a root transform.
+	 * @chainable
+	 * @example
+	 *	sword.setParent(hand);
+	 */
+	setParent: function (parent) {
+		for (var ancestor = parent; ancestor; ancestor = ancestor.parent) {
+			if (ancestor === this) {
+				throw 'A transform cannot be its own ancestor.';
+			}
+		}
+		this.parent = parent || null;
+		return this;
+	},
+
+	/**
+	 * Sets the position of this transform.
+	 *
+	 * @method setPosition
+	 * @param {Number} x The X coordinate.
+	 * @param {Number} y The Y coordinate.
+	 * @param {Number} z The Z coordinate.
+	 * @chainable
+	 * @example
+	 *	transform.setPosition(0, 1, -5);
+	 */
+	setPosition: function (x, y, z) {
+		this.position.x = x;
+		this.position.y = y;
+		this.position.z = z;
+		this.localDirty = true;
+		return this;
+	},
+
+	/**
+	 * Moves this transform by the specified offset, expressed in the parent's
+	 * coordinate system.
+	 *
+	 * @method translate
+	 * @param {Number} x The X component of the offset.
+	 * @param {Number} y The Y component of the offset.
+	 * @param {Number} z The Z component of the offset.
+	 * @chainable
+	 * @example
+	 *	transform.translate(0, 0, -0.1);
+	 */
+	translate: function (x, y, z) {
+		this.position.x += x;
+		this.position.y += y;
+		this.position.z += z;
+		this.localDirty = true;
+		return this;
+	},
+
+	/**
+	 * Sets the rotation of this transform. The specified quaternion is
+	 * duplicated.
+	 *
+	 * @method setRotation
+	 * @param {OOGL.Quaternion} q The new rotation, a unit-length quaternion.
+	 * @chainable
+	 * @example
+	 *	transform.setRotation(new OOGL.EulerQuaternion(pitch, yaw, 0, 'XYZ'));
+	 */
+	setRotation: function (q) {
+		this.rotation.x = q.x;
+		this.rotation.y = q.y;
+		this.rotation.z = q.z;
+		this.rotation.w = q.w;
+		this.localDirty = true;
+		return this;
+	},
+
+	/**
+	 * Rotates this transform by the specified rotation, which is applied
+	 * before the current one, i.e. around the local axes of the object.
+	 *
+	 * @method rotate
+	 * @param {OOGL.Quaternion} q The rotation to apply, a unit-length
+	 *	quaternion.
+	 * @chainable
+	 * @example
+	 *	wheel.rotate(new OOGL.AxisAngleQuaternion(1, 0, 0, speed));
+	 */
+	rotate: function (q) {
+		this.rotation.multiply(q).normalize();
+		this.localDirty = true;
+		return this;
+	},
+
+	/**
+	 * Sets the scaling factors of this transform.
+	 *
+	 * @method setScale
+	 * @param {Number} x The X scaling factor.
+	 * @param {Number} y The Y scaling factor.
+	 * @param {Number} z The Z scaling factor.
+	 * @chainable
+	 * @example
+	 *	transform.setScale(2, 2, 2);
+	 */
+	setScale: function (x, y, z) {
+		this.scale.x = x;
+		this.scale.y = y;
+		this.scale.z = z;
+		this.localDirty = true;
+		return this;
+	},
+
+	/**
+	 * Returns the local matrix of this transform, recomputing it only if the
+	 * transform has changed since the last call.
+	 *
+	 * The returned matrix is owned by this transform and is overwritten when
+	 * it is recomputed; clone it if you need to keep it.
+	 *
+	 * @method getLocalMatrix
+	 * @return {OOGL.Float32Matrix4} The local matrix.
+	 * @example
+	 *	program.uniformMat4('Model', transform.getLocalMatrix());
+	 */
+	getLocalMatrix: function () {
+		if (this.localDirty) {
+			var matrix = new OOGL.ComposedMatrix4(this.position, this.rotation, this.scale);
+			for (var i = 0; i < 16; i++) {
+				this.localMatrix[i] = matrix[i];
+			}
+			this.localDirty = false;
+			this.localVersion++;
+		}
+		return this.localMatrix;
+	},
+
+	/**
+	 * Returns the world matrix of this transform, i.e. the product of the world
+	 * matrix of the parent and the local matrix of this transform. It is
+	 * recomputed only if this transform or one of its ancestors has changed
+	 * since the last call.
+	 *
+	 * The returned matrix is owned by this transform and is overwritten when
+	 * it is recomputed; clone it if you need to keep it.
+	 *
+	 * @method getWorldMatrix
+	 * @return {OOGL.Float32Matrix4} The world matrix.
+	 * @example
+	 *	program.uniformMat4('Model', transform.getWorldMatrix());
+	 */
+	getWorldMatrix: function () {
+		var local = this.getLocalMatrix();
+		var parentWorld = this.parent ? this.parent.getWorldMatrix() : null;
+		var parentVersion = this.parent ? this.parent.worldVersion : -1;
+		var changed = (this.cachedLocalVersion !== this.localVersion) ||
+			(this.cachedParent !== this.parent) ||
+			(this.cachedParentVersion !== parentVersion);
+		if (changed) {
+			if (parentWorld) {
+				parentWorld.byInto(local, this.worldMatrix);
+			} else {
+				this.worldMatrix.array.set(local.array);
+			}
+			this.cachedLocalVersion = this.localVersion;
+			this.cachedParent = this.parent;
+			this.cachedParentVersion = parentVersion;
+			this.worldVersion++;
+		}
+		return this.worldMatrix;
+	},
+
+	/**
+	 * Computes the position of this transform in world coordinates and returns
+	 * it as a new vector.
+	 *
+	 * @method getWorldPosition
+	 * @return {OOGL.Vector3} The world position.
+	 * @example
+	 *	var distance = turret.getWorldPosition().minus(target).length();
+	 */
+	getWorldPosition: function () {
+		var world = this.getWorldMatrix();
+		return new OOGL.Vector3(world[12], world[13], world[14]);
+	},
+
+	/**
+	 * Uploads the world matrix of this transform to the specified `mat4`
+	 * uniform variable of the specified program using its
+	 * {{#crossLink "context.Program/uniformMat4:method"}}{{/crossLink}} method.
+	 *
+	 * @method uniform
+	 * @param {context.Program} program The program, which must be in use.
+	 * @param {String} name The name of the uniform variable.
+	 * @chainable
+	 * @example
+	 *	transform.uniform(program, 'Model');
+	 */
+	uniform: function (program, name) {
+		program.uniformMat4(name, this.getWorldMatrix());
+		return this;
+	}
+};
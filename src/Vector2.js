@@ -136,6 +136,24 @@ OOGL.Vector2.prototype = {
 		return new OOGL.Vector2(this.x + v.x, this.y + v.y);
 	},
 
+	/**
+	 * Adds the specified 2-component vector to this one and stores the sum in
+	 * the `out` vector, which may be this vector or the specified one. No new
+	 * objects are allocated.
+	 *
+	 * @method plusInto
+	 * @param {OOGL.Vector2} v The vector to add.
+	 * @param {OOGL.Vector2} out The vector where the sum is stored.
+	 * @return {OOGL.Vector2} The `out` vector.
+	 * @example
+	 *	position.plusInto(velocity, nextPosition);
+	 */
+	plusInto: function (v, out) {
+		out.x = this.x + v.x;
+		out.y = this.y + v.y;
+		return out;
+	},
+
 	/**
 	 * Subtracts the specified 2-component vector to this one.
 	 *
@@ -168,6 +186,24 @@ OOGL.Vector2.prototype = {
 		return new OOGL.Vector2(this.x - v.x, this.y - v.y);
 	},
 
+	/**
+	 * Subtracts the specified 2-component vector to this one and stores the
+	 * difference in the `out` vector, which may be this vector or the
+	 * specified one. No new objects are allocated.
+	 *
+	 * @method minusInto
+	 * @param {OOGL.Vector2} v The vector to subtract.
+	 * @param {OOGL.Vector2} out The vector where the difference is stored.
+	 * @return {OOGL.Vector2} The `out` vector.
+	 * @example
+	 *	target.minusInto(position, direction);
+	 */
+	minusInto: function (v, out) {
+		out.x = this.x - v.x;
+		out.y = this.y - v.y;
+		return out;
+	},
+
 	/**
 	 * Multiplies this vector by the specified constant factor.
 	 *
@@ -215,6 +251,24 @@ OOGL.Vector2.prototype = {
 		return new OOGL.Vector2(this.x * f, this.y * f);
 	},
 
+	/**
+	 * Multiplies this vector by the specified constant factor and stores the
+	 * product in the `out` vector, which may be this vector. No new objects
+	 * are allocated.
+	 *
+	 * @method byInto
+	 * @param {Number} f The constant factor.
+	 * @param {OOGL.Vector2} out The vector where the product is stored.
+	 * @return {OOGL.Vector2} The `out` vector.
+	 * @example
+	 *	velocity.byInto(dt, displacement);
+	 */
+	byInto: function (f, out) {
+		out.x = this.x * f;
+		out.y = this.y * f;
+		return out;
+	},
+
 	/**
 	 * Computes the dot product between this vector and the specified one.
 	 *
@@ -230,6 +284,42 @@ OOGL.Vector2.prototype = {
 		return this.x * v.x + this.y * v.y;
 	},
 
+	/**
+	 * Linearly interpolates between this vector and the specified one. This
+	 * vector is changed.
+	 *
+	 * @method lerp
+	 * @param {OOGL.Vector2} v The target vector.
+	 * @param {Number} t The interpolation factor, from 0 (this vector) to 1
+	 *	(the target vector).
+	 * @return {OOGL.Vector2} This vector.
+	 * @example
+	 *	var v = new OOGL.Vector2(0, 1);
+	 *	v.lerp(new OOGL.Vector2(2, 4), 0.5); // v is now (1, 2.5)
+	 */
+	lerp: function (v, t) {
+		this.x += (v.x - this.x) * t;
+		this.y += (v.y - this.y) * t;
+		return this;
+	},
+
+	/**
+	 * Linearly interpolates between this vector and the specified one and
+	 * returns the result as a new vector. This vector is not changed.
+	 *
+	 * @method getLerp
+	 * @param {OOGL.Vector2} v The target vector.
+	 * @param {Number} t The interpolation factor, from 0 (this vector) to 1
+	 *	(the target vector).
+	 * @return {OOGL.Vector2} The interpolated vector.
+	 * @example
+	 *	var v1 = new OOGL.Vector2(0, 1);
+	 *	var v2 = v1.getLerp(new OOGL.Vector2(2, 4), 0.5); // (1, 2.5)
+	 */
+	getLerp: function (v, t) {
+		return this.clone().lerp(v, t);
+	},
+
 	/**
 	 * Reflects this vector against a line whose normal vector is specified. The
 	 * reflection of a vector `v` is computed as:
@@ -330,7 +420,127 @@ OOGL.Vector2.prototype = {
 				eta * this.y - (eta * dot + Math.sqrt(k)) * n.y
 				);
 		}
+	},
+
+	/**
+	 * Indicates whether this vector equals the specified one within the
+	 * specified tolerance, i.e. whether no component differs by more than
+	 * `epsilon`.
+	 *
+	 * @method equals
+	 * @param {OOGL.Vector2} v The other vector.
+	 * @param {Number} [epsilon=OOGL.EPSILON] The tolerance.
+	 * @return {Boolean} `true` if the two vectors are approximately equal,
+	 *	`false` otherwise.
+	 * @example
+	 *	var a = new OOGL.Vector2(1, 2);
+	 *	a.equals(a.clone()); // true
+	 */
+	equals: function (v, epsilon) {
+		if (arguments.length < 2) {
+			epsilon = OOGL.EPSILON;
+		}
+		return (Math.abs(this.x - v.x) <= epsilon) &&
+			(Math.abs(this.y - v.y) <= epsilon);
+	},
+
+	/**
+	 * Returns a human-readable representation of this vector.
+	 *
+	 * @method toString
+	 * @return {String} The string representation.
+	 * @example
+	 *	console.log(String(new OOGL.Vector2(1, 2))); // 'OOGL.Vector2(1, 2)'
+	 */
+	toString: function () {
+		return 'OOGL.Vector2(' + this.x + ', ' + this.y + ')';
+	},
+
+	/**
+	 * Returns the JSON representation of this vector, which is the array of
+	 * its components. This method is used by `JSON.stringify`; the result can
+	 * be converted back using
+	 * {{#crossLink "OOGL.Vector2/fromJSON:method"}}{{/crossLink}}.
+	 *
+	 * @method toJSON
+	 * @return {Number[]} The components of this vector.
+	 * @example
+	 *	var json = JSON.stringify(new OOGL.Vector2(1, 2)); // '[1,2]'
+	 */
+	toJSON: function () {
+		return this.toArray();
+	},
+
+	/**
+	 * Writes the components of this vector into the specified typed array,
+	 * starting at the specified offset. If no array is specified a new
+	 * 2-element `Float32Array` is created.
+	 *
+	 * The vector can be read back using
+	 * {{#crossLink "OOGL.Vector2/unpack:method"}}{{/crossLink}}.
+	 *
+	 * @method pack
+	 * @param {Float32Array} [array] The destination array.
+	 * @param {Number} [offset=0] The index of the first element to write.
+	 * @return {Float32Array} The destination array.
+	 * @example
+	 *	var data = new Float32Array(2 * count);
+	 *	for (var i = 0; i < count; i++) {
+	 *		items[i].pack(data, i * 2);
+	 *	}
+	 */
+	pack: function (array, offset) {
+		if (arguments.length < 1) {
+			array = new Float32Array(2);
+		}
+		if (arguments.length < 2) {
+			offset = 0;
+		}
+		array[offset] = this.x;
+		array[offset + 1] = this.y;
+		return array;
+	}
+};
+
+/**
+ * Creates a vector from its JSON representation, as returned by
+ * {{#crossLink "OOGL.Vector2/toJSON:method"}}{{/crossLink}}.
+ *
+ * An exception is thrown if the data is not a 2-element array.
+ *
+ * @method fromJSON
+ * @static
+ * @param {Mixed} json Either the JSON string or the already parsed array.
+ * @return {OOGL.Vector2} The new vector.
+ * @example
+ *	var v = OOGL.Vector2.fromJSON('[1, 2]');
+ */
+OOGL.Vector2.fromJSON = function (json) {
+	var data = (typeof json === 'string') ? JSON.parse(json) : json;
+	if (!data || (data.length != 2)) {
+		throw 'Invalid OOGL.Vector2 JSON data.';
 	}
+	return new OOGL.Vector2(data[0], data[1]);
+};
+
+/**
+ * Reads a vector from the specified typed array, starting at the specified
+ * offset, as written by
+ * {{#crossLink "OOGL.Vector2/pack:method"}}{{/crossLink}}.
+ *
+ * @method unpack
+ * @static
+ * @param {Float32Array} array The source array.
+ * @param {Number} [offset=0] The index of the first element to read.
+ * @return {OOGL.Vector2} The new vector.
+ * @example
+ *	var v = OOGL.Vector2.unpack(data, i * 2);
+ */
+OOGL.Vector2.unpack = function (array, offset) {
+	if (arguments.length < 2) {
+		offset = 0;
+	}
+	return new OOGL.Vector2(array[offset], array[offset + 1]);
 };
 
 /**
@@ -371,3 +581,54 @@ OOGL.Vector2.I = new OOGL.Vector2(1, 0);
  *	position.add(heading.by(OOGL.Vector2.J));
  */
 OOGL.Vector2.J = new OOGL.Vector2(0, 1);
+
+/**
+ * Creates a 2-component vector whose components are stored in a
+ * `Float32Array`.
+ *
+ * The returned object is an {{#crossLink "OOGL.Vector2"}}{{/crossLink}} in
+ * every respect, but its components are accessors reading from and writing to
+ * the {{#crossLink "OOGL.Float32Vector2/array:property"}}{{/crossLink}} typed
+ * array, which the uniform setters of {{#crossLink "context.Program"}}{{/crossLink}}
+ * can pass to WebGL without copying.
+ *
+ * @class OOGL.Float32Vector2
+ * @extends OOGL.Vector2
+ * @constructor
+ * @param {Number} x The X component.
+ * @param {Number} y The Y component.
+ * @example
+ *	var v = new OOGL.Float32Vector2(1, 2);
+ */
+OOGL.Float32Vector2 = function (x, y) {
+	var vector = Object.create(OOGL.Vector2.prototype);
+
+	/**
+	 * The typed array holding the components of this vector.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	var array = vector.array = new Float32Array([x, y]);
+
+	Object.defineProperty(vector, 'x', {
+		get: function () {
+			return array[0];
+		},
+		set: function (value) {
+			array[0] = value;
+		},
+		enumerable: true
+	});
+
+	Object.defineProperty(vector, 'y', {
+		get: function () {
+			return array[1];
+		},
+		set: function (value) {
+			array[1] = value;
+		},
+		enumerable: true
+	});
+	return vector;
+};
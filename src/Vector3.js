@@ -162,6 +162,25 @@ OOGL.Vector3.prototype = {
 		return new OOGL.Vector3(this.x + v.x, this.y + v.y, this.z + v.z);
 	},
 
+	/**
+	 * Adds the specified 3-component vector to this one and stores the sum in
+	 * the `out` vector, which may be this vector or the specified one. No new
+	 * objects are allocated.
+	 *
+	 * @method plusInto
+	 * @param {OOGL.Vector3} v The vector to add.
+	 * @param {OOGL.Vector3} out The vector where the sum is stored.
+	 * @return {OOGL.Vector3} The `out` vector.
+	 * @example
+	 *	position.plusInto(velocity, nextPosition);
+	 */
+	plusInto: function (v, out) {
+		out.x = this.x + v.x;
+		out.y = this.y + v.y;
+		out.z = this.z + v.z;
+		return out;
+	},
+
 	/**
 	 * Subtracts the specified 3-component vector to this one.
 	 *
@@ -195,6 +214,25 @@ OOGL.Vector3.prototype = {
 		return new OOGL.Vector3(this.x - v.x, this.y - v.y, this.z - v.z);
 	},
 
+	/**
+	 * Subtracts the specified 3-component vector to this one and stores the
+	 * difference in the `out` vector, which may be this vector or the
+	 * specified one. No new objects are allocated.
+	 *
+	 * @method minusInto
+	 * @param {OOGL.Vector3} v The vector to subtract.
+	 * @param {OOGL.Vector3} out The vector where the difference is stored.
+	 * @return {OOGL.Vector3} The `out` vector.
+	 * @example
+	 *	target.minusInto(position, direction);
+	 */
+	minusInto: function (v, out) {
+		out.x = this.x - v.x;
+		out.y = this.y - v.y;
+		out.z = this.z - v.z;
+		return out;
+	},
+
 	/**
 	 * Multiplies this vector by the specified constant factor.
 	 *
@@ -244,6 +282,25 @@ OOGL.Vector3.prototype = {
 		return new OOGL.Vector3(this.x * f, this.y * f, this.z * f);
 	},
 
+	/**
+	 * Multiplies this vector by the specified constant factor and stores the
+	 * product in the `out` vector, which may be this vector. No new objects
+	 * are allocated.
+	 *
+	 * @method byInto
+	 * @param {Number} f The constant factor.
+	 * @param {OOGL.Vector3} out The vector where the product is stored.
+	 * @return {OOGL.Vector3} The `out` vector.
+	 * @example
+	 *	velocity.byInto(dt, displacement);
+	 */
+	byInto: function (f, out) {
+		out.x = this.x * f;
+		out.y = this.y * f;
+		out.z = this.z * f;
+		return out;
+	},
+
 	/**
 	 * Computes the dot product between this vector and the specified one.
 	 *
@@ -259,6 +316,43 @@ OOGL.Vector3.prototype = {
 		return this.x * v.x + this.y * v.y + this.z * v.z;
 	},
 
+	/**
+	 * Linearly interpolates between this vector and the specified one. This
+	 * vector is changed.
+	 *
+	 * @method lerp
+	 * @param {OOGL.Vector3} v The target vector.
+	 * @param {Number} t The interpolation factor, from 0 (this vector) to 1
+	 *	(the target vector).
+	 * @return {OOGL.Vector3} This vector.
+	 * @example
+	 *	var v = new OOGL.Vector3(0, 1, 2);
+	 *	v.lerp(new OOGL.Vector3(2, 4, 6), 0.5); // v is now (1, 2.5, 4)
+	 */
+	lerp: function (v, t) {
+		this.x += (v.x - this.x) * t;
+		this.y += (v.y - this.y) * t;
+		this.z += (v.z - this.z) * t;
+		return this;
+	},
+
+	/**
+	 * Linearly interpolates between this vector and the specified one and
+	 * returns the result as a new vector. This vector is not changed.
+	 *
+	 * @method getLerp
+	 * @param {OOGL.Vector3} v The target vector.
+	 * @param {Number} t The interpolation factor, from 0 (this vector) to 1
+	 *	(the target vector).
+	 * @return {OOGL.Vector3} The interpolated vector.
+	 * @example
+	 *	var v1 = new OOGL.Vector3(0, 1, 2);
+	 *	var v2 = v1.getLerp(new OOGL.Vector3(2, 4, 6), 0.5); // (1, 2.5, 4)
+	 */
+	getLerp: function (v, t) {
+		return this.clone().lerp(v, t);
+	},
+
 	/**
 	 * Cross multiplies this vector by the specified one.
 	 *
@@ -399,7 +493,129 @@ OOGL.Vector3.prototype = {
 				eta * this.z - (eta * dot + Math.sqrt(k)) * n.z
 				);
 		}
+	},
+
+	/**
+	 * Indicates whether this vector equals the specified one within the
+	 * specified tolerance, i.e. whether no component differs by more than
+	 * `epsilon`.
+	 *
+	 * @method equals
+	 * @param {OOGL.Vector3} v The other vector.
+	 * @param {Number} [epsilon=OOGL.EPSILON] The tolerance.
+	 * @return {Boolean} `true` if the two vectors are approximately equal,
+	 *	`false` otherwise.
+	 * @example
+	 *	var a = new OOGL.Vector3(1, 2, 3);
+	 *	a.equals(a.clone()); // true
+	 */
+	equals: function (v, epsilon) {
+		if (arguments.length < 2) {
+			epsilon = OOGL.EPSILON;
+		}
+		return (Math.abs(this.x - v.x) <= epsilon) &&
+			(Math.abs(this.y - v.y) <= epsilon) &&
+			(Math.abs(this.z - v.z) <= epsilon);
+	},
+
+	/**
+	 * Returns a human-readable representation of this vector.
+	 *
+	 * @method toString
+	 * @return {String} The string representation.
+	 * @example
+	 *	console.log(String(new OOGL.Vector3(1, 2, 3))); // 'OOGL.Vector3(1, 2, 3)'
+	 */
+	toString: function () {
+		return 'OOGL.Vector3(' + this.x + ', ' + this.y + ', ' + this.z + ')';
+	},
+
+	/**
+	 * Returns the JSON representation of this vector, which is the array of
+	 * its components. This method is used by `JSON.stringify`; the result can
+	 * be converted back using
+	 * {{#crossLink "OOGL.Vector3/fromJSON:method"}}{{/crossLink}}.
+	 *
+	 * @method toJSON
+	 * @return {Number[]} The components of this vector.
+	 * @example
+	 *	var json = JSON.stringify(new OOGL.Vector3(1, 2, 3)); // '[1,2,3]'
+	 */
+	toJSON: function () {
+		return this.toArray();
+	},
+
+	/**
+	 * Writes the components of this vector into the specified typed array,
+	 * starting at the specified offset. If no array is specified a new
+	 * 3-element `Float32Array` is created.
+	 *
+	 * The vector can be read back using
+	 * {{#crossLink "OOGL.Vector3/unpack:method"}}{{/crossLink}}.
+	 *
+	 * @method pack
+	 * @param {Float32Array} [array] The destination array.
+	 * @param {Number} [offset=0] The index of the first element to write.
+	 * @return {Float32Array} The destination array.
+	 * @example
+	 *	var data = new Float32Array(3 * count);
+	 *	for (var i = 0; i < count; i++) {
+	 *		items[i].pack(data, i * 3);
+	 *	}
+	 */
+	pack: function (array, offset) {
+		if (arguments.length < 1) {
+			array = new Float32Array(3);
+		}
+		if (arguments.length < 2) {
+			offset = 0;
+		}
+		array[offset] = this.x;
+		array[offset + 1] = this.y;
+		array[offset + 2] = this.z;
+		return array;
+	}
+};
+
+/**
+ * Creates a vector from its JSON representation, as returned by
+ * {{#crossLink "OOGL.Vector3/toJSON:method"}}{{/crossLink}}.
+ *
+ * An exception is thrown if the data is not a 3-element array.
+ *
+ * @method fromJSON
+ * @static
+ * @param {Mixed} json Either the JSON string or the already parsed array.
+ * @return {OOGL.Vector3} The new vector.
+ * @example
+ *	var v = OOGL.Vector3.fromJSON('[1, 2, 3]');
+ */
+OOGL.Vector3.fromJSON = function (json) {
+	var data = (typeof json === 'string') ? JSON.parse(json) : json;
+	if (!data || (data.length != 3)) {
+		throw 'Invalid OOGL.Vector3 JSON data.';
 	}
+	return new OOGL.Vector3(data[0], data[1], data[2]);
+};
+
+/**
+ * Reads a vector from the specified typed array, starting at the specified
+ * offset, as written by
+ * {{#crossLink "OOGL.Vector3/pack:method"}}{{/crossLink}}.
+ *
+ * @method unpack
+ * @static
+ * @param {Float32Array} array The source array.
+ * @param {Number} [offset=0] The index of the first element to read.
+ * @return {OOGL.Vector3} The new vector.
+ * @example
+ *	var v = OOGL.Vector3.unpack(data, i * 3);
+ */
+OOGL.Vector3.unpack = function (array, offset) {
+	if (arguments.length < 2) {
+		offset = 0;
+	}
+	return new OOGL.Vector3(array[offset], array[offset + 1], array[offset + 2]);
 };
 
 /**
@@ -454,3 +670,65 @@ OOGL.Vector3.J = new OOGL.Vector3(0, 1, 0);
  *	position.add(heading.by(OOGL.Vector3.K));
  */
 OOGL.Vector3.K = new OOGL.Vector3(0, 0, 1);
+
+/**
+ * Creates a 3-component vector whose components are stored in a
+ * `Float32Array`.
+ *
+ * The returned object is an {{#crossLink "OOGL.Vector3"}}{{/crossLink}} in
+ * every respect, but its components are accessors reading from and writing to
+ * the {{#crossLink "OOGL.Float32Vector3/array:property"}}{{/crossLink}} typed
+ * array, which the uniform setters of {{#crossLink "context.Program"}}{{/crossLink}}
+ * can pass to WebGL without copying.
+ *
+ * @class OOGL.Float32Vector3
+ * @extends OOGL.Vector3
+ * @constructor
+ * @param {Number} x The X component.
+ * @param {Number} y The Y component.
+ * @param {Number} z The Z component.
+ * @example
+ *	var v = new OOGL.Float32Vector3(1, 2, 3);
+ */
+OOGL.Float32Vector3 = function (x, y, z) {
+	var vector = Object.create(OOGL.Vector3.prototype);
+
+	/**
+	 * The typed array holding the components of this vector.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	var array = vector.array = new Float32Array([x, y, z]);
+
+	Object.defineProperty(vector, 'x', {
+		get: function () {
+			return array[0];
+		},
+		set: function (value) {
+			array[0] = value;
+		},
+		enumerable: true
+	});
+
+	Object.defineProperty(vector, 'y', {
+		get: function () {
+			return array[1];
+		},
+		set: function (value) {
+			array[1] = value;
+		},
+		enumerable: true
+	});
+
+	Object.defineProperty(vector, 'z', {
+		get: function () {
+			return array[2];
+		},
+		set: function (value) {
+			array[2] = value;
+		},
+		enumerable: true
+	});
+	return vector;
+};
@@ -91,5 +91,644 @@ OOGL.Vector4.prototype = {
 	 */
 	toStandard: function () {
 		return new OOGL.Vector3(this.x / this.w, this.y / this.w, this.z / this.w);
+	},
+
+	/**
+	 * Computes the modulus of the vector. This is computed as
+	 * `Math.sqrt(x * x + y * y + z * z + w * w)`.
+	 *
+	 * @method length
+	 * @return {Number} The computed value.
+	 * @example
+	 *	var v = new OOGL.Vector4(1, 1, 1, 1);
+	 *	var l = v.length(); // 2
+	 */
+	length: function () {
+		return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+	},
+
+	/**
+	 * Normalizes this vector so that its length becomes 1.
+	 *
+	 * @method normalize
+	 * @chainable
+	 * @example
+	 *	var v = new OOGL.Vector4(1, 1, 1, 1);
+	 *	v.normalize(); // v is now (0.5, 0.5, 0.5, 0.5)
+	 */
+	normalize: function () {
+		var length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+		this.x /= length;
+		this.y /= length;
+		this.z /= length;
+		this.w /= length;
+		return this;
+	},
+
+	/**
+	 * Computes the normalized vector and returns it as a new `Vector4` object.
+	 * This vector is not changed.
+	 *
+	 * @method getNormalized
+	 * @return OOGL.Vector4
+	 * @example
+	 *	var v1 = new OOGL.Vector4(1, 1, 1, 1);
+	 *	var v2 = v1.getNormalized(); // (0.5, 0.5, 0.5, 0.5)
+	 */
+	getNormalized: function () {
+		var length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+		return new OOGL.Vector4(this.x / length, this.y / length, this.z / length, this.w / length);
+	},
+
+	/**
+	 * Adds the specified 4-component vector to this one.
+	 *
+	 * @method add
+	 * @param {OOGL.Vector4} v The vector to add.
+	 * @chainable
+	 * @example
+	 *	var v = new OOGL.Vector4(5, 6, 7, 8);
+	 *	v.add(new OOGL.Vector4(1, 2, 3, 4)); // v is now (6, 8, 10, 12)
+	 */
+	add: function (v) {
+		this.x += v.x;
+		this.y += v.y;
+		this.z += v.z;
+		this.w += v.w;
+		return this;
+	},
+
+	/**
+	 * Adds the specified 4-component vector to this one and returns the sum as
+	 * a new `Vector4` object. This vector is not changed.
+	 *
+	 * @method plus
+	 * @param {OOGL.Vector4} v The vector to add.
+	 * @return {OOGL.Vector4} The sum vector.
+	 * @example
+	 *	var v1 = new OOGL.Vector4(5, 6, 7, 8);
+	 *	var v2 = new OOGL.Vector4(1, 2, 3, 4);
+	 *	var v3 = v1.plus(v2); // (6, 8, 10, 12)
+	 */
+	plus: function (v) {
+		return new OOGL.Vector4(this.x + v.x, this.y + v.y, this.z + v.z, this.w + v.w);
+	},
+
+	/**
+	 * Adds the specified 4-component vector to this one and stores the sum in
+	 * the `out` vector, which may be this vector or the specified one. No new
+	 * objects are allocated.
+	 *
+	 * @method plusInto
+	 * @param {OOGL.Vector4} v The vector to add.
+	 * @param {OOGL.Vector4} out The vector where the sum is stored.
+	 * @return {OOGL.Vector4} The `out` vector.
+	 * @example
+	 *	position.plusInto(velocity, nextPosition);
+	 */
+	plusInto: function (v, out) {
+		out.x = this.x + v.x;
+		out.y = this.y + v.y;
+		out.z = this.z + v.z;
+		out.w = this.w + v.w;
+		return out;
+	},
+
+	/**
+	 * Subtracts the specified 4-component vector to this one.
+	 *
+	 * @method subtract
+	 * @param {OOGL.Vector4} v The vector to subtract.
+	 * @chainable
+	 * @example
+	 *	var v = new OOGL.Vector4(5, 6, 7, 8);
+	 *	v.subtract(new OOGL.Vector4(1, 2, 3, 4)); // v is now (4, 4, 4, 4)
+	 */
+	subtract: function (v) {
+		this.x -= v.x;
+		this.y -= v.y;
+		this.z -= v.z;
+		this.w -= v.w;
+		return this;
+	},
+
+	/**
+	 * Subtracts the specified 4-component vector to this one and returns the
+	 * difference as a new `Vector4` object. This vector is not changed.
+	 *
+	 * @method minus
+	 * @param {OOGL.Vector4} v The vector to subtract.
+	 * @return {OOGL.Vector4} The difference vector.
+	 * @example
+	 *	var v1 = new OOGL.Vector4(5, 6, 7, 8);
+	 *	var v2 = new OOGL.Vector4(1, 2, 3, 4);
+	 *	var v3 = v1.minus(v2); // (4, 4, 4, 4)
+	 */
+	minus: function (v) {
+		return new OOGL.Vector4(this.x - v.x, this.y - v.y, this.z - v.z, this.w - v.w);
+	},
+
+	/**
+	 * Subtracts the specified 4-component vector to this one and stores the
+	 * difference in the `out` vector, which may be this vector or the
+	 * specified one. No new objects are allocated.
+	 *
+	 * @method minusInto
+	 * @param {OOGL.Vector4} v The vector to subtract.
+	 * @param {OOGL.Vector4} out The vector where the difference is stored.
+	 * @return {OOGL.Vector4} The `out` vector.
+	 * @example
+	 *	target.minusInto(position, direction);
+	 */
+	minusInto: function (v, out) {
+		out.x = this.x - v.x;
+		out.y = this.y - v.y;
+		out.z = this.z - v.z;
+		out.w = this.w - v.w;
+		return out;
+	},
+
+	/**
+	 * Multiplies this vector by the specified constant factor.
+	 *
+	 * @method multiply
+	 * @param {Number} f The constant factor.
+	 * @chainable
+	 * @example
+	 *	var v = new OOGL.Vector4(1, 2, 3, 4);
+	 *	v.multiply(2); // v is now (2, 4, 6, 8)
+	 */
+	multiply: function (f) {
+		this.x *= f;
+		this.y *= f;
+		this.z *= f;
+		this.w *= f;
+		return this;
+	},
+
+	/**
+	 * Divides this vector by the specified constant factor.
+	 *
+	 * @method divide
+	 * @param {Number} f The constant factor.
+	 * @chainable
+	 * @example
+	 *	var v = new OOGL.Vector4(2, 4, 6, 8);
+	 *	v.divide(2); // v is now (1, 2, 3, 4)
+	 */
+	divide: function (f) {
+		this.x /= f;
+		this.y /= f;
+		this.z /= f;
+		this.w /= f;
+		return this;
+	},
+
+	/**
+	 * Multiplies this vector by the specified constant factor and returns the
+	 * product as a new `Vector4` object. This vector is not changed.
+	 *
+	 * @method by
+	 * @param {Number} f The constant factor.
+	 * @return {OOGL.Vector4} The product vector.
+	 * @example
+	 *	var v1 = new OOGL.Vector4(1, 2, 3, 4);
+	 *	var v2 = v1.by(2); // (2, 4, 6, 8)
+	 */
+	by: function (f) {
+		return new OOGL.Vector4(this.x * f, this.y * f, this.z * f, this.w * f);
+	},
+
+	/**
+	 * Multiplies this vector by the specified constant factor and stores the
+	 * product in the `out` vector, which may be this vector. No new objects
+	 * are allocated.
+	 *
+	 * @method byInto
+	 * @param {Number} f The constant factor.
+	 * @param {OOGL.Vector4} out The vector where the product is stored.
+	 * @return {OOGL.Vector4} The `out` vector.
+	 * @example
+	 *	velocity.byInto(dt, displacement);
+	 */
+	byInto: function (f, out) {
+		out.x = this.x * f;
+		out.y = this.y * f;
+		out.z = this.z * f;
+		out.w = this.w * f;
+		return out;
+	},
+
+	/**
+	 * Computes the dot product between this vector and the specified one.
+	 *
+	 * @method dot
+	 * @param {OOGL.Vector4} v The other vector.
+	 * @return {Number} The computed dot product.
+	 * @example
+	 *	var v1 = new OOGL.Vector4(1, 2, 3, 4);
+	 *	var v2 = new OOGL.Vector4(5, 6, 7, 8);
+	 *	var dot = v1.dot(v2); // 70
+	 */
+	dot: function (v) {
+		return this.x * v.x + this.y * v.y + this.z * v.z + this.w * v.w;
+	},
+
+	/**
+	 * Linearly interpolates between this vector and the specified one. This
+	 * vector is changed.
+	 *
+	 * @method lerp
+	 * @param {OOGL.Vector4} v The target vector.
+	 * @param {Number} t The interpolation factor, from 0 (this vector) to 1
+	 *	(the target vector).
+	 * @return {OOGL.Vector4} This vector.
+	 * @example
+	 *	var v = new OOGL.Vector4(0, 1, 2, 3);
+	 *	v.lerp(new OOGL.Vector4(2, 4, 6, 8), 0.5); // v is now (1, 2.5, 4, 5.5)
+	 */
+	lerp: function (v, t) {
+		this.x += (v.x - this.x) * t;
+		this.y += (v.y - this.y) * t;
+		this.z += (v.z - this.z) * t;
+		this.w += (v.w - this.w) * t;
+		return this;
+	},
+
+	/**
+	 * Linearly interpolates between this vector and the specified one and
+	 * returns the result as a new vector. This vector is not changed.
+	 *
+	 * @method getLerp
+	 * @param {OOGL.Vector4} v The target vector.
+	 * @param {Number} t The interpolation factor, from 0 (this vector) to 1
+	 *	(the target vector).
+	 * @return {OOGL.Vector4} The interpolated vector.
+	 * @example
+	 *	var v1 = new OOGL.Vector4(0, 1, 2, 3);
+	 *	var v2 = v1.getLerp(new OOGL.Vector4(2, 4, 6, 8), 0.5); // (1, 2.5, 4, 5.5)
+	 */
+	getLerp: function (v, t) {
+		return this.clone().lerp(v, t);
+	},
+
+	/**
+	 * Reflects this vector against a hyperplane whose normal vector is
+	 * specified. The reflection of a vector `v` is computed as:
+	 *
+	 *	v - 2 * (v.n) * n
+	 *
+	 * where `v.n` is the dot product between the vector and the normal.
+	 *
+	 * This method modifies the original object.
+	 *
+	 * @method reflect
+	 * @param {OOGL.Vector4} n The normal vector.
+	 * @chainable
+	 * @example
+	 *	velocity.reflect(new OOGL.Vector4(0, 1, 0, 0));
+	 */
+	reflect: function (n) {
+		var dot = this.x * n.x + this.y * n.y + this.z * n.z + this.w * n.w;
+		this.x -= 2 * dot * n.x;
+		this.y -= 2 * dot * n.y;
+		this.z -= 2 * dot * n.z;
+		this.w -= 2 * dot * n.w;
+		return this;
+	},
+
+	/**
+	 * Computes the reflection of this vector against a hyperplane whose normal
+	 * vector is specified. The reflection of a vector `v` is computed as:
+	 *
+	 *	v - 2 * (v.n) * n
+	 *
+	 * where `v.n` is the dot product between the vector and the normal.
+	 *
+	 * The computed vector is returned as a new `Vector4` object, this vector is
+	 * not changed.
+	 *
+	 * @method getReflected
+	 * @param {OOGL.Vector4} n The normal vector.
+	 * @return {OOGL.Vector4} The computed reflected vector.
+	 * @example
+	 *	var newVelocity = velocity.getReflected(new OOGL.Vector4(0, 1, 0, 0));
+	 */
+	getReflected: function (n) {
+		var dot = this.x * n.x + this.y * n.y + this.z * n.z + this.w * n.w;
+		return new OOGL.Vector4(this.x - 2 * dot * n.x, this.y - 2 * dot * n.y, this.z - 2 * dot * n.z, this.w - 2 * dot * n.w);
+	},
+
+	/**
+	 * Refracts this vector given a surface normal `n` and the `eta` ratio
+	 * between refraction indices.
+	 *
+	 * This method modifies the original object.
+	 *
+	 * @method refract
+	 * @chainable
+	 * @param {OOGL.Vector4} n The surface normal at the incidence point.
+	 * @param {Number} eta The ratio between refraction indices.
+	 * @example
+	 *	var v = new OOGL.Vector4(0.3, -1, 0, 0);
+	 *	var n = new OOGL.Vector4(0, 1, 0, 0);
+	 *	v.refract(n, 1.3);
+	 */
+	refract: function (n, eta) {
+		var dot = this.x * n.x + this.y * n.y + this.z * n.z + this.w * n.w;
+		var k = 1 - eta * eta * (1 - dot * dot);
+		if (k < 0) {
+			this.x = 0;
+			this.y = 0;
+			this.z = 0;
+			this.w = 0;
+		} else {
+			this.x = eta * this.x - (eta * dot + Math.sqrt(k)) * n.x;
+			this.y = eta * this.y - (eta * dot + Math.sqrt(k)) * n.y;
+			this.z = eta * this.z - (eta * dot + Math.sqrt(k)) * n.z;
+			this.w = eta * this.w - (eta * dot + Math.sqrt(k)) * n.w;
+		}
+		return this;
+	},
+
+	/**
+	 * Refracts this vector given a surface normal `n` and the `eta` ratio
+	 * between refraction indices; the computed vector is returned as a new
+	 * `OOGL.Vector4` object, this object is not changed.
+	 *
+	 * @method getRefracted
+	 * @param {OOGL.Vector4} n The surface normal at the incidence point.
+	 * @param {Number} eta The ratio between refraction indices.
+	 * @return {OOGL.Vector4} The refracted vector.
+	 * @example
+	 *	var v = new OOGL.Vector4(0.3, -1, 0, 0);
+	 *	var n = new OOGL.Vector4(0, 1, 0, 0);
+	 *	var w = v.getRefracted(n, 1.3);
+	 */
+	getRefracted: function (n, eta) {
+		var dot = this.x * n.x + this.y * n.y + this.z * n.z + this.w * n.w;
+		var k = 1 - eta * eta * (1 - dot * dot);
+		if (k < 0) {
+			return OOGL.Vector4.NULL;
+		} else {
+			return new OOGL.Vector4(
+				eta * this.x - (eta * dot + Math.sqrt(k)) * n.x,
+				eta * this.y - (eta * dot + Math.sqrt(k)) * n.y,
+				eta * this.z - (eta * dot + Math.sqrt(k)) * n.z,
+				eta * this.w - (eta * dot + Math.sqrt(k)) * n.w
+				);
+		}
+	},
+
+	/**
+	 * Indicates whether this vector equals the specified one within the
+	 * specified tolerance, i.e. whether no component differs by more than
+	 * `epsilon`.
+	 *
+	 * @method equals
+	 * @param {OOGL.Vector4} v The other vector.
+	 * @param {Number} [epsilon=OOGL.EPSILON] The tolerance.
+	 * @return {Boolean} `true` if the two vectors are approximately equal,
+	 *	`false` otherwise.
+	 * @example
+	 *	var a = new OOGL.Vector4(1, 2, 3, 4);
+	 *	a.equals(a.clone()); // true
+	 */
+	equals: function (v, epsilon) {
+		if (arguments.length < 2) {
+			epsilon = OOGL.EPSILON;
+		}
+		return (Math.abs(this.x - v.x) <= epsilon) &&
+			(Math.abs(this.y - v.y) <= epsilon) &&
+			(Math.abs(this.z - v.z) <= epsilon) &&
+			(Math.abs(this.w - v.w) <= epsilon);
+	},
+
+	/**
+	 * Returns a human-readable representation of this vector.
+	 *
+	 * @method toString
+	 * @return {String} The string representation.
+	 * @example
+	 *	console.log(String(new OOGL.Vector4(1, 2, 3, 4))); // 'OOGL.Vector4(1, 2, 3, 4)'
+	 */
+	toString: function () {
+		return 'OOGL.Vector4(' + this.x + ', ' + this.y + ', ' + this.z + ', ' + this.w + ')';
+	},
+
+	/**
+	 * Returns the JSON representation of this vector, which is the array of
+	 * its components. This method is used by `JSON.stringify`; the result can
+	 * be converted back using
+	 * {{#crossLink "OOGL.Vector4/fromJSON:method"}}{{/crossLink}}.
+	 *
+	 * @method toJSON
+	 * @return {Number[]} The components of this vector.
+	 * @example
+	 *	var json = JSON.stringify(new OOGL.Vector4(1, 2, 3, 4)); // '[1,2,3,4]'
+	 */
+	toJSON: function () {
+		return this.toArray();
+	},
+
+	/**
+	 * Writes the components of this vector into the specified typed array,
+	 * starting at the specified offset. If no array is specified a new
+	 * 4-element `Float32Array` is created.
+	 *
+	 * The vector can be read back using
+	 * {{#crossLink "OOGL.Vector4/unpack:method"}}{{/crossLink}}.
+	 *
+	 * @method pack
+	 * @param {Float32Array} [array] The destination array.
+	 * @param {Number} [offset=0] The index of the first element to write.
+	 * @return {Float32Array} The destination array.
+	 * @example
+	 *	var data = new Float32Array(4 * count);
+	 *	for (var i = 0; i < count; i++) {
+	 *		items[i].pack(data, i * 4);
+	 *	}
+	 */
+	pack: function (array, offset) {
+		if (arguments.length < 1) {
+			array = new Float32Array(4);
+		}
+		if (arguments.length < 2) {
+			offset = 0;
+		}
+		array[offset] = this.x;
+		array[offset + 1] = this.y;
+		array[offset + 2] = this.z;
+		array[offset + 3] = this.w;
+		return array;
 	}
 };
+
+/**
+ * Creates a vector from its JSON representation, as returned by
+ * {{#crossLink "OOGL.Vector4/toJSON:method"}}{{/crossLink}}.
+ *
+ * An exception is thrown if the data is not a 4-element array.
+ *
+ * @method fromJSON
+ * @static
+ * @param {Mixed} json Either the JSON string or the already parsed array.
+ * @return {OOGL.Vector4} The new vector.
+ * @example
+ *	var v = OOGL.Vector4.fromJSON('[1, 2, 3, 4]');
+ */
+OOGL.Vector4.fromJSON = function (json) {
+	var data = (typeof json === 'string') ? JSON.parse(json) : json;
+	if (!data || (data.length != 4)) {
+		throw 'Invalid OOGL.Vector4 JSON data.';
+	}
+	return new OOGL.Vector4(data[0], data[1], data[2], data[3]);
+};
+
+/**
+ * Reads a vector from the specified typed array, starting at the specified
+ * offset, as written by
+ * {{#crossLink "OOGL.Vector4/pack:method"}}{{/crossLink}}.
+ *
+ * @method unpack
+ * @static
+ * @param {Float32Array} array The source array.
+ * @param {Number} [offset=0] The index of the first element to read.
+ * @return {OOGL.Vector4} The new vector.
+ * @example
+ *	var v = OOGL.Vector4.unpack(data, i * 4);
+ */
+OOGL.Vector4.unpack = function (array, offset) {
+	if (arguments.length < 2) {
+		offset = 0;
+	}
+	return new OOGL.Vector4(array[offset], array[offset + 1], array[offset + 2], array[offset + 3]);
+};
+
+/**
+ * The null vector `(0, 0, 0, 0)`.
+ *
+ * @property NULL
+ * @static
+ * @type OOGL.Vector4
+ * @example
+ *	var v = OOGL.Vector4.NULL.clone();
+ */
+OOGL.Vector4.NULL = new OOGL.Vector4(0, 0, 0, 0);
+
+/**
+ * The `(1, 0, 0, 0)` vector.
+ *
+ * @property I
+ * @static
+ * @type OOGL.Vector4
+ * @example
+ *	var right = view.by(OOGL.Vector4.I);
+ */
+OOGL.Vector4.I = new OOGL.Vector4(1, 0, 0, 0);
+
+/**
+ * The `(0, 1, 0, 0)` vector.
+ *
+ * @property J
+ * @static
+ * @type OOGL.Vector4
+ * @example
+ *	var up = view.by(OOGL.Vector4.J);
+ */
+OOGL.Vector4.J = new OOGL.Vector4(0, 1, 0, 0);
+
+/**
+ * The `(0, 0, 1, 0)` vector.
+ *
+ * @property K
+ * @static
+ * @type OOGL.Vector4
+ * @example
+ *	var forward = view.by(OOGL.Vector4.K);
+ */
+OOGL.Vector4.K = new OOGL.Vector4(0, 0, 1, 0);
+
+/**
+ * The `(0, 0, 0, 1)` vector, that is the homogeneous origin.
+ *
+ * @property L
+ * @static
+ * @type OOGL.Vector4
+ * @example
+ *	var position = model.by(OOGL.Vector4.L);
+ */
+OOGL.Vector4.L = new OOGL.Vector4(0, 0, 0, 1);
+
+/**
+ * Creates a 4-component vector whose components are stored in a
+ * `Float32Array`.
+ *
+ * The returned object is an {{#crossLink "OOGL.Vector4"}}{{/crossLink}} in
+ * every respect, but its components are accessors reading from and writing to
+ * the {{#crossLink "OOGL.Float32Vector4/array:property"}}{{/crossLink}} typed
+ * array, which the uniform setters of {{#crossLink "context.Program"}}{{/crossLink}}
+ * can pass to WebGL without copying.
+ *
+ * @class OOGL.Float32Vector4
+ * @extends OOGL.Vector4
+ * @constructor
+ * @param {Number} x The X component.
+ * @param {Number} y The Y component.
+ * @param {Number} z The Z component.
+ * @param {Number} w The W component.
+ * @example
+ *	var v = new OOGL.Float32Vector4(1, 2, 3, 4);
+ */
+OOGL.Float32Vector4 = function (x, y, z, w) {
+	var vector = Object.create(OOGL.Vector4.prototype);
+
+	/**
+	 * The typed array holding the components of this vector.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	var array = vector.array = new Float32Array([x, y, z, w]);
+
+	Object.defineProperty(vector, 'x', {
+		get: function () {
+			return array[0];
+		},
+		set: function (value) {
+			array[0] = value;
+		},
+		enumerable: true
+	});
+
+	Object.defineProperty(vector, 'y', {
+		get: function () {
+			return array[1];
+		},
+		set: function (value) {
+			array[1] = value;
+		},
+		enumerable: true
+	});
+
+	Object.defineProperty(vector, 'z', {
+		get: function () {
+			return array[2];
+		},
+		set: function (value) {
+			array[2] = value;
+		},
+		enumerable: true
+	});
+
+	Object.defineProperty(vector, 'w', {
+		get: function () {
+			return array[3];
+		},
+		set: function (value) {
+			array[3] = value;
+		},
+		enumerable: true
+	});
+	return vector;
+};
@@ -0,0 +1,361 @@
+/*global OOGL: false */
+
+/**
+ * @module OOGL
+ */
+
+/**
+ * A view over a `Float32Array` containing many 2-, 3- or 4-component vectors,
+ * possibly interleaved with other data, that performs operations on all of them
+ * at once and in place.
+ *
+ * This is much faster than creating one `OOGL.Vector3` object per vertex when
+ * thousands of vertices are processed every frame (e.g. in CPU skinning or
+ * cloth simulation). The underlying array is modified directly, so it can be
+ * sent to a buffer as is:
+ *
+ *	buffer.subData(0, vertices.array);
+ *
+ * The vectors are located at the indices `offset + i * stride` of the array,
+ * where `i` ranges from 0 to `count - 1`; both `offset` and `stride` are
+ * expressed in elements, not bytes.
+ *
+ * @class OOGL.VectorArray
+ * @constructor
+ * @param {Number} size The number of components of each vector; can be 2, 3
+ *	or 4.
+ * @param {Mixed} data A `Float32Array`, which is used directly and not copied,
+ *	a JavaScript `Array`, which is converted to a new `Float32Array`, or the
+ *	number of vectors to allocate.
+ * @param {Number} [stride=size] The distance between the first components of
+ *	two consecutive vectors.
+ * @param {Number} [offset=0] The index of the first component of the first
+ *	vector.
+ * @example
+ *	// positions and normals are interleaved
+ *	var data = new Float32Array(vertexCount * 6);
+ *	var positions = new OOGL.VectorArray(3, data, 6, 0);
+ *	var normals = new OOGL.VectorArray(3, data, 6, 3);
+ *	positions.transform(model);
+ *	normals.transform(normalMatrix).normalize();
+ *	buffer.subData(0, data);
+ */
+OOGL.VectorArray = function (size, data, stride, offset) {
+	if ((size < 2) || (size > 4)) {
+		throw 'Invalid vector size: ' + size;
+	}
+
+	/**
+	 * The number of components of each vector.
+	 *
+	 * @property size
+	 * @type Number
+	 */
+	this.size = size;
+
+	/**
+	 * The underlying array.
+	 *
+	 * @property array
+	 * @type Float32Array
+	 */
+	if (data instanceof Float32Array) {
+		this.array = data;
+	} else if (typeof data === 'number') {
+		this.array = new Float32Array(data * size);
+	} else {
+		this.array = new Float32Array(data);
+	}
+
+	/**
+	 * The distance between the first components of two consecutive vectors.
+	 *
+	 * @property stride
+	 * @type Number
+	 */
+	this.stride = (arguments.length < 3) ? size : stride;
+
+	/**
+	 * The index of the first component of the first vector.
+	 *
+	 * @property offset
+	 * @type Number
+	 */
+	this.offset = (arguments.length < 4) ? 0 : offset;
+
+	/**
+	 * The number of vectors.
+	 *
+	 * @property count
+	 * @type Number
+	 */
+	this.count = Math.max(0, Math.floor((this.array.length - this.offset - size) / this.stride) + 1);
+};
+
+OOGL.VectorArray.prototype = {
+	/**
+	 * Returns the vector with the specified index as a new `OOGL.Vector2`,
+	 * `OOGL.Vector3` or `OOGL.Vector4` object.
+	 *
+	 * @method get
+	 * @param {Number} i The index of the vector.
+	 * @return {Mixed} The vector.
+	 * @example
+	 *	var first = positions.get(0);
+	 */
+	get: function (i) {
+		var a = this.array;
+		var j = this.offset + i * this.stride;
+		if (this.size < 3) {
+			return new OOGL.Vector2(a[j], a[j + 1]);
+		} else if (this.size < 4) {
+			return new OOGL.Vector3(a[j], a[j + 1], a[j + 2]);
+		} else {
+			return new OOGL.Vector4(a[j], a[j + 1], a[j + 2], a[j + 3]);
+		}
+	},
+
+	/**
+	 * Overwrites the vector with the specified index with the components of
+	 * the specified vector.
+	 *
+	 * @method set
+	 * @param {Number} i The index of the vector.
+	 * @param {Mixed} v An `OOGL.Vector2`, `OOGL.Vector3` or `OOGL.Vector4`
+	 *	with the same number of components as this array's vectors.
+	 * @chainable
+	 * @example
+	 *	positions.set(0, new OOGL.Vector3(0, 1, 0));
+	 */
+	set: function (i, v) {
+		var a = this.array;
+		var j = this.offset + i * this.stride;
+		a[j] = v.x;
+		a[j + 1] = v.y;
+		if (this.size > 2) {
+			a[j + 2] = v.z;
+		}
+		if (this.size > 3) {
+			a[j + 3] = v.w;
+		}
+		return this;
+	},
+
+	/**
+	 * Transforms all the vectors by the specified matrix in place.
+	 *
+	 * 2-component vectors can be transformed by an `OOGL.Matrix2` or, in
+	 * homogeneous coordinates, by an `OOGL.Matrix3`. 3-component vectors can
+	 * be transformed by an `OOGL.Matrix3` or, in homogeneous coordinates, by an
+	 * `OOGL.Matrix4`. 4-component vectors can be transformed by an
+	 * `OOGL.Matrix4`.
+	 *
+	 * When homogeneous coordinates are used the vectors are extended with the
+	 * specified `w` coordinate, as in
+	 * {{#crossLink "OOGL.Matrix4/multiply:method"}}{{/crossLink}}: with
+	 * `w = 1` the vectors are regarded as points and the results are divided by
+	 * their W component, with `w = 0` they are regarded as directions.
+	 *
+	 * An exception is thrown if the matrix does not match the vector size.
+	 *
+	 * @method transform
+	 * @param {Mixed} matrix The transformation matrix.
+	 * @param {Number} [w=1] The homogeneous W coordinate, either 1 for points
+	 *	or 0 for directions.
+	 * @chainable
+	 * @example
+	 *	positions.transform(model);
+	 *	velocities.transform(model, 0);
+	 */
+	transform: function (matrix, w) {
+		if (arguments.length < 2) {
+			w = 1;
+		}
+		var a = this.array;
+		var n = this.count;
+		var stride = this.stride;
+		var i, j, x, y, z, d;
+		var m = [];
+		var length = (matrix instanceof OOGL.Matrix4) ? 16 : (matrix instanceof OOGL.Matrix3) ? 9 : (matrix instanceof OOGL.Matrix2) ? 4 : 0;
+		for (i = 0; i < length; i++) {
+			m.push(matrix[i]);
+		}
+		if ((this.size === 2) && (length === 4)) {
+			for (i = 0, j = this.offset; i < n; i++, j += stride) {
+				x = a[j];
+				y = a[j + 1];
+				a[j] = m[0] * x + m[2] * y;
+				a[j + 1] = m[1] * x + m[3] * y;
+			}
+		} else if ((this.size === 2) && (length === 9)) {
+			for (i = 0, j = this.offset; i < n; i++, j += stride) {
+				x = a[j];
+				y = a[j + 1];
+				d = w ? (m[2] * x + m[5] * y + m[8] * w) : 1;
+				a[j] = (m[0] * x + m[3] * y + m[6] * w) / d;
+				a[j + 1] = (m[1] * x + m[4] * y + m[7] * w) / d;
+			}
+		} else if ((this.size === 3) && (length === 9)) {
+			for (i = 0, j = this.offset; i < n; i++, j += stride) {
+				x = a[j];
+				y = a[j + 1];
+				z = a[j + 2];
+				a[j] = m[0] * x + m[3] * y + m[6] * z;
+				a[j + 1] = m[1] * x + m[4] * y + m[7] * z;
+				a[j + 2] = m[2] * x + m[5] * y + m[8] * z;
+			}
+		} else if ((this.size === 3) && (length === 16)) {
+			for (i = 0, j = this.offset; i < n; i++, j += stride) {
+				x = a[j];
+				y = a[j + 1];
+				z = a[j + 2];
+				d = w ? (m[3] * x + m[7] * y + m[11] * z + m[15] * w) : 1;
+				a[j] = (m[0] * x + m[4] * y + m[8] * z + m[12] * w) / d;
+				a[j + 1] = (m[1] * x + m[5] * y + m[9] * z + m[13] * w) / d;
+				a[j + 2] = (m[2] * x + m[6] * y + m[10] * z + m[14] * w) / d;
+			}
+		} else if ((this.size === 4) && (length === 16)) {
+			for (i = 0, j = this.offset; i < n; i++, j += stride) {
+				x = a[j];
+				y = a[j + 1];
+				z = a[j + 2];
+				d = a[j + 3];
+				a[j] = m[0] * x + m[4] * y + m[8] * z + m[12] * d;
+				a[j + 1] = m[1] * x + m[5] * y + m[9] * z + m[13] * d;
+				a[j + 2] = m[2] * x + m[6] * y + m[10] * z + m[14] * d;
+				a[j + 3] = m[3] * x + m[7] * y + m[11] * z + m[15] * d;
+			}
+		} else {
+			throw 'Invalid matrix for ' + this.size + '-component vectors.';
+		}
+		return this;
+	},
+
+	/**
+	 * Normalizes all the vectors in place. Zero-length vectors are left
+	 * unchanged.
+	 *
+	 * @method normalize
+	 * @chainable
+	 * @example
+	 *	normals.normalize();
+	 */
+	normalize: function () {
+		var a = this.array;
+		var size = this.size;
+		for (var i = 0, j = this.offset; i < this.count; i++, j += this.stride) {
+			var length = a[j] * a[j] + a[j + 1] * a[j + 1];
+			if (size > 2) {
+				length += a[j + 2] * a[j + 2];
+			}
+			if (size > 3) {
+				length += a[j + 3] * a[j + 3];
+			}
+			if (length) {
+				length = Math.sqrt(length);
+				for (var k = 0; k < size; k++) {
+					a[j + k] /= length;
+				}
+			}
+		}
+		return this;
+	},
+
+	/**
+	 * Computes the dot products between the vectors of this array and the
+	 * corresponding vectors of the specified array.
+	 *
+	 * An exception is thrown if the two arrays have different sizes or
+	 * counts.
+	 *
+	 * @method dot
+	 * @param {OOGL.VectorArray} other The other vector array.
+	 * @param {Float32Array} [out] The array where the `count` results are
+	 *	stored. If not specified a new `Float32Array` is allocated.
+	 * @return {Float32Array} The dot products.
+	 * @example
+	 *	var lambert = normals.dot(lightDirections);
+	 */
+	dot: function (other, out) {
+		this.check(other);
+		if (arguments.length < 2) {
+			out = new Float32Array(this.count);
+		}
+		var a = this.array;
+		var b = other.array;
+		for (var i = 0, j = this.offset, k = other.offset; i < this.count; i++, j += this.stride, k += other.stride) {
+			var result = 0;
+			for (var l = 0; l < this.size; l++) {
+				result += a[j + l] * b[k + l];
+			}
+			out[i] = result;
+		}
+		return out;
+	},
+
+	/**
+	 * Replaces each vector of this array with its cross product with the
+	 * corresponding vector of the specified array. Both arrays must contain
+	 * 3-component vectors.
+	 *
+	 * An exception is thrown if the two arrays have different sizes or counts
+	 * or their vectors do not have 3 components.
+	 *
+	 * @method cross
+	 * @param {OOGL.VectorArray} other The other vector array.
+	 * @chainable
+	 * @example
+	 *	bitangents.cross(tangents);
+	 */
+	cross: function (other) {
+		this.check(other);
+		if (this.size !== 3) {
+			throw 'The cross product needs 3-component vectors.';
+		}
+		var a = this.array;
+		var b = other.array;
+		for (var i = 0, j = this.offset, k = other.offset; i < this.count; i++, j += this.stride, k += other.stride) {
+			var x = a[j + 1] * b[k + 2] - a[j + 2] * b[k + 1];
+			var y = a[j + 2] * b[k] - a[j] * b[k + 2];
+			a[j + 2] = a[j] * b[k + 1] - a[j + 1] * b[k];
+			a[j] = x;
+			a[j + 1] = y;
+		}
+		return this;
+	},
+
+	/**
+	 * Linearly interpolates each vector of this array towards the
+	 * corresponding vector of the specified array, in place.
+	 *
+	 * An exception is thrown if the two arrays have different sizes or
+	 * counts.
+	 *
+	 * @method lerp
+	 * @param {OOGL.VectorArray} other The target vector array.
+	 * @param {Number} t The interpolation factor; 0 leaves this array
+	 *	unchanged and 1 copies the other one.
+	 * @chainable
+	 * @example
+	 *	// morph between two key frames
+	 *	positions.array.set(frame0);
+	 *	positions.lerp(nextFrame, t);
+	 */
+	lerp: function (other, t) {
+		this.check(other);
+		var a = this.array;
+		var b = other.array;
+		for (var i = 0, j = this.offset, k = other.offset; i < this.count; i++, j += this.stride, k += other.stride) {
+			for (var l = 0; l < this.size; l++) {
+				a[j + l] += (b[k + l] - a[j + l]) * t;
+			}
+		}
+		return this;
+	},
+
+	check: function (other) {
+		if ((other.size !== this.size) || (other.count !== this.count)) {
+			throw 'Vector arrays must have the same size and count.';
+		}
+	}
+};
@@ -0,0 +1,222 @@
+/*global context: false */
+
+/**
+ * @module context
+ */
+
+/**
+ * Wraps a vertex array object, which captures the whole vertex attribute setup
+ * (enabled arrays, pointers and element array binding) so that it can be
+ * restored with a single
+ * {{#crossLink "context.VertexArray/bind"}}bind{{/crossLink}} call.
+ *
+ * Native vertex array objects are used on WebGL 2 contexts (see
+ * {{#crossLink "OOGL.Context/isWebGL2:method"}}{{/crossLink}}), otherwise the
+ * `OES_vertex_array_object` extension is used. If neither is available the
+ * vertex array is emulated: the calls made while recording are stored and
+ * replayed every time the vertex array is bound.
+ *
+ * The setup is specified by calling
+ * {{#crossLink "context.VertexArray/record"}}record{{/crossLink}} with a
+ * function that enables, binds and points the arrays as usual.
+ *
+ * @class context.VertexArray
+ * @constructor
+ * @example
+ *	var arrays = new oogl.AttributeArrays(vertices.length / 3);
+ *	arrays.add3f(vertices);
+ *	arrays.add2f(textureCoordinates);
+ *	var elements = new oogl.ElementArray(indices);
+ *	var vertexArray = new oogl.VertexArray();
+ *	vertexArray.record(function () {
+ *		arrays.enableBindAndPointer();
+ *		elements.bind();
+ *	});
+ *	(new OOGL.RenderLoop(function () {
+ *		vertexArray.bind();
+ *		elements.drawTriangles();
+ *		vertexArray.unbind();
+ *	})).start();
+ */
+context.VertexArray = function () {
+	var vertexArray;
+	var bindVertexArray;
+	var deleteVertexArray;
+	var calls = [];
+	var dynamicArrays = [];
+	var emulated = false;
+
+	if (context.isWebGL2()) {
+		vertexArray = context.createVertexArray();
+		bindVertexArray = function (object) {
+			context.bindVertexArray(object);
+		};
+		deleteVertexArray = function () {
+			context.deleteVertexArray(vertexArray);
+		};
+	} else {
+		var extension = context.getExtension('OES_vertex_array_object');
+		if (extension) {
+			vertexArray = extension.createVertexArrayOES();
+			bindVertexArray = function (object) {
+				extension.bindVertexArrayOES(object);
+			};
+			deleteVertexArray = function () {
+				extension.deleteVertexArrayOES(vertexArray);
+			};
+		} else {
+			emulated = true;
+			vertexArray = {};
+			bindVertexArray = function (object) {
+				var i;
+				if (object) {
+					for (i = 0; i < calls.length; i++) {
+						context[calls[i].name].apply(context, calls[i].args);
+					}
+				} else {
+					for (i = 0; i < calls.length; i++) {
+						if (calls[i].name === 'enableVertexAttribArray') {
+							context.disableVertexAttribArray(calls[i].args[0]);
+						} else if (calls[i].name === 'vertexAttribDivisor') {
+							context.vertexAttribDivisor(calls[i].args[0], 0);
+						}
+					}
+				}
+			};
+			deleteVertexArray = function () {
+				calls = [];
+			};
+		}
+	}
+
+	/**
+	 * Indicates whether this vertex array is emulated by replaying recorded
+	 * calls because vertex array objects are not supported.
+	 *
+	 * @property emulated
+	 * @type Boolean
+	 */
+	vertexArray.emulated = emulated;
+
+	/**
+	 * Records the vertex attribute setup of this vertex array. The specified
+	 * function is invoked with this vertex array bound and must enable, bind
+	 * and point the vertex attribute arrays and bind the element array, e.g.
+	 * by calling `enableBindAndPointer` on an `AttributeArrays` object and
+	 * `bind` on an `ElementArray`.
+	 *
+	 * When the vertex array is emulated, the `enableVertexAttribArray`,
+	 * `disableVertexAttribArray`, `vertexAttribPointer`, `vertexAttribDivisor`
+	 * and `bindBuffer` calls made by the function are recorded, replacing any
+	 * previous recording.
+	 *
+	 * The {{#crossLink "context.DynamicAttributeArray"}}DynamicAttributeArray{{/crossLink}}
+	 * objects bound by the function are remembered so that their pending
+	 * changes are flushed by
+	 * {{#crossLink "context.VertexArray/bind"}}bind{{/crossLink}}.
+	 *
+	 * The vertex array is unbound when the function returns.
+	 *
+	 * @method record
+	 * @param setup {Function} The function that sets up the vertex attribute
+	 *	arrays.
+	 * @example
+	 *	vertexArray.record(function () {
+	 *		arrays.enableBindAndPointer();
+	 *		elements.bind();
+	 *	});
+	 */
+	vertexArray.record = function (setup) {
+		var names = emulated ? ['enableVertexAttribArray', 'disableVertexAttribArray', 'vertexAttribPointer', 'vertexAttribDivisor', 'bindBuffer'] : ['bindBuffer'];
+		var originals = {};
+		var own = {};
+		calls = [];
+		dynamicArrays = [];
+		names.forEach(function (name) {
+			originals[name] = context[name];
+			own[name] = context.hasOwnProperty(name);
+			context[name] = function (target, buffer) {
+				if (emulated) {
+					calls.push({
+						name: name,
+						args: Array.prototype.slice.call(arguments)
+					});
+				}
+				if ((name === 'bindBuffer') && (target === context.ARRAY_BUFFER) && buffer && (typeof buffer.isDirty === 'function') && (dynamicArrays.indexOf(buffer) < 0)) {
+					dynamicArrays.push(buffer);
+				}
+				return originals[name].apply(context, arguments);
+			};
+		});
+		if (!emulated) {
+			bindVertexArray(vertexArray);
+		}
+		try {
+			setup();
+		} finally {
+			names.forEach(function (name) {
+				if (own[name]) {
+					context[name] = originals[name];
+				} else {
+					delete context[name];
+				}
+			});
+			bindVertexArray(null);
+		}
+	};
+
+	/**
+	 * Binds this vertex array, restoring the recorded vertex attribute setup.
+	 *
+	 * The dynamic attribute arrays used by the recorded setup are flushed
+	 * first if they have pending changes, which leaves the last one bound to
+	 * the `gl.ARRAY_BUFFER` target.
+	 *
+	 * `gl.bindVertexArray` equivalent.
+	 *
+	 * @method bind
+	 * @example
+	 *	vertexArray.bind();
+	 *	elements.drawTriangles();
+	 */
+	vertexArray.bind = function () {
+		for (var i = 0; i < dynamicArrays.length; i++) {
+			if (dynamicArrays[i].isDirty()) {
+				dynamicArrays[i].bind();
+				dynamicArrays[i].flush();
+			}
+		}
+		bindVertexArray(vertexArray);
+	};
+
+	/**
+	 * Unbinds this vertex array, restoring the default vertex array object.
+	 *
+	 * When the vertex array is emulated, the vertex attribute arrays enabled by
+	 * the recorded setup are disabled and the instance divisors it set are
+	 * reset to 0.
+	 *
+	 * @method unbind
+	 * @example
+	 *	vertexArray.unbind();
+	 */
+	vertexArray.unbind = function () {
+		bindVertexArray(null);
+	};
+
+	/**
+	 * Deletes this vertex array. The attribute and element arrays used by the
+	 * recorded setup are not deleted.
+	 *
+	 * `gl.deleteVertexArray` equivalent.
+	 *
+	 * @method _delete
+	 * @example
+	 *	vertexArray._delete();
+	 */
+	vertexArray._delete = function () {
+		deleteVertexArray();
+	};
+
+	return vertexArray;
+};